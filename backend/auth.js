@@ -0,0 +1,108 @@
+// Team member passwords and dashboard sessions
+// Passwords are hashed with scrypt. A session is a signed token (member id and
+// expiry, HMAC-signed like signed-urls.js) that the dashboard sends as
+// "Authorization: Bearer <token>". Nothing is stored server-side, so the member
+// is looked up again on every request (team.js). Customer portal sessions work the
+// same way for a lead (customer-portal.js).
+
+const crypto = require('crypto');
+
+const SESSION_TTL_SECONDS = parseInt(process.env.SESSION_TTL_SECONDS, 10) || 7 * 24 * 60 * 60;
+const PORTAL_SESSION_TTL_SECONDS = parseInt(process.env.PORTAL_SESSION_TTL_SECONDS, 10) || 30 * 24 * 60 * 60;
+const KEY_LENGTH = 64;
+
+let secret = process.env.SESSION_SECRET;
+if (!secret) {
+  secret = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠️ SESSION_SECRET is not set. Everyone will be signed out of the dashboard after a restart.');
+}
+
+// "scrypt$<salt>$<hash>", both hex
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const given = crypto.scryptSync(String(password), Buffer.from(salt, 'hex'), expected.length);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// Company rows from before team accounts hold a base64-encoded password
+function verifyLegacyPassword(password, stored) {
+  const expected = Buffer.from(String(stored || ''));
+  const given = Buffer.from(Buffer.from(String(password)).toString('base64'));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// scope keeps dashboard and customer portal tokens apart
+function computeSignature(scope, id, expires) {
+  return crypto.createHmac('sha256', secret).update(`${scope}:${id}:${expires}`).digest('hex');
+}
+
+function createToken(scope, id, ttlSeconds) {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return {
+    token: `${id}.${expires}.${computeSignature(scope, id, expires)}`,
+    expiresAt: new Date(expires * 1000).toISOString()
+  };
+}
+
+function readToken(scope, token) {
+  const [id, expires, signature] = String(token || '').split('.');
+  const expiresAt = parseInt(expires, 10);
+  if (!id || !expiresAt || !signature || expiresAt < Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+
+  const expected = Buffer.from(computeSignature(scope, id, expiresAt));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given) ? id : null;
+}
+
+// Returns { token, expiresAt }
+function createSession(memberId, ttlSeconds = SESSION_TTL_SECONDS) {
+  return createToken('session', memberId, ttlSeconds);
+}
+
+// The member id from a valid, unexpired token, or null
+function readSession(token) {
+  return readToken('session', token);
+}
+
+// Customer portal sessions are the same kind of token for a lead
+function createPortalSession(leadId, ttlSeconds = PORTAL_SESSION_TTL_SECONDS) {
+  return createToken('portal', leadId, ttlSeconds);
+}
+
+// The lead id from a valid, unexpired portal token, or null
+function readPortalSession(token) {
+  return readToken('portal', token);
+}
+
+// Invite links carry a random token; only its hash is stored
+function createInviteToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, hash: hashInviteToken(token) };
+}
+
+function hashInviteToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  verifyLegacyPassword,
+  createSession,
+  readSession,
+  createPortalSession,
+  readPortalSession,
+  createInviteToken,
+  hashInviteToken
+};
@@ -0,0 +1,62 @@
+// Company branding
+// The colour and logo customers see on the company's customer portal and in the
+// emails it sends (companies.branding). The colour is a hex value; the logo is
+// uploaded from the dashboard and kept in storage (logos/) as a PNG.
+
+const db = require('./database');
+const storage = require('./storage');
+
+const COLOR = /^#[0-9a-f]{6}$/i;
+
+const DEFAULT_BRANDING = {
+  primaryColor: '#667eea',
+  logo: null
+};
+
+// Checks the settings a company can edit (the logo has its own upload route).
+// Returns { branding } or { error }.
+function validateBranding(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Invalid branding' };
+  }
+
+  const primaryColor = input.primaryColor === undefined ? DEFAULT_BRANDING.primaryColor : input.primaryColor;
+  if (typeof primaryColor !== 'string' || !COLOR.test(primaryColor)) {
+    return { error: 'Colour must be a hex value like #667eea' };
+  }
+
+  return { branding: { primaryColor: primaryColor.toLowerCase() } };
+}
+
+async function getBranding(companyId) {
+  const result = await db.query('SELECT branding FROM companies WHERE id = $1', [companyId]);
+  const saved = result.rows[0] && result.rows[0].branding;
+  return { ...DEFAULT_BRANDING, ...(saved || {}) };
+}
+
+// Saves branding (null restores the defaults and drops the logo). Returns the branding in use.
+async function setBranding(companyId, branding) {
+  const current = await getBranding(companyId);
+  const next = branding ? { ...current, ...branding } : null;
+
+  await db.query('UPDATE companies SET branding = $2 WHERE id = $1', [companyId, next ? JSON.stringify(next) : null]);
+  if (current.logo && (!next || next.logo !== current.logo)) {
+    await storage.remove(current.logo);
+  }
+  return { ...DEFAULT_BRANDING, ...(next || {}) };
+}
+
+async function serializeBranding(branding, baseUrl) {
+  return {
+    primaryColor: branding.primaryColor,
+    logoUrl: await storage.getAssetUrl(branding.logo, baseUrl)
+  };
+}
+
+module.exports = {
+  DEFAULT_BRANDING,
+  validateBranding,
+  getBranding,
+  setBranding,
+  serializeBranding
+};
@@ -0,0 +1,171 @@
+// Structured renovation briefs
+// Checks the options a customer picked in the widget against their trade and
+// composes the prompt description from the trade's template.
+
+const db = require('./database');
+const promptStyles = require('./prompt-styles');
+const briefTemplates = require('./brief-templates');
+
+const TRADES = Object.keys(briefTemplates);
+const MAX_NOTES_LENGTH = 500;
+
+// Brief field -> list of allowed values in the trade's options
+const CHOICE_FIELDS = { roomType: 'roomTypes', colourPalette: 'colourPalettes' };
+const LIST_FIELDS = { materials: 'materials', fixtures: 'fixtures', keep: 'keepOptions' };
+const OPTION_KEYS = ['roomTypes', 'materials', 'colourPalettes', 'fixtures', 'keepOptions', 'template'];
+
+async function getCompanyTemplates(companyId) {
+  if (!companyId) return {};
+
+  try {
+    const result = await db.query('SELECT brief_templates FROM companies WHERE id = $1', [companyId]);
+    return result.rows[0]?.brief_templates || {};
+  } catch (error) {
+    console.warn('Brief template lookup failed, using defaults:', error.message);
+    return {};
+  }
+}
+
+// Options and template for a trade, with the company's overrides applied
+async function getBriefOptions(companyId, trade) {
+  const name = briefTemplates[trade] ? trade : 'general';
+  const overrides = (await getCompanyTemplates(companyId))[name] || {};
+
+  return { trade: name, ...briefTemplates[name], ...overrides };
+}
+
+// Replaces a company's options for one trade. Keys left out fall back to the defaults.
+async function setBriefTemplate(companyId, trade, overrides) {
+  const templates = await getCompanyTemplates(companyId);
+  templates[trade] = overrides;
+
+  const result = await db.query(
+    'UPDATE companies SET brief_templates = $2 WHERE id = $1 RETURNING id',
+    [companyId, JSON.stringify(templates)]
+  );
+  return result.rows.length > 0;
+}
+
+// Returns an error message for an invalid override, or null
+function validateTemplateOverrides(overrides) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return 'Template options must be an object';
+  }
+
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!OPTION_KEYS.includes(key)) {
+      return `Unknown template option: ${key}`;
+    }
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+      return `${key} must be a list of text values`;
+    }
+  }
+
+  return null;
+}
+
+function joinList(items) {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+// Fills each template clause, skipping clauses with an empty placeholder
+function composePrompt(template, values) {
+  return template
+    .map(clause => {
+      const placeholders = clause.match(/\{(\w+)\}/g) || [];
+      const complete = placeholders.every(placeholder => values[placeholder.slice(1, -1)]);
+      return complete ? clause.replace(/\{(\w+)\}/g, (match, key) => values[key]) : null;
+    })
+    .filter(Boolean)
+    .join(', ');
+}
+
+// Validates a brief from the widget and resolves its style from the company's library.
+// A style or notes are required unless the look comes from an inspiration photo.
+// Returns { brief, prompt } or { error }.
+async function buildBrief(companyId, input, { requireStyle = true } = {}) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Invalid brief' };
+  }
+
+  const trade = String(input.trade || 'general').toLowerCase();
+  if (!TRADES.includes(trade)) {
+    return { error: `Trade must be one of: ${TRADES.join(', ')}` };
+  }
+
+  const options = await getBriefOptions(companyId, trade);
+  const brief = { trade };
+
+  for (const [field, optionKey] of Object.entries(CHOICE_FIELDS)) {
+    if (!input[field]) continue;
+
+    if (!options[optionKey].includes(input[field])) {
+      return { error: `Unknown ${field}: ${input[field]}` };
+    }
+    brief[field] = input[field];
+  }
+
+  for (const [field, optionKey] of Object.entries(LIST_FIELDS)) {
+    if (input[field] === undefined) continue;
+
+    if (!Array.isArray(input[field])) {
+      return { error: `${field} must be a list` };
+    }
+
+    const unknown = input[field].find(value => !options[optionKey].includes(value));
+    if (unknown) {
+      return { error: `Unknown ${field}: ${unknown}` };
+    }
+
+    if (input[field].length > 0) {
+      brief[field] = [...new Set(input[field])];
+    }
+  }
+
+  let stylePrompt = null;
+  if (input.styleId) {
+    const style = companyId ? await promptStyles.getStyle(companyId, input.styleId) : null;
+    if (!style || !style.enabled) {
+      return { error: 'Style not found' };
+    }
+
+    brief.styleId = style.id;
+    brief.style = style.name;
+    stylePrompt = style.prompt;
+  }
+
+  const notes = typeof input.notes === 'string' ? input.notes.trim() : '';
+  if (notes.length > MAX_NOTES_LENGTH) {
+    return { error: `Notes must be ${MAX_NOTES_LENGTH} characters or fewer` };
+  }
+  if (notes) {
+    brief.notes = notes;
+  }
+
+  if (requireStyle && !brief.style && !brief.notes) {
+    return { error: 'Please choose a style or describe your vision' };
+  }
+
+  const lower = (items) => items && joinList(items.map(item => item.toLowerCase()));
+
+  const prompt = composePrompt(options.template, {
+    roomType: brief.roomType,
+    style: stylePrompt,
+    materials: lower(brief.materials),
+    colourPalette: brief.colourPalette && brief.colourPalette.toLowerCase(),
+    fixtures: lower(brief.fixtures),
+    keep: lower(brief.keep),
+    notes: brief.notes
+  });
+
+  return { brief, prompt };
+}
+
+module.exports = {
+  TRADES,
+  getBriefOptions,
+  setBriefTemplate,
+  validateTemplateOverrides,
+  buildBrief
+};
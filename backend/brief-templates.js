@@ -0,0 +1,86 @@
+// Default renovation brief options and prompt templates per trade
+// Each template clause is dropped when one of its {placeholders} has nothing chosen.
+// Companies can override any of these per trade (companies.brief_templates).
+
+module.exports = {
+  bathroom: {
+    roomTypes: ['Family bathroom', 'En-suite', 'Cloakroom', 'Wet room', 'Shower room'],
+    materials: ['Marble', 'Porcelain tiles', 'Natural stone', 'Terrazzo', 'Wood-effect tiles', 'Microcement', 'Brushed brass', 'Chrome', 'Matt black'],
+    colourPalettes: ['Warm neutrals', 'Crisp white', 'Charcoal and black', 'Sage green', 'Navy blue', 'Soft pastels'],
+    fixtures: ['Walk-in shower', 'Rainfall shower head', 'Freestanding bath', 'Double vanity', 'Wall-hung toilet', 'Heated towel rail', 'Backlit mirror', 'Built-in niche'],
+    keepOptions: ['Layout', 'Window', 'Door', 'Ceiling', 'Flooring', 'Bath position'],
+    template: [
+      '{roomType}',
+      '{style}',
+      'finished in {materials}',
+      'in a {colourPalette} colour palette',
+      'featuring {fixtures}',
+      'keeping the {keep} exactly as they are',
+      '{notes}'
+    ]
+  },
+  kitchen: {
+    roomTypes: ['Kitchen', 'Kitchen diner', 'Open-plan kitchen living room', 'Galley kitchen', 'Utility room'],
+    materials: ['Quartz worktops', 'Granite worktops', 'Solid oak', 'Concrete', 'Stainless steel', 'Marble splashback', 'Zellige tiles', 'Brass hardware'],
+    colourPalettes: ['Warm neutrals', 'Crisp white', 'Charcoal and black', 'Sage green', 'Navy blue', 'Natural wood tones'],
+    fixtures: ['Kitchen island', 'Breakfast bar', 'Range cooker', 'Belfast sink', 'Pendant lighting', 'Open shelving', 'Integrated appliances', 'Larder cupboard'],
+    keepOptions: ['Layout', 'Windows', 'Doors', 'Ceiling', 'Flooring', 'Appliances'],
+    template: [
+      '{roomType}',
+      '{style}',
+      'finished in {materials}',
+      'in a {colourPalette} colour palette',
+      'featuring {fixtures}',
+      'keeping the {keep} exactly as they are',
+      '{notes}'
+    ]
+  },
+  roofing: {
+    roomTypes: ['Main roof', 'Extension roof', 'Flat roof', 'Dormer', 'Porch roof', 'Garage roof'],
+    materials: ['Natural slate', 'Clay tiles', 'Concrete tiles', 'Standing seam metal', 'Cedar shingles', 'EPDM rubber', 'Copper flashing', 'Lead flashing'],
+    colourPalettes: ['Slate grey', 'Terracotta', 'Anthracite', 'Weathered brown', 'Green patina'],
+    fixtures: ['Skylights', 'New dormers', 'Solar panels', 'New guttering', 'Fascias and soffits', 'Chimney repointing'],
+    keepOptions: ['Walls', 'Windows', 'Doors', 'Chimney', 'Garden', 'Surrounding buildings'],
+    template: [
+      '{roomType}',
+      '{style}',
+      'roofed in {materials}',
+      'in {colourPalette} tones',
+      'with {fixtures}',
+      'keeping the {keep} exactly as they are',
+      '{notes}'
+    ]
+  },
+  joinery: {
+    roomTypes: ['Living room', 'Hallway', 'Staircase', 'Bedroom', 'Home office', 'Alcoves'],
+    materials: ['Solid oak', 'Walnut', 'Painted MDF', 'Reclaimed timber', 'Birch plywood', 'Brass hardware'],
+    colourPalettes: ['Natural wood tones', 'Warm neutrals', 'Crisp white', 'Deep green', 'Navy blue', 'Charcoal and black'],
+    fixtures: ['Built-in shelving', 'Fitted wardrobes', 'Wall panelling', 'Window seat', 'Hardwood flooring', 'New staircase', 'Glazed internal doors'],
+    keepOptions: ['Layout', 'Windows', 'Doors', 'Ceiling', 'Flooring', 'Fireplace'],
+    template: [
+      '{roomType}',
+      '{style}',
+      'crafted in {materials}',
+      'in a {colourPalette} colour palette',
+      'with {fixtures}',
+      'keeping the {keep} exactly as they are',
+      '{notes}'
+    ]
+  },
+  general: {
+    roomTypes: ['Living room', 'Kitchen', 'Bedroom', 'Loft', 'Extension', 'House exterior', 'Garden'],
+    materials: ['Exposed brick', 'Oak flooring', 'Polished concrete', 'Natural stone', 'Glass', 'Render'],
+    colourPalettes: ['Warm neutrals', 'Crisp white', 'Charcoal and black', 'Sage green', 'Navy blue', 'Earthy tones'],
+    fixtures: ['Bi-fold doors', 'Skylights', 'Open-plan layout', 'Exposed beams', 'Fireplace', 'Spotlighting', 'Large windows'],
+    keepOptions: ['Layout', 'Windows', 'Doors', 'Ceiling', 'Flooring', 'Exterior walls'],
+    template: [
+      '{roomType}',
+      '{style}',
+      'finished in {materials}',
+      'in a {colourPalette} colour palette',
+      'featuring {fixtures}',
+      'keeping the {keep} exactly as they are',
+      '{notes}'
+    ]
+  }
+};
@@ -0,0 +1,82 @@
+// Calendar invites (iCalendar / ICS)
+// Builds the .ics file attached to survey booking emails. Each booking keeps one UID;
+// a reschedule sends it again with a higher SEQUENCE and a cancellation sends
+// METHOD:CANCEL, so calendar apps update the event they already have.
+
+const PRODUCT_ID = '-//Renovation Vision//Survey Bookings//EN';
+const UID_DOMAIN = 'renovationvision.io';
+const MAX_LINE_OCTETS = 75;
+
+// 2026-10-18T09:30:00.000Z -> 20261018T093000Z
+function formatTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function fold(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// The .ics text for one event. `organizer` and `attendee` are { name, email };
+// `cancelled` makes it a cancellation of the same event.
+function createInvite({ id, sequence = 0, startsAt, endsAt, summary, description, location, organizer, attendee, cancelled = false }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${cancelled ? 'CANCEL' : 'REQUEST'}`,
+    'BEGIN:VEVENT',
+    `UID:${id}@${UID_DOMAIN}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatTime(new Date())}`,
+    `DTSTART:${formatTime(startsAt)}`,
+    `DTEND:${formatTime(endsAt)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    description ? `DESCRIPTION:${escapeText(description)}` : null,
+    location ? `LOCATION:${escapeText(location)}` : null,
+    organizer && organizer.email ? `ORGANIZER;CN=${escapeText(organizer.name)}:mailto:${organizer.email}` : null,
+    attendee && attendee.email
+      ? `ATTENDEE;CN=${escapeText(attendee.name)};ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED:mailto:${attendee.email}`
+      : null,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].filter(Boolean);
+
+  return `${lines.map(fold).join('\r\n')}\r\n`;
+}
+
+// A SendGrid attachment for an invite
+function toAttachment(ics, { cancelled = false } = {}) {
+  return {
+    content: Buffer.from(ics).toString('base64'),
+    filename: cancelled ? 'cancelled.ics' : 'invite.ics',
+    type: `text/calendar; method=${cancelled ? 'CANCEL' : 'REQUEST'}`,
+    disposition: 'attachment'
+  };
+}
+
+module.exports = {
+  createInvite,
+  toAttachment
+};
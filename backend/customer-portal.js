@@ -0,0 +1,682 @@
+// Customer portal
+// Customers come back to their designs with their reference code: they ask for a
+// sign-in link, which is emailed to the address on the lead (portal_links, single
+// use, only its hash is kept). Opening it starts a portal session (auth.js). In the
+// portal they see every render on their lead and can download the full-size files,
+// make a limited number of new designs (portal_variations; finished renders are added
+// to the lead), see their quotes and survey appointments, and message the company
+// (portal_messages). The pages use the company's branding (branding.js).
+
+const { v4: uuidv4 } = require('uuid');
+const sgMail = require('@sendgrid/mail');
+const db = require('./database');
+const auth = require('./auth');
+const branding = require('./branding');
+const leadStore = require('./leads');
+const leadActivity = require('./lead-activity');
+const emailEvents = require('./email-events');
+const leadDuplicates = require('./lead-duplicates');
+const generationJobs = require('./generation-jobs');
+const briefBuilder = require('./brief-builder');
+const promptStyles = require('./prompt-styles');
+const moderation = require('./moderation');
+const usage = require('./usage');
+const quotes = require('./quotes');
+const surveyBookings = require('./survey-bookings');
+
+sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+
+// Links in emails always point here, never at the host a request came in on
+const PUBLIC_URL = process.env.PUBLIC_URL || 'https://app.renovationvision.io';
+const HOUR_MS = 60 * 60 * 1000;
+const LINK_TTL_MS = 24 * HOUR_MS;
+const MAX_LINKS_PER_HOUR = 5;
+// New designs each lead can make from the portal. Failed ones don't count.
+const VARIATION_LIMIT = parseInt(process.env.PORTAL_VARIATION_LIMIT, 10) || 10;
+const MAX_INSTRUCTION_LENGTH = 500;
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_MESSAGES_PER_HOUR = 20;
+const SENDERS = ['customer', 'company'];
+
+function isUuid(value) {
+  return typeof value === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+}
+
+async function getLead(leadId) {
+  const result = await db.query('SELECT * FROM leads WHERE id = $1', [leadId]);
+  return result.rows[0] || null;
+}
+
+async function getCompany(companyId) {
+  const result = await db.query('SELECT name, email, phone, website FROM companies WHERE id = $1', [companyId]);
+  return result.rows[0] || { name: 'Your installer' };
+}
+
+// The customer's page, opened at the sign-in form with their code filled in
+function portalUrl(baseUrl, referenceCode) {
+  return `${baseUrl}/portal/?ref=${encodeURIComponent(referenceCode)}`;
+}
+
+// A lead by its reference code (or one merged into it) and the customer's email
+async function findLead(referenceCode, email) {
+  const code = typeof referenceCode === 'string' ? referenceCode.trim().toUpperCase() : '';
+  const { email_key: emailKey } = leadDuplicates.matchKeys({ email });
+  if (!code || !emailKey) return null;
+
+  const result = await db.query(
+    `SELECT * FROM leads
+     WHERE (reference_code = $1 OR merged_references @> $2) AND email_key = $3
+     LIMIT 1`,
+    [code, JSON.stringify([code]), emailKey]
+  );
+  return result.rows[0] || null;
+}
+
+function button(color, href, label) {
+  return `<a href="${href}" style="background: ${color}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">${label}</a>`;
+}
+
+async function sendLinkEmail(lead, link) {
+  const [company, brand] = await Promise.all([getCompany(lead.company_id), branding.getBranding(lead.company_id)]);
+
+  const msg = {
+    to: lead.email,
+    from: 'hello@renovationvision.io',
+    subject: `Your designs with ${company.name}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: ${brand.primaryColor};">🏠 Your Designs</h2>
+
+        <p>Hi ${lead.customer_name},</p>
+
+        <p>Here's your link to see your renovation designs, quotes and appointments with ${company.name}, and to send us a message.</p>
+
+        <p>${button(brand.primaryColor, link, 'Open My Designs')}</p>
+
+        <p style="color: #999; font-size: 14px; margin-top: 40px;">The link works once and expires in 24 hours. If you didn't ask for it, you can ignore this email.</p>
+      </div>
+    `
+  };
+
+  try {
+    await sgMail.send(msg);
+    console.log(`✅ Portal link sent to ${lead.email}`);
+  } catch (error) {
+    console.error('Email send error:', error);
+  }
+}
+
+// Emails a sign-in link when the reference code and email belong to the same lead.
+// Returns whether a link was sent; callers tell the customer the same either way so
+// the form can't be used to check who has a lead.
+async function requestLink({ referenceCode, email }) {
+  const lead = await findLead(referenceCode, email);
+  if (!lead) return false;
+
+  const recent = await db.query(
+    `SELECT COUNT(*) AS count FROM portal_links
+     WHERE lead_id = $1 AND created_at > $2`,
+    [lead.id, new Date(Date.now() - HOUR_MS)]
+  );
+  if (parseInt(recent.rows[0].count, 10) >= MAX_LINKS_PER_HOUR) {
+    console.log(`⚠️ Portal link limit reached for ${lead.reference_code}`);
+    return false;
+  }
+
+  const access = auth.createInviteToken();
+  await db.query(
+    'INSERT INTO portal_links (id, lead_id, token_hash, expires_at) VALUES ($1, $2, $3, $4)',
+    [uuidv4(), lead.id, access.hash, new Date(Date.now() + LINK_TTL_MS)]
+  );
+
+  await sendLinkEmail(lead, `${PUBLIC_URL}/portal/?token=${access.token}`);
+  return true;
+}
+
+// Uses up a sign-in link. Returns { lead, session } or null when it's wrong, used or expired.
+async function exchangeLink(token) {
+  if (typeof token !== 'string' || !token) return null;
+
+  const result = await db.query(
+    `UPDATE portal_links SET used_at = $2
+     WHERE token_hash = $1 AND used_at IS NULL AND expires_at > $2
+     RETURNING lead_id`,
+    [auth.hashInviteToken(token), new Date()]
+  );
+  const lead = result.rows[0] ? await getLead(result.rows[0].lead_id) : null;
+  if (!lead) return null;
+
+  await leadActivity.logActivity(lead, { type: 'portal', details: { action: 'signed_in' } });
+  console.log(`🔑 ${lead.reference_code} signed in to the customer portal`);
+  return { lead, session: auth.createPortalSession(lead.id) };
+}
+
+// Guards the portal routes: the customer sends their session as
+// "Authorization: Bearer <token>". Sets req.lead.
+async function requirePortalLead(req, res, next) {
+  try {
+    const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    const leadId = auth.readPortalSession(token);
+    const lead = isUuid(leadId) ? await getLead(leadId) : null;
+
+    if (!lead) {
+      return res.status(401).json({ error: 'Please sign in again' });
+    }
+
+    req.lead = lead;
+    next();
+  } catch (error) {
+    console.error('Portal session error:', error);
+    res.status(500).json({ error: 'Failed to check your session' });
+  }
+}
+
+// Every render on the lead: the designs it was captured with and any earlier versions
+// from its design history, newest first. Each has the storage key of the full file.
+function getRenders(lead) {
+  const renders = (lead.variants || []).map(variant => ({
+    id: variant.id,
+    label: variant.label,
+    instruction: null,
+    mediaType: variant.mediaType || 'image',
+    key: variant.generatedImage,
+    stillKey: variant.stillImage || variant.generatedImage,
+    createdAt: null
+  }));
+
+  (lead.design_history || []).forEach(step => {
+    const existing = renders.find(render => render.id === step.variantId);
+    if (existing) {
+      existing.instruction = existing.instruction || step.instruction;
+      existing.createdAt = existing.createdAt || step.createdAt;
+      return;
+    }
+    if (!step.generatedImage) return;
+
+    const video = leadStore.isVideo(step.generatedImage);
+    renders.push({
+      id: step.variantId || step.jobId,
+      label: `Version ${step.version}`,
+      instruction: step.instruction,
+      mediaType: video ? 'video' : 'image',
+      key: step.generatedImage,
+      stillKey: video ? step.previewImage : step.generatedImage,
+      createdAt: step.createdAt
+    });
+  });
+
+  // Designs captured alongside the chosen one date from the enquiry
+  return renders
+    .map(render => ({ ...render, createdAt: render.createdAt || lead.created_at }))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+// The storage key of one of the lead's renders, for downloading, or null
+function getRenderKey(lead, renderId) {
+  const render = getRenders(lead).find(item => item.id === renderId);
+  return render ? render.key : null;
+}
+
+// Designs made from the portal so far, not counting failed or cancelled ones
+async function countVariations(leadId, client = db) {
+  const result = await client.query(
+    `SELECT COALESCE(SUM(pv.variant_count), 0) AS used FROM portal_variations pv
+     JOIN generation_jobs j ON j.id = pv.job_id
+     WHERE pv.lead_id = $1 AND j.status NOT IN ('failed', 'cancelled')`,
+    [leadId]
+  );
+  return parseInt(result.rows[0].used, 10);
+}
+
+async function getPendingVariation(leadId, client = db) {
+  const result = await client.query(
+    `SELECT pv.job_id FROM portal_variations pv
+     JOIN generation_jobs j ON j.id = pv.job_id
+     WHERE pv.lead_id = $1 AND j.status IN ('queued', 'running')
+     LIMIT 1`,
+    [leadId]
+  );
+  return result.rows[0] ? result.rows[0].job_id : null;
+}
+
+// Adds a finished job's renders to the lead, the same way ROUTE 7 keeps them
+async function attachRenders(lead, job) {
+  const variants = (await generationJobs.getVariants(job.id)).filter(variant => variant.result_filename);
+  if (variants.length === 0) return lead;
+
+  const steps = await generationJobs.getHistorySteps(job.id, variants[0].id);
+  const seen = new Set((lead.design_history || []).map(step => `${step.jobId}:${step.variantId}`));
+  const history = [
+    ...(lead.design_history || []),
+    ...steps
+      .filter(step => !seen.has(`${step.job.id}:${step.variant ? step.variant.id : null}`))
+      .map(step => ({
+        jobId: step.job.id,
+        variantId: step.variant ? step.variant.id : null,
+        instruction: step.instruction,
+        prompt: step.job.prompt,
+        generatedImage: step.variant ? step.variant.result_filename : step.job.result_filename,
+        previewImage: step.variant ? step.variant.preview_filename : step.job.preview_filename,
+        createdAt: step.job.created_at
+      }))
+  ]
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .map((step, index) => ({ ...step, version: index + 1 }));
+
+  const mediaTypes = [...new Set([...(lead.media_types || []), ...variants.map(variant => variant.media_type)])];
+  const result = await db.query(
+    `UPDATE leads SET variants = $2, design_history = $3, media_types = $4, updated_at = NOW()
+     WHERE id = $1 RETURNING *`,
+    [
+      lead.id,
+      JSON.stringify([...(lead.variants || []), ...variants.map(variant => ({
+        id: variant.id,
+        label: variant.label,
+        prompt: variant.prompt,
+        mediaType: variant.media_type,
+        generatedImage: variant.result_filename,
+        stillImage: generationJobs.getStillKey(variant),
+        previewImage: variant.preview_filename
+      }))]),
+      JSON.stringify(history),
+      JSON.stringify(mediaTypes)
+    ]
+  );
+
+  console.log(`🎨 Portal design added to ${lead.reference_code}`);
+  return result.rows[0];
+}
+
+// Adds the renders of portal jobs that have finished since the last look.
+// Returns the lead as it is now.
+async function syncVariations(lead) {
+  const result = await db.query(
+    `SELECT pv.id, pv.job_id, j.status FROM portal_variations pv
+     JOIN generation_jobs j ON j.id = pv.job_id
+     WHERE pv.lead_id = $1 AND pv.attached_at IS NULL AND j.status IN ('succeeded', 'failed', 'cancelled')`,
+    [lead.id]
+  );
+
+  let current = lead;
+  for (const row of result.rows) {
+    // Claimed first so two requests at once can't add the same renders twice
+    const claimed = await db.query(
+      'UPDATE portal_variations SET attached_at = NOW() WHERE id = $1 AND attached_at IS NULL RETURNING id',
+      [row.id]
+    );
+    if (claimed.rows.length === 0 || row.status !== 'succeeded') continue;
+
+    const job = await generationJobs.getJob(row.job_id);
+    current = await attachRenders(await getLead(lead.id), job);
+  }
+  return current;
+}
+
+// { status, error } when the lead has a design in progress or has used its allowance
+async function checkVariationLimit(leadId, client = db) {
+  if (await getPendingVariation(leadId, client)) {
+    return { status: 409, error: 'Your last design is still being made. Please wait for it to finish.' };
+  }
+  if (await countVariations(leadId, client) >= VARIATION_LIMIT) {
+    return {
+      status: 429,
+      error: `You've made all ${VARIATION_LIMIT} of your extra designs. Send us a message if you'd like more.`
+    };
+  }
+  return null;
+}
+
+// Starts a new design for the customer. Either
+//  - { variantId, instruction }: a change to one of their renders, or
+//  - { styleId, description }: their original photo in another style and/or with
+//    their own description, keeping the rest of the brief they first chose.
+// One design is made at a time. Returns { job } or { status, error } (plus quota
+// details when the company's usage limit is reached).
+async function startVariation(lead, { variantId, instruction, styleId, description }) {
+  const visitorId = `portal:${lead.id}`;
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+  const limitError = await checkVariationLimit(lead.id);
+  if (limitError) return limitError;
+
+  let source;
+  if (variantId) {
+    const change = text(instruction);
+    if (!change) {
+      return { status: 400, error: 'Please describe the change you want' };
+    }
+    if (change.length > MAX_INSTRUCTION_LENGTH) {
+      return { status: 400, error: `Changes must be ${MAX_INSTRUCTION_LENGTH} characters or fewer` };
+    }
+
+    const render = getRenders(lead).find(item => item.id === variantId);
+    const result = render && isUuid(render.id)
+      ? await db.query('SELECT * FROM generation_variants WHERE id = $1', [render.id])
+      : { rows: [] };
+    const variant = result.rows[0];
+    const stillKey = variant ? generationJobs.getStillKey(variant) : null;
+    if (!stillKey) {
+      return { status: 404, error: 'Design not found' };
+    }
+
+    source = {
+      texts: [change],
+      job: {
+        filename: stillKey,
+        prompt: change,
+        parentJobId: variant.job_id,
+        parentVariantId: variant.id,
+        variants: [{ label: 'Your change', prompt: change }]
+      }
+    };
+  } else {
+    if (!lead.original_image) {
+      return { status: 400, error: 'We no longer have your original photo. Please start again from our website.' };
+    }
+
+    // The brief they first chose, with the new style and description in place of the old
+    const { styleId: oldStyleId, style, notes, ...firstBrief } = lead.brief || {};
+    const built = await briefBuilder.buildBrief(lead.company_id, {
+      ...firstBrief,
+      styleId: styleId || undefined,
+      notes: text(description) || undefined
+    });
+    if (built.error) {
+      return { status: 400, error: built.error };
+    }
+
+    source = {
+      texts: [built.brief.notes],
+      job: {
+        filename: lead.original_image,
+        prompt: built.prompt,
+        brief: built.brief,
+        variants: [{ label: built.brief.style || 'Your idea', prompt: built.prompt, brief: built.brief }]
+      }
+    };
+  }
+
+  const rejection = await moderation.moderate({
+    companyId: lead.company_id,
+    visitorId,
+    source: 'portal',
+    texts: source.texts
+  });
+  if (rejection) {
+    return { status: rejection.status, error: rejection.error, category: rejection.category };
+  }
+
+  // Checked again with the lead locked, so designs started at the same time can't
+  // both get under the limit. The job and its portal_variations row are saved
+  // together, and the job is only queued once both are.
+  const prepared = await generationJobs.prepareJob({ companyId: lead.company_id, visitorId, ...source.job });
+  const saved = await db.transaction(async (client) => {
+    await client.query('SELECT id FROM leads WHERE id = $1 FOR UPDATE', [lead.id]);
+    const lockedError = await checkVariationLimit(lead.id, client);
+    if (lockedError) return lockedError;
+
+    const overQuota = await usage.reserveQuota({ companyId: lead.company_id, visitorId, count: prepared.renders }, client);
+    if (overQuota) return overQuota;
+
+    const job = await generationJobs.insertJob(prepared, client);
+    await client.query(
+      'INSERT INTO portal_variations (id, lead_id, job_id, variant_count) VALUES ($1, $2, $3, $4)',
+      [uuidv4(), lead.id, job.id, 1]
+    );
+    return { job };
+  });
+  if (saved.error) return saved;
+
+  const job = await generationJobs.startJob(saved.job, prepared);
+  console.log(`🎨 Portal design started for ${lead.reference_code}`);
+  return { job };
+}
+
+// A portal job's progress. Returns null when the job isn't one of this lead's.
+async function getVariation(lead, jobId) {
+  if (!isUuid(jobId)) return null;
+
+  const owned = await db.query('SELECT id FROM portal_variations WHERE lead_id = $1 AND job_id = $2', [lead.id, jobId]);
+  if (owned.rows.length === 0) return null;
+
+  await syncVariations(lead);
+  const job = await generationJobs.getJob(jobId);
+  return {
+    id: job.id,
+    status: job.status,
+    progress: job.progress,
+    error: job.error
+  };
+}
+
+function serializeMessage(row) {
+  return {
+    id: row.id,
+    sender: row.sender,
+    body: row.body,
+    createdBy: row.sender === 'company' ? row.created_by : null,
+    createdAt: row.created_at
+  };
+}
+
+// A lead's messages, oldest first
+async function listMessages(leadId) {
+  const result = await db.query('SELECT * FROM portal_messages WHERE lead_id = $1 ORDER BY created_at ASC', [leadId]);
+  return result.rows.map(serializeMessage);
+}
+
+// Whoever the lead is assigned to, or the company
+async function getTeamRecipient(lead, company) {
+  if (lead.assigned_to) {
+    const result = await db.query('SELECT name, email FROM company_users WHERE id = $1', [lead.assigned_to]);
+    if (result.rows[0]) return result.rows[0];
+  }
+  return company;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+  })[char]);
+}
+
+async function sendMessageEmail(message, lead) {
+  const [company, brand] = await Promise.all([getCompany(lead.company_id), branding.getBranding(lead.company_id)]);
+  const body = escapeHtml(message.body).replace(/\n/g, '<br>');
+  let msg;
+
+  if (message.sender === 'customer') {
+    const recipient = await getTeamRecipient(lead, company);
+    if (!recipient.email) return;
+
+    msg = {
+      to: recipient.email,
+      from: 'leads@renovationvision.io',
+      subject: `💬 New message from ${lead.customer_name} (${lead.reference_code})`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #667eea;">New Message from a Customer</h2>
+
+          <p>Hi ${recipient.name},</p>
+
+          <p><strong>${lead.customer_name}</strong> sent a message from their designs page:</p>
+
+          <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">${body}</div>
+
+          <p>${button('#667eea', `${PUBLIC_URL}/dashboard/leads.html?q=${encodeURIComponent(lead.reference_code)}`, 'Reply in Dashboard')}</p>
+        </div>
+      `
+    };
+  } else {
+    msg = emailEvents.withTracking(lead, {
+      to: lead.email,
+      from: 'hello@renovationvision.io',
+      subject: `New message from ${company.name}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: ${brand.primaryColor};">💬 You Have a New Message</h2>
+
+          <p>Hi ${lead.customer_name},</p>
+
+          <p>${escapeHtml(message.created_by || company.name)} from ${company.name} wrote:</p>
+
+          <div style="background: #f0f4ff; padding: 20px; border-radius: 8px; margin: 20px 0;">${body}</div>
+
+          <p>${button(brand.primaryColor, portalUrl(PUBLIC_URL, lead.reference_code), 'Reply')}</p>
+
+          <p style="color: #999; font-size: 14px; margin-top: 40px;">Your reference code is ${lead.reference_code}.</p>
+        </div>
+      `
+    });
+  }
+
+  try {
+    await sgMail.send(msg);
+    console.log(`✅ Portal message emailed to ${msg.to}`);
+  } catch (error) {
+    console.error('Email send error:', error);
+  }
+}
+
+// Saves a message on the lead, logs it on the timeline and emails the other side.
+// sender is 'customer' or 'company' (createdBy is the team member's name).
+// Returns { message }, { error } or null when the lead doesn't exist.
+async function addMessage(leadId, { sender, body, createdBy = null }) {
+  const lead = await getLead(leadId);
+  if (!lead) return null;
+  if (!SENDERS.includes(sender)) {
+    return { error: `Sender must be one of: ${SENDERS.join(', ')}` };
+  }
+
+  const text = typeof body === 'string' ? body.trim() : '';
+  if (!text) {
+    return { error: 'Please write a message' };
+  }
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    return { error: `Messages must be ${MAX_MESSAGE_LENGTH} characters or fewer` };
+  }
+
+  if (sender === 'customer') {
+    const recent = await db.query(
+      `SELECT COUNT(*) AS count FROM portal_messages
+       WHERE lead_id = $1 AND sender = 'customer' AND created_at > $2`,
+      [lead.id, new Date(Date.now() - HOUR_MS)]
+    );
+    if (parseInt(recent.rows[0].count, 10) >= MAX_MESSAGES_PER_HOUR) {
+      return { error: 'You\'ve sent a lot of messages. Please wait a while before sending another.' };
+    }
+  }
+
+  const result = await db.query(
+    `INSERT INTO portal_messages (id, lead_id, company_id, sender, body, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+    [uuidv4(), lead.id, lead.company_id, sender, text, createdBy]
+  );
+  const message = result.rows[0];
+
+  await leadActivity.logActivity(lead, {
+    type: 'message',
+    body: text,
+    details: { sender, messageId: message.id },
+    createdBy: sender === 'customer' ? lead.customer_name : createdBy
+  });
+  await sendMessageEmail(message, lead);
+
+  return { message: serializeMessage(message) };
+}
+
+// Everything the portal page shows
+async function getPortal(lead, baseUrl) {
+  const current = await syncVariations(lead);
+  const trade = current.brief && current.brief.trade;
+
+  const [company, brand, styles, used, pending, quoteRows, bookings, availability, messages] = await Promise.all([
+    getCompany(current.company_id),
+    branding.getBranding(current.company_id),
+    promptStyles.listStyles(current.company_id, { trade, enabledOnly: true }),
+    countVariations(current.id),
+    getPendingVariation(current.id),
+    quotes.listQuotes(current.id),
+    db.query('SELECT * FROM survey_bookings WHERE lead_id = $1 ORDER BY starts_at DESC', [current.id]),
+    surveyBookings.getAvailability(current.company_id),
+    listMessages(current.id)
+  ]);
+
+  const renders = await Promise.all(getRenders(current).map(async render => ({
+    id: render.id,
+    label: render.label,
+    instruction: render.instruction,
+    mediaType: render.mediaType,
+    imageUrl: await leadStore.fileUrl(render.stillKey, baseUrl),
+    videoUrl: render.mediaType === 'video' ? await leadStore.fileUrl(render.key, baseUrl) : null,
+    chosen: render.id === current.chosen_variant_id,
+    createdAt: render.createdAt
+  })));
+
+  const sentQuotes = await Promise.all(quoteRows
+    .filter(row => row.status !== 'draft')
+    .map(row => quotes.serializeQuote(row, baseUrl)));
+
+  return {
+    customerName: current.customer_name,
+    referenceCode: current.reference_code,
+    createdAt: current.created_at,
+    company: {
+      name: company.name,
+      email: company.email,
+      phone: company.phone,
+      website: company.website
+    },
+    branding: await branding.serializeBranding(brand, baseUrl),
+    originalImage: await leadStore.fileUrl(current.original_image, baseUrl),
+    renders,
+    variations: {
+      limit: VARIATION_LIMIT,
+      used,
+      remaining: Math.max(0, VARIATION_LIMIT - used),
+      pendingJobId: pending,
+      canStartFromPhoto: Boolean(current.original_image)
+    },
+    styles: styles.map(style => ({ id: style.id, name: style.name })),
+    quotes: sentQuotes.map(quote => ({
+      id: quote.id,
+      number: quote.number,
+      status: quote.status,
+      total: quote.total,
+      validUntil: quote.validUntil,
+      sentAt: quote.sentAt,
+      respondedAt: quote.respondedAt
+    })),
+    bookings: bookings.rows.map(row => ({
+      id: row.id,
+      status: row.status,
+      startsAt: row.starts_at,
+      endsAt: row.ends_at
+    })),
+    timeZone: availability.timeZone,
+    messages
+  };
+}
+
+// One of the lead's sent quotes, for downloading as a PDF, or null
+async function getQuote(lead, quoteId) {
+  if (!isUuid(quoteId)) return null;
+
+  const quote = await quotes.getQuote(quoteId);
+  return quote && quote.lead_id === lead.id && quote.status !== 'draft' ? quote : null;
+}
+
+module.exports = {
+  VARIATION_LIMIT,
+  portalUrl,
+  requestLink,
+  exchangeLink,
+  requirePortalLead,
+  getPortal,
+  getRenderKey,
+  startVariation,
+  getVariation,
+  listMessages,
+  addMessage,
+  getQuote
+};
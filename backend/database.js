@@ -58,4 +58,21 @@ if (!connectionString) {
     });
 }
 
+// Runs fn(client) in a transaction on one connection: committed when fn resolves,
+// rolled back if it throws. Queries inside fn must go through client, not the pool.
+pool.transaction = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
 module.exports = pool;
@@ -0,0 +1,34 @@
+// Default renovation styles, seeded into each company's style library
+
+module.exports = {
+  bathroom: [
+    { name: 'Modern Luxury Bathroom', prompt: 'transformed into a modern luxury bathroom with walk-in rainfall shower, marble tiles, and brushed brass fixtures' },
+    { name: 'Contemporary Bathroom', prompt: 'transformed into a contemporary bathroom with freestanding bathtub, natural stone, and minimalist design' },
+    { name: 'Spa-Style Bathroom', prompt: 'transformed into a spa-style bathroom with wood accents, pebble flooring, and ambient lighting' },
+    { name: 'Compact Modern Bathroom', prompt: 'transformed into a compact modern bathroom with space-saving fixtures and white subway tiles' }
+  ],
+  kitchen: [
+    { name: 'Modern Kitchen', prompt: 'transformed into a modern kitchen with white shaker cabinets, quartz waterfall island, and stainless steel appliances' },
+    { name: 'Industrial Kitchen', prompt: 'transformed into an industrial-style kitchen with exposed brick, dark cabinets, and concrete countertops' },
+    { name: 'Scandinavian Kitchen', prompt: 'transformed into a Scandinavian minimalist kitchen with light wood, white surfaces, and clean lines' },
+    { name: 'Country Kitchen', prompt: 'transformed into a traditional country kitchen with farmhouse sink, wooden beams, and vintage fixtures' }
+  ],
+  roofing: [
+    { name: 'Slate Roof with Copper', prompt: 'with new slate roof tiles and copper flashing, architectural exterior' },
+    { name: 'Modern Metal Roof', prompt: 'with modern standing seam metal roof, contemporary design' },
+    { name: 'Shingles with Dormers', prompt: 'with architectural shingles and new dormers, traditional style' },
+    { name: 'Mediterranean Clay Tiles', prompt: 'with clay tile roofing, Mediterranean style' }
+  ],
+  joinery: [
+    { name: 'Oak Built-Ins', prompt: 'with custom built-in oak shelving and cabinetry, high-end carpentry' },
+    { name: 'Hardwood Flooring', prompt: 'with new hardwood flooring throughout, professional installation' },
+    { name: 'Bespoke Staircase', prompt: 'with bespoke wooden staircase and handrails, artisan craftsmanship' },
+    { name: 'Feature Wall Paneling', prompt: 'with feature wall paneling and timber details' }
+  ],
+  general: [
+    { name: 'Open-Plan Living Space', prompt: 'transformed into an open-plan living space with exposed beams and modern finishes' },
+    { name: 'Extension with Bi-Fold Doors', prompt: 'with extension featuring bi-fold doors and natural light' },
+    { name: 'Loft Conversion', prompt: 'transformed with loft conversion including skylights and modern insulation' },
+    { name: 'Contemporary Interior', prompt: 'renovated with contemporary interior design, neutral palette, and quality finishes' }
+  ]
+};
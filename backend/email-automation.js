@@ -1,15 +1,49 @@
 const cron = require('node-cron');
 const db = require('./database');
 const sgMail = require('@sendgrid/mail');
+const storage = require('./storage');
+const pipeline = require('./pipeline');
+const leadActivity = require('./lead-activity');
+const emailEvents = require('./email-events');
+const customerPortal = require('./customer-portal');
 
 sgMail.setApiKey(process.env.SENDGRID_API_KEY);
 
+const PUBLIC_URL = process.env.PUBLIC_URL || 'https://app.renovationvision.io';
+const EMAIL_LINK_TTL_SECONDS = 7 * 24 * 60 * 60; // 7 days, the longest S3 allows
+
+// Leads nobody has followed up on yet are still in their company's first pipeline stage
+const IN_FIRST_STAGE = `l.status = COALESCE(c.pipeline_stages->0->>'key', '${pipeline.DEFAULT_STAGES[0].key}')`;
+
+// Leads store the render's storage key; older leads may still hold a full URL
+async function getRenderLink(lead) {
+  if (!lead.generated_image || /^https?:/.test(lead.generated_image)) {
+    return lead.generated_image;
+  }
+  return storage.getUrl(lead.generated_image, { baseUrl: PUBLIC_URL, expiresIn: EMAIL_LINK_TTL_SECONDS });
+}
+
 // Run every day at 10 AM
 cron.schedule('0 10 * * *', async () => {
   console.log('🔄 Running email automation...');
   await sendFollowUpEmails();
 });
 
+// Check for task reminders every 5 minutes
+cron.schedule('*/5 * * * *', async () => {
+  await sendTaskReminders();
+});
+
+// Follow-ups show on the lead's timeline
+async function logFollowUp(lead, msg, number) {
+  await leadActivity.logActivity(lead, {
+    type: 'email',
+    body: msg.subject,
+    details: { followUp: number },
+    createdBy: 'Email automation'
+  });
+}
+
 async function sendFollowUpEmails() {
   try {
     // Get leads that need follow-up
@@ -17,7 +51,7 @@ async function sendFollowUpEmails() {
       SELECT l.*, c.name as company_name, c.email as company_email 
       FROM leads l
       JOIN companies c ON l.company_id = c.id
-      WHERE l.status = 'new'
+      WHERE ${IN_FIRST_STAGE}
       AND l.created_at < NOW() - INTERVAL '3 days'
       AND l.follow_up_1_sent = false
     `);
@@ -31,7 +65,7 @@ async function sendFollowUpEmails() {
       SELECT l.*, c.name as company_name 
       FROM leads l
       JOIN companies c ON l.company_id = c.id
-      WHERE l.status = 'new'
+      WHERE ${IN_FIRST_STAGE}
       AND l.created_at < NOW() - INTERVAL '7 days'
       AND l.follow_up_1_sent = true
       AND l.follow_up_2_sent = false
@@ -46,7 +80,7 @@ async function sendFollowUpEmails() {
       SELECT l.*, c.name as company_name 
       FROM leads l
       JOIN companies c ON l.company_id = c.id
-      WHERE l.status = 'new'
+      WHERE ${IN_FIRST_STAGE}
       AND l.created_at < NOW() - INTERVAL '14 days'
       AND l.follow_up_2_sent = true
       AND l.follow_up_3_sent = false
@@ -64,6 +98,7 @@ async function sendFollowUpEmails() {
 
 // First follow-up (Day 3)
 async function sendFirstFollowUp(lead) {
+  const renderLink = await getRenderLink(lead);
   const msg = {
     to: lead.email,
     from: 'hello@renovationvision.io',
@@ -83,7 +118,7 @@ async function sendFirstFollowUp(lead) {
         
         <p>If you'd like to discuss your project, simply reply to this email or give us a call!</p>
         
-        <p><strong>Need to see your visualization again?</strong> <a href="${lead.generated_image}">Click here</a></p>
+        <p><strong>Need to see your visualization again?</strong> <a href="${renderLink}">Click here</a></p>
         
         <p style="margin-top: 40px;">Best regards,<br>${lead.company_name}</p>
       </div>
@@ -91,8 +126,9 @@ async function sendFirstFollowUp(lead) {
   };
 
   try {
-    await sgMail.send(msg);
+    await sgMail.send(emailEvents.withTracking(lead, msg));
     await db.query('UPDATE leads SET follow_up_1_sent = true WHERE id = $1', [lead.id]);
+    await logFollowUp(lead, msg, 1);
     console.log(`✅ First follow-up sent to ${lead.email}`);
   } catch (error) {
     console.error('Email error:', error);
@@ -131,8 +167,9 @@ async function sendSecondFollowUp(lead) {
   };
 
   try {
-    await sgMail.send(msg);
+    await sgMail.send(emailEvents.withTracking(lead, msg));
     await db.query('UPDATE leads SET follow_up_2_sent = true WHERE id = $1', [lead.id]);
+    await logFollowUp(lead, msg, 2);
     console.log(`✅ Second follow-up sent to ${lead.email}`);
   } catch (error) {
     console.error('Email error:', error);
@@ -156,6 +193,8 @@ async function sendFinalFollowUp(lead) {
         <p><strong>But just in case...</strong></p>
         
         <p>If you ever decide to move forward with your renovation, we'd love to help. Your visualization and reference code (${lead.reference_code}) will be saved for 6 months.</p>
+
+        <p><a href="${customerPortal.portalUrl(PUBLIC_URL, lead.reference_code)}" style="background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">See Your Designs</a></p>
         
         <p>Wishing you all the best! 🏠</p>
         
@@ -172,12 +211,60 @@ async function sendFinalFollowUp(lead) {
   };
 
   try {
-    await sgMail.send(msg);
-    await db.query('UPDATE leads SET follow_up_3_sent = true, status = $1 WHERE id = $2', ['closed', lead.id]);
+    await sgMail.send(emailEvents.withTracking(lead, msg));
+    await logFollowUp(lead, msg, 3);
+    // No reply after the last follow-up, so the lead moves to the company's lost stage
+    const lostStage = (await pipeline.getStages(lead.company_id)).find(stage => stage.outcome === 'lost');
+    await db.query(
+      'UPDATE leads SET follow_up_3_sent = true, status = $1, updated_at = NOW() WHERE id = $2',
+      [lostStage.key, lead.id]
+    );
+    await pipeline.recordStageChange(lead, lead.status, lostStage.key, 'Email automation');
     console.log(`✅ Final follow-up sent to ${lead.email}`);
   } catch (error) {
     console.error('Email error:', error);
   }
 }
 
-module.exports = { sendFollowUpEmails };
\ No newline at end of file
+// Emails the company about tasks whose reminder time has passed
+async function sendTaskReminders() {
+  try {
+    const tasks = await leadActivity.getDueReminders();
+
+    for (const task of tasks) {
+      await sendTaskReminder(task);
+    }
+  } catch (error) {
+    console.error('❌ Task reminder error:', error);
+  }
+}
+
+async function sendTaskReminder(task) {
+  const msg = {
+    to: task.company_email,
+    from: 'hello@renovationvision.io',
+    subject: `Reminder: ${task.title}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #667eea;">⏰ ${task.title}</h2>
+
+        <p><strong>Lead:</strong> ${task.customer_name} (${task.reference_code})</p>
+        <p><strong>Due:</strong> ${new Date(task.due_at).toLocaleString('en-GB', { timeZone: 'Europe/London' })}</p>
+
+        <p><a href="${PUBLIC_URL}/dashboard/index.html">Open your dashboard</a> to see today's tasks.</p>
+
+        <p style="margin-top: 40px;">${task.company_name} · Renovation Vision</p>
+      </div>
+    `
+  };
+
+  try {
+    await sgMail.send(msg);
+    await leadActivity.markReminderSent(task.id);
+    console.log(`⏰ Task reminder sent to ${task.company_email}`);
+  } catch (error) {
+    console.error('Email error:', error);
+  }
+}
+
+module.exports = { sendFollowUpEmails, sendTaskReminders };
\ No newline at end of file
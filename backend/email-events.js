@@ -0,0 +1,92 @@
+// Email engagement from SendGrid
+// Follow-up emails carry the lead's id (customArgs) with open and click tracking on.
+// SendGrid's Event Webhook posts the opens and clicks back here; they're kept in
+// lead_email_events (once per SendGrid event id) and count towards the lead score.
+// Set SENDGRID_WEBHOOK_PUBLIC_KEY (the verification key from the webhook's
+// signature settings) so only SendGrid can post events.
+
+const crypto = require('crypto');
+const db = require('./database');
+const leadScoring = require('./lead-scoring');
+
+const TRACKED_EVENTS = ['open', 'click'];
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const publicKey = process.env.SENDGRID_WEBHOOK_PUBLIC_KEY;
+if (!publicKey) {
+  console.warn('⚠️ SENDGRID_WEBHOOK_PUBLIC_KEY is not set. Email events are accepted without checking they came from SendGrid.');
+}
+
+// Open and click tracking for an email to a lead
+function withTracking(lead, msg) {
+  return {
+    ...msg,
+    customArgs: { leadId: lead.id },
+    trackingSettings: {
+      clickTracking: { enable: true },
+      openTracking: { enable: true }
+    }
+  };
+}
+
+// SendGrid signs the timestamp header followed by the raw request body (ECDSA, SHA-256)
+function verifySignature(rawBody, signature, timestamp) {
+  if (!publicKey) return true;
+  if (!rawBody || !signature || !timestamp) return false;
+
+  try {
+    return crypto.verify(
+      'sha256',
+      Buffer.concat([Buffer.from(timestamp), rawBody]),
+      `-----BEGIN PUBLIC KEY-----\n${publicKey}\n-----END PUBLIC KEY-----`,
+      Buffer.from(signature, 'base64')
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+// Saves the opens and clicks in a webhook batch and scores their leads again.
+// Other events, and events for emails we didn't tag, are skipped. Returns how many were new.
+async function recordEvents(events) {
+  const rescore = new Set();
+  let recorded = 0;
+
+  for (const event of Array.isArray(events) ? events : []) {
+    if (!event || !TRACKED_EVENTS.includes(event.event) || !UUID.test(event.leadId || '') || !event.sg_event_id) {
+      continue;
+    }
+
+    const lead = await db.query('SELECT id, company_id FROM leads WHERE id = $1', [event.leadId]);
+    if (!lead.rows[0]) continue;
+
+    const result = await db.query(
+      `INSERT INTO lead_email_events (id, lead_id, company_id, type, occurred_at)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (id) DO NOTHING
+       RETURNING id`,
+      [
+        String(event.sg_event_id),
+        event.leadId,
+        lead.rows[0].company_id,
+        event.event,
+        new Date((parseInt(event.timestamp, 10) || Date.now() / 1000) * 1000)
+      ]
+    );
+    if (result.rows.length > 0) {
+      recorded++;
+      rescore.add(event.leadId);
+    }
+  }
+
+  for (const leadId of rescore) {
+    await leadScoring.rescoreLead(leadId);
+  }
+  return recorded;
+}
+
+module.exports = {
+  withTracking,
+  verifySignature,
+  recordEvents
+};
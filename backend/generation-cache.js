@@ -0,0 +1,79 @@
+// Generation result cache
+// A render is keyed by the content of its input files plus the provider, its settings and
+// the final provider prompt. Repeating an identical request reuses the earlier render
+// instead of paying the provider for a new one.
+
+const crypto = require('crypto');
+const db = require('./database');
+const storage = require('./storage');
+
+// Provider settings that hold credentials rather than change the output
+const SECRET_CONFIG_KEYS = /key|secret|token|password/i;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Uploads are normalised on the way in, so the same photo uploaded twice hashes the same
+async function hashFile(key) {
+  if (!key) return null;
+
+  const file = await storage.get(key);
+  return file ? sha256(file.buffer) : null;
+}
+
+function outputSettings(config) {
+  return Object.keys(config || {})
+    .filter(key => !SECRET_CONFIG_KEYS.test(key))
+    .sort()
+    .reduce((settings, key) => ({ ...settings, [key]: config[key] }), {});
+}
+
+// One key per provider prompt, or nulls when the input image is missing. Repeats of
+// the same prompt in one request are numbered so "3 designs" still means 3 different
+// renders, and the same request again gets the same 3 back.
+async function getCacheKeys({ companyId, imageKey, maskKey, inspirationKey, providerName, config, prompts }) {
+  const [image, mask, inspiration] = await Promise.all([
+    hashFile(imageKey),
+    hashFile(maskKey),
+    hashFile(inspirationKey)
+  ]);
+
+  if (!image) {
+    return prompts.map(() => null);
+  }
+
+  const settings = outputSettings(config);
+  const seen = {};
+
+  return prompts.map(prompt => {
+    seen[prompt] = (seen[prompt] || 0) + 1;
+
+    return sha256(JSON.stringify({
+      companyId: companyId || null,
+      image,
+      mask,
+      inspiration,
+      provider: providerName,
+      settings,
+      prompt,
+      repeat: seen[prompt]
+    }));
+  });
+}
+
+// Most recent finished render with this key
+async function findCachedVariant(cacheKey) {
+  const result = await db.query(
+    `SELECT * FROM generation_variants
+     WHERE cache_key = $1 AND result_filename IS NOT NULL
+     ORDER BY created_at DESC LIMIT 1`,
+    [cacheKey]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  getCacheKeys,
+  findCachedVariant
+};
@@ -0,0 +1,756 @@
+// Generation job queue
+// Runs image generations in the background. Job state lives in the generation_jobs
+// table so a restart can pick up anything that was still queued or running.
+
+const EventEmitter = require('events');
+const mime = require('mime-types');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./database');
+const providers = require('./providers');
+const imageProcessing = require('./image-processing');
+const videoProcessing = require('./video-processing');
+const generationCache = require('./generation-cache');
+const usage = require('./usage');
+const storage = require('./storage');
+
+const TIMEOUT_MS = parseInt(process.env.GENERATION_TIMEOUT_MS, 10) || 120000;
+const MAX_ATTEMPTS = parseInt(process.env.GENERATION_MAX_ATTEMPTS, 10) || 3;
+const RETRY_DELAY_MS = parseInt(process.env.GENERATION_RETRY_DELAY_MS, 10) || 2000;
+const CONCURRENCY = parseInt(process.env.GENERATION_CONCURRENCY, 10) || 2;
+const MAX_VARIANTS = parseInt(process.env.GENERATION_MAX_VARIANTS, 10) || 4;
+const HEARTBEAT_MS = parseInt(process.env.GENERATION_HEARTBEAT_MS, 10) || 15000;
+
+// A running job whose heartbeat is older than this has lost its instance
+const STALE_AFTER_MS = HEARTBEAT_MS * 4;
+
+const TERMINAL_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+// Job updates are broadcast by job id so SSE streams can follow them
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+const queue = [];
+const controllers = new Map();
+let active = 0;
+
+function isTerminal(job) {
+  return TERMINAL_STATUSES.includes(job.status);
+}
+
+async function getJob(jobId) {
+  const result = await db.query('SELECT * FROM generation_jobs WHERE id = $1', [jobId]);
+  return result.rows[0] || null;
+}
+
+async function updateJob(jobId, fields) {
+  const columns = Object.keys(fields);
+  const assignments = columns.map((column, i) => `${column} = $${i + 2}`);
+
+  const result = await db.query(
+    `UPDATE generation_jobs SET ${assignments.join(', ')}, updated_at = NOW()
+     WHERE id = $1 RETURNING *`,
+    [jobId, ...columns.map(column => fields[column])]
+  );
+
+  const job = result.rows[0];
+  if (job) {
+    events.emit(jobId, job);
+  }
+  return job;
+}
+
+async function updateProgress(jobId, progress) {
+  const result = await db.query(
+    `UPDATE generation_jobs SET progress = $2, updated_at = NOW()
+     WHERE id = $1 AND status = 'running' RETURNING *`,
+    [jobId, progress]
+  );
+
+  if (result.rows[0]) {
+    events.emit(jobId, result.rows[0]);
+  }
+}
+
+// Moves a queued job to running. Returns null if it was cancelled in the meantime.
+async function claimJob(jobId, attempt) {
+  const result = await db.query(
+    `UPDATE generation_jobs
+     SET status = 'running', attempts = $2, progress = 0, heartbeat_at = NOW(),
+         started_at = COALESCE(started_at, NOW()), updated_at = NOW()
+     WHERE id = $1 AND status = 'queued' RETURNING *`,
+    [jobId, attempt]
+  );
+
+  const job = result.rows[0] || null;
+  if (job) {
+    events.emit(jobId, job);
+  }
+  return job;
+}
+
+async function getVariants(jobId) {
+  const result = await db.query(
+    'SELECT * FROM generation_variants WHERE job_id = $1 ORDER BY position ASC',
+    [jobId]
+  );
+  return result.rows;
+}
+
+// cacheKey and cached (an earlier variant with the same key) come from lookupCache.
+// A cached variant gets that render's files straight away.
+async function insertVariant(jobId, position, { label, prompt, brief, cacheKey, cached }, client = db) {
+  const result = await client.query(
+    `INSERT INTO generation_variants (id, job_id, position, label, prompt, brief, cache_key,
+                                      cached_from_variant_id, result_filename, preview_filename, media_type, still_filename)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *`,
+    [
+      uuidv4(),
+      jobId,
+      position,
+      label || `Design ${position + 1}`,
+      prompt,
+      brief ? JSON.stringify(brief) : null,
+      cacheKey || null,
+      cached ? cached.cached_from_variant_id || cached.id : null,
+      cached ? cached.result_filename : null,
+      cached ? cached.preview_filename : null,
+      cached ? cached.media_type : 'image',
+      cached ? cached.still_filename : null
+    ]
+  );
+  return result.rows[0];
+}
+
+// Final prompt sent to the provider for one variant
+function buildProviderPrompt(provider, job, variant) {
+  return provider.buildPrompt(variant.prompt, {
+    masked: Boolean(job.mask_filename),
+    refinement: Boolean(job.parent_job_id),
+    inspiration: Boolean(job.inspiration_filename)
+  });
+}
+
+// Keys each variant for the cache and finds earlier renders for any that match
+// (unless force is set). Read-only, so it runs before the job's transaction.
+async function lookupCache(fields, variants, { force }) {
+  let provider;
+  let config;
+  let keys;
+  try {
+    ({ provider, config } = await providers.resolveProvider(fields.company_id));
+    keys = await generationCache.getCacheKeys({
+      companyId: fields.company_id,
+      imageKey: fields.filename,
+      maskKey: fields.mask_filename,
+      inspirationKey: fields.inspiration_filename,
+      providerName: provider.name,
+      config,
+      prompts: variants.map(variant => buildProviderPrompt(provider, fields, variant))
+    });
+  } catch (error) {
+    console.warn('⚠️ Generation cache lookup failed:', error.message);
+    return { variants };
+  }
+
+  const keyed = [];
+  for (let i = 0; i < variants.length; i++) {
+    const cached = keys[i] && !force ? await generationCache.findCachedVariant(keys[i]) : null;
+    keyed.push({ ...variants[i], cacheKey: keys[i], cached });
+  }
+  return { provider, config, variants: keyed };
+}
+
+// Works out a job before anything is saved: its columns, its variants and which of
+// them the cache already has. renders is how many need the provider, which is what
+// counts against quotas. Pass the result to insertJob and then startJob.
+// variants: [{ label, prompt, brief }], one render each. Defaults to a single render of prompt.
+// A refinement passes parentJobId/parentVariantId and uses that render as its filename.
+// force skips the cache and always renders afresh. visitorId identifies the widget
+// visitor for metering and per-visitor quotas, and visitorIp is their IP address.
+async function prepareJob({
+  companyId, visitorId, visitorIp, filename, maskFilename, inspirationFilename, prompt, brief, variants,
+  parentJobId, parentVariantId, force
+}) {
+  const fields = {
+    company_id: companyId || null,
+    visitor_id: visitorId || null,
+    visitor_ip: visitorIp || null,
+    filename,
+    mask_filename: maskFilename || null,
+    inspiration_filename: inspirationFilename || null,
+    prompt,
+    brief: brief ? JSON.stringify(brief) : null,
+    parent_job_id: parentJobId || null,
+    parent_variant_id: parentVariantId || null
+  };
+
+  const lookup = await lookupCache(fields, variants && variants.length > 0 ? variants : [{ prompt, brief }], {
+    force: Boolean(force)
+  });
+
+  return {
+    ...lookup,
+    fields,
+    renders: lookup.variants.filter(variant => !variant.cached).length
+  };
+}
+
+// Saves a prepared job and its variants. Pass client to save them inside a transaction.
+// A job the cache serves in full is saved as already succeeded.
+async function insertJob(prepared, client = db) {
+  const { fields, variants, provider } = prepared;
+  const fromCache = prepared.renders === 0;
+  const columns = {
+    ...fields,
+    id: uuidv4(),
+    status: fromCache ? 'succeeded' : 'queued',
+    max_attempts: MAX_ATTEMPTS,
+    timeout_ms: TIMEOUT_MS
+  };
+  if (fromCache) {
+    // The first variant doubles as the job's own result
+    const [first] = variants;
+    Object.assign(columns, {
+      progress: 100,
+      provider: provider.name,
+      cache_hit: true,
+      result_filename: first.cached.result_filename,
+      preview_filename: first.cached.preview_filename,
+      started_at: new Date(),
+      completed_at: new Date()
+    });
+  }
+
+  const names = Object.keys(columns);
+  const result = await client.query(
+    `INSERT INTO generation_jobs (${names.join(', ')})
+     VALUES (${names.map((name, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+    names.map(name => columns[name])
+  );
+
+  const job = result.rows[0];
+  for (let i = 0; i < variants.length; i++) {
+    await insertVariant(job.id, i, variants[i], client);
+  }
+  return job;
+}
+
+// Queues a saved job, or meters the cache hits of one the cache served. Call it once
+// the transaction insertJob ran in has committed, so the worker can see the job.
+async function startJob(job, prepared) {
+  const { provider, config } = prepared;
+  const saved = await getVariants(job.id);
+  for (const variant of saved) {
+    if (variant.cached_from_variant_id) {
+      await usage.recordGeneration({ job, variant, provider, config, outcome: 'cached' });
+    }
+  }
+
+  if (job.cache_hit) {
+    console.log(`✅ Generation job ${job.id} served from cache`);
+    return job;
+  }
+
+  enqueue(job.id);
+  return job;
+}
+
+// Creates and queues a job when the renders it needs fit the company's quotas.
+// Cache hits are free, so only renders is counted. Returns { job } or
+// { status, error } (404 for an unknown company, or 429 with quota details).
+async function createJob(options) {
+  const prepared = await prepareJob(options);
+
+  const saved = await db.transaction(async (client) => {
+    const overQuota = await usage.reserveQuota({
+      companyId: options.companyId,
+      visitorId: options.visitorId,
+      visitorIp: options.visitorIp,
+      count: prepared.renders
+    }, client);
+    if (overQuota) return overQuota;
+
+    return { job: await insertJob(prepared, client) };
+  });
+  if (saved.error) return saved;
+
+  return { job: await startJob(saved.job, prepared) };
+}
+
+async function cancelJob(jobId) {
+  const job = await getJob(jobId);
+  if (!job || isTerminal(job)) {
+    return job;
+  }
+
+  const cancelled = await updateJob(jobId, {
+    status: 'cancelled',
+    error: 'Cancelled by user',
+    completed_at: new Date()
+  });
+
+  const controller = controllers.get(jobId);
+  if (controller) {
+    controller.abort();
+  }
+
+  return cancelled;
+}
+
+function subscribe(jobId, listener) {
+  events.on(jobId, listener);
+  return () => events.off(jobId, listener);
+}
+
+function enqueue(jobId) {
+  queue.push(jobId);
+  drain();
+}
+
+function drain() {
+  while (active < CONCURRENCY && queue.length > 0) {
+    const jobId = queue.shift();
+    active++;
+    processJob(jobId)
+      .catch(error => console.error(`Generation job ${jobId} crashed:`, error))
+      .finally(() => {
+        active--;
+        drain();
+      });
+  }
+}
+
+// Stamps a running job's heartbeat_at until the returned function is called
+function startHeartbeat(jobId) {
+  const timer = setInterval(() => {
+    db.query(
+      `UPDATE generation_jobs SET heartbeat_at = NOW() WHERE id = $1 AND status = 'running'`,
+      [jobId]
+    ).catch(error => console.error('Job heartbeat failed:', error.message));
+  }, HEARTBEAT_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// One provider call for a variant, aborted when the job is cancelled or the call times out
+async function renderVariant(job, variant, { image, mask, inspiration, provider, config, cancelSignal, onProgress }) {
+  const controller = new AbortController();
+  const onCancel = () => controller.abort();
+  cancelSignal.addEventListener('abort', onCancel);
+  const timer = setTimeout(() => controller.abort(), job.timeout_ms);
+  const startedAt = Date.now();
+  let generated = false;
+
+  try {
+    const result = await provider.generate({
+      imageBuffer: image.buffer,
+      mimeType: image.contentType,
+      maskBuffer: mask ? mask.buffer : null,
+      inspirationBuffer: inspiration ? inspiration.buffer : null,
+      inspirationMimeType: inspiration ? inspiration.contentType : null,
+      prompt: buildProviderPrompt(provider, job, variant),
+      signal: controller.signal,
+      onProgress
+    }, config);
+
+    // Metered as soon as the provider answers, since that is what we pay for
+    generated = true;
+    await usage.recordGeneration({
+      job, variant, provider, config, outcome: 'succeeded', durationMs: Date.now() - startedAt
+    });
+
+    // The full render is private and only handed out through signed URLs
+    // once a lead has been captured; the preview can be shown straight away
+    const renderId = uuidv4();
+    const extension = mime.extension(result.mimeType) || 'png';
+    const renderKey = storage.keys.render(`generated-${renderId}.${extension}`);
+    await storage.put(renderKey, result.buffer, { contentType: result.mimeType });
+
+    // Videos get a still frame for the before/after view and the preview.
+    // Without one the video is still kept, it just has no preview.
+    const mediaType = result.mimeType.startsWith('video/') ? 'video' : 'image';
+    let still = mediaType === 'image' ? result.buffer : null;
+    let stillKey = null;
+    if (mediaType === 'video') {
+      try {
+        still = await videoProcessing.extractStill(result.buffer);
+        stillKey = storage.keys.render(`still-${renderId}.jpg`);
+        await storage.put(stillKey, still, { contentType: 'image/jpeg' });
+      } catch (error) {
+        console.warn(`⚠️ No still frame for video render ${renderId}:`, error.message);
+      }
+    }
+
+    let previewKey = null;
+    if (still) {
+      previewKey = storage.keys.preview(`preview-${renderId}.jpg`);
+      await storage.put(previewKey, await imageProcessing.createPreview(still), {
+        contentType: 'image/jpeg'
+      });
+    }
+
+    await db.query(
+      `UPDATE generation_variants
+       SET result_filename = $2, preview_filename = $3, media_type = $4, still_filename = $5
+       WHERE id = $1`,
+      [variant.id, renderKey, previewKey, mediaType, stillKey]
+    );
+  } catch (error) {
+    const timedOut = controller.signal.aborted && !cancelSignal.aborted;
+
+    if (!generated) {
+      await usage.recordGeneration({
+        job,
+        variant,
+        provider,
+        config,
+        outcome: cancelSignal.aborted ? 'cancelled' : (timedOut ? 'timeout' : 'failed'),
+        durationMs: Date.now() - startedAt
+      });
+    }
+
+    if (timedOut) {
+      throw new Error(`Generation timed out after ${job.timeout_ms}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    cancelSignal.removeEventListener('abort', onCancel);
+  }
+}
+
+// Renders every variant that has no result yet, so a retry carries on where the last attempt stopped
+async function runAttempt(job, cancelSignal) {
+  const image = await storage.get(job.filename);
+  if (!image) {
+    throw new Error('Image not found');
+  }
+
+  // Masked jobs only change the painted region of the photo
+  let mask = null;
+  if (job.mask_filename) {
+    mask = await storage.get(job.mask_filename);
+    if (!mask) {
+      throw new Error('Mask not found');
+    }
+  }
+
+  // Style transfer: the render copies the look of the customer's inspiration photo
+  let inspiration = null;
+  if (job.inspiration_filename) {
+    inspiration = await storage.get(job.inspiration_filename);
+    if (!inspiration) {
+      throw new Error('Inspiration image not found');
+    }
+  }
+
+  const { provider, config } = await providers.resolveProvider(job.company_id);
+  if (!provider.isConfigured(config)) {
+    throw new Error(`${provider.label} is not configured for image generation.`);
+  }
+  if (inspiration && !provider.supportsInspiration) {
+    throw new Error(`${provider.label} does not support inspiration images.`);
+  }
+
+  await updateJob(job.id, { provider: provider.name });
+
+  // Jobs queued before variants existed have no variant rows
+  let variants = await getVariants(job.id);
+  if (variants.length === 0) {
+    variants = [await insertVariant(job.id, 0, { prompt: job.prompt, brief: job.brief })];
+  }
+
+  for (let i = 0; i < variants.length; i++) {
+    if (variants[i].result_filename) continue;
+    cancelSignal.throwIfAborted();
+
+    await renderVariant(job, variants[i], {
+      image,
+      mask,
+      inspiration,
+      provider,
+      config,
+      cancelSignal,
+      onProgress: (progress) => {
+        const overall = (i * 100 + progress) / variants.length;
+        updateProgress(job.id, Math.min(99, Math.round(overall)))
+          .catch(error => console.error('Job progress update failed:', error.message));
+      }
+    });
+
+    if (i < variants.length - 1) {
+      await updateProgress(job.id, Math.round(((i + 1) * 100) / variants.length));
+    }
+  }
+}
+
+// Out of retries. Keep the job if some variants did render, so the customer can still pick one.
+async function finishWithFailure(jobId, error) {
+  const variants = await getVariants(jobId);
+  const rendered = variants.filter(variant => variant.result_filename);
+
+  if (rendered.length === 0) {
+    await updateJob(jobId, {
+      status: 'failed',
+      error: error.message,
+      completed_at: new Date()
+    });
+    return;
+  }
+
+  await updateJob(jobId, {
+    status: 'succeeded',
+    progress: 100,
+    result_filename: rendered[0].result_filename,
+    preview_filename: rendered[0].preview_filename,
+    error: `${variants.length - rendered.length} of ${variants.length} designs failed: ${error.message}`,
+    completed_at: new Date()
+  });
+  console.log(`⚠️ Generation job ${jobId} finished with ${rendered.length} of ${variants.length} designs`);
+}
+
+async function processJob(jobId) {
+  let job = await getJob(jobId);
+  if (!job || job.status !== 'queued') {
+    return;
+  }
+
+  if (job.attempts >= job.max_attempts) {
+    await updateJob(jobId, {
+      status: 'failed',
+      error: job.error || 'Retry limit reached',
+      completed_at: new Date()
+    });
+    return;
+  }
+
+  const controller = new AbortController();
+  controllers.set(jobId, controller);
+  const stopHeartbeat = startHeartbeat(jobId);
+
+  try {
+    for (let attempt = job.attempts + 1; attempt <= job.max_attempts; attempt++) {
+      job = await claimJob(jobId, attempt);
+      if (!job) return;
+
+      try {
+        await runAttempt(job, controller.signal);
+
+        if (controller.signal.aborted) return;
+
+        // The first variant doubles as the job's own result
+        const [first] = await getVariants(jobId);
+        await updateJob(jobId, {
+          status: 'succeeded',
+          progress: 100,
+          result_filename: first.result_filename,
+          preview_filename: first.preview_filename,
+          error: null,
+          completed_at: new Date()
+        });
+        console.log(`✅ Generation job ${jobId} succeeded`);
+        return;
+      } catch (error) {
+        if (controller.signal.aborted) {
+          console.log(`Generation job ${jobId} cancelled`);
+          return;
+        }
+
+        console.error(`Generation job ${jobId} attempt ${attempt} failed:`, error.message);
+
+        if (attempt >= job.max_attempts) {
+          await finishWithFailure(jobId, error);
+          return;
+        }
+
+        await updateJob(jobId, { status: 'queued', error: error.message });
+        await wait(RETRY_DELAY_MS * attempt);
+
+        // The job may have been cancelled while waiting to retry
+        job = await getJob(jobId);
+        if (!job || job.status !== 'queued') return;
+      }
+    }
+  } finally {
+    stopHeartbeat();
+    controllers.delete(jobId);
+  }
+}
+
+// Picks up jobs left behind when an instance stopped. Running jobs are only taken back
+// once their heartbeat has gone stale, since other instances may be rendering them right
+// now. Queued jobs can be queued here too: claimJob hands each one to a single instance.
+async function resumePendingJobs() {
+  try {
+    const reclaimed = await db.query(
+      `UPDATE generation_jobs SET status = 'queued', updated_at = NOW()
+       WHERE status = 'running' AND COALESCE(heartbeat_at, updated_at) < $1 RETURNING id`,
+      [new Date(Date.now() - STALE_AFTER_MS)]
+    );
+    const result = await db.query(`SELECT id FROM generation_jobs WHERE status = 'queued'`);
+
+    result.rows.forEach(row => enqueue(row.id));
+
+    if (result.rows.length > 0) {
+      console.log(`🔄 Resumed ${result.rows.length} generation job(s), ${reclaimed.rows.length} from a stopped instance`);
+    }
+  } catch (error) {
+    console.error('Failed to resume generation jobs:', error.message);
+  }
+}
+
+// Storage key of a variant as a still image: the render itself, or the frame taken from a video
+function getStillKey(variant) {
+  return variant.media_type === 'video' ? variant.still_filename : variant.result_filename;
+}
+
+// Versions of a design from the first render to this job, following parent_job_id
+async function getHistory(jobId) {
+  const chain = [];
+  let job = await getJob(jobId);
+
+  while (job) {
+    chain.unshift(job);
+    job = job.parent_job_id ? await getJob(job.parent_job_id) : null;
+  }
+
+  return chain;
+}
+
+// One entry per version. Earlier versions point at the variant that was refined;
+// the latest uses chosenVariantId or its first variant.
+async function getHistorySteps(jobId, chosenVariantId) {
+  const chain = await getHistory(jobId);
+  const steps = [];
+
+  for (let i = 0; i < chain.length; i++) {
+    const job = chain[i];
+    const next = chain[i + 1];
+    const variants = await getVariants(job.id);
+    const variantId = next ? next.parent_variant_id : chosenVariantId;
+    const variant = variants.find(v => v.id === variantId) || variants[0];
+
+    steps.push({
+      version: i + 1,
+      job,
+      variant,
+      instruction: job.parent_job_id ? job.prompt : null
+    });
+  }
+
+  return steps;
+}
+
+async function serializeHistory(jobId, baseUrl) {
+  const steps = await getHistorySteps(jobId);
+
+  return Promise.all(steps.map(async step => ({
+    version: step.version,
+    jobId: step.job.id,
+    status: step.job.status,
+    variantId: step.variant ? step.variant.id : null,
+    instruction: step.instruction,
+    prompt: step.job.prompt,
+    previewImageUrl: await storage.getAssetUrl(
+      step.variant ? step.variant.preview_filename : step.job.preview_filename,
+      baseUrl
+    ),
+    createdAt: step.job.created_at
+  })));
+}
+
+// Job and render counts for a company since a date. A render counts as cached when
+// it was copied from an earlier identical request instead of sent to the provider.
+async function getMetrics(companyId, since) {
+  const jobs = await db.query(
+    `SELECT status, COUNT(*) AS count FROM generation_jobs
+     WHERE company_id = $1 AND created_at >= $2
+     GROUP BY status`,
+    [companyId, since]
+  );
+
+  const renders = await db.query(
+    `SELECT COUNT(v.result_filename) AS rendered, COUNT(v.cached_from_variant_id) AS cached
+     FROM generation_variants v
+     JOIN generation_jobs j ON j.id = v.job_id
+     WHERE j.company_id = $1 AND j.created_at >= $2`,
+    [companyId, since]
+  );
+
+  const byStatus = Object.fromEntries(TERMINAL_STATUSES.concat('queued', 'running').map(status => [status, 0]));
+  jobs.rows.forEach(row => {
+    byStatus[row.status] = parseInt(row.count, 10);
+  });
+
+  const rendered = parseInt(renders.rows[0].rendered, 10);
+  const cached = parseInt(renders.rows[0].cached, 10);
+
+  return {
+    since,
+    jobs: {
+      total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+      ...byStatus
+    },
+    renders: {
+      total: rendered,
+      cached,
+      fresh: rendered - cached
+    },
+    // Percentage of renders served from the cache
+    cacheHitRate: rendered > 0 ? Math.round((cached / rendered) * 1000) / 10 : 0
+  };
+}
+
+// Public JSON shape for a job. Only the degraded previews are exposed here;
+// the full renders are released by POST /api/lead.
+async function serializeJob(job, baseUrl) {
+  const variants = (await getVariants(job.id)).filter(variant => variant.result_filename);
+
+  return {
+    id: job.id,
+    status: job.status,
+    progress: job.progress,
+    attempts: job.attempts,
+    maxAttempts: job.max_attempts,
+    provider: job.provider,
+    brief: job.brief,
+    masked: Boolean(job.mask_filename),
+    inspired: Boolean(job.inspiration_filename),
+    parentJobId: job.parent_job_id,
+    cached: Boolean(job.cache_hit),
+    previewImageUrl: await storage.getAssetUrl(job.preview_filename, baseUrl),
+    variants: await Promise.all(variants.map(async variant => ({
+      id: variant.id,
+      label: variant.label,
+      mediaType: variant.media_type,
+      cached: Boolean(variant.cached_from_variant_id),
+      previewImageUrl: await storage.getAssetUrl(variant.preview_filename, baseUrl)
+    }))),
+    error: job.error,
+    createdAt: job.created_at,
+    completedAt: job.completed_at
+  };
+}
+
+module.exports = {
+  MAX_VARIANTS,
+  prepareJob,
+  insertJob,
+  startJob,
+  createJob,
+  getJob,
+  getVariants,
+  getHistorySteps,
+  getStillKey,
+  getMetrics,
+  serializeHistory,
+  cancelJob,
+  subscribe,
+  isTerminal,
+  resumePendingJobs,
+  serializeJob
+};
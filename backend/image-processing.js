@@ -0,0 +1,171 @@
+// Image processing helpers (sharp)
+
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+
+const DEFAULT_MAX_DIMENSION = parseInt(process.env.UPLOAD_MAX_DIMENSION, 10) || 2048;
+const THUMBNAIL_WIDTH = parseInt(process.env.THUMBNAIL_WIDTH, 10) || 320;
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+const PREVIEW_WIDTH = parseInt(process.env.PREVIEW_WIDTH, 10) || 480;
+const PREVIEW_BLUR = parseFloat(process.env.PREVIEW_BLUR) || 6;
+const WATERMARK_TEXT = process.env.PREVIEW_WATERMARK || 'PREVIEW';
+const MASK_FEATHER = parseFloat(process.env.MASK_FEATHER) || 3;
+const QUOTE_IMAGE_WIDTH = 1000;
+const LOGO_WIDTH = 400;
+const LOGO_HEIGHT = 160;
+
+function watermarkSvg(width, height) {
+  const fontSize = Math.round(width / 8);
+  return Buffer.from(`
+    <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+      <text x="50%" y="50%" text-anchor="middle" dominant-baseline="middle"
+            font-family="Arial, sans-serif" font-size="${fontSize}" font-weight="bold"
+            fill="white" fill-opacity="0.55" stroke="black" stroke-opacity="0.2"
+            transform="rotate(-20 ${width / 2} ${height / 2})">${WATERMARK_TEXT}</text>
+    </svg>
+  `);
+}
+
+// Degraded copy of a render that is safe to show before the lead form is filled in:
+// low resolution, blurred and watermarked.
+async function createPreview(buffer) {
+  const resized = await sharp(buffer)
+    .rotate()
+    .resize({ width: PREVIEW_WIDTH, withoutEnlargement: true })
+    .blur(PREVIEW_BLUR)
+    .toBuffer({ resolveWithObject: true });
+
+  const { width, height } = resized.info;
+
+  return sharp(resized.data)
+    .composite([{ input: watermarkSvg(width, height) }])
+    .jpeg({ quality: 60 })
+    .toBuffer();
+}
+
+// HEIC/HEIF files start with an ISO-BMFF "ftyp" box naming the brand
+function isHeif(buffer) {
+  return buffer.length > 12 &&
+    buffer.toString('ascii', 4, 8) === 'ftyp' &&
+    HEIF_BRANDS.includes(buffer.toString('ascii', 8, 12));
+}
+
+// Ingest step for every upload: decode HEIC, apply the EXIF orientation, drop
+// EXIF/GPS and other metadata, cap the size and re-encode as JPEG.
+async function normaliseUpload(buffer, { maxDimension = DEFAULT_MAX_DIMENSION } = {}) {
+  let input = buffer;
+  if (isHeif(buffer)) {
+    // The prebuilt sharp binaries cannot decode HEVC-based HEIC files
+    input = Buffer.from(await heicConvert({ buffer, format: 'JPEG', quality: 0.92 }));
+  }
+
+  const { data, info } = await sharp(input)
+    .rotate()
+    .resize({
+      width: maxDimension,
+      height: maxDimension,
+      fit: 'inside',
+      withoutEnlargement: true
+    })
+    .jpeg({ quality: 88, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    buffer: data,
+    mimeType: 'image/jpeg',
+    width: info.width,
+    height: info.height
+  };
+}
+
+async function createThumbnail(buffer) {
+  return sharp(buffer)
+    .rotate()
+    .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+    .jpeg({ quality: 70 })
+    .toBuffer();
+}
+
+// JPEG copy of a render for a quote PDF (pdfkit only embeds JPEG and PNG)
+async function createQuoteImage(buffer) {
+  return sharp(buffer)
+    .rotate()
+    .resize({ width: QUOTE_IMAGE_WIDTH, withoutEnlargement: true })
+    .jpeg({ quality: 80 })
+    .toBuffer();
+}
+
+// PNG copy of a company logo for the customer portal, transparency kept
+async function createLogo(buffer) {
+  return sharp(buffer)
+    .rotate()
+    .resize({ width: LOGO_WIDTH, height: LOGO_HEIGHT, fit: 'inside', withoutEnlargement: true })
+    .png()
+    .toBuffer();
+}
+
+// Turns a mask drawn in the browser into a black and white PNG the size of the
+// photo. White marks the area to change; transparent or dark areas are kept.
+async function normaliseMask(buffer, imageBuffer) {
+  const { width, height } = await sharp(imageBuffer).metadata();
+
+  return sharp(buffer)
+    .flatten({ background: '#000000' })
+    .greyscale()
+    .resize(width, height, { fit: 'fill' })
+    .threshold(128)
+    .png()
+    .toBuffer();
+}
+
+async function isMaskEmpty(buffer) {
+  const { channels } = await sharp(buffer).stats();
+  return channels[0].max === 0;
+}
+
+// Places a generated image over the original photo inside the mask only.
+// The mask edge is feathered so the seam blends in.
+async function compositeWithMask(originalBuffer, generatedBuffer, maskBuffer) {
+  const { width, height } = await sharp(originalBuffer).metadata();
+
+  const alpha = await sharp(maskBuffer)
+    .resize(width, height, { fit: 'fill' })
+    .greyscale()
+    .blur(MASK_FEATHER)
+    .extractChannel(0)
+    .raw()
+    .toBuffer();
+
+  // Drop any alpha first; sharp would otherwise strip the joined mask channel too
+  const colour = await sharp(generatedBuffer)
+    .resize(width, height, { fit: 'fill' })
+    .removeAlpha()
+    .toColourspace('srgb')
+    .raw()
+    .toBuffer();
+
+  const overlay = await sharp(colour, { raw: { width, height, channels: 3 } })
+    .joinChannel(alpha, { raw: { width, height, channels: 1 } })
+    .png()
+    .toBuffer();
+
+  return {
+    buffer: await sharp(originalBuffer)
+      .composite([{ input: overlay }])
+      .jpeg({ quality: 90 })
+      .toBuffer(),
+    mimeType: 'image/jpeg'
+  };
+}
+
+module.exports = {
+  createPreview,
+  normaliseUpload,
+  createThumbnail,
+  createQuoteImage,
+  createLogo,
+  normaliseMask,
+  isMaskEmpty,
+  compositeWithMask
+};
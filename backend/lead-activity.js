@@ -0,0 +1,266 @@
+// Lead activity timeline and tasks
+// Staff log notes and calls against a lead (lead_activities), and automated events
+// such as follow-up emails are logged there too. Tasks (lead_tasks) have a due date
+// and an optional reminder, emailed by email-automation.js. The timeline merges the
+// activities with stage moves (lead_stage_changes), tasks and the lead's renders.
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('./database');
+
+const LOGGED_TYPES = ['note', 'call'];
+const CALL_OUTCOMES = ['answered', 'no_answer', 'voicemail', 'wrong_number'];
+const MAX_BODY_LENGTH = 5000;
+const MAX_TITLE_LENGTH = 255;
+const MAX_AUTHOR_LENGTH = 255;
+
+function author(createdBy) {
+  return createdBy ? String(createdBy).slice(0, MAX_AUTHOR_LENGTH) : null;
+}
+
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+async function getLead(leadId) {
+  const result = await db.query(
+    'SELECT id, company_id, created_at, design_history FROM leads WHERE id = $1',
+    [leadId]
+  );
+  return result.rows[0] || null;
+}
+
+// Adds an entry to a lead's timeline. `lead` needs id and company_id.
+async function logActivity(lead, { type, body = null, details = null, createdBy = null }) {
+  const id = uuidv4();
+  await db.query(
+    `INSERT INTO lead_activities (id, lead_id, company_id, type, body, details, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [id, lead.id, lead.company_id, type, body, details ? JSON.stringify(details) : null, author(createdBy)]
+  );
+  return id;
+}
+
+// A note or call logged from the dashboard. Calls can have an outcome.
+// Returns { id }, { error } or null when the lead doesn't exist.
+async function addActivity(leadId, { type, body, outcome, createdBy }) {
+  if (!LOGGED_TYPES.includes(type)) {
+    return { error: `Type must be one of: ${LOGGED_TYPES.join(', ')}` };
+  }
+
+  const text = typeof body === 'string' ? body.trim() : '';
+  if (text.length > MAX_BODY_LENGTH) {
+    return { error: `Notes can be up to ${MAX_BODY_LENGTH} characters` };
+  }
+  if (type === 'note' && !text) {
+    return { error: 'Note is empty' };
+  }
+  if (type === 'call' && outcome !== undefined && outcome !== null && !CALL_OUTCOMES.includes(outcome)) {
+    return { error: `Call outcome must be one of: ${CALL_OUTCOMES.join(', ')}` };
+  }
+
+  const lead = await getLead(leadId);
+  if (!lead) return null;
+
+  const id = await logActivity(lead, {
+    type,
+    body: text || null,
+    details: type === 'call' && outcome ? { outcome } : null,
+    createdBy
+  });
+  return { id };
+}
+
+function serializeTask(row) {
+  return {
+    id: row.id,
+    leadId: row.lead_id,
+    title: row.title,
+    dueAt: row.due_at,
+    remindAt: row.remind_at,
+    completedAt: row.completed_at,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    // Filled in by listDueTasks
+    customerName: row.customer_name,
+    referenceCode: row.reference_code
+  };
+}
+
+// Checks a task's title and times. Returns the cleaned values or { error }.
+function checkTask({ title, dueAt, remindAt }, { partial = false } = {}) {
+  const task = {};
+
+  if (!partial || title !== undefined) {
+    const text = typeof title === 'string' ? title.trim() : '';
+    if (!text || text.length > MAX_TITLE_LENGTH) {
+      return { error: `Task title must be 1 to ${MAX_TITLE_LENGTH} characters` };
+    }
+    task.title = text;
+  }
+
+  if (!partial || dueAt !== undefined) {
+    task.dueAt = parseTime(dueAt);
+    if (!task.dueAt) return { error: 'Task needs a valid due date' };
+  }
+
+  if (!partial || remindAt !== undefined) {
+    task.remindAt = parseTime(remindAt);
+    if (task.remindAt === undefined) return { error: 'Invalid reminder time' };
+  }
+
+  return task;
+}
+
+// Returns { task }, { error } or null when the lead doesn't exist
+async function addTask(leadId, { title, dueAt, remindAt, createdBy }) {
+  const task = checkTask({ title, dueAt, remindAt });
+  if (task.error) return task;
+
+  const lead = await getLead(leadId);
+  if (!lead) return null;
+
+  const result = await db.query(
+    `INSERT INTO lead_tasks (id, lead_id, company_id, title, due_at, remind_at, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+    [uuidv4(), lead.id, lead.company_id, task.title, task.dueAt, task.remindAt, author(createdBy)]
+  );
+  return { task: serializeTask(result.rows[0]) };
+}
+
+// Edits a task or marks it done (completed: true) or open again (completed: false).
+// Moving the reminder sends it again. Returns { task }, { error } or null when it doesn't exist.
+async function updateTask(taskId, { title, dueAt, remindAt, completed }) {
+  const changes = checkTask({ title, dueAt, remindAt }, { partial: true });
+  if (changes.error) return changes;
+  if (completed !== undefined && typeof completed !== 'boolean') {
+    return { error: 'Completed must be true or false' };
+  }
+
+  const result = await db.query(
+    `UPDATE lead_tasks SET
+       title = COALESCE($2, title),
+       due_at = COALESCE($3, due_at),
+       remind_at = CASE WHEN $4 THEN $5 ELSE remind_at END,
+       reminder_sent = CASE WHEN $4 THEN false ELSE reminder_sent END,
+       completed_at = CASE WHEN $6 IS NULL THEN completed_at WHEN $6 THEN COALESCE(completed_at, NOW()) ELSE NULL END
+     WHERE id = $1 RETURNING *`,
+    [
+      taskId,
+      changes.title || null,
+      changes.dueAt || null,
+      remindAt !== undefined,
+      changes.remindAt || null,
+      completed === undefined ? null : completed
+    ]
+  );
+  return result.rows[0] ? { task: serializeTask(result.rows[0]) } : null;
+}
+
+// A company's open tasks due before `before` (default: the end of today, UTC), overdue first.
+// assignedTo limits them to the leads assigned to that team member.
+async function listDueTasks(companyId, { before, assignedTo } = {}) {
+  let end = parseTime(before);
+  if (end === undefined) return { error: 'Invalid before date' };
+  if (!end) {
+    end = new Date();
+    end.setUTCHours(24, 0, 0, 0);
+  }
+
+  const params = [companyId, end];
+  if (assignedTo) params.push(assignedTo);
+
+  const result = await db.query(
+    `SELECT t.*, l.customer_name, l.reference_code FROM lead_tasks t
+     JOIN leads l ON l.id = t.lead_id
+     WHERE t.company_id = $1 AND t.completed_at IS NULL AND t.due_at < $2
+       ${assignedTo ? 'AND l.assigned_to = $3' : ''}
+     ORDER BY t.due_at ASC`,
+    params
+  );
+  return { tasks: result.rows.map(serializeTask) };
+}
+
+// Tasks whose reminder is due, with who to send it to: the lead's assignee, or the company
+async function getDueReminders() {
+  const result = await db.query(
+    `SELECT t.*, l.customer_name, l.reference_code, COALESCE(u.email, c.email) AS company_email,
+            c.name AS company_name
+     FROM lead_tasks t
+     JOIN leads l ON l.id = t.lead_id
+     JOIN companies c ON c.id = t.company_id
+     LEFT JOIN company_users u ON u.id = l.assigned_to AND u.status = 'active'
+     WHERE t.remind_at <= NOW() AND t.reminder_sent = false AND t.completed_at IS NULL`
+  );
+  return result.rows;
+}
+
+async function markReminderSent(taskId) {
+  await db.query('UPDATE lead_tasks SET reminder_sent = true WHERE id = $1', [taskId]);
+}
+
+// Everything that has happened to a lead, newest first, and its tasks (open ones first).
+// Returns null when the lead doesn't exist.
+async function getTimeline(leadId) {
+  const lead = await getLead(leadId);
+  if (!lead) return null;
+
+  const [activities, stageChanges, tasks] = await Promise.all([
+    db.query('SELECT * FROM lead_activities WHERE lead_id = $1', [leadId]),
+    db.query('SELECT * FROM lead_stage_changes WHERE lead_id = $1', [leadId]),
+    db.query('SELECT * FROM lead_tasks WHERE lead_id = $1 ORDER BY due_at ASC', [leadId])
+  ]);
+
+  const timeline = [
+    { id: `created-${lead.id}`, type: 'created', createdAt: lead.created_at },
+    ...(lead.design_history || []).map(step => ({
+      id: `render-${step.jobId}`,
+      type: 'render',
+      body: step.instruction || null,
+      details: { version: step.version },
+      createdAt: step.createdAt
+    })),
+    ...activities.rows.map(row => ({
+      id: row.id,
+      type: row.type,
+      body: row.body,
+      details: row.details,
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    })),
+    ...stageChanges.rows.map(row => ({
+      id: row.id,
+      type: 'stage_change',
+      details: { fromStage: row.from_stage, toStage: row.to_stage },
+      createdBy: row.changed_by,
+      createdAt: row.changed_at
+    })),
+    ...tasks.rows.map(row => ({
+      id: `task-${row.id}`,
+      type: 'task',
+      body: row.title,
+      details: { taskId: row.id, dueAt: row.due_at, completedAt: row.completed_at },
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    }))
+  ].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+  const serialized = tasks.rows.map(serializeTask);
+  return {
+    timeline,
+    tasks: [...serialized.filter(task => !task.completedAt), ...serialized.filter(task => task.completedAt)]
+  };
+}
+
+module.exports = {
+  CALL_OUTCOMES,
+  logActivity,
+  addActivity,
+  addTask,
+  updateTask,
+  listDueTasks,
+  getDueReminders,
+  markReminderSent,
+  getTimeline
+};
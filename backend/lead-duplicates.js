@@ -0,0 +1,310 @@
+// Duplicate leads
+// The same homeowner often runs the widget more than once. New leads are matched
+// against the company's existing ones on normalised email, phone and postcode
+// (the leads.*_key columns). The same email or phone, or the same postcode and name,
+// flags the new lead and the earlier one for review (lead_duplicates). A submission
+// never changes an existing lead: anyone can type in someone else's email, so only
+// the team can combine the two, with mergeLeads (which keeps the other's reference code).
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('./database');
+const leadActivity = require('./lead-activity');
+const leadScoring = require('./lead-scoring');
+
+const MAX_CANDIDATES = 20;
+const MAX_RESOLVER_LENGTH = 255;
+
+// These match the backfill in setup-database.js, so older leads compare the same way
+function normalizeEmail(email) {
+  return email ? String(email).trim().toLowerCase() || null : null;
+}
+
+// Digits only, with a +44 / 0044 prefix written as the leading 0
+function normalizePhone(phone) {
+  const digits = phone ? String(phone).replace(/[^0-9]/g, '').replace(/^(00)?44/, '0') : '';
+  return digits || null;
+}
+
+function normalizePostcode(postcode) {
+  return postcode ? String(postcode).replace(/[^A-Za-z0-9]/g, '').toUpperCase() || null : null;
+}
+
+function normalizeName(name) {
+  return name ? String(name).trim().toLowerCase().replace(/\s+/g, ' ') : '';
+}
+
+// The match columns for a lead's contact details
+function matchKeys({ email, phone, postcode }) {
+  return {
+    email_key: normalizeEmail(email),
+    phone_key: normalizePhone(phone),
+    postcode_key: normalizePostcode(postcode)
+  };
+}
+
+// Why two leads look like the same person: ['email', 'phone', 'postcode'] (any of them)
+function matchReasons(lead, contact) {
+  const keys = matchKeys(contact);
+  const reasons = [];
+  if (keys.email_key && lead.email_key === keys.email_key) reasons.push('email');
+  if (keys.phone_key && lead.phone_key === keys.phone_key) reasons.push('phone');
+  if (keys.postcode_key && lead.postcode_key === keys.postcode_key &&
+      normalizeName(lead.customer_name) === normalizeName(contact.customer_name)) {
+    reasons.push('postcode');
+  }
+  return reasons;
+}
+
+// Looks for an earlier lead from the same person. contact: { customer_name, email, phone, postcode }.
+// Returns { lead, reasons } for the strongest match, or null when nothing matches.
+async function findDuplicate(companyId, contact) {
+  const keys = matchKeys(contact);
+  if (!keys.email_key && !keys.phone_key && !keys.postcode_key) return null;
+
+  const result = await db.query(
+    `SELECT * FROM leads
+     WHERE company_id = $1 AND (email_key = $2 OR phone_key = $3 OR postcode_key = $4)
+     ORDER BY created_at DESC
+     LIMIT ${MAX_CANDIDATES}`,
+    [companyId, keys.email_key, keys.phone_key, keys.postcode_key]
+  );
+
+  const matches = result.rows
+    .map(lead => ({ lead, reasons: matchReasons(lead, contact) }))
+    .filter(match => match.reasons.length > 0);
+  if (matches.length === 0) return null;
+
+  // The strongest match: email, then phone, then postcode and name
+  const rank = (match) => ['email', 'phone', 'postcode'].findIndex(reason => match.reasons.includes(reason));
+  matches.sort((a, b) => rank(a) - rank(b));
+  return matches[0];
+}
+
+function byId(items) {
+  const seen = new Set();
+  return items.filter(item => {
+    const key = item.jobId ? `${item.jobId}:${item.variantId}` : item.id;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Later answers to the same question replace earlier ones
+function mergeAnswers(first, second) {
+  const answers = [...(first || [])];
+  (second || []).forEach(answer => {
+    const index = answers.findIndex(item => item.key === answer.key);
+    if (index === -1) answers.push(answer);
+    else answers[index] = answer;
+  });
+  return answers;
+}
+
+function joinNotes(first, second) {
+  if (!first || !second || first.trim() === second.trim()) return first || second || null;
+  return `${first}\n\n${second}`;
+}
+
+// The columns for `keep` with `other` folded into it. Contact details the kept lead is
+// missing are filled in; the newest design becomes the main one and every render and
+// design version from both is kept. The lead dates from the first enquiry, and the
+// later one counts as the customer coming back (returned_at, for lead scoring).
+function combineLeads(keep, other) {
+  const [older, newer] = new Date(other.created_at) > new Date(keep.created_at) ? [keep, other] : [other, keep];
+  const design = [newer, older].find(lead => lead.generated_image) || keep;
+  const mediaTypes = [...new Set([...(keep.media_types || []), ...(other.media_types || [])])];
+  const returns = [keep.returned_at, other.returned_at, newer.created_at].filter(Boolean).map(date => new Date(date));
+
+  // One design journey, oldest first, numbered again from 1
+  const history = byId([...(keep.design_history || []), ...(other.design_history || [])])
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .map((step, index) => ({ ...step, version: index + 1 }));
+
+  const columns = {
+    phone: keep.phone || other.phone,
+    postcode: keep.postcode || other.postcode,
+    project_budget: keep.project_budget || other.project_budget,
+    start_date: keep.start_date || other.start_date,
+    notes: joinNotes(keep.notes, other.notes),
+    custom_answers: mergeAnswers(older.custom_answers, newer.custom_answers),
+    original_image: design.original_image || keep.original_image || other.original_image,
+    generated_image: design.generated_image,
+    generated_still: design.generated_still,
+    prompt: design.prompt || keep.prompt,
+    brief: design.brief || keep.brief,
+    generation_job_id: design.generation_job_id,
+    chosen_variant_id: design.chosen_variant_id,
+    inspiration_image: design.inspiration_image || keep.inspiration_image,
+    variants: byId([...(keep.variants || []), ...(other.variants || [])]),
+    design_history: history,
+    media_types: mediaTypes.length > 0 ? mediaTypes : null,
+    project_value: keep.project_value !== null && keep.project_value !== undefined ? keep.project_value : other.project_value,
+    assigned_to: keep.assigned_to || other.assigned_to,
+    created_at: older.created_at,
+    returned_at: new Date(Math.min(...returns))
+  };
+
+  return { ...columns, ...matchKeys({ email: keep.email, phone: columns.phone, postcode: columns.postcode }) };
+}
+
+const JSON_COLUMNS = ['custom_answers', 'brief', 'variants', 'design_history', 'media_types', 'merged_references'];
+
+// Writes combined columns back to a lead. Returns the updated row.
+async function saveCombined(leadId, columns, client = db) {
+  const names = Object.keys(columns);
+  const values = names.map(name => {
+    const value = columns[name] === undefined ? null : columns[name];
+    return JSON_COLUMNS.includes(name) && value !== null ? JSON.stringify(value) : value;
+  });
+
+  const result = await client.query(
+    `UPDATE leads SET ${names.map((name, index) => `${name} = $${index + 2}`).join(', ')}, updated_at = NOW()
+     WHERE id = $1 RETURNING *`,
+    [leadId, ...values]
+  );
+  return result.rows[0];
+}
+
+// Records that `lead` looks like the same person as the earlier `duplicateOf`
+async function flagDuplicate(lead, duplicateOf, reasons) {
+  await db.query(
+    `INSERT INTO lead_duplicates (id, company_id, lead_id, duplicate_of_id, reasons)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [uuidv4(), lead.company_id, lead.id, duplicateOf.id, JSON.stringify(reasons)]
+  );
+
+  await leadActivity.logActivity(lead, {
+    type: 'duplicate',
+    details: {
+      action: 'flagged',
+      reasons,
+      leadId: duplicateOf.id,
+      referenceCode: duplicateOf.reference_code
+    }
+  });
+
+  console.log(`🔁 ${lead.reference_code} flagged as a possible duplicate of ${duplicateOf.reference_code}`);
+}
+
+// A company's pairs waiting for review, newest first, with both leads' rows.
+// assignedTo limits them to pairs where both leads are assigned to that member.
+async function listDuplicates(companyId, { assignedTo } = {}) {
+  const result = await db.query(
+    `SELECT * FROM lead_duplicates
+     WHERE company_id = $1 AND status = 'open'
+     ORDER BY created_at DESC`,
+    [companyId]
+  );
+  if (result.rows.length === 0) return [];
+
+  const ids = [...new Set(result.rows.flatMap(row => [row.lead_id, row.duplicate_of_id]))];
+  const leads = await db.query(
+    `SELECT * FROM leads WHERE id IN (${ids.map((id, index) => `$${index + 1}`).join(', ')})`,
+    ids
+  );
+  const leadsById = new Map(leads.rows.map(lead => [lead.id, lead]));
+
+  return result.rows
+    .map(row => ({ ...row, lead: leadsById.get(row.lead_id), duplicateOf: leadsById.get(row.duplicate_of_id) }))
+    .filter(row => row.lead && row.duplicateOf)
+    .filter(row => !assignedTo || (row.lead.assigned_to === assignedTo && row.duplicateOf.assigned_to === assignedTo));
+}
+
+// Marks a flagged pair as not being the same person. Returns false when it doesn't exist.
+async function dismissDuplicate(companyId, pairId, dismissedBy) {
+  const result = await db.query(
+    `UPDATE lead_duplicates SET status = 'dismissed', resolved_by = $3, resolved_at = NOW()
+     WHERE id = $1 AND company_id = $2 AND status = 'open'
+     RETURNING id`,
+    [pairId, companyId, dismissedBy ? String(dismissedBy).slice(0, MAX_RESOLVER_LENGTH) : null]
+  );
+  return result.rows.length > 0;
+}
+
+// Folds `otherId` into `keepId`: renders, answers and notes are combined, the other
+// lead's timeline, stage moves, tasks, quotes, survey bookings and portal designs and
+// messages move across, and its reference code is kept so searches for it still find
+// the lead. The other lead is then deleted.
+// Returns { lead } (the kept row), { error } or null when either lead doesn't exist
+// (or they're in different companies).
+async function mergeLeads(keepId, otherId, mergedBy) {
+  if (keepId === otherId) {
+    return { error: 'A lead can\'t be merged into itself' };
+  }
+
+  // Both rows are locked so nothing else changes them half way through
+  const merged = await db.transaction(async (client) => {
+    const result = await client.query('SELECT * FROM leads WHERE id IN ($1, $2) ORDER BY id FOR UPDATE', [keepId, otherId]);
+    const keep = result.rows.find(row => row.id === keepId);
+    const other = result.rows.find(row => row.id === otherId);
+    if (!keep || !other || keep.company_id !== other.company_id) return null;
+
+    const lead = await saveCombined(keep.id, {
+      ...combineLeads(keep, other),
+      merged_references: [...new Set([
+        ...(keep.merged_references || []),
+        other.reference_code,
+        ...(other.merged_references || [])
+      ])],
+      // Follow-up emails already sent for either lead aren't sent again
+      follow_up_1_sent: Boolean(keep.follow_up_1_sent || other.follow_up_1_sent),
+      follow_up_2_sent: Boolean(keep.follow_up_2_sent || other.follow_up_2_sent),
+      follow_up_3_sent: Boolean(keep.follow_up_3_sent || other.follow_up_3_sent)
+    }, client);
+
+    for (const table of ['lead_activities', 'lead_stage_changes', 'lead_tasks', 'lead_email_events', 'quotes', 'survey_bookings',
+      'portal_variations', 'portal_messages']) {
+      await client.query(`UPDATE ${table} SET lead_id = $1 WHERE lead_id = $2`, [keep.id, other.id]);
+    }
+
+    // Other pairs the merged lead was in now point at the kept lead; this pair goes with it
+    await client.query(
+      `UPDATE lead_duplicates SET lead_id = $1 WHERE lead_id = $2 AND duplicate_of_id <> $1`,
+      [keep.id, other.id]
+    );
+    await client.query(
+      `UPDATE lead_duplicates SET duplicate_of_id = $1 WHERE duplicate_of_id = $2 AND lead_id <> $1`,
+      [keep.id, other.id]
+    );
+    await client.query('DELETE FROM leads WHERE id = $1', [other.id]);
+
+    return { keep, other, lead };
+  });
+  if (!merged) return null;
+
+  const { keep, other, lead } = merged;
+  await leadActivity.logActivity(keep, {
+    type: 'merge',
+    details: { referenceCode: other.reference_code, customerName: other.customer_name },
+    createdBy: mergedBy
+  });
+  const scored = await leadScoring.rescoreLead(keep.id);
+
+  console.log(`🔁 Merged ${other.reference_code} into ${keep.reference_code}`);
+  return { lead: { ...lead, score: scored.score, score_reasons: scored.reasons } };
+}
+
+// A company's lead by its reference code, including codes of leads merged into it
+async function findByReference(companyId, referenceCode) {
+  const code = String(referenceCode || '').trim().toUpperCase();
+  if (!code) return null;
+
+  const result = await db.query(
+    `SELECT * FROM leads
+     WHERE company_id = $1 AND (reference_code = $2 OR merged_references @> $3)
+     LIMIT 1`,
+    [companyId, code, JSON.stringify([code])]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  matchKeys,
+  findDuplicate,
+  flagDuplicate,
+  listDuplicates,
+  dismissDuplicate,
+  mergeLeads,
+  findByReference
+};
@@ -0,0 +1,244 @@
+// Lead capture forms
+// Each company picks the fields its widget asks for, which are required, the
+// options of its selects and any questions of its own (companies.lead_form).
+// Built-in fields are stored in their leads columns; answers to custom
+// questions go to leads.custom_answers with the question as it was asked.
+
+const db = require('./database');
+
+const MAX_FIELDS = 20;
+const MAX_OPTIONS = 30;
+const MAX_LABEL_LENGTH = 100;
+const CUSTOM_KEY = /^custom_[a-z0-9_]{1,40}$/;
+const CUSTOM_TYPES = ['text', 'textarea', 'select', 'number', 'checkbox'];
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE = /^\+?[\d\s().-]{6,30}$/;
+
+// Built-in fields: leads column, input type and the longest value the column takes.
+// Name and email are always asked for, as every lead needs them.
+const BUILT_IN_FIELDS = {
+  customerName: { column: 'customer_name', type: 'text', maxLength: 255, locked: true },
+  email: { column: 'email', type: 'email', maxLength: 255, locked: true },
+  phone: { column: 'phone', type: 'tel', maxLength: 50 },
+  postcode: { column: 'postcode', type: 'text', maxLength: 20 },
+  projectBudget: { column: 'project_budget', type: 'select', maxLength: 50 },
+  startDate: { column: 'start_date', type: 'select', maxLength: 50 },
+  notes: { column: 'notes', type: 'textarea', maxLength: 2000 }
+};
+
+// Longest answer per custom question type
+const CUSTOM_MAX_LENGTH = { text: 200, textarea: 2000, select: 100 };
+
+const DEFAULT_FORM = [
+  { key: 'customerName', label: 'Your Name', required: true },
+  { key: 'email', label: 'Email Address', required: true },
+  { key: 'phone', label: 'Phone Number', required: true },
+  { key: 'postcode', label: 'Postcode', required: false },
+  {
+    key: 'projectBudget',
+    label: 'Budget',
+    required: false,
+    options: [
+      { value: 'under-5k', label: 'Under £5k' },
+      { value: '5k-10k', label: '£5k-£10k' },
+      { value: '10k-20k', label: '£10k-£20k' },
+      { value: '20k-plus', label: '£20k+' }
+    ]
+  },
+  {
+    key: 'startDate',
+    label: 'When would you like to start?',
+    required: false,
+    options: [
+      { value: 'asap', label: 'As soon as possible' },
+      { value: '1-3months', label: 'In 1-3 months' },
+      { value: '3-6months', label: 'In 3-6 months' },
+      { value: '6months-plus', label: 'In 6+ months' }
+    ]
+  },
+  { key: 'notes', label: 'Anything else we should know?', required: false }
+];
+
+function withTypes(fields) {
+  return fields.map(field => ({
+    ...field,
+    type: BUILT_IN_FIELDS[field.key] ? BUILT_IN_FIELDS[field.key].type : field.type
+  }));
+}
+
+// The company's form, or the default one
+async function getLeadForm(companyId) {
+  let fields = null;
+
+  if (companyId) {
+    try {
+      const result = await db.query('SELECT lead_form FROM companies WHERE id = $1', [companyId]);
+      fields = result.rows[0]?.lead_form || null;
+    } catch (error) {
+      console.warn('Lead form lookup failed, using the default form:', error.message);
+    }
+  }
+
+  return withTypes(fields || DEFAULT_FORM);
+}
+
+// Saves a form checked with validateLeadForm. null goes back to the default form.
+async function setLeadForm(companyId, fields) {
+  const result = await db.query(
+    'UPDATE companies SET lead_form = $2 WHERE id = $1 RETURNING id',
+    [companyId, fields ? JSON.stringify(fields) : null]
+  );
+  return result.rows.length > 0;
+}
+
+function cleanOptions(options, maxLength) {
+  if (!Array.isArray(options) || options.length === 0 || options.length > MAX_OPTIONS) {
+    return { error: `Select fields need between 1 and ${MAX_OPTIONS} options` };
+  }
+
+  const cleaned = [];
+  for (const option of options) {
+    const value = typeof option?.value === 'string' ? option.value.trim() : '';
+    const label = typeof option?.label === 'string' ? option.label.trim() : value;
+
+    if (!value || value.length > maxLength || label.length > MAX_LABEL_LENGTH) {
+      return { error: `Options need a value of up to ${maxLength} characters and a label of up to ${MAX_LABEL_LENGTH}` };
+    }
+    if (cleaned.some(existing => existing.value === value)) {
+      return { error: `Duplicate option: ${value}` };
+    }
+    cleaned.push({ value, label: label || value });
+  }
+  return { options: cleaned };
+}
+
+// Checks a form from the dashboard builder.
+// Returns { fields } with only the known properties kept, or { error }.
+function validateLeadForm(fields) {
+  if (!Array.isArray(fields) || fields.length === 0) {
+    return { error: 'Fields must be a list' };
+  }
+  if (fields.length > MAX_FIELDS) {
+    return { error: `A form can have up to ${MAX_FIELDS} fields` };
+  }
+
+  const cleaned = [];
+  for (const field of fields) {
+    if (!field || typeof field !== 'object') {
+      return { error: 'Invalid field' };
+    }
+
+    const builtIn = BUILT_IN_FIELDS[field.key];
+    if (!builtIn && !CUSTOM_KEY.test(field.key || '')) {
+      return { error: `Unknown field: ${field.key}` };
+    }
+    if (cleaned.some(existing => existing.key === field.key)) {
+      return { error: `Duplicate field: ${field.key}` };
+    }
+
+    const label = typeof field.label === 'string' ? field.label.trim() : '';
+    if (!label || label.length > MAX_LABEL_LENGTH) {
+      return { error: `Field labels must be 1 to ${MAX_LABEL_LENGTH} characters` };
+    }
+
+    const type = builtIn ? builtIn.type : field.type;
+    if (!builtIn && !CUSTOM_TYPES.includes(type)) {
+      return { error: `Question type must be one of: ${CUSTOM_TYPES.join(', ')}` };
+    }
+
+    const entry = { key: field.key, label, required: field.required === true };
+    if (!builtIn) entry.type = type;
+
+    if (type === 'select') {
+      const result = cleanOptions(field.options, builtIn ? builtIn.maxLength : CUSTOM_MAX_LENGTH.select);
+      if (result.error) return { error: `${label}: ${result.error}` };
+      entry.options = result.options;
+    }
+
+    cleaned.push(entry);
+  }
+
+  for (const key of Object.keys(BUILT_IN_FIELDS).filter(name => BUILT_IN_FIELDS[name].locked)) {
+    const field = cleaned.find(item => item.key === key);
+    if (!field || !field.required) {
+      return { error: `${key} must be on the form and required` };
+    }
+  }
+
+  return { fields: cleaned };
+}
+
+// One answer checked against its field. Returns { value } (null when left empty) or { error }.
+function checkAnswer(field, raw) {
+  const maxLength = BUILT_IN_FIELDS[field.key]
+    ? BUILT_IN_FIELDS[field.key].maxLength
+    : CUSTOM_MAX_LENGTH[field.type];
+
+  if (field.type === 'checkbox') {
+    const checked = raw === true || raw === 'true' || raw === 'on';
+    if (field.required && !checked) {
+      return { error: `Please tick "${field.label}"` };
+    }
+    return { value: checked };
+  }
+
+  const text = raw === undefined || raw === null ? '' : String(raw).trim();
+  if (!text) {
+    return field.required ? { error: `${field.label} is required` } : { value: null };
+  }
+
+  if (maxLength && text.length > maxLength) {
+    return { error: `${field.label} must be ${maxLength} characters or fewer` };
+  }
+
+  switch (field.type) {
+    case 'email':
+      return EMAIL.test(text) ? { value: text.toLowerCase() } : { error: 'Please enter a valid email address' };
+    case 'tel':
+      return PHONE.test(text) ? { value: text } : { error: 'Please enter a valid phone number' };
+    case 'select':
+      return field.options.some(option => option.value === text)
+        ? { value: text }
+        : { error: `Please choose an option for ${field.label}` };
+    case 'number': {
+      const number = Number(text);
+      return Number.isFinite(number) ? { value: number } : { error: `${field.label} must be a number` };
+    }
+    default:
+      return { value: text };
+  }
+}
+
+// Checks a widget submission against the company's form. Built-in answers are read from
+// the body (customerName, email, phone, postcode, projectBudget, startDate, notes) and
+// custom ones from body.answers. Fields that aren't on the form are ignored.
+// Returns { columns, customAnswers } or { error }.
+async function validateSubmission(companyId, body) {
+  const fields = await getLeadForm(companyId);
+  const answers = body.answers && typeof body.answers === 'object' ? body.answers : {};
+
+  const columns = Object.fromEntries(Object.values(BUILT_IN_FIELDS).map(field => [field.column, null]));
+  const customAnswers = [];
+
+  for (const field of fields) {
+    const builtIn = BUILT_IN_FIELDS[field.key];
+    const result = checkAnswer(field, builtIn ? body[field.key] : answers[field.key]);
+    if (result.error) return { error: result.error };
+
+    if (builtIn) {
+      columns[builtIn.column] = result.value;
+    } else if (result.value !== null) {
+      customAnswers.push({ key: field.key, label: field.label, value: result.value });
+    }
+  }
+
+  return { columns, customAnswers };
+}
+
+module.exports = {
+  DEFAULT_FORM,
+  getLeadForm,
+  setLeadForm,
+  validateLeadForm,
+  validateSubmission
+};
@@ -0,0 +1,287 @@
+// Lead scoring
+// Each lead gets a score from 0 to 100 so the team knows who to call first, with the
+// reasons behind it (leads.score, leads.score_reasons). The scoring model is set per
+// company (companies.lead_scoring): points for each budget band and start date
+// answer, for postcodes in or outside the service area, per render, per email open
+// and click (email-events.js), and for coming back through the widget.
+// Leads are scored again whenever one of those changes.
+
+const db = require('./database');
+const leadForms = require('./lead-forms');
+
+const MIN_POINTS = -100;
+const MAX_POINTS = 100;
+const MAX_ANSWERS = 20;
+const MAX_ANSWER_LENGTH = 50;
+const MAX_POSTCODES = 200;
+// A postcode area (SW) or district (SW1A, BS8)
+const POSTCODE_PREFIX = /^[A-Z]{1,2}(\d[A-Z\d]?)?$/;
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_MODEL = {
+  budget: { 'under-5k': 5, '5k-10k': 10, '10k-20k': 20, '20k-plus': 30 },
+  startDate: { asap: 25, '1-3months': 15, '3-6months': 5, '6months-plus': 0 },
+  serviceArea: { postcodes: [], inside: 15, outside: -15 },
+  renders: { points: 3, max: 15 },
+  engagement: { open: 3, click: 8, max: 15 },
+  returned: { withinDay: 15, withinWeek: 10, later: 5 }
+};
+
+// Number settings: model section -> property names
+const POINT_SETTINGS = {
+  serviceArea: ['inside', 'outside'],
+  renders: ['points', 'max'],
+  engagement: ['open', 'click', 'max'],
+  returned: ['withinDay', 'withinWeek', 'later']
+};
+
+// The company's scoring model, or the default one
+async function getModel(companyId) {
+  let model = null;
+
+  if (companyId) {
+    try {
+      const result = await db.query('SELECT lead_scoring FROM companies WHERE id = $1', [companyId]);
+      model = result.rows[0]?.lead_scoring || null;
+    } catch (error) {
+      console.warn('Lead scoring lookup failed, using the default model:', error.message);
+    }
+  }
+
+  return model || DEFAULT_MODEL;
+}
+
+function isPoints(value) {
+  return Number.isInteger(value) && value >= MIN_POINTS && value <= MAX_POINTS;
+}
+
+// Answer value -> points, for the budget and start date questions
+function validateAnswerPoints(points, name) {
+  if (!points || typeof points !== 'object' || Array.isArray(points)) {
+    return { error: `${name} must map each answer to points` };
+  }
+
+  const entries = Object.entries(points);
+  if (entries.length > MAX_ANSWERS) {
+    return { error: `${name} can score up to ${MAX_ANSWERS} answers` };
+  }
+  for (const [answer, value] of entries) {
+    if (!answer || answer.length > MAX_ANSWER_LENGTH) {
+      return { error: `${name} answers must be 1 to ${MAX_ANSWER_LENGTH} characters` };
+    }
+    if (!isPoints(value)) {
+      return { error: `${name} points must be whole numbers from ${MIN_POINTS} to ${MAX_POINTS}` };
+    }
+  }
+
+  return { points: Object.fromEntries(entries) };
+}
+
+// Checks a model from the dashboard. Returns { model } with only the known settings kept, or { error }.
+function validateModel(model) {
+  if (!model || typeof model !== 'object') {
+    return { error: 'Scoring model is missing' };
+  }
+
+  const cleaned = {};
+  for (const [section, name] of [['budget', 'Budget'], ['startDate', 'Start date']]) {
+    const result = validateAnswerPoints(model[section], name);
+    if (result.error) return result;
+    cleaned[section] = result.points;
+  }
+
+  for (const [section, settings] of Object.entries(POINT_SETTINGS)) {
+    const values = model[section] || {};
+    cleaned[section] = {};
+    for (const setting of settings) {
+      if (!isPoints(values[setting])) {
+        return { error: `${section}.${setting} must be a whole number from ${MIN_POINTS} to ${MAX_POINTS}` };
+      }
+      cleaned[section][setting] = values[setting];
+    }
+  }
+
+  const postcodes = model.serviceArea && model.serviceArea.postcodes;
+  if (!Array.isArray(postcodes) || postcodes.length > MAX_POSTCODES) {
+    return { error: `The service area can have up to ${MAX_POSTCODES} postcode areas or districts` };
+  }
+  const prefixes = [];
+  for (const postcode of postcodes) {
+    const prefix = String(postcode).replace(/\s+/g, '').toUpperCase();
+    if (!POSTCODE_PREFIX.test(prefix)) {
+      return { error: `${postcode} isn't a postcode area (like SW) or district (like SW1A)` };
+    }
+    if (!prefixes.includes(prefix)) prefixes.push(prefix);
+  }
+  cleaned.serviceArea.postcodes = prefixes;
+
+  return { model: cleaned };
+}
+
+// A normalised postcode (leads.postcode_key) is in the area when its outward code or
+// its area letters match: "SW1A1AA" is in SW and SW1A, but not in S.
+function inServiceArea(postcodeKey, prefixes) {
+  // Full postcodes end in a 3 character inward code; shorter ones are taken as outward codes
+  const outward = postcodeKey.length > 4 ? postcodeKey.slice(0, -3) : postcodeKey;
+  const area = outward.replace(/\d.*$/, '');
+  return prefixes.includes(outward) || prefixes.includes(area);
+}
+
+// Distinct render files across the lead's designs and refinements
+function countRenders(lead) {
+  const files = [
+    ...(lead.variants || []).map(variant => variant.generatedImage),
+    ...(lead.design_history || []).map(step => step.generatedImage)
+  ].filter(Boolean);
+  return new Set(files).size;
+}
+
+function optionLabel(form, key, value) {
+  const field = form.find(item => item.key === key);
+  const option = field && (field.options || []).find(item => item.value === value);
+  return option ? option.label : value;
+}
+
+// Scores a lead row. `engagement` is { opens, clicks }; `form` is the company's lead
+// form, for answer labels. Returns { score, reasons } with reasons as
+// { factor, points, text }, biggest first.
+function scoreLead(lead, model, { engagement = {}, form = [] } = {}) {
+  const reasons = [];
+  const add = (factor, points, text) => {
+    if (points) reasons.push({ factor, points, text });
+  };
+
+  if (lead.project_budget && model.budget[lead.project_budget] !== undefined) {
+    add('budget', model.budget[lead.project_budget], `Budget: ${optionLabel(form, 'projectBudget', lead.project_budget)}`);
+  }
+  if (lead.start_date && model.startDate[lead.start_date] !== undefined) {
+    add('startDate', model.startDate[lead.start_date], `Start: ${optionLabel(form, 'startDate', lead.start_date)}`);
+  }
+
+  const area = model.serviceArea;
+  if (lead.postcode_key && area.postcodes.length > 0) {
+    const inside = inServiceArea(lead.postcode_key, area.postcodes);
+    add('serviceArea', inside ? area.inside : area.outside, inside ? 'In your service area' : 'Outside your service area');
+  }
+
+  const renders = countRenders(lead);
+  add('renders', Math.min(renders * model.renders.points, model.renders.max), `${renders} render${renders === 1 ? '' : 's'}`);
+
+  const opens = engagement.opens || 0;
+  const clicks = engagement.clicks || 0;
+  if (opens || clicks) {
+    const parts = [];
+    if (opens) parts.push(`opened ${opens} email${opens === 1 ? '' : 's'}`);
+    if (clicks) parts.push(`clicked ${clicks} link${clicks === 1 ? '' : 's'}`);
+    const text = parts.join(', ');
+    add('engagement', Math.min(opens * model.engagement.open + clicks * model.engagement.click, model.engagement.max),
+      text.charAt(0).toUpperCase() + text.slice(1));
+  }
+
+  if (lead.returned_at) {
+    const hours = (new Date(lead.returned_at) - new Date(lead.created_at)) / HOUR_MS;
+    if (hours <= 24) add('returned', model.returned.withinDay, 'Came back within a day');
+    else if (hours <= 24 * 7) add('returned', model.returned.withinWeek, 'Came back within a week');
+    else add('returned', model.returned.later, 'Came back through the widget');
+  }
+
+  reasons.sort((a, b) => Math.abs(b.points) - Math.abs(a.points));
+  const total = reasons.reduce((sum, reason) => sum + reason.points, 0);
+  return { score: Math.max(0, Math.min(100, total)), reasons };
+}
+
+// Email opens and clicks per lead id, for one lead or a whole company
+async function getEngagement({ leadId, companyId }) {
+  const result = await db.query(
+    `SELECT lead_id,
+            SUM(CASE WHEN type = 'open' THEN 1 ELSE 0 END) AS opens,
+            SUM(CASE WHEN type = 'click' THEN 1 ELSE 0 END) AS clicks
+     FROM lead_email_events
+     WHERE ${leadId ? 'lead_id' : 'company_id'} = $1
+     GROUP BY lead_id`,
+    [leadId || companyId]
+  );
+  return new Map(result.rows.map(row => [row.lead_id, {
+    opens: parseInt(row.opens, 10),
+    clicks: parseInt(row.clicks, 10)
+  }]));
+}
+
+async function saveScore(leadId, { score, reasons }) {
+  await db.query(
+    'UPDATE leads SET score = $2, score_reasons = $3, scored_at = NOW() WHERE id = $1',
+    [leadId, score, JSON.stringify(reasons)]
+  );
+}
+
+// Scores one lead again. Returns { score, reasons }, or null when it doesn't exist.
+async function rescoreLead(leadId) {
+  const result = await db.query('SELECT * FROM leads WHERE id = $1', [leadId]);
+  const lead = result.rows[0];
+  if (!lead) return null;
+
+  const [model, form, engagement] = await Promise.all([
+    getModel(lead.company_id),
+    leadForms.getLeadForm(lead.company_id),
+    getEngagement({ leadId })
+  ]);
+
+  const scored = scoreLead(lead, model, { engagement: engagement.get(lead.id), form });
+  await saveScore(lead.id, scored);
+  return scored;
+}
+
+// Scores all of a company's leads again (after its model changes)
+async function rescoreCompany(companyId) {
+  const [leads, model, form, engagement] = await Promise.all([
+    db.query('SELECT * FROM leads WHERE company_id = $1', [companyId]),
+    getModel(companyId),
+    leadForms.getLeadForm(companyId),
+    getEngagement({ companyId })
+  ]);
+
+  for (const lead of leads.rows) {
+    await saveScore(lead.id, scoreLead(lead, model, { engagement: engagement.get(lead.id), form }));
+  }
+  return leads.rows.length;
+}
+
+// Saves a model checked with validateModel (null goes back to the default) and
+// scores the company's leads again. Returns { model } or null when the company doesn't exist.
+async function setModel(companyId, model) {
+  const result = await db.query(
+    'UPDATE companies SET lead_scoring = $2 WHERE id = $1 RETURNING id',
+    [companyId, model ? JSON.stringify(model) : null]
+  );
+  if (result.rows.length === 0) return null;
+
+  const count = await rescoreCompany(companyId);
+  console.log(`🎯 Scoring model saved for ${companyId}, ${count} leads scored again`);
+  return { model: await getModel(companyId) };
+}
+
+// Leads from before scoring (or whose company was never scored), at startup
+async function scoreUnscoredLeads() {
+  try {
+    const result = await db.query('SELECT DISTINCT company_id FROM leads WHERE scored_at IS NULL');
+    for (const row of result.rows) {
+      await rescoreCompany(row.company_id);
+    }
+    if (result.rows.length > 0) {
+      console.log(`🎯 Scored leads for ${result.rows.length} companies`);
+    }
+  } catch (error) {
+    console.error('Lead scoring error:', error);
+  }
+}
+
+module.exports = {
+  DEFAULT_MODEL,
+  getModel,
+  validateModel,
+  setModel,
+  scoreLead,
+  rescoreLead,
+  rescoreCompany,
+  scoreUnscoredLeads
+};
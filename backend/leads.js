@@ -0,0 +1,452 @@
+// Lead queries for the dashboard (leads table)
+// Lists use cursor (keyset) pagination, so paging stays stable while new leads
+// come in. Rows are returned in the camelCase shape the dashboard pages use,
+// with signed links in place of storage keys. A lead's status is one of the
+// company's pipeline stages (pipeline.js).
+
+const db = require('./database');
+const storage = require('./storage');
+const pipeline = require('./pipeline');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const MAX_SEARCH_TERMS = 5;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_STATS_DAYS = 366;
+const DEFAULT_COMMISSION_RATE = 0.02;
+
+// Sort option -> ordering expression. id breaks ties so every row has a unique position.
+const SORTS = {
+  newest: { expression: 'created_at', direction: 'DESC' },
+  oldest: { expression: 'created_at', direction: 'ASC' },
+  value: { expression: 'COALESCE(project_value, 0)', direction: 'DESC' },
+  score: { expression: 'COALESCE(score, 0)', direction: 'DESC' },
+  name: { expression: 'LOWER(customer_name)', direction: 'ASC' }
+};
+
+function encodeCursor(sortKey, id) {
+  return Buffer.from(JSON.stringify([sortKey, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return Array.isArray(decoded) && decoded.length === 2 ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function listParam(value) {
+  if (value === undefined || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+// YYYY-MM-DD or a full timestamp. A plain `to` date includes the whole day.
+function parseDate(value, { endOfDay = false } = {}) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+}
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+// WHERE clause for the list filters. Returns { clauses, params } or { error }.
+// `stages` are the company's stage keys, to check the status filter against.
+// `skipStatus` leaves the status filter out, for the per-status counts.
+function buildFilters(companyId, query, { stages = [], skipStatus = false } = {}) {
+  const clauses = ['company_id = $1'];
+  const params = [companyId];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const list = (values) => values.map(param).join(', ');
+
+  const statuses = listParam(query.status);
+  const unknown = statuses.find(status => !stages.includes(status));
+  if (unknown) {
+    return { error: `Status must be one of: ${stages.join(', ')}` };
+  }
+  if (statuses.length > 0 && !skipStatus) {
+    clauses.push(`status IN (${list(statuses)})`);
+  }
+
+  if (query.from) {
+    const from = parseDate(query.from);
+    if (!from) return { error: 'Invalid from date' };
+    clauses.push(`created_at >= ${param(from)}`);
+  }
+  if (query.to) {
+    const to = parseDate(query.to, { endOfDay: true });
+    if (!to) return { error: 'Invalid to date' };
+    clauses.push(`created_at ${/^\d{4}-\d{2}-\d{2}$/.test(query.to) ? '<' : '<='} ${param(to)}`);
+  }
+
+  // A team member's id, or "unassigned"
+  if (query.assignee === 'unassigned') {
+    clauses.push('assigned_to IS NULL');
+  } else if (query.assignee) {
+    if (!UUID.test(query.assignee)) return { error: 'Invalid assignee' };
+    clauses.push(`assigned_to = ${param(query.assignee)}`);
+  }
+
+  const budgets = listParam(query.budget);
+  if (budgets.length > 0) {
+    clauses.push(`project_budget IN (${list(budgets)})`);
+  }
+
+  // Every word has to match the name, email, phone or reference code (including the
+  // codes of leads merged into it). Phone numbers are also compared by digits alone,
+  // so "07700 900" finds "07700900123".
+  const terms = typeof query.q === 'string' ? query.q.trim().split(/\s+/).filter(Boolean) : [];
+  if (terms.length > MAX_SEARCH_TERMS) {
+    return { error: `Search can have up to ${MAX_SEARCH_TERMS} words` };
+  }
+  terms.forEach(term => {
+    const pattern = param(`%${escapeLike(term)}%`);
+    const matches = ['customer_name', 'email', 'phone', 'reference_code']
+      .map(column => `${column} ILIKE ${pattern}`);
+    matches.push(`merged_references::text ILIKE ${pattern}`);
+
+    const digits = term.replace(/\D/g, '');
+    if (digits.length >= 3) {
+      matches.push(`REGEXP_REPLACE(phone, '[^0-9]', '', 'g') LIKE ${param(`%${digits}%`)}`);
+    }
+    clauses.push(`(${matches.join(' OR ')})`);
+  });
+
+  return { clauses, params };
+}
+
+// One page of a company's leads.
+// query: { status, from, to, budget, assignee, q, sort, cursor, limit } (status and budget take comma lists)
+// Returns { leads, nextCursor, total, statusCounts } or { error }.
+async function listLeads(companyId, query = {}) {
+  const sortName = query.sort || 'newest';
+  const sort = SORTS[sortName];
+  if (!sort) {
+    return { error: `Sort must be one of: ${Object.keys(SORTS).join(', ')}` };
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.limit, 10);
+  if (!limit || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `Limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  const stages = (await pipeline.getStages(companyId)).map(stage => stage.key);
+  const filters = buildFilters(companyId, query, { stages });
+  if (filters.error) return { error: filters.error };
+
+  const { clauses, params } = filters;
+  const where = clauses.join(' AND ');
+  const pageClauses = [...clauses];
+  const pageParams = [...params];
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+
+    const [sortKey, id] = cursor;
+    const operator = sort.direction === 'DESC' ? '<' : '>';
+    pageParams.push(sortKey, id);
+    const keyParam = `$${pageParams.length - 1}`;
+    const idParam = `$${pageParams.length}`;
+    pageClauses.push(
+      `(${sort.expression} ${operator} ${keyParam} OR (${sort.expression} = ${keyParam} AND id::text ${operator} ${idParam}))`
+    );
+  }
+
+  pageParams.push(limit + 1);
+
+  // The sort key is read back as text so timestamps keep their full precision in the cursor
+  const [page, count, statusCounts] = await Promise.all([
+    db.query(
+      `SELECT *, (${sort.expression})::text AS sort_key FROM leads
+       WHERE ${pageClauses.join(' AND ')}
+       ORDER BY ${sort.expression} ${sort.direction}, id::text ${sort.direction}
+       LIMIT $${pageParams.length}`,
+      pageParams
+    ),
+    db.query(`SELECT COUNT(*) AS count FROM leads WHERE ${where}`, params),
+    countByStatus(companyId, query, stages)
+  ]);
+
+  const rows = page.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+
+  return {
+    leads: rows,
+    nextCursor: page.rows.length > limit ? encodeCursor(last.sort_key, String(last.id)) : null,
+    total: parseInt(count.rows[0].count, 10),
+    statusCounts: statusCounts
+  };
+}
+
+// Lead count per status for the other filters, so the summary doesn't change with the status filter
+async function countByStatus(companyId, query, stages) {
+  const { clauses, params } = buildFilters(companyId, query, { stages, skipStatus: true });
+  const result = await db.query(
+    `SELECT status, COUNT(*) AS count FROM leads WHERE ${clauses.join(' AND ')} GROUP BY status`,
+    params
+  );
+
+  const counts = Object.fromEntries(stages.map(stage => [stage, 0]));
+  result.rows.forEach(row => {
+    counts[row.status] = parseInt(row.count, 10);
+  });
+  return counts;
+}
+
+// Moves the lead to another stage and/or sets its project value. Moving into a won
+// stage stamps won_date the first time. Stage moves are recorded with changedBy.
+// Returns { lead } (the updated row), { error } or null when the lead doesn't exist.
+async function updateLead(leadId, { status, projectValue, changedBy }) {
+  const existing = await db.query('SELECT id, company_id, status FROM leads WHERE id = $1', [leadId]);
+  const lead = existing.rows[0];
+  if (!lead) return null;
+
+  let won = false;
+  if (status !== undefined) {
+    const stages = await pipeline.getStages(lead.company_id);
+    const stage = stages.find(item => item.key === status);
+    if (!stage) {
+      return { error: `Status must be one of: ${stages.map(item => item.key).join(', ')}` };
+    }
+    won = stage.outcome === 'won';
+  }
+
+  const result = await db.query(
+    `UPDATE leads SET
+       status = COALESCE($2, status),
+       project_value = COALESCE($3, project_value),
+       won_date = CASE WHEN $4 THEN COALESCE(won_date, NOW()) ELSE won_date END,
+       updated_at = NOW()
+     WHERE id = $1 RETURNING *`,
+    [leadId, status || null, projectValue === undefined ? null : projectValue, won]
+  );
+
+  if (status !== undefined && status !== lead.status) {
+    await pipeline.recordStageChange(lead, lead.status, status, changedBy);
+  }
+
+  return { lead: result.rows[0] };
+}
+
+// Keys saved before the storage layer can be full URLs or /uploads paths
+async function fileUrl(key, baseUrl) {
+  if (!key) return null;
+  if (/^(https?:)?\//.test(key)) return key;
+  return storage.getAssetUrl(key, baseUrl);
+}
+
+// uploads/upload-<id>.jpg has a thumbnail at uploads/thumb-<id>.jpg
+function thumbnailKey(originalKey) {
+  const match = originalKey && originalKey.match(/^uploads\/upload-(.+)\.jpg$/);
+  return match ? storage.keys.upload(`thumb-${match[1]}.jpg`) : null;
+}
+
+function isVideo(key) {
+  return Boolean(key) && /\.mp4$/i.test(key);
+}
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+async function serializeLead(row, baseUrl) {
+  const variants = await Promise.all((row.variants || []).map(async variant => {
+    const video = variant.mediaType === 'video';
+    return {
+      id: variant.id,
+      label: variant.label,
+      prompt: variant.prompt,
+      mediaType: variant.mediaType || 'image',
+      imageUrl: await fileUrl(video ? variant.stillImage : variant.generatedImage, baseUrl),
+      videoUrl: video ? await fileUrl(variant.generatedImage, baseUrl) : null
+    };
+  }));
+
+  const designHistory = await Promise.all((row.design_history || []).map(async step => ({
+    version: step.version,
+    jobId: step.jobId,
+    variantId: step.variantId,
+    instruction: step.instruction,
+    prompt: step.prompt,
+    // Video steps are shown by their preview frame
+    imageUrl: await fileUrl(isVideo(step.generatedImage) ? step.previewImage : step.generatedImage, baseUrl),
+    createdAt: step.createdAt
+  })));
+
+  return {
+    id: row.id,
+    companyId: row.company_id,
+    referenceCode: row.reference_code,
+    mergedReferences: row.merged_references || [],
+    customerName: row.customer_name,
+    email: row.email,
+    phone: row.phone,
+    postcode: row.postcode,
+    projectBudget: row.project_budget,
+    startDate: row.start_date,
+    notes: row.notes,
+    customAnswers: row.custom_answers || [],
+    status: row.status,
+    assignedTo: row.assigned_to,
+    projectValue: toNumber(row.project_value),
+    score: row.score,
+    scoreReasons: row.score_reasons || [],
+    wonDate: row.won_date,
+    prompt: row.prompt,
+    brief: row.brief,
+    generationJobId: row.generation_job_id,
+    originalImage: await fileUrl(row.original_image, baseUrl),
+    originalThumbnailUrl: await fileUrl(thumbnailKey(row.original_image), baseUrl),
+    generatedImage: await fileUrl(row.generated_image, baseUrl),
+    generatedStill: await fileUrl(row.generated_still, baseUrl),
+    inspirationImage: await fileUrl(row.inspiration_image, baseUrl),
+    mediaTypes: row.media_types || ['image'],
+    chosenVariantId: row.chosen_variant_id,
+    variants,
+    designHistory,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function dayKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+// Dashboard totals for a company. query: { month (YYYY-MM), from, to, assignee }.
+// leadsByDay covers from..to, or the 30 days up to `to` (or today) when there's no `from`.
+// Returns { stats } or { error }.
+async function getStats(companyId, query = {}) {
+  const range = {};
+  if (query.month) {
+    const match = /^(\d{4})-(\d{2})$/.exec(query.month);
+    if (!match) return { error: 'Month must be in YYYY-MM format' };
+
+    const start = new Date(Date.UTC(parseInt(match[1], 10), parseInt(match[2], 10) - 1, 1));
+    const end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+    range.from = start.toISOString();
+    range.to = new Date(end.getTime() - 1).toISOString();
+  }
+
+  const stages = await pipeline.getStages(companyId);
+  const wonStages = stages.filter(stage => stage.outcome === 'won').map(stage => stage.key);
+  const lostStages = stages.filter(stage => stage.outcome === 'lost').map(stage => stage.key);
+
+  const filters = buildFilters(companyId, {
+    from: query.from || range.from,
+    to: query.to || range.to,
+    assignee: query.assignee
+  });
+  if (filters.error) return { error: filters.error };
+
+  const { clauses, params } = filters;
+  const where = clauses.join(' AND ');
+
+  const dayEnd = (query.to && parseDate(query.to, { endOfDay: true })) || (range.to && new Date(range.to)) || new Date();
+  const dayStart = (query.from && parseDate(query.from)) || (range.from && new Date(range.from))
+    || new Date(dayEnd.getTime() - 29 * 24 * 60 * 60 * 1000);
+  if ((dayEnd - dayStart) / (24 * 60 * 60 * 1000) > MAX_STATS_DAYS) {
+    return { error: `Date range can be up to ${MAX_STATS_DAYS} days` };
+  }
+
+  const wonList = wonStages.map((key, index) => `$${params.length + index + 1}`).join(', ');
+
+  const [byStatus, byBudget, byDay, won, company, timeInStage] = await Promise.all([
+    db.query(`SELECT status, COUNT(*) AS count FROM leads WHERE ${where} GROUP BY status`, params),
+    db.query(`SELECT project_budget, COUNT(*) AS count FROM leads WHERE ${where} GROUP BY project_budget`, params),
+    db.query(
+      `SELECT DATE(created_at) AS day, COUNT(*) AS count FROM leads
+       WHERE ${where} AND created_at >= $${params.length + 1} AND created_at < $${params.length + 2}
+       GROUP BY DATE(created_at)`,
+      [...params, dayStart, dayEnd]
+    ),
+    db.query(
+      `SELECT project_value, won_date, created_at FROM leads
+       WHERE ${where} AND status IN (${wonList}) AND project_value IS NOT NULL`,
+      [...params, ...wonStages]
+    ),
+    db.query('SELECT commission_rate FROM companies WHERE id = $1', [companyId]),
+    pipeline.getTimeInStage(where, params)
+  ]);
+
+  const statusCounts = Object.fromEntries(stages.map(stage => [stage.key, 0]));
+  let totalLeads = 0;
+  byStatus.rows.forEach(row => {
+    statusCounts[row.status] = parseInt(row.count, 10);
+    totalLeads += parseInt(row.count, 10);
+  });
+
+  const budgets = {};
+  byBudget.rows.forEach(row => {
+    if (row.project_budget) budgets[row.project_budget] = parseInt(row.count, 10);
+  });
+
+  const dayCounts = {};
+  byDay.rows.forEach(row => {
+    dayCounts[dayKey(row.day)] = parseInt(row.count, 10);
+  });
+  const leadsByDay = [];
+  for (let day = new Date(dayKey(dayStart)); day < dayEnd; day.setUTCDate(day.getUTCDate() + 1)) {
+    leadsByDay.push({ date: dayKey(day), count: dayCounts[dayKey(day)] || 0 });
+  }
+
+  const revenue = {};
+  let totalRevenue = 0;
+  won.rows.forEach(row => {
+    const value = parseFloat(row.project_value);
+    const month = dayKey(row.won_date || row.created_at).slice(0, 7);
+    revenue[month] = (revenue[month] || 0) + value;
+    totalRevenue += value;
+  });
+
+  const commissionRate = company.rows[0] && company.rows[0].commission_rate !== null
+    ? parseFloat(company.rows[0].commission_rate)
+    : DEFAULT_COMMISSION_RATE;
+  const countIn = (keys) => keys.reduce((sum, key) => sum + statusCounts[key], 0);
+  const wonLeads = countIn(wonStages);
+
+  return {
+    stats: {
+      totalLeads,
+      wonLeads,
+      lostLeads: countIn(lostStages),
+      // Pipeline stages in order, with their lead counts and average days spent in each
+      stages: stages.map(stage => ({
+        ...stage,
+        count: statusCounts[stage.key],
+        averageDays: timeInStage[stage.key] ? timeInStage[stage.key].averageDays : null
+      })),
+      totalRevenue,
+      commissionAmount: Math.round(totalRevenue * commissionRate * 100) / 100,
+      conversionRate: totalLeads > 0 ? (wonLeads / totalLeads * 100).toFixed(1) : 0,
+      averageProjectValue: won.rows.length > 0 ? (totalRevenue / won.rows.length).toFixed(2) : 0,
+      byBudget: budgets,
+      leadsByDay,
+      revenueByMonth: Object.keys(revenue).sort().map(month => ({ month, revenue: revenue[month] }))
+    }
+  };
+}
+
+module.exports = {
+  listLeads,
+  updateLead,
+  fileUrl,
+  isVideo,
+  serializeLead,
+  getStats
+};
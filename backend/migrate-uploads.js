@@ -0,0 +1,71 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const storage = require('./storage');
+const db = require('./database');
+
+// One-off move of files written straight to backend/uploads (before the storage
+// layer) into the configured store. Run with --keep to leave the local copies.
+const keepLocal = process.argv.includes('--keep');
+const uploadsDir = path.join(__dirname, 'uploads');
+
+// Full renders used to sit next to the uploads; they now live under renders/
+function keyFor(filename) {
+  if (filename.startsWith('generated-')) return storage.keys.render(filename);
+  if (filename.startsWith('preview-')) return storage.keys.preview(filename);
+  return storage.keys.upload(filename);
+}
+
+async function migrateUploads() {
+  try {
+    if (!fs.existsSync(uploadsDir)) {
+      console.log('✅ No uploads folder, nothing to migrate');
+      process.exit(0);
+    }
+
+    const files = fs.readdirSync(uploadsDir).filter(name => !name.startsWith('.'));
+    console.log(`🔄 Migrating ${files.length} file(s) to ${storage.driver} storage...`);
+
+    let moved = 0;
+    let skipped = 0;
+
+    for (const filename of files) {
+      const localPath = path.join(uploadsDir, filename);
+      const key = keyFor(filename);
+
+      // With the default local driver uploads/* is already in place
+      if (storage.driver === 'local' && path.resolve(storage.root, key) === localPath) {
+        skipped++;
+        continue;
+      }
+
+      if (!(await storage.exists(key))) {
+        await storage.put(key, fs.readFileSync(localPath));
+      }
+
+      if (!keepLocal) {
+        fs.unlinkSync(localPath);
+      }
+
+      console.log(`   ${filename} → ${key}`);
+      moved++;
+    }
+
+    // Old leads stored full /uploads/generated-* URLs; point them at the render keys
+    const result = await db.query(
+      `UPDATE leads
+       SET generated_image = 'renders/' || substring(generated_image from '/uploads/(generated-[^/?]+)')
+       WHERE generated_image ~ '/uploads/generated-[^/?]+'`
+    );
+
+    console.log(`✅ Moved ${moved} file(s), ${skipped} already in place`);
+    console.log(`✅ Updated ${result.rowCount} lead render reference(s)`);
+    console.log('🎉 Upload migration complete!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Upload migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrateUploads();
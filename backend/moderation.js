@@ -0,0 +1,299 @@
+// Prompt moderation
+// Free text from the widget (brief notes, plain prompts and refinement instructions) is
+// checked before anything is sent to a provider: first against the blocklist (built-in
+// terms, MODERATION_BLOCKLIST and the company's own terms), then for prompts that have
+// nothing to do with a home, and finally by the optional classifier hook.
+// Rejections are logged per company in moderation_rejections.
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('./database');
+
+const CLASSIFIER_URL = process.env.MODERATION_CLASSIFIER_URL;
+const CLASSIFIER_KEY = process.env.MODERATION_CLASSIFIER_KEY;
+const CLASSIFIER_TIMEOUT_MS = parseInt(process.env.MODERATION_CLASSIFIER_TIMEOUT_MS, 10) || 5000;
+// When the classifier is down requests go through on the blocklist alone, unless this is set
+const FAIL_CLOSED = process.env.MODERATION_FAIL_CLOSED === 'true';
+
+const MAX_LOGGED_TEXT_LENGTH = 1000;
+const MAX_COMPANY_TERMS = 200;
+
+// Built-in blocklist by category. Terms match whole words, plurals included.
+const DEFAULT_BLOCKLIST = {
+  adult: ['nude', 'nudity', 'naked', 'nsfw', 'porn', 'porno', 'pornographic', 'sex', 'sexy', 'erotic',
+    'topless', 'lingerie', 'fetish', 'xxx', 'stripper'],
+  // No bare "gun": it turns up in "gun metal grey" and "gun safe"
+  violence: ['gore', 'corpse', 'dead body', 'murder', 'massacre', 'torture', 'handgun', 'shotgun',
+    'machine gun', 'rifle', 'pistol', 'weapon', 'bomb', 'terrorist', 'suicide', 'self harm'],
+  hate: ['nazi', 'swastika', 'kkk', 'white power', 'genocide'],
+  drugs: ['cocaine', 'heroin', 'meth lab', 'crack pipe']
+};
+
+// Requests for pictures of something other than a space
+const OFF_TOPIC_TERMS = ['portrait', 'selfie', 'celebrity', 'my face', 'photo of me', 'picture of me',
+  'anime', 'cartoon character', 'superhero', 'meme', 'logo', 'dinosaur', 'dragon', 'spaceship',
+  'poem', 'essay', 'joke', 'song', 'lyrics', 'recipe', 'homework'];
+
+// Attempts to break out of the prompt the text is placed inside
+const MANIPULATION_TERMS = ['ignore previous instructions', 'ignore all previous instructions',
+  'ignore the above', 'disregard the above', 'disregard previous instructions', 'system prompt',
+  'jailbreak'];
+
+// Longer texts must mention at least one of these (prefix match, so "tile" covers "tiled")
+const HOME_TERMS = ['room', 'kitchen', 'bath', 'bedroom', 'living', 'lounge', 'dining', 'hall', 'office',
+  'wall', 'floor', 'ceiling', 'tile', 'paint', 'colour', 'color', 'cabinet', 'cupboard', 'counter',
+  'worktop', 'island', 'sink', 'tap', 'faucet', 'shower', 'tub', 'toilet', 'vanity', 'mirror', 'window',
+  'door', 'light', 'lamp', 'furniture', 'sofa', 'couch', 'chair', 'table', 'bed', 'shelf', 'shelves',
+  'carpet', 'rug', 'curtain', 'blind', 'fireplace', 'stair', 'garage', 'loft', 'attic', 'basement',
+  'house', 'home', 'space', 'garden', 'patio', 'deck', 'roof', 'exterior', 'interior', 'facade', 'porch',
+  'fence', 'plant', 'wood', 'oak', 'marble', 'stone', 'brick', 'concrete', 'granite', 'quartz', 'metal',
+  'brass', 'glass', 'style', 'modern', 'rustic', 'classic', 'traditional', 'minimal', 'industrial',
+  'scandi', 'boho', 'cosy', 'cozy', 'bright', 'dark', 'warm', 'decor', 'design', 'renovat', 'remodel',
+  'refurb', 'extension', 'layout', 'open plan', 'storage', 'wardrobe', 'panel', 'plaster', 'wallpaper',
+  'finish', 'matte', 'gloss', 'texture', 'pattern'];
+
+// Only texts with at least this many words are checked for home-related terms
+const MIN_WORDS_FOR_TOPIC_CHECK = 5;
+
+const MESSAGES = {
+  blocked: 'Sorry, we can\'t create that design. Please describe the changes you\'d like to make to your space.',
+  off_topic: 'That doesn\'t sound like a home renovation. Try describing the room, materials, colours or style you\'d like.',
+  unavailable: 'We couldn\'t check your description just now. Please try again in a moment.'
+};
+
+let classifier = CLASSIFIER_URL ? httpClassifier : null;
+
+// Lower case, accents removed and common character swaps undone ("s3xy" -> "sexy")
+function normalise(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[0134@$5]/g, char => ({ 0: 'o', 1: 'i', 3: 'e', 4: 'a', '@': 'a', $: 's', 5: 's' })[char])
+    .replace(/\s+/g, ' ');
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word patterns for a list of terms, allowing plurals
+function compileTerms(terms, { prefix = false } = {}) {
+  return terms
+    .map(term => normalise(String(term)).trim())
+    .filter(Boolean)
+    .map(term => ({
+      term,
+      pattern: new RegExp(
+        `(^|[^a-z])${escapeRegExp(term).replace(/ /g, '\\s+')}${prefix ? '' : '(s|es)?(?=$|[^a-z])'}`
+      )
+    }));
+}
+
+function findTerm(patterns, text) {
+  const match = patterns.find(({ pattern }) => pattern.test(text));
+  return match ? match.term : null;
+}
+
+const blocklist = Object.entries(DEFAULT_BLOCKLIST).map(([category, terms]) => ({
+  category,
+  patterns: compileTerms(terms)
+}));
+
+if (process.env.MODERATION_BLOCKLIST) {
+  blocklist.push({ category: 'custom', patterns: compileTerms(process.env.MODERATION_BLOCKLIST.split(',')) });
+}
+
+const offTopicPatterns = compileTerms(OFF_TOPIC_TERMS);
+const manipulationPatterns = compileTerms(MANIPULATION_TERMS);
+const homePatterns = compileTerms(HOME_TERMS, { prefix: true });
+
+// Default classifier: POSTs { text, companyId } to MODERATION_CLASSIFIER_URL and
+// expects { allowed, category?, reason? } back
+async function httpClassifier(text, { companyId }) {
+  const response = await fetch(CLASSIFIER_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(CLASSIFIER_KEY ? { Authorization: `Bearer ${CLASSIFIER_KEY}` } : {})
+    },
+    body: JSON.stringify({ text, companyId: companyId || null }),
+    signal: AbortSignal.timeout(CLASSIFIER_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Classifier returned ${response.status}`);
+  }
+  return response.json();
+}
+
+// Replaces the classifier hook. fn(text, { companyId }) resolves to
+// { allowed, category?, reason? }; pass null to turn classification off.
+function setClassifier(fn) {
+  classifier = fn;
+}
+
+async function getCompanyTerms(companyId) {
+  if (!companyId) return [];
+
+  try {
+    const result = await db.query('SELECT moderation_blocklist FROM companies WHERE id = $1', [companyId]);
+    return result.rows[0]?.moderation_blocklist || [];
+  } catch (error) {
+    console.warn('Moderation blocklist lookup failed, using defaults:', error.message);
+    return [];
+  }
+}
+
+// Returns an error message for an invalid list of company terms, or null
+function validateTerms(terms) {
+  if (!Array.isArray(terms) || terms.some(term => typeof term !== 'string')) {
+    return 'Blocked terms must be a list of text values';
+  }
+  if (terms.length > MAX_COMPANY_TERMS) {
+    return `You can block up to ${MAX_COMPANY_TERMS} terms`;
+  }
+  if (terms.some(term => term.trim().length > 100)) {
+    return 'Blocked terms must be 100 characters or fewer';
+  }
+  return null;
+}
+
+async function setCompanyTerms(companyId, terms) {
+  const cleaned = [...new Set(terms.map(term => term.trim().toLowerCase()).filter(Boolean))];
+
+  const result = await db.query(
+    'UPDATE companies SET moderation_blocklist = $2 WHERE id = $1 RETURNING id',
+    [companyId, JSON.stringify(cleaned)]
+  );
+  return result.rows.length > 0 ? cleaned : null;
+}
+
+// Local checks for one text. Returns { category, matched } or null.
+function checkLocally(text, companyPatterns) {
+  const normalised = normalise(text);
+
+  for (const { category, patterns } of blocklist) {
+    const matched = findTerm(patterns, normalised);
+    if (matched) return { category, matched };
+  }
+
+  const companyMatch = findTerm(companyPatterns, normalised);
+  if (companyMatch) return { category: 'custom', matched: companyMatch };
+
+  const manipulation = findTerm(manipulationPatterns, normalised);
+  if (manipulation) return { category: 'manipulation', matched: manipulation };
+
+  const offTopic = findTerm(offTopicPatterns, normalised);
+  if (offTopic) return { category: 'off_topic', matched: offTopic };
+
+  const words = normalised.split(/[^a-z]+/).filter(Boolean);
+  if (words.length >= MIN_WORDS_FOR_TOPIC_CHECK && !findTerm(homePatterns, normalised)) {
+    return { category: 'off_topic', matched: null };
+  }
+
+  return null;
+}
+
+async function logRejection({ companyId, visitorId, source, text, category, matched }) {
+  try {
+    await db.query(
+      `INSERT INTO moderation_rejections (id, company_id, visitor_id, source, text, category, matched)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [uuidv4(), companyId || null, visitorId || null, source, text.slice(0, MAX_LOGGED_TEXT_LENGTH), category, matched]
+    );
+  } catch (error) {
+    console.error('Failed to log moderation rejection:', error.message);
+  }
+}
+
+// Checks the visitor's texts before a generation. source is 'generate', 'refine' or
+// 'portal' (a design made from the customer portal).
+// Returns null when everything is allowed, otherwise { status, error, category }
+// with a message that is safe to show in the widget.
+async function moderate({ companyId, visitorId, source, texts }) {
+  const items = texts.filter(text => typeof text === 'string' && text.trim());
+  if (items.length === 0) return null;
+
+  const companyPatterns = compileTerms(await getCompanyTerms(companyId));
+
+  for (const text of items) {
+    let rejection = checkLocally(text, companyPatterns);
+
+    if (!rejection && classifier) {
+      try {
+        const verdict = await classifier(text, { companyId });
+        if (verdict && verdict.allowed === false) {
+          rejection = { category: verdict.category || 'classifier', matched: verdict.reason || null };
+        }
+      } catch (error) {
+        console.error('Moderation classifier error:', error.message);
+        if (FAIL_CLOSED) {
+          return { status: 503, error: MESSAGES.unavailable, category: 'unavailable' };
+        }
+      }
+    }
+
+    if (rejection) {
+      console.log(`⚠️ Prompt rejected (${rejection.category}) for company ${companyId || 'none'}`);
+      await logRejection({ companyId, visitorId, source, text, ...rejection });
+
+      return {
+        status: 400,
+        error: rejection.category === 'off_topic' ? MESSAGES.off_topic : MESSAGES.blocked,
+        category: rejection.category
+      };
+    }
+  }
+
+  return null;
+}
+
+// Recent rejections and per-category counts since `since`, for the dashboard
+async function getRejections(companyId, { since, limit = 50 }) {
+  const [recent, counts] = await Promise.all([
+    db.query(
+      `SELECT id, visitor_id, source, text, category, matched, created_at
+       FROM moderation_rejections
+       WHERE company_id = $1 AND created_at >= $2
+       ORDER BY created_at DESC LIMIT $3`,
+      [companyId, since, limit]
+    ),
+    db.query(
+      `SELECT category, COUNT(*) AS count, COUNT(DISTINCT visitor_id) AS visitors
+       FROM moderation_rejections
+       WHERE company_id = $1 AND created_at >= $2
+       GROUP BY category`,
+      [companyId, since]
+    )
+  ]);
+
+  const byCategory = {};
+  let total = 0;
+  counts.rows.forEach(row => {
+    byCategory[row.category] = parseInt(row.count, 10);
+    total += parseInt(row.count, 10);
+  });
+
+  return {
+    total,
+    byCategory,
+    rejections: recent.rows.map(row => ({
+      id: row.id,
+      visitorId: row.visitor_id,
+      source: row.source,
+      text: row.text,
+      category: row.category,
+      matched: row.matched,
+      createdAt: row.created_at
+    }))
+  };
+}
+
+module.exports = {
+  moderate,
+  setClassifier,
+  getCompanyTerms,
+  validateTerms,
+  setCompanyTerms,
+  getRejections
+};
@@ -0,0 +1,194 @@
+// Pipeline stages
+// Each company can set its own stages (companies.pipeline_stages): name, order,
+// colour and whether a stage counts as won or lost. leads.status holds the stage
+// key, and every move between stages is recorded in lead_stage_changes so we can
+// report how long leads spend in each stage.
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('./database');
+
+const MAX_STAGES = 15;
+const MAX_NAME_LENGTH = 50;
+const MAX_CHANGED_BY_LENGTH = 255;
+const STAGE_KEY = /^[a-z0-9][a-z0-9-]{0,49}$/;
+const COLOUR = /^#[0-9a-f]{6}$/i;
+const OUTCOMES = ['won', 'lost'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_STAGES = [
+  { key: 'new', name: 'New', color: '#1976d2', outcome: null },
+  { key: 'contacted', name: 'Contacted', color: '#f57c00', outcome: null },
+  { key: 'quoted', name: 'Quoted', color: '#7b1fa2', outcome: null },
+  { key: 'won', name: 'Won', color: '#388e3c', outcome: 'won' },
+  { key: 'lost', name: 'Lost', color: '#d32f2f', outcome: 'lost' }
+];
+
+// The company's stages in order, or the default ones
+async function getStages(companyId) {
+  let stages = null;
+
+  if (companyId) {
+    try {
+      const result = await db.query('SELECT pipeline_stages FROM companies WHERE id = $1', [companyId]);
+      stages = result.rows[0]?.pipeline_stages || null;
+    } catch (error) {
+      console.warn('Pipeline lookup failed, using the default stages:', error.message);
+    }
+  }
+
+  return stages || DEFAULT_STAGES;
+}
+
+// Where new leads start
+async function getFirstStage(companyId) {
+  return (await getStages(companyId))[0].key;
+}
+
+// Checks stages from the dashboard. Returns { stages } with only the known properties kept, or { error }.
+// New leads land in the first stage, so it can't be a won or lost stage.
+function validateStages(stages) {
+  if (!Array.isArray(stages) || stages.length < 2 || stages.length > MAX_STAGES) {
+    return { error: `A pipeline needs between 2 and ${MAX_STAGES} stages` };
+  }
+
+  const cleaned = [];
+  for (const stage of stages) {
+    if (!stage || typeof stage !== 'object' || !STAGE_KEY.test(stage.key || '')) {
+      return { error: 'Stage keys must be lowercase letters, numbers and dashes' };
+    }
+    if (cleaned.some(existing => existing.key === stage.key)) {
+      return { error: `Duplicate stage: ${stage.key}` };
+    }
+
+    const name = typeof stage.name === 'string' ? stage.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      return { error: `Stage names must be 1 to ${MAX_NAME_LENGTH} characters` };
+    }
+    if (!COLOUR.test(stage.color || '')) {
+      return { error: `${name}: colour must be a hex colour like #1976d2` };
+    }
+
+    const outcome = stage.outcome || null;
+    if (outcome && !OUTCOMES.includes(outcome)) {
+      return { error: `${name}: outcome must be won, lost or empty` };
+    }
+
+    cleaned.push({ key: stage.key, name, color: stage.color.toLowerCase(), outcome });
+  }
+
+  if (cleaned[0].outcome) {
+    return { error: 'The first stage is where new leads start, so it can\'t be a won or lost stage' };
+  }
+  for (const outcome of OUTCOMES) {
+    if (!cleaned.some(stage => stage.outcome === outcome)) {
+      return { error: `At least one stage must count as ${outcome}` };
+    }
+  }
+
+  return { stages: cleaned };
+}
+
+// Saves stages checked with validateStages (null goes back to the defaults).
+// Stages that still have leads in them can't be removed.
+// Returns { stages }, { error } or null when the company doesn't exist.
+async function setStages(companyId, stages) {
+  const keys = (stages || DEFAULT_STAGES).map(stage => stage.key);
+  const placeholders = keys.map((key, index) => `$${index + 2}`).join(', ');
+
+  const stranded = await db.query(
+    `SELECT status, COUNT(*) AS count FROM leads
+     WHERE company_id = $1 AND status NOT IN (${placeholders})
+     GROUP BY status`,
+    [companyId, ...keys]
+  );
+  if (stranded.rows.length > 0) {
+    const current = await getStages(companyId);
+    const names = stranded.rows.map(row => {
+      const stage = current.find(item => item.key === row.status);
+      return `${stage ? stage.name : row.status} (${row.count})`;
+    });
+    return { error: `Move the leads out of these stages before removing them: ${names.join(', ')}` };
+  }
+
+  const result = await db.query(
+    'UPDATE companies SET pipeline_stages = $2 WHERE id = $1 RETURNING id',
+    [companyId, stages ? JSON.stringify(stages) : null]
+  );
+  if (result.rows.length === 0) return null;
+
+  return { stages: await getStages(companyId) };
+}
+
+// Records a move between stages. changedBy is who made it (a name, or the automation).
+async function recordStageChange(lead, fromStage, toStage, changedBy) {
+  await db.query(
+    `INSERT INTO lead_stage_changes (id, lead_id, company_id, from_stage, to_stage, changed_by)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [
+      uuidv4(),
+      lead.id,
+      lead.company_id,
+      fromStage,
+      toStage,
+      changedBy ? String(changedBy).slice(0, MAX_CHANGED_BY_LENGTH) : null
+    ]
+  );
+}
+
+// A lead's stage moves, oldest first
+async function getStageHistory(leadId) {
+  const result = await db.query(
+    `SELECT from_stage, to_stage, changed_by, changed_at FROM lead_stage_changes
+     WHERE lead_id = $1 ORDER BY changed_at ASC`,
+    [leadId]
+  );
+
+  return result.rows.map(row => ({
+    fromStage: row.from_stage,
+    toStage: row.to_stage,
+    changedBy: row.changed_by,
+    changedAt: row.changed_at
+  }));
+}
+
+// Average days leads spent in each stage before moving on, from the recorded moves.
+// Leads start in the first move's from_stage at created_at. `where`/`params` pick the
+// leads (a WHERE clause on the leads table). Returns { [stageKey]: { averageDays, moves } }.
+async function getTimeInStage(where, params) {
+  const result = await db.query(
+    `SELECT s.lead_id, s.from_stage, s.changed_at, l.created_at AS lead_created_at
+     FROM lead_stage_changes s
+     JOIN leads l ON l.id = s.lead_id
+     WHERE s.lead_id IN (SELECT id FROM leads WHERE ${where})
+     ORDER BY s.lead_id, s.changed_at ASC`,
+    params
+  );
+
+  const totals = {};
+  let previous = null;
+  result.rows.forEach(row => {
+    const enteredAt = previous && previous.lead_id === row.lead_id ? previous.changed_at : row.lead_created_at;
+    const days = Math.max(0, new Date(row.changed_at) - new Date(enteredAt)) / DAY_MS;
+
+    const total = totals[row.from_stage] || (totals[row.from_stage] = { days: 0, moves: 0 });
+    total.days += days;
+    total.moves += 1;
+    previous = row;
+  });
+
+  return Object.fromEntries(Object.entries(totals).map(([key, total]) => [
+    key,
+    { averageDays: Math.round(total.days / total.moves * 10) / 10, moves: total.moves }
+  ]));
+}
+
+module.exports = {
+  DEFAULT_STAGES,
+  getStages,
+  getFirstStage,
+  validateStages,
+  setStages,
+  recordStageChange,
+  getStageHistory,
+  getTimeInStage
+};
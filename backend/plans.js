@@ -0,0 +1,24 @@
+// Generation limits per plan (companies.plan)
+// Limits count renders sent to a provider; designs served from the cache are free.
+// visitorDailyGenerations caps one widget visitor and can be lowered per company.
+
+module.exports = {
+  trial: {
+    label: 'Trial',
+    dailyGenerations: 25,
+    monthlyGenerations: 200,
+    visitorDailyGenerations: 6
+  },
+  starter: {
+    label: 'Starter',
+    dailyGenerations: 100,
+    monthlyGenerations: 1500,
+    visitorDailyGenerations: 10
+  },
+  pro: {
+    label: 'Pro',
+    dailyGenerations: 500,
+    monthlyGenerations: 10000,
+    visitorDailyGenerations: 20
+  }
+};
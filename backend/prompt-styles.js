@@ -0,0 +1,137 @@
+// Per-company renovation style library (prompt_styles table)
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('./database');
+const storage = require('./storage');
+const defaultPrompts = require('./default-prompts');
+
+const TRADES = Object.keys(defaultPrompts);
+
+// Copies the default styles into a company's library
+async function seedDefaultStyles(companyId) {
+  let sortOrder = 0;
+
+  for (const trade of TRADES) {
+    for (const style of defaultPrompts[trade]) {
+      await db.query(
+        `INSERT INTO prompt_styles (id, company_id, trade, name, prompt, sort_order, enabled)
+         VALUES ($1, $2, $3, $4, $5, $6, true)`,
+        [uuidv4(), companyId, trade, style.name, style.prompt, sortOrder++]
+      );
+    }
+  }
+
+  console.log(`✅ Seeded default styles for ${companyId}`);
+}
+
+// A company without any styles gets the defaults on first use
+async function listStyles(companyId, { trade, enabledOnly = false } = {}) {
+  const count = await db.query('SELECT COUNT(*) FROM prompt_styles WHERE company_id = $1', [companyId]);
+  if (parseInt(count.rows[0].count, 10) === 0) {
+    await seedDefaultStyles(companyId);
+  }
+
+  const conditions = ['company_id = $1'];
+  const params = [companyId];
+
+  if (trade) {
+    params.push(trade);
+    conditions.push(`trade = $${params.length}`);
+  }
+
+  if (enabledOnly) {
+    conditions.push('enabled = true');
+  }
+
+  const result = await db.query(
+    `SELECT * FROM prompt_styles WHERE ${conditions.join(' AND ')}
+     ORDER BY sort_order ASC, created_at ASC`,
+    params
+  );
+  return result.rows;
+}
+
+async function getStyle(companyId, styleId) {
+  const result = await db.query(
+    'SELECT * FROM prompt_styles WHERE id = $1 AND company_id = $2',
+    [styleId, companyId]
+  );
+  return result.rows[0] || null;
+}
+
+async function createStyle(companyId, { trade, name, prompt, enabled = true }) {
+  const last = await db.query(
+    'SELECT COALESCE(MAX(sort_order), -1) AS max FROM prompt_styles WHERE company_id = $1',
+    [companyId]
+  );
+
+  const result = await db.query(
+    `INSERT INTO prompt_styles (id, company_id, trade, name, prompt, sort_order, enabled)
+     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+    [uuidv4(), companyId, trade, name, prompt, last.rows[0].max + 1, enabled]
+  );
+  return result.rows[0];
+}
+
+const EDITABLE_FIELDS = ['trade', 'name', 'prompt', 'enabled', 'thumbnail'];
+
+async function updateStyle(companyId, styleId, changes) {
+  const fields = EDITABLE_FIELDS.filter(field => changes[field] !== undefined);
+  if (fields.length === 0) {
+    return getStyle(companyId, styleId);
+  }
+
+  const assignments = fields.map((field, i) => `${field} = $${i + 3}`);
+  const result = await db.query(
+    `UPDATE prompt_styles SET ${assignments.join(', ')}, updated_at = NOW()
+     WHERE id = $1 AND company_id = $2 RETURNING *`,
+    [styleId, companyId, ...fields.map(field => changes[field])]
+  );
+  return result.rows[0] || null;
+}
+
+async function deleteStyle(companyId, styleId) {
+  const result = await db.query(
+    'DELETE FROM prompt_styles WHERE id = $1 AND company_id = $2 RETURNING *',
+    [styleId, companyId]
+  );
+
+  const style = result.rows[0];
+  if (style?.thumbnail) {
+    await storage.remove(style.thumbnail);
+  }
+  return style || null;
+}
+
+// Sets sort_order from the position of each id in styleIds
+async function reorderStyles(companyId, styleIds) {
+  for (let i = 0; i < styleIds.length; i++) {
+    await db.query(
+      'UPDATE prompt_styles SET sort_order = $1, updated_at = NOW() WHERE id = $2 AND company_id = $3',
+      [i, styleIds[i], companyId]
+    );
+  }
+}
+
+async function serializeStyle(style, baseUrl) {
+  return {
+    id: style.id,
+    trade: style.trade,
+    name: style.name,
+    prompt: style.prompt,
+    thumbnailUrl: await storage.getAssetUrl(style.thumbnail, baseUrl),
+    sortOrder: style.sort_order,
+    enabled: style.enabled
+  };
+}
+
+module.exports = {
+  TRADES,
+  listStyles,
+  getStyle,
+  createStyle,
+  updateStyle,
+  deleteStyle,
+  reorderStyles,
+  serializeStyle
+};
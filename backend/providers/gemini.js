@@ -0,0 +1,97 @@
+// Google Gemini image generation provider
+// Sends the photo and prompt to a Gemini image model and returns the inline image it responds with.
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const imageProcessing = require('../image-processing');
+
+// Estimated USD per generated image
+const COST_PER_RENDER = parseFloat(process.env.GEMINI_COST_PER_RENDER) || 0.039;
+
+function getConfig(overrides = {}) {
+  return {
+    apiKey: process.env.GEMINI_API_KEY,
+    model: process.env.GEMINI_IMAGE_MODEL || 'gemini-2.0-flash-preview-image-generation',
+    ...overrides
+  };
+}
+
+function isConfigured(overrides) {
+  return Boolean(getConfig(overrides).apiKey);
+}
+
+// Gemini edits the photo from an instruction, so ask it to keep the shot unchanged
+function buildPrompt(description, { masked = false, refinement = false, inspiration = false } = {}) {
+  const scope = masked
+    ? 'Only change the area shown in white in the second image (the mask) and leave everything else exactly as it is. '
+    : '';
+  const style = inspiration
+    ? 'The last image is an inspiration photo: copy its style, materials, colours and finishes, but not its layout. '
+    : '';
+
+  // Refinements start from an earlier render, so ask for just the one change
+  if (refinement) {
+    return `Make this change to the renovated space in the photo: ${description}. ${scope}Keep everything else in the image exactly as it is, including the camera angle and perspective. Photorealistic result.`;
+  }
+
+  return `Edit this photo to show the space after a professional renovation: ${description}. ${scope}${style}Keep the camera angle, perspective and room proportions identical to the original photo. Photorealistic result with natural lighting and accurate materials.`;
+}
+
+async function generate({ imageBuffer, mimeType, maskBuffer, inspirationBuffer, inspirationMimeType, prompt, signal }, overrides) {
+  const config = getConfig(overrides);
+
+  if (!config.apiKey) {
+    throw new Error('Gemini API key is not configured. Please set GEMINI_API_KEY in environment variables.');
+  }
+
+  console.log(`Calling Gemini model ${config.model}...`);
+
+  const genAI = new GoogleGenerativeAI(config.apiKey);
+  const model = genAI.getGenerativeModel({
+    model: config.model,
+    generationConfig: { responseModalities: ['TEXT', 'IMAGE'] }
+  });
+
+  const parts = [
+    { text: prompt },
+    { inlineData: { mimeType, data: imageBuffer.toString('base64') } }
+  ];
+  if (maskBuffer) {
+    parts.push({ inlineData: { mimeType: 'image/png', data: maskBuffer.toString('base64') } });
+  }
+  if (inspirationBuffer) {
+    parts.push({ inlineData: { mimeType: inspirationMimeType, data: inspirationBuffer.toString('base64') } });
+  }
+
+  const result = await model.generateContent(parts, { signal });
+
+  const responseParts = result.response.candidates?.[0]?.content?.parts || [];
+  const imagePart = responseParts.find(part => part.inlineData?.data);
+
+  if (!imagePart) {
+    const text = responseParts.map(part => part.text).filter(Boolean).join(' ');
+    throw new Error('No image in Gemini response' + (text ? `: ${text}` : ''));
+  }
+
+  const buffer = Buffer.from(imagePart.inlineData.data, 'base64');
+
+  // Gemini can drift outside the mask, so only keep its changes inside it
+  if (maskBuffer) {
+    return imageProcessing.compositeWithMask(imageBuffer, buffer, maskBuffer);
+  }
+
+  return {
+    buffer,
+    mimeType: imagePart.inlineData.mimeType || 'image/png'
+  };
+}
+
+module.exports = {
+  name: 'gemini',
+  maxImageDimension: 2048,
+  label: 'Google Gemini',
+  supportsInspiration: true,
+  costPerRender: COST_PER_RENDER,
+  isConfigured,
+  buildPrompt,
+  generate
+};
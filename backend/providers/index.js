@@ -0,0 +1,84 @@
+// Image generation provider registry
+// Picks the provider for a request: the company's own setting first, then IMAGE_PROVIDER, then RunwayML.
+
+const db = require('../database');
+const runway = require('./runway');
+const gemini = require('./gemini');
+const mock = require('./mock');
+
+const providers = {
+  [runway.name]: runway,
+  [gemini.name]: gemini,
+  [mock.name]: mock
+};
+
+const DEFAULT_PROVIDER = 'runway';
+
+function getDefaultProviderName() {
+  const name = (process.env.IMAGE_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+
+  if (!providers[name]) {
+    console.warn(`⚠️ Unknown IMAGE_PROVIDER "${name}", falling back to ${DEFAULT_PROVIDER}`);
+    return DEFAULT_PROVIDER;
+  }
+
+  return name;
+}
+
+function getProvider(name) {
+  return providers[name] || null;
+}
+
+// Returns { provider, config } for a company. A company can pin a provider
+// (companies.image_provider) and override its settings (companies.provider_config).
+async function resolveProvider(companyId) {
+  let name = getDefaultProviderName();
+  let config = {};
+
+  if (companyId) {
+    try {
+      const result = await db.query(
+        'SELECT image_provider, provider_config FROM companies WHERE id = $1',
+        [companyId]
+      );
+      const company = result.rows[0];
+
+      if (company?.image_provider) {
+        if (providers[company.image_provider]) {
+          name = company.image_provider;
+          config = company.provider_config || {};
+        } else {
+          console.warn(`⚠️ Company ${companyId} has unknown image provider "${company.image_provider}"`);
+        }
+      }
+    } catch (error) {
+      // Keep generating with the environment default when the database is unavailable
+      console.warn('Provider lookup failed, using default provider:', error.message);
+    }
+  }
+
+  return { provider: providers[name], config };
+}
+
+// Largest width/height a company's provider accepts, used to size uploads
+async function getMaxImageDimension(companyId) {
+  const { provider, config } = await resolveProvider(companyId);
+  return config.maxImageDimension || provider.maxImageDimension;
+}
+
+function listProviders() {
+  return Object.values(providers).map(provider => ({
+    name: provider.name,
+    label: provider.label,
+    configured: provider.isConfigured(),
+    supportsInspiration: provider.supportsInspiration
+  }));
+}
+
+module.exports = {
+  getDefaultProviderName,
+  getProvider,
+  resolveProvider,
+  getMaxImageDimension,
+  listProviders
+};
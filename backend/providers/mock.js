@@ -0,0 +1,60 @@
+// Mock image generation provider
+// Returns a fixed image without calling any external service, for local development and demos.
+
+const fs = require('fs');
+const path = require('path');
+const mime = require('mime-types');
+const imageProcessing = require('../image-processing');
+
+const DEFAULT_IMAGE = path.join(__dirname, 'fixtures', 'mock-render.png');
+
+function getConfig(overrides = {}) {
+  return {
+    imagePath: process.env.MOCK_PROVIDER_IMAGE || DEFAULT_IMAGE,
+    delayMs: parseInt(process.env.MOCK_PROVIDER_DELAY_MS, 10) || 0,
+    ...overrides
+  };
+}
+
+function isConfigured() {
+  return true;
+}
+
+function buildPrompt(description) {
+  return `Professional architectural visualization: ${description}.`;
+}
+
+async function generate({ imageBuffer, maskBuffer, prompt, signal, onProgress }, overrides) {
+  const config = getConfig(overrides);
+
+  console.log('Mock provider generating for prompt:', prompt);
+
+  if (config.delayMs > 0) {
+    if (onProgress) onProgress(50);
+    await new Promise(resolve => setTimeout(resolve, config.delayMs));
+  }
+  signal?.throwIfAborted();
+
+  const buffer = fs.readFileSync(config.imagePath);
+
+  // Masked edits only replace the painted area of the photo
+  if (maskBuffer) {
+    return imageProcessing.compositeWithMask(imageBuffer, buffer, maskBuffer);
+  }
+
+  return {
+    buffer,
+    mimeType: mime.lookup(config.imagePath) || 'image/png'
+  };
+}
+
+module.exports = {
+  name: 'mock',
+  maxImageDimension: 2048,
+  label: 'Mock',
+  supportsInspiration: true,
+  costPerRender: 0,
+  isConfigured,
+  buildPrompt,
+  generate
+};
@@ -0,0 +1,156 @@
+// RunwayML image generation provider
+// Creates a task on the RunwayML /tasks API and polls until it finishes.
+
+const mime = require('mime-types');
+const imageProcessing = require('../image-processing');
+
+const DEFAULT_API_URL = 'https://api.dev.runwayml.com/v1';
+const API_VERSION = '2024-11-06';
+const MAX_PROMPT_LENGTH = 1000; // RunwayML rejects longer text prompts
+// gen3a_turbo: 5 credits per second of video at $0.01 a credit
+const COST_PER_RENDER = parseFloat(process.env.RUNWAYML_COST_PER_RENDER) || 0.25;
+
+function getConfig(overrides = {}) {
+  return {
+    apiKey: process.env.RUNWAYML_API_KEY,
+    apiUrl: process.env.RUNWAYML_API_URL || DEFAULT_API_URL,
+    taskType: 'gen3a_turbo',
+    duration: 5,
+    ratio: '16:9',
+    pollIntervalMs: 1000,
+    maxAttempts: 60, // 60 seconds max with the default interval
+    ...overrides
+  };
+}
+
+function isConfigured(overrides) {
+  return Boolean(getConfig(overrides).apiKey);
+}
+
+// Short descriptive prompt, trimmed to RunwayML's limit
+function buildPrompt(description, { refinement = false } = {}) {
+  const prompt = refinement
+    ? `The same renovated space with one change: ${description}. Keep everything else identical. High quality, photorealistic rendering.`
+    : `Professional architectural visualization: ${description}. Maintain realistic proportions, lighting, and materials. High quality, photorealistic rendering.`;
+  return prompt.length > MAX_PROMPT_LENGTH ? prompt.slice(0, MAX_PROMPT_LENGTH) : prompt;
+}
+
+async function generate({ imageBuffer, mimeType, maskBuffer, prompt, signal, onProgress }, overrides) {
+  const config = getConfig(overrides);
+
+  if (!config.apiKey) {
+    throw new Error('RunwayML API key is not configured. Please set RUNWAYML_API_KEY in environment variables.');
+  }
+
+  const base64Image = imageBuffer.toString('base64');
+
+  console.log('Creating RunwayML task...');
+
+  // Call RunwayML API - Create a task
+  const runwayResponse = await fetch(`${config.apiUrl}/tasks`, {
+    method: 'POST',
+    signal,
+    headers: {
+      'Authorization': `Bearer ${config.apiKey}`,
+      'Content-Type': 'application/json',
+      'X-Runway-Version': API_VERSION
+    },
+    body: JSON.stringify({
+      taskType: config.taskType,
+      internal: false,
+      options: {
+        name: 'Renovation Visualization',
+        image_prompt: `data:${mimeType};base64,${base64Image}`,
+        text_prompt: prompt,
+        duration: config.duration,
+        ratio: config.ratio
+      }
+    })
+  });
+
+  if (!runwayResponse.ok) {
+    const errorText = await runwayResponse.text();
+    console.error('RunwayML API error:', runwayResponse.status, errorText);
+    throw new Error(`RunwayML API failed: ${runwayResponse.status} - ${errorText}`);
+  }
+
+  const taskData = await runwayResponse.json();
+  console.log('RunwayML task created:', taskData.id);
+
+  // Poll for task completion
+  let attempts = 0;
+  let taskStatus;
+
+  while (attempts < config.maxAttempts) {
+    await new Promise(resolve => setTimeout(resolve, config.pollIntervalMs));
+    signal?.throwIfAborted();
+
+    const statusResponse = await fetch(`${config.apiUrl}/tasks/${taskData.id}`, {
+      signal,
+      headers: {
+        'Authorization': `Bearer ${config.apiKey}`,
+        'X-Runway-Version': API_VERSION
+      }
+    });
+
+    taskStatus = await statusResponse.json();
+    console.log('Task status:', taskStatus.status);
+
+    if (onProgress && typeof taskStatus.progress === 'number') {
+      onProgress(taskStatus.progress * 100);
+    }
+
+    if (taskStatus.status === 'SUCCEEDED') {
+      break;
+    } else if (taskStatus.status === 'FAILED') {
+      throw new Error('RunwayML task failed: ' + (taskStatus.error || 'Unknown error'));
+    }
+
+    attempts++;
+  }
+
+  if (!taskStatus || taskStatus.status !== 'SUCCEEDED') {
+    throw new Error('RunwayML task timed out');
+  }
+
+  // Download the generated video/image
+  const outputUrl = taskStatus.output?.[0] || taskStatus.artifacts?.[0]?.url;
+  if (!outputUrl) {
+    throw new Error('No output URL in RunwayML response');
+  }
+
+  console.log('Downloading generated image from:', outputUrl);
+  const outputResponse = await fetch(outputUrl, { signal });
+  if (!outputResponse.ok) {
+    throw new Error(`RunwayML output download failed: ${outputResponse.status}`);
+  }
+
+  const buffer = Buffer.from(await outputResponse.arrayBuffer());
+
+  // gen3a_turbo returns an MP4. Some CDNs send a generic content type, so fall back to the URL.
+  const contentType = (outputResponse.headers.get('content-type') || '').split(';')[0].trim();
+  const outputType = /^(image|video)\//.test(contentType)
+    ? contentType
+    : mime.lookup(new URL(outputUrl).pathname) || 'video/mp4';
+
+  // RunwayML has no mask input, so masked edits are composited back into the photo
+  if (maskBuffer && outputType.startsWith('image/')) {
+    return imageProcessing.compositeWithMask(imageBuffer, buffer, maskBuffer);
+  }
+
+  return {
+    buffer,
+    mimeType: outputType
+  };
+}
+
+module.exports = {
+  name: 'runway',
+  maxImageDimension: 1280,
+  label: 'RunwayML',
+  supportsInspiration: false, // image_prompt takes a single image
+  costPerRender: COST_PER_RENDER,
+  isConfigured,
+  buildPrompt,
+  generate
+};
@@ -1,12 +1,14 @@
 // Dashboard Logic
 
+const RECENT_LEAD_DAYS = 14;
+
 async function loadDashboard() {
     const companyId = window.COMPANY_ID;
     const apiUrl = window.API_URL;
 
     try {
         // Load company info
-        const companyResponse = await fetch(`${apiUrl}/api/company/${companyId}`);
+        const companyResponse = await apiFetch(`${apiUrl}/api/company/${companyId}`);
         const companyData = await companyResponse.json();
         
         if (companyData.success) {
@@ -14,11 +16,13 @@ async function loadDashboard() {
         }
 
         // Load stats
-        const statsResponse = await fetch(`${apiUrl}/api/company/${companyId}/stats`);
+        const statsResponse = await apiFetch(`${apiUrl}/api/company/${companyId}/stats`);
         const statsData = await statsResponse.json();
 
+        let stages = [];
         if (statsData.success) {
             const stats = statsData.stats;
+            stages = stats.stages;
             
             document.getElementById('totalLeads').textContent = stats.totalLeads;
             document.getElementById('wonLeads').textContent = stats.wonLeads;
@@ -27,16 +31,19 @@ async function loadDashboard() {
             document.getElementById('conversionRate').textContent = `${stats.conversionRate}% conversion`;
         }
 
-        // Load recent leads
-        const leadsResponse = await fetch(`${apiUrl}/api/company/${companyId}/leads`);
+        loadDueTasks();
+
+        // Load recent leads, highest score first
+        const since = new Date(Date.now() - RECENT_LEAD_DAYS * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        const leadsResponse = await apiFetch(`${apiUrl}/api/company/${companyId}/leads?limit=5&sort=score&from=${since}`);
         const leadsData = await leadsResponse.json();
 
         if (leadsData.success) {
-            displayRecentLeads(leadsData.leads.slice(0, 5)); // Show 5 most recent
+            displayRecentLeads(leadsData.leads, stages); // top 5 from the last two weeks
         }
 
         // Load embed code
-        const embedResponse = await fetch(`${apiUrl}/api/company/${companyId}/embed`);
+        const embedResponse = await apiFetch(`${apiUrl}/api/company/${companyId}/embed`);
         const embedData = await embedResponse.json();
 
         if (embedData.success) {
@@ -49,24 +56,24 @@ async function loadDashboard() {
     }
 }
 
-function displayRecentLeads(leads) {
+function displayRecentLeads(leads, stages) {
     const container = document.getElementById('recentLeads');
 
     if (leads.length === 0) {
-        container.innerHTML = '<div class="loading">No leads yet. Add the widget to your website to start capturing leads!</div>';
+        container.innerHTML = `<div class="loading">No leads in the last ${RECENT_LEAD_DAYS} days. Add the widget to your website to start capturing leads!</div>`;
         return;
     }
 
     container.innerHTML = leads.map(lead => `
         <div class="lead-card">
             <div class="lead-info">
-                <h3>${lead.customerName}</h3>
+                <h3>${escapeHtml(lead.customerName)}</h3>
                 <div class="lead-meta">
-                    <span>📧 ${lead.email}</span>
-                    <span>📞 ${lead.phone}</span>
-                    <span>📍 ${lead.postcode}</span>
+                    <span>📧 ${escapeHtml(lead.email)}</span>
+                    ${lead.phone ? `<span>📞 ${escapeHtml(lead.phone)}</span>` : ''}
+                    ${lead.postcode ? `<span>📍 ${escapeHtml(lead.postcode)}</span>` : ''}
                 </div>
-                <span class="lead-budget">${lead.projectBudget}</span>
+                ${lead.projectBudget ? `<span class="lead-budget">${escapeHtml(lead.projectBudget)}</span>` : ''}
                 <p class="text-small" style="margin-top: 10px; color: #999;">
                     ${new Date(lead.createdAt).toLocaleDateString('en-GB', { 
                         day: 'numeric', 
@@ -78,12 +85,101 @@ function displayRecentLeads(leads) {
                 </p>
             </div>
             <div class="lead-actions">
-                <span class="status-badge status-${lead.status}">${lead.status.toUpperCase()}</span>
+                ${scoreBadge(lead)}
+                ${stageBadge(stages, lead.status)}
             </div>
         </div>
     `).join('');
 }
 
+// Safe in text and in quoted attribute values
+function escapeHtml(text) {
+    return String(text == null ? '' : text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+    })[char]);
+}
+
+// A lead's pipeline stage as a badge in the stage's colour
+function stageBadge(stages, status) {
+    const stage = stages.find(item => item.key === status);
+    if (!stage) {
+        return `<span class="status-badge">${escapeHtml(status.toUpperCase())}</span>`;
+    }
+    return `<span class="status-badge" style="background: ${stage.color}1a; color: ${stage.color};">${escapeHtml(stage.name.toUpperCase())}</span>`;
+}
+
+// A lead's score as a hot / warm / cold badge, with the reasons behind it on hover
+function scoreBadge(lead) {
+    if (lead.score === null || lead.score === undefined) return '';
+
+    const [icon, color] = lead.score >= 60 ? ['🔥', '#d32f2f'] : lead.score >= 30 ? ['🌤️', '#f57c00'] : ['❄️', '#1976d2'];
+    const reasons = (lead.scoreReasons || []).map(reason => `${reason.points > 0 ? '+' : ''}${reason.points} ${reason.text}`);
+
+    return `<span class="status-badge" style="background: ${color}1a; color: ${color};"
+                  title="${escapeHtml(reasons.join('\n') || 'Nothing to score yet').replace(/"/g, '&quot;')}">${icon} ${lead.score}</span>`;
+}
+
+function formatDateTime(value) {
+    return new Date(value).toLocaleString('en-GB', {
+        day: 'numeric',
+        month: 'short',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+// One task with a tick box to complete it. showLead links to the lead (dashboard home).
+function renderTask(task, { showLead = false } = {}) {
+    const overdue = !task.completedAt && new Date(task.dueAt) < new Date();
+
+    return `
+        <label class="task-item ${task.completedAt ? 'done' : ''}">
+            <input type="checkbox" ${task.completedAt ? 'checked' : ''}
+                   onchange="toggleTask('${task.id}', this.checked)">
+            <span class="task-title">${escapeHtml(task.title)}</span>
+            ${showLead ? `<a href="leads.html?q=${encodeURIComponent(task.referenceCode || task.customerName)}">${escapeHtml(task.customerName)}</a>` : ''}
+            <span class="task-due ${overdue ? 'overdue' : ''}">${formatDateTime(task.dueAt)}</span>
+        </label>
+    `;
+}
+
+async function setTaskCompleted(taskId, completed) {
+    const response = await apiFetch(`${window.API_URL}/api/task/${taskId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ completed })
+    });
+    const data = await response.json();
+
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to update task');
+    }
+    return data.task;
+}
+
+// Open tasks due by the end of today (local time), overdue ones first
+async function loadDueTasks() {
+    const container = document.getElementById('tasksDue');
+    const endOfDay = new Date();
+    endOfDay.setHours(24, 0, 0, 0);
+
+    try {
+        const response = await apiFetch(`${window.API_URL}/api/company/${window.COMPANY_ID}/tasks?before=${encodeURIComponent(endOfDay.toISOString())}`);
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+
+        container.innerHTML = data.tasks.length === 0
+            ? '<div class="loading">Nothing due today 🎉</div>'
+            : data.tasks.map(task => renderTask(task, { showLead: true })).join('');
+    } catch (error) {
+        console.error('Failed to load tasks:', error);
+        container.innerHTML = '<div class="loading">Failed to load tasks</div>';
+    }
+}
+
 function copyEmbedCode() {
     const code = document.getElementById('embedCode').textContent;
     navigator.clipboard.writeText(code).then(() => {
@@ -0,0 +1,75 @@
+// Signed-in team member
+// login.html (and accept-invite.html) keep the session token and the member in
+// sessionStorage. API calls go through apiFetch so they carry the token, and
+// nav items marked with data-permission only show for roles that can use them.
+
+function getMember() {
+    try {
+        return JSON.parse(sessionStorage.getItem('member'));
+    } catch (error) {
+        return null;
+    }
+}
+
+function can(permission) {
+    const member = getMember();
+    return Boolean(member && member.permissions.includes(permission));
+}
+
+function signOut() {
+    sessionStorage.clear();
+    window.location.href = 'login.html';
+}
+
+// fetch with the session token. An expired session goes back to the login page.
+async function apiFetch(url, options = {}) {
+    const response = await fetch(url, {
+        ...options,
+        headers: {
+            ...(options.headers || {}),
+            Authorization: `Bearer ${sessionStorage.getItem('sessionToken')}`
+        }
+    });
+
+    if (response.status === 401) {
+        signOut();
+    }
+    return response;
+}
+
+// data-permission takes one or more permissions (space separated); any of them will do
+function allowed(element) {
+    return element.dataset.permission.split(' ').some(can);
+}
+
+if (!sessionStorage.getItem('sessionToken')) {
+    signOut();
+} else {
+    // Pages a role can't use send it back to the dashboard home
+    if (document.body.dataset.permission && !allowed(document.body)) {
+        window.location.href = 'index.html';
+    }
+
+    document.querySelectorAll('.nav-menu [data-permission]').forEach(item => {
+        item.style.display = allowed(item) ? '' : 'none';
+    });
+
+    const member = getMember();
+    const footer = document.querySelector('.sidebar-footer');
+    if (member && footer) {
+        const info = document.createElement('p');
+        info.className = 'text-small';
+        info.style.marginTop = '10px';
+        info.textContent = `${member.name} · ${member.role.replace('_', ' ')} · `;
+
+        const link = document.createElement('a');
+        link.href = '#';
+        link.textContent = 'Sign out';
+        link.onclick = () => {
+            signOut();
+            return false;
+        };
+        info.appendChild(link);
+        footer.appendChild(info);
+    }
+}
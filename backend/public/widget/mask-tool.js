@@ -0,0 +1,185 @@
+// Renovation Vision Mask Tool
+// Lets the customer paint (brush) or outline (polygon) the part of the photo to change.
+// The canvas is kept at the photo's full size and scaled with CSS to sit over the preview.
+// Painted areas are drawn in a highlight colour and exported as a white-on-black PNG.
+// The standalone frontend and the desktop app load this same file from /widget/mask-tool.js.
+
+const MASK_COLOUR = '#ff4081';
+
+function createMaskTool(canvas) {
+    const ctx = canvas.getContext('2d');
+    let mode = 'brush';
+    let brushSize = 40;
+    let drawing = false;
+    let lastPoint = null;
+    let polygon = [];
+    let snapshot = null;
+    let painted = false;
+    let version = 0;
+
+    function resize(width, height) {
+        canvas.width = width;
+        canvas.height = height;
+        clear();
+    }
+
+    function clear() {
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        polygon = [];
+        snapshot = null;
+        painted = false;
+        version++;
+    }
+
+    // Pointer position in canvas pixels
+    function toCanvasPoint(event) {
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * (canvas.width / rect.width),
+            y: (event.clientY - rect.top) * (canvas.height / rect.height)
+        };
+    }
+
+    // Brush size is in screen pixels so it feels the same whatever the photo size
+    function scaledBrushSize() {
+        const rect = canvas.getBoundingClientRect();
+        return brushSize * (canvas.width / (rect.width || canvas.width));
+    }
+
+    function paintLine(from, to) {
+        ctx.strokeStyle = MASK_COLOUR;
+        ctx.lineWidth = scaledBrushSize();
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+        painted = true;
+        version++;
+    }
+
+    function drawPolygonOutline(cursor) {
+        ctx.putImageData(snapshot, 0, 0);
+        ctx.strokeStyle = MASK_COLOUR;
+        ctx.lineWidth = Math.max(2, canvas.width / 300);
+        ctx.beginPath();
+        ctx.moveTo(polygon[0].x, polygon[0].y);
+        polygon.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+        if (cursor) ctx.lineTo(cursor.x, cursor.y);
+        ctx.stroke();
+    }
+
+    function closePolygon() {
+        ctx.putImageData(snapshot, 0, 0);
+
+        if (polygon.length >= 3) {
+            ctx.fillStyle = MASK_COLOUR;
+            ctx.beginPath();
+            ctx.moveTo(polygon[0].x, polygon[0].y);
+            polygon.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+            ctx.closePath();
+            ctx.fill();
+            painted = true;
+            version++;
+        }
+
+        polygon = [];
+        snapshot = null;
+    }
+
+    // A click near the first point closes the shape
+    function isNearStart(point) {
+        const start = polygon[0];
+        const distance = Math.hypot(point.x - start.x, point.y - start.y);
+        return distance < scaledBrushSize() / 2;
+    }
+
+    canvas.addEventListener('pointerdown', (event) => {
+        event.preventDefault();
+        const point = toCanvasPoint(event);
+
+        if (mode === 'brush') {
+            drawing = true;
+            lastPoint = point;
+            canvas.setPointerCapture(event.pointerId);
+            paintLine(point, point);
+            return;
+        }
+
+        if (polygon.length === 0) {
+            snapshot = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        } else if (polygon.length >= 3 && isNearStart(point)) {
+            closePolygon();
+            return;
+        }
+
+        polygon.push(point);
+        drawPolygonOutline();
+    });
+
+    canvas.addEventListener('pointermove', (event) => {
+        const point = toCanvasPoint(event);
+
+        if (mode === 'brush' && drawing) {
+            paintLine(lastPoint, point);
+            lastPoint = point;
+        } else if (mode === 'polygon' && polygon.length > 0) {
+            drawPolygonOutline(point);
+        }
+    });
+
+    canvas.addEventListener('pointerup', () => {
+        drawing = false;
+    });
+
+    canvas.addEventListener('dblclick', () => {
+        if (mode === 'polygon' && polygon.length > 0) closePolygon();
+    });
+
+    return {
+        resize,
+        clear,
+
+        setMode(newMode) {
+            if (polygon.length > 0) closePolygon();
+            mode = newMode;
+        },
+
+        setBrushSize(size) {
+            brushSize = size;
+        },
+
+        hasMask() {
+            if (polygon.length > 0) closePolygon();
+            return painted;
+        },
+
+        // Changes every time the mask is edited, to tell whether a saved copy is still current
+        getVersion() {
+            return version;
+        },
+
+        // White-on-black PNG of the painted area
+        toDataURL() {
+            if (polygon.length > 0) closePolygon();
+
+            const output = document.createElement('canvas');
+            output.width = canvas.width;
+            output.height = canvas.height;
+
+            const outputCtx = output.getContext('2d');
+            const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            for (let i = 0; i < pixels.data.length; i += 4) {
+                const value = pixels.data[i + 3] > 0 ? 255 : 0;
+                pixels.data[i] = value;
+                pixels.data[i + 1] = value;
+                pixels.data[i + 2] = value;
+                pixels.data[i + 3] = 255;
+            }
+            outputCtx.putImageData(pixels, 0, 0);
+
+            return output.toDataURL('image/png');
+        }
+    };
+}
@@ -4,25 +4,85 @@ const uploadArea = document.getElementById('uploadArea');
 const fileInput = document.getElementById('fileInput');
 const imagePreview = document.getElementById('imagePreview');
 const previewImg = document.getElementById('previewImg');
+const tradeSelect = document.getElementById('tradeSelect');
+const briefFields = document.getElementById('briefFields');
+const roomTypeSelect = document.getElementById('roomTypeSelect');
 const styleSelect = document.getElementById('styleSelect');
+const colourPaletteSelect = document.getElementById('colourPaletteSelect');
+const materialsOptions = document.getElementById('materialsOptions');
+const fixturesOptions = document.getElementById('fixturesOptions');
+const keepOptions = document.getElementById('keepOptions');
 const customPrompt = document.getElementById('customPrompt');
 const generateBtn = document.getElementById('generateBtn');
 const loading = document.getElementById('loading');
 const results = document.getElementById('results');
 const beforeImg = document.getElementById('beforeImg');
 const afterImg = document.getElementById('afterImg');
+const afterVideo = document.getElementById('afterVideo');
+const unlockMessage = document.getElementById('unlockMessage');
 const blurOverlay = document.getElementById('blurOverlay');
 const leadForm = document.getElementById('leadForm');
 const leadFormContainer = document.getElementById('leadFormContainer');
+const leadFields = document.getElementById('leadFields');
 const successMessage = document.getElementById('successMessage');
 const finalImg = document.getElementById('finalImg');
+const finalVideo = document.getElementById('finalVideo');
 const downloadBtn = document.getElementById('downloadBtn');
 const errorMsg = document.getElementById('errorMsg');
+const loadingStatus = document.getElementById('loadingStatus');
+const cancelBtn = document.getElementById('cancelBtn');
+const variantCount = document.getElementById('variantCount');
+const variantsSection = document.getElementById('variantsSection');
+const variantGrid = document.getElementById('variantGrid');
+const maskCanvas = document.getElementById('maskCanvas');
+const maskToggle = document.getElementById('maskToggle');
+const maskTools = document.getElementById('maskTools');
+const brushSize = document.getElementById('brushSize');
+const clearMaskBtn = document.getElementById('clearMaskBtn');
+const refineSection = document.getElementById('refineSection');
+const refineInput = document.getElementById('refineInput');
+const refineBtn = document.getElementById('refineBtn');
+const refineStatus = document.getElementById('refineStatus');
+const versionsSection = document.getElementById('versionsSection');
+const versionStrip = document.getElementById('versionStrip');
+const cachedNotice = document.getElementById('cachedNotice');
+const freshBtn = document.getElementById('freshBtn');
+const inspirationBtn = document.getElementById('inspirationBtn');
+const inspirationInput = document.getElementById('inspirationInput');
+const inspirationPreview = document.getElementById('inspirationPreview');
+const inspirationImg = document.getElementById('inspirationImg');
+const removeInspirationBtn = document.getElementById('removeInspirationBtn');
+const surveySection = document.getElementById('surveySection');
+const surveyDays = document.getElementById('surveyDays');
+const surveyTimes = document.getElementById('surveyTimes');
+const bookSurveyBtn = document.getElementById('bookSurveyBtn');
+const surveyConfirmation = document.getElementById('surveyConfirmation');
+const maskTool = createMaskTool(maskCanvas);
 
 let uploadedFilename = '';
-let originalImageData = '';
+let inspirationFilename = '';
+let originalImageUrl = '';
 let generatedImageUrl = '';
+let generatedMediaType = 'image';
 let currentLeadId = '';
+let currentJobId = '';
+let generationJobId = '';
+let companyStyles = [];
+let jobVariants = [];
+let favouriteVariantId = '';
+// Where the survey is booked on the new lead (signed by the server), and the free slots
+let bookingPath = '';
+let surveySlots = { timeZone: 'Europe/London', days: [] };
+// The fallback fields in widget.html until the company's form has loaded
+let formFields = [
+    { key: 'customerName', type: 'text' },
+    { key: 'email', type: 'email' },
+    { key: 'phone', type: 'tel' }
+];
+let savedMaskVersion = null;
+let forceFresh = false;
+let versions = [];
+let currentVersion = 0;
 
 // Upload handling
 uploadArea.addEventListener('click', () => fileInput.click());
@@ -52,7 +112,8 @@ fileInput.addEventListener('change', (e) => {
 });
 
 async function handleFile(file) {
-    if (!file.type.startsWith('image/')) {
+    // Some browsers report HEIC photos without a MIME type
+    if (!file.type.startsWith('image/') && !/\.(heic|heif)$/i.test(file.name)) {
         showError('Please upload an image file');
         return;
     }
@@ -62,17 +123,7 @@ async function handleFile(file) {
         return;
     }
 
-    // Show preview
-    const reader = new FileReader();
-    reader.onload = (e) => {
-        previewImg.src = e.target.result;
-        originalImageData = e.target.result;
-        imagePreview.style.display = 'block';
-        uploadArea.style.display = 'none';
-    };
-    reader.readAsDataURL(file);
-
-    // Upload to server
+    // Upload to server; the preview uses the processed thumbnail it returns
     await uploadImage(file);
 }
 
@@ -80,6 +131,7 @@ async function uploadImage(file) {
     try {
         const formData = new FormData();
         formData.append('image', file);
+        formData.append('companyId', window.COMPANY_ID);
 
         const response = await fetch(`${window.API_URL}/api/upload`, {
             method: 'POST',
@@ -94,6 +146,12 @@ async function uploadImage(file) {
         const data = await response.json();
         if (data.success) {
             uploadedFilename = data.filename;
+            originalImageUrl = data.imageUrl;
+            previewImg.src = data.thumbnailUrl;
+            maskTool.resize(data.width, data.height);
+            savedMaskVersion = null;
+            imagePreview.style.display = 'block';
+            uploadArea.style.display = 'none';
             checkFormComplete();
             console.log('✅ Image uploaded:', uploadedFilename);
         } else {
@@ -105,35 +163,135 @@ async function uploadImage(file) {
     }
 }
 
+// Inspiration photo: the look to copy, used instead of (or as well as) a style
+inspirationBtn.addEventListener('click', () => inspirationInput.click());
+
+inspirationInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    inspirationInput.value = '';
+    if (!file) return;
+
+    if (file.size > 10 * 1024 * 1024) {
+        showError('Image must be less than 10MB');
+        return;
+    }
+
+    inspirationBtn.disabled = true;
+    try {
+        const formData = new FormData();
+        formData.append('image', file);
+        formData.append('companyId', window.COMPANY_ID);
+
+        const response = await fetch(`${window.API_URL}/api/upload/inspiration`, {
+            method: 'POST',
+            body: formData
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Upload failed');
+        }
+
+        inspirationFilename = data.filename;
+        inspirationImg.src = data.imageUrl;
+        inspirationPreview.style.display = 'flex';
+        inspirationBtn.style.display = 'none';
+        checkFormComplete();
+    } catch (err) {
+        showError('Upload failed: ' + err.message);
+    } finally {
+        inspirationBtn.disabled = false;
+    }
+});
+
+removeInspirationBtn.addEventListener('click', () => {
+    inspirationFilename = '';
+    inspirationPreview.style.display = 'none';
+    inspirationBtn.style.display = '';
+    checkFormComplete();
+});
+
 // Check if form is complete to enable button
 function checkFormComplete() {
     const hasImage = uploadedFilename !== '';
-    const hasPrompt = styleSelect.value !== '' || customPrompt.value.trim() !== '';
+    const hasPrompt = styleSelect.value !== '' || customPrompt.value.trim() !== '' || inspirationFilename !== '';
     
     generateBtn.disabled = !(hasImage && hasPrompt);
 }
 
-// Listen for prompt changes
-styleSelect.addEventListener('change', () => {
-    if (styleSelect.value) {
-        customPrompt.value = '';
-    }
-    checkFormComplete();
+// Mask tool: paint the part of the photo to change
+maskToggle.addEventListener('change', () => {
+    maskTools.style.display = maskToggle.checked ? 'block' : 'none';
+    maskCanvas.style.display = maskToggle.checked ? 'block' : 'none';
+    maskCanvas.classList.toggle('active', maskToggle.checked);
 });
 
-customPrompt.addEventListener('input', () => {
-    if (customPrompt.value.trim()) {
-        styleSelect.value = '';
-    }
-    checkFormComplete();
+maskTools.querySelectorAll('[data-mode]').forEach(button => {
+    button.addEventListener('click', () => {
+        maskTools.querySelectorAll('[data-mode]').forEach(b => b.classList.remove('active'));
+        button.classList.add('active');
+        maskTool.setMode(button.dataset.mode);
+    });
 });
 
+brushSize.addEventListener('input', () => maskTool.setBrushSize(parseInt(brushSize.value, 10)));
+clearMaskBtn.addEventListener('click', () => maskTool.clear());
+
+// The mask is saved with the upload, so it is only sent again after it changes
+function getMaskFields() {
+    if (!maskToggle.checked || !maskTool.hasMask()) {
+        return {};
+    }
+
+    if (savedMaskVersion === maskTool.getVersion()) {
+        return { reuseMask: true };
+    }
+
+    return { mask: maskTool.toDataURL() };
+}
+
+// Listen for prompt changes
+styleSelect.addEventListener('change', checkFormComplete);
+customPrompt.addEventListener('input', checkFormComplete);
+tradeSelect.addEventListener('change', () => loadBriefOptions(tradeSelect.value));
+
+// Anonymous id kept per browser for per-visitor design limits. When storage is
+// blocked (e.g. in a third-party iframe) the server falls back to the IP address.
+function getVisitorId() {
+    try {
+        let id = localStorage.getItem('rv_visitor_id');
+        if (!id) {
+            id = window.crypto && crypto.randomUUID
+                ? crypto.randomUUID()
+                : `v-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+            localStorage.setItem('rv_visitor_id', id);
+        }
+        return id;
+    } catch (err) {
+        return undefined;
+    }
+}
+
+// Everything the customer picked, sent to the server to build the prompt
+function getBrief() {
+    const checked = (container) => Array.from(container.querySelectorAll('input:checked')).map(input => input.value);
+
+    return {
+        trade: tradeSelect.value || 'general',
+        roomType: roomTypeSelect.value || undefined,
+        styleId: styleSelect.value || undefined,
+        materials: checked(materialsOptions),
+        colourPalette: colourPaletteSelect.value || undefined,
+        fixtures: checked(fixturesOptions),
+        keep: checked(keepOptions),
+        notes: customPrompt.value.trim()
+    };
+}
+
 // Generate button
 generateBtn.addEventListener('click', async () => {
-    const prompt = customPrompt.value.trim() || styleSelect.value;
-    
-    if (!prompt) {
-        showError('Please select or enter a style');
+    if (!styleSelect.value && !customPrompt.value.trim() && !inspirationFilename) {
+        showError('Please select a style, describe it or add an inspiration photo');
         return;
     }
 
@@ -144,45 +302,289 @@ generateBtn.addEventListener('click', async () => {
 
     // Hide form, show loading
     document.querySelector('.rv-main-form').style.display = 'none';
+    results.style.display = 'none';
     loading.style.display = 'block';
     errorMsg.style.display = 'none';
 
+    const force = forceFresh;
+    forceFresh = false;
+
     try {
+        const maskFields = getMaskFields();
         const response = await fetch(`${window.API_URL}/api/generate`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 filename: uploadedFilename,
-                prompt: prompt,
-                companyId: window.COMPANY_ID
+                brief: getBrief(),
+                variants: parseInt(variantCount.value, 10),
+                companyId: window.COMPANY_ID,
+                inspirationFilename: inspirationFilename || undefined,
+                force,
+                visitorId: getVisitorId(),
+                ...maskFields
             })
         });
 
         const data = await response.json();
 
-        if (data.success) {
-            generatedImageUrl = data.generatedImageUrl;
-            beforeImg.src = originalImageData;
-            afterImg.src = generatedImageUrl;
-            
-            // Keep image blurred
-            afterImg.classList.add('rv-blurred');
-            
-            loading.style.display = 'none';
-            results.style.display = 'block';
-            
-            // Scroll to results
-            window.scrollTo({ top: 0, behavior: 'smooth' });
-        } else {
+        if (!data.success) {
             throw new Error(data.error || 'Generation failed');
         }
+
+        if (maskFields.mask) {
+            savedMaskVersion = maskTool.getVersion();
+        }
+
+        currentJobId = data.jobId;
+        const job = await waitForJob(data.jobId, updateLoadingStatus);
+        currentJobId = '';
+
+        if (job.status === 'cancelled') {
+            loading.style.display = 'none';
+            document.querySelector('.rv-main-form').style.display = 'block';
+            return;
+        }
+
+        if (job.status !== 'succeeded') {
+            throw new Error(job.error || 'Generation failed');
+        }
+
+        // Only blurred, watermarked previews are available until the lead form is submitted
+        beforeImg.src = originalImageUrl;
+        versions = [{ jobId: job.id, instruction: null, variants: job.variants }];
+        showVersion(0);
+        cachedNotice.style.display = job.cached ? 'block' : 'none';
+
+        loading.style.display = 'none';
+        results.style.display = 'block';
+
+        // Scroll to results
+        window.scrollTo({ top: 0, behavior: 'smooth' });
     } catch (err) {
+        currentJobId = '';
         loading.style.display = 'none';
         document.querySelector('.rv-main-form').style.display = 'block';
         showError('Generation failed: ' + err.message);
     }
 });
 
+// Follow a generation job until it finishes. Uses the SSE stream and falls back to polling.
+function waitForJob(jobId, onUpdate) {
+    return new Promise((resolve, reject) => {
+        const finished = (job) => ['succeeded', 'failed', 'cancelled'].includes(job.status);
+
+        const poll = async () => {
+            try {
+                const response = await fetch(`${window.API_URL}/api/generate/${jobId}`);
+                const data = await response.json();
+                if (!data.success) throw new Error(data.error || 'Failed to fetch job status');
+
+                onUpdate(data.job);
+                if (finished(data.job)) {
+                    resolve(data.job);
+                } else {
+                    setTimeout(poll, 2000);
+                }
+            } catch (err) {
+                reject(err);
+            }
+        };
+
+        if (!window.EventSource) {
+            poll();
+            return;
+        }
+
+        const source = new EventSource(`${window.API_URL}/api/generate/${jobId}/events`);
+
+        source.addEventListener('job', (event) => {
+            const job = JSON.parse(event.data);
+            onUpdate(job);
+            if (finished(job)) {
+                source.close();
+                resolve(job);
+            }
+        });
+
+        source.onerror = () => {
+            source.close();
+            poll();
+        };
+    });
+}
+
+function updateLoadingStatus(job) {
+    if (job.status === 'queued' && job.attempts > 0) {
+        loadingStatus.textContent = 'Retrying...';
+    } else if (job.status === 'queued') {
+        loadingStatus.textContent = 'Waiting to start...';
+    } else if (job.status === 'running') {
+        loadingStatus.textContent = job.progress > 0 ? `${job.progress}% complete` : 'This may take 30-60 seconds';
+    }
+}
+
+// Comparison grid of the generated designs; the favourite is shown as the "after" image
+function showVariants(variants, favouriteId) {
+    jobVariants = variants.map(variant => ({ ...variant, imageUrl: variant.previewImageUrl }));
+    variantGrid.innerHTML = '';
+
+    jobVariants.forEach(variant => {
+        const card = document.createElement('div');
+        card.className = 'rv-variant-card';
+        card.dataset.variantId = variant.id;
+
+        const img = document.createElement('img');
+        img.src = variant.imageUrl || '';
+        img.alt = variant.label;
+
+        const label = document.createElement('p');
+        label.textContent = variant.label;
+
+        card.appendChild(img);
+        card.appendChild(label);
+        card.addEventListener('click', () => setFavourite(variant.id));
+        variantGrid.appendChild(card);
+    });
+
+    variantsSection.style.display = jobVariants.length > 1 ? 'block' : 'none';
+    unlockMessage.textContent = jobVariants.some(v => v.mediaType === 'video')
+        ? 'Enter your details below to unlock your video walkthrough'
+        : 'Enter your details below to unlock';
+    setFavourite(favouriteId || jobVariants[0].id);
+}
+
+function setFavourite(variantId) {
+    const variant = jobVariants.find(v => v.id === variantId);
+    favouriteVariantId = variantId;
+    afterImg.src = variant.imageUrl || '';
+
+    // Video walkthroughs only play once unlocked; until then the still frame preview shows
+    if (variant.videoUrl) {
+        afterVideo.src = variant.videoUrl;
+        afterVideo.poster = variant.imageUrl || '';
+    }
+    afterVideo.style.display = variant.videoUrl ? 'block' : 'none';
+    afterImg.style.display = variant.videoUrl ? 'none' : 'block';
+
+    if (versions[currentVersion]) {
+        versions[currentVersion].favouriteVariantId = variantId;
+        renderVersions();
+    }
+
+    variantGrid.querySelectorAll('.rv-variant-card').forEach(card => {
+        const isFavourite = card.dataset.variantId === variantId;
+        card.classList.toggle('favourite', isFavourite);
+        card.querySelector('p').textContent = (isFavourite ? '⭐ ' : '') +
+            jobVariants.find(v => v.id === card.dataset.variantId).label;
+    });
+}
+
+// Switch to an earlier (or later) version of the design. Refining from there
+// starts a new branch, so the versions after it are dropped.
+function showVersion(index) {
+    const version = versions[index];
+    currentVersion = index;
+    generationJobId = version.jobId;
+    showVariants(version.variants, version.favouriteVariantId);
+}
+
+function renderVersions() {
+    versionStrip.innerHTML = '';
+
+    versions.forEach((version, index) => {
+        const variant = version.variants.find(v => v.id === version.favouriteVariantId) || version.variants[0];
+
+        const item = document.createElement('div');
+        item.className = 'rv-version' + (index === currentVersion ? ' active' : '');
+        item.title = version.instruction || 'Original design';
+
+        const img = document.createElement('img');
+        img.src = variant.previewImageUrl || '';
+        img.alt = `Version ${index + 1}`;
+
+        const label = document.createElement('p');
+        label.textContent = index === 0 ? 'V1 · Original' : `V${index + 1} · ${version.instruction}`;
+
+        item.appendChild(img);
+        item.appendChild(label);
+        item.addEventListener('click', () => showVersion(index));
+        versionStrip.appendChild(item);
+    });
+
+    versionsSection.style.display = versions.length > 1 ? 'block' : 'none';
+}
+
+// Apply a follow-up change to the favourite design of the current version
+refineBtn.addEventListener('click', async () => {
+    const instruction = refineInput.value.trim();
+    if (!instruction) {
+        showError('Please describe the change you want');
+        return;
+    }
+
+    refineBtn.disabled = true;
+    refineInput.disabled = true;
+    refineStatus.style.display = 'block';
+    refineStatus.textContent = 'Applying your change...';
+    errorMsg.style.display = 'none';
+
+    try {
+        const response = await fetch(`${window.API_URL}/api/generate/${generationJobId}/refine`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ instruction, variantId: favouriteVariantId, visitorId: getVisitorId() })
+        });
+
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Refinement failed');
+        }
+
+        const job = await waitForJob(data.jobId, (update) => {
+            if (update.status === 'running' && update.progress > 0) {
+                refineStatus.textContent = `Applying your change... ${update.progress}%`;
+            }
+        });
+
+        if (job.status !== 'succeeded') {
+            throw new Error(job.error || 'Refinement failed');
+        }
+
+        versions = versions.slice(0, currentVersion + 1);
+        versions.push({ jobId: job.id, instruction, variants: job.variants });
+        showVersion(versions.length - 1);
+        refineInput.value = '';
+    } catch (err) {
+        showError('Could not apply your change: ' + err.message);
+    } finally {
+        refineBtn.disabled = false;
+        refineInput.disabled = false;
+        refineStatus.style.display = 'none';
+    }
+});
+
+// Same photo and brief as before: skip the stored designs and render new ones
+freshBtn.addEventListener('click', () => {
+    forceFresh = true;
+    generateBtn.click();
+});
+
+// Cancel button
+cancelBtn.addEventListener('click', async () => {
+    if (!currentJobId) return;
+
+    cancelBtn.disabled = true;
+    try {
+        await fetch(`${window.API_URL}/api/generate/${currentJobId}/cancel`, { method: 'POST' });
+    } catch (err) {
+        showError('Could not cancel: ' + err.message);
+    } finally {
+        cancelBtn.disabled = false;
+    }
+});
+
 // Lead form submission
 leadForm.addEventListener('submit', async (e) => {
     e.preventDefault();
@@ -191,17 +593,27 @@ leadForm.addEventListener('submit', async (e) => {
     unlockBtn.disabled = true;
     unlockBtn.textContent = '⏳ Unlocking...';
 
-    const formData = new FormData(leadForm);
     const leadData = {
         companyId: window.COMPANY_ID,
-        customerName: formData.get('name'),
-        email: formData.get('email'),
-        phone: formData.get('phone'),
-        originalImage: originalImageData,
-        generatedImage: generatedImageUrl,
-        prompt: customPrompt.value || styleSelect.value
+        filename: uploadedFilename,
+        jobId: generationJobId,
+        variantId: favouriteVariantId,
+        answers: {}
     };
 
+    // Built-in fields go on the lead itself, the company's own questions in answers
+    formFields.forEach(field => {
+        const input = leadForm.elements[field.key];
+        if (!input) return;
+
+        const value = field.type === 'checkbox' ? input.checked : input.value;
+        if (field.key.startsWith('custom_')) {
+            leadData.answers[field.key] = value;
+        } else {
+            leadData[field.key] = value;
+        }
+    });
+
     try {
         const response = await fetch(`${window.API_URL}/api/lead`, {
             method: 'POST',
@@ -213,21 +625,47 @@ leadForm.addEventListener('submit', async (e) => {
 
         if (data.success) {
             currentLeadId = data.leadId;
+            generatedImageUrl = data.generatedImageUrl;
+            generatedMediaType = data.mediaType || 'image';
             
-            // Unblur image
-            afterImg.classList.remove('rv-blurred');
-            afterImg.classList.add('unblurred');
+            // Swap the previews for the full images (videos show their still frame in the grid)
+            data.variants.forEach(full => {
+                const variant = jobVariants.find(v => v.id === full.id);
+                if (!variant) return;
+
+                const stillUrl = full.mediaType === 'video' ? full.stillImageUrl : full.generatedImageUrl;
+                variant.imageUrl = stillUrl || variant.imageUrl;
+                variant.videoUrl = full.mediaType === 'video' ? full.generatedImageUrl : null;
+
+                const img = variantGrid.querySelector(`[data-variant-id="${full.id}"] img`);
+                if (img) img.src = variant.imageUrl;
+            });
+            setFavourite(favouriteVariantId);
             blurOverlay.classList.add('hidden');
             
             // Hide form, show success
             leadFormContainer.style.display = 'none';
+            refineSection.style.display = 'none';
+            cachedNotice.style.display = 'none';
             successMessage.style.display = 'block';
             
             // Show reference code
             document.getElementById('referenceCode').textContent = data.referenceCode;
+
+            // Offer survey slots when the company takes bookings
+            bookingPath = data.bookingPath || '';
+            if (bookingPath) loadSurveySlots();
             
-            // Show full image
-            finalImg.src = generatedImageUrl;
+            // Show full image or video
+            if (generatedMediaType === 'video') {
+                finalVideo.src = generatedImageUrl;
+                finalVideo.poster = data.stillImageUrl || '';
+                finalVideo.style.display = 'block';
+                finalImg.style.display = 'none';
+                downloadBtn.textContent = '📥 Download Video Walkthrough';
+            } else {
+                finalImg.src = generatedImageUrl;
+            }
             
             // Scroll to top
             window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -245,10 +683,105 @@ leadForm.addEventListener('submit', async (e) => {
 downloadBtn.addEventListener('click', () => {
     const link = document.createElement('a');
     link.href = generatedImageUrl;
-    link.download = `renovation-${currentLeadId}.jpg`;
+    link.download = `renovation-${currentLeadId}.${generatedMediaType === 'video' ? 'mp4' : 'jpg'}`;
     link.click();
 });
 
+// Survey booking: pick a day, then a time (shown in the company's time zone)
+async function loadSurveySlots() {
+    try {
+        const response = await fetch(`${window.API_URL}/api/company/${window.COMPANY_ID}/survey-slots`);
+        const data = await response.json();
+
+        if (!data.success || !data.enabled || data.days.length === 0) {
+            surveySection.style.display = 'none';
+            return;
+        }
+
+        surveySlots = data;
+        surveyDays.innerHTML = '';
+        data.days.forEach((day, index) => {
+            const label = new Date(`${day.date}T12:00:00Z`).toLocaleDateString('en-GB', {
+                weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC'
+            });
+            surveyDays.appendChild(createSlotChip('surveyDay', day.date, label, index === 0));
+        });
+        showSurveyTimes(data.days[0].date);
+        surveySection.style.display = 'block';
+    } catch (err) {
+        console.error('Failed to load survey slots:', err);
+    }
+}
+
+function createSlotChip(name, value, label, checked) {
+    const chip = document.createElement('label');
+    chip.className = 'rv-chip';
+
+    const input = document.createElement('input');
+    input.type = 'radio';
+    input.name = name;
+    input.value = value;
+    input.checked = checked;
+
+    const text = document.createElement('span');
+    text.textContent = label;
+
+    chip.append(input, text);
+    return chip;
+}
+
+function formatSurveyTime(startsAt) {
+    return new Date(startsAt).toLocaleTimeString('en-GB', {
+        hour: '2-digit', minute: '2-digit', timeZone: surveySlots.timeZone
+    });
+}
+
+function showSurveyTimes(date) {
+    const day = surveySlots.days.find(d => d.date === date);
+    surveyTimes.innerHTML = '';
+    (day ? day.slots : []).forEach(slot => {
+        surveyTimes.appendChild(createSlotChip('surveyTime', slot.startsAt, formatSurveyTime(slot.startsAt), false));
+    });
+    bookSurveyBtn.disabled = true;
+}
+
+surveyDays.addEventListener('change', (e) => showSurveyTimes(e.target.value));
+surveyTimes.addEventListener('change', () => { bookSurveyBtn.disabled = false; });
+
+bookSurveyBtn.addEventListener('click', async () => {
+    const chosen = surveyTimes.querySelector('input:checked');
+    if (!chosen) return;
+
+    bookSurveyBtn.disabled = true;
+    bookSurveyBtn.textContent = '⏳ Booking...';
+
+    try {
+        const response = await fetch(`${window.API_URL}${bookingPath}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ startsAt: chosen.value })
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Booking failed');
+        }
+
+        const when = new Date(data.booking.startsAt).toLocaleString('en-GB', {
+            weekday: 'long', day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit',
+            timeZone: surveySlots.timeZone
+        });
+        surveySection.style.display = 'none';
+        surveyConfirmation.textContent = `📅 Your survey is booked for ${when}. We've emailed you a calendar invite with a link to reschedule or cancel.`;
+        surveyConfirmation.style.display = 'block';
+    } catch (err) {
+        showError(err.message);
+        loadSurveySlots();
+    } finally {
+        bookSurveyBtn.textContent = 'Book Survey';
+    }
+});
+
 function showError(message) {
     errorMsg.textContent = '⚠️ ' + message;
     errorMsg.style.display = 'block';
@@ -258,5 +791,139 @@ function showError(message) {
     }, 5000);
 }
 
+// Load the company's style library and the trades it covers
+async function loadStyles() {
+    try {
+        const response = await fetch(`${window.API_URL}/api/company/${window.COMPANY_ID}/styles?enabled=true`);
+        const data = await response.json();
+
+        if (!data.success) return;
+
+        companyStyles = data.styles;
+        data.trades.forEach(trade => {
+            tradeSelect.add(new Option(trade.charAt(0).toUpperCase() + trade.slice(1), trade));
+        });
+    } catch (err) {
+        console.error('Failed to load styles:', err);
+    }
+}
+
+function fillSelect(select, placeholder, values) {
+    select.innerHTML = '';
+    select.add(new Option(placeholder, ''));
+    values.forEach(value => select.add(new Option(value, value)));
+}
+
+function fillChips(container, values) {
+    container.innerHTML = '';
+    values.forEach(value => {
+        const chip = document.createElement('label');
+        chip.className = 'rv-chip';
+
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.value = value;
+
+        const text = document.createElement('span');
+        text.textContent = value;
+
+        chip.appendChild(input);
+        chip.appendChild(text);
+        container.appendChild(chip);
+    });
+}
+
+// Show the brief fields and styles for the chosen trade
+async function loadBriefOptions(trade) {
+    fillSelect(styleSelect, '-- Select a renovation style --', []);
+    companyStyles
+        .filter(style => style.trade === trade)
+        .forEach(style => styleSelect.add(new Option(style.name, style.id)));
+    checkFormComplete();
+
+    if (!trade) {
+        briefFields.style.display = 'none';
+        return;
+    }
+
+    try {
+        const response = await fetch(`${window.API_URL}/api/brief/${trade}?companyId=${encodeURIComponent(window.COMPANY_ID)}`);
+        const data = await response.json();
+
+        if (!data.success) return;
+
+        fillSelect(roomTypeSelect, '-- Select a room or area --', data.roomTypes);
+        fillSelect(colourPaletteSelect, '-- Any colour palette --', data.colourPalettes);
+        fillChips(materialsOptions, data.materials);
+        fillChips(fixturesOptions, data.fixtures);
+        fillChips(keepOptions, data.keepOptions);
+        briefFields.style.display = 'block';
+    } catch (err) {
+        console.error('Failed to load brief options:', err);
+    }
+}
+
+// One input for a lead form field. Selects, long answers and tick boxes take a full row.
+function createLeadField(field) {
+    const placeholder = `${field.label}${field.required ? ' *' : ''}`;
+    let input;
+
+    if (field.type === 'checkbox') {
+        const label = document.createElement('label');
+        label.className = 'rv-checkbox rv-field-wide';
+
+        input = document.createElement('input');
+        input.type = 'checkbox';
+        input.name = field.key;
+        input.required = field.required;
+
+        const text = document.createElement('span');
+        text.textContent = placeholder;
+
+        label.appendChild(input);
+        label.appendChild(text);
+        return label;
+    }
+
+    if (field.type === 'select') {
+        input = document.createElement('select');
+        input.className = 'rv-select rv-field-wide';
+        input.add(new Option(placeholder, ''));
+        field.options.forEach(option => input.add(new Option(option.label, option.value)));
+    } else if (field.type === 'textarea') {
+        input = document.createElement('textarea');
+        input.className = 'rv-input rv-field-wide';
+        input.rows = 3;
+        input.placeholder = placeholder;
+    } else {
+        input = document.createElement('input');
+        input.type = field.type;
+        input.className = 'rv-input';
+        input.placeholder = placeholder;
+    }
+
+    input.name = field.key;
+    input.required = field.required;
+    return input;
+}
+
+// Replace the default contact fields with the company's lead form
+async function loadLeadForm() {
+    try {
+        const response = await fetch(`${window.API_URL}/api/company/${window.COMPANY_ID}/lead-form`);
+        const data = await response.json();
+
+        if (!data.success) return;
+
+        formFields = data.fields;
+        leadFields.innerHTML = '';
+        formFields.forEach(field => leadFields.appendChild(createLeadField(field)));
+    } catch (err) {
+        console.error('Failed to load lead form:', err);
+    }
+}
+
 // Initialize
-console.log('Widget loaded, API URL:', window.API_URL);
\ No newline at end of file
+console.log('Widget loaded, API URL:', window.API_URL);
+loadStyles();
+loadLeadForm();
\ No newline at end of file
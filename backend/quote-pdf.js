@@ -0,0 +1,214 @@
+// Quote PDFs (pdfkit)
+// An A4 quote with the company's name and contact details, the customer, the before
+// and after renders, the line items and totals, and the link to accept it online.
+
+const PDFDocument = require('pdfkit');
+const storage = require('./storage');
+const imageProcessing = require('./image-processing');
+
+const ACCENT = '#667eea';
+const MUTED = '#666666';
+const MARGIN = 50;
+const RENDER_HEIGHT = 180;
+
+function money(value) {
+  return `£${Number(value || 0).toLocaleString('en-GB', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function quantity(value) {
+  return Number(value).toLocaleString('en-GB', { maximumFractionDigits: 2 });
+}
+
+function longDate(value) {
+  return new Date(value).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+// A render from storage as a JPEG, or null when there isn't one we can read.
+// Keys saved before the storage layer can be /uploads paths; full URLs are skipped.
+async function loadRender(key) {
+  if (!key || /^https?:/.test(key)) return null;
+
+  try {
+    const file = await storage.get(key.replace(/^\//, ''));
+    return file ? await imageProcessing.createQuoteImage(file.buffer) : null;
+  } catch (error) {
+    console.warn(`Quote render ${key} skipped:`, error.message);
+    return null;
+  }
+}
+
+function drawHeader(doc, company) {
+  const width = doc.page.width;
+  doc.rect(0, 0, width, 90).fill(ACCENT);
+
+  doc.fillColor('white').font('Helvetica-Bold').fontSize(22)
+    .text(company.name, MARGIN, 28, { width: width - MARGIN * 2 });
+  const contact = [company.phone, company.email, company.website].filter(Boolean).join('  ·  ');
+  if (contact) {
+    doc.font('Helvetica').fontSize(10).text(contact, MARGIN, 58, { width: width - MARGIN * 2 });
+  }
+
+  doc.fillColor('black');
+  doc.y = 120;
+}
+
+function drawDetails(doc, quote, lead) {
+  const top = doc.y;
+  const right = doc.page.width - MARGIN - 200;
+
+  doc.font('Helvetica-Bold').fontSize(18).text(`Quote ${quote.number}`, MARGIN, top);
+  doc.font('Helvetica').fontSize(10).fillColor(MUTED)
+    .text(`Date: ${longDate(quote.sent_at || quote.created_at)}`, right, top, { width: 200, align: 'right' })
+    .text(`Valid until: ${longDate(quote.valid_until)}`, { width: 200, align: 'right' })
+    .text(`Your reference: ${lead.reference_code}`, { width: 200, align: 'right' });
+
+  doc.fillColor('black').font('Helvetica-Bold').fontSize(11).text('Prepared for', MARGIN, top + 35);
+  doc.font('Helvetica').fontSize(10);
+  [lead.customer_name, lead.email, lead.phone, lead.postcode].filter(Boolean).forEach(line => doc.text(line));
+  doc.moveDown(1.5);
+}
+
+function drawRenders(doc, renders) {
+  const shown = [['Before', renders.before], ['After', renders.after]].filter(([, image]) => image);
+  if (shown.length === 0) return;
+
+  const gap = 20;
+  const width = (doc.page.width - MARGIN * 2 - gap) / 2;
+  const top = doc.y;
+
+  shown.forEach(([label, image], index) => {
+    const x = MARGIN + index * (width + gap);
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(MUTED).text(label, x, top);
+    doc.image(image, x, top + 15, { fit: [width, RENDER_HEIGHT], align: 'center' });
+  });
+
+  doc.fillColor('black');
+  doc.x = MARGIN;
+  doc.y = top + RENDER_HEIGHT + 30;
+}
+
+// Description, quantity, unit price and amount, starting a new page when a row won't fit
+function drawItems(doc, items) {
+  const columns = [
+    { label: 'Description', x: MARGIN, width: 255, align: 'left' },
+    { label: 'Qty', x: MARGIN + 265, width: 50, align: 'right' },
+    { label: 'Unit price', x: MARGIN + 325, width: 80, align: 'right' },
+    { label: 'Amount', x: MARGIN + 415, width: 80, align: 'right' }
+  ];
+  const bottom = () => doc.page.height - MARGIN - 40;
+
+  const drawHeading = () => {
+    const y = doc.y;
+    doc.rect(MARGIN, y - 5, doc.page.width - MARGIN * 2, 20).fill('#f0f4ff');
+    doc.fillColor('black').font('Helvetica-Bold').fontSize(10);
+    columns.forEach(column => doc.text(column.label, column.x, y, { width: column.width, align: column.align }));
+    doc.y = y + 22;
+  };
+
+  drawHeading();
+  doc.font('Helvetica').fontSize(10);
+
+  for (const item of items) {
+    const height = doc.heightOfString(item.description, { width: columns[0].width }) + 8;
+    if (doc.y + height > bottom()) {
+      doc.addPage();
+      doc.y = MARGIN;
+      drawHeading();
+      doc.font('Helvetica').fontSize(10);
+    }
+
+    const y = doc.y;
+    const values = [
+      item.description,
+      quantity(item.quantity),
+      money(item.unitPrice),
+      money(Math.round(item.quantity * Math.round(item.unitPrice * 100)) / 100)
+    ];
+    columns.forEach((column, index) => doc.text(values[index], column.x, y, { width: column.width, align: column.align }));
+    doc.moveTo(MARGIN, y + height - 4).lineTo(doc.page.width - MARGIN, y + height - 4).strokeColor('#e0e0e0').stroke();
+    doc.y = y + height;
+  }
+}
+
+function drawTotals(doc, quote) {
+  const rows = [['Subtotal', money(quote.subtotal)]];
+  if (Number(quote.discount_amount) > 0) {
+    const label = quote.discount_type === 'percent' ? `Discount (${Number(quote.discount_value)}%)` : 'Discount';
+    rows.push([label, `-${money(quote.discount_amount)}`]);
+  }
+  rows.push([`VAT (${Number(quote.vat_rate)}%)`, money(quote.vat_amount)]);
+
+  if (doc.y + (rows.length + 2) * 18 > doc.page.height - MARGIN) {
+    doc.addPage();
+    doc.y = MARGIN;
+  }
+
+  const labelX = doc.page.width - MARGIN - 250;
+  doc.moveDown(0.5);
+  doc.font('Helvetica').fontSize(10);
+  for (const [label, value] of rows) {
+    const y = doc.y;
+    doc.text(label, labelX, y, { width: 150, align: 'right' });
+    doc.text(value, labelX + 160, y, { width: 90, align: 'right' });
+    doc.y = y + 16;
+  }
+
+  const y = doc.y + 4;
+  doc.font('Helvetica-Bold').fontSize(13).fillColor(ACCENT);
+  doc.text('Total', labelX, y, { width: 150, align: 'right' });
+  doc.text(money(quote.total), labelX + 160, y, { width: 90, align: 'right' });
+  doc.fillColor('black');
+  doc.x = MARGIN;
+  doc.y = y + 30;
+}
+
+function drawFooter(doc, quote, quoteUrl) {
+  const width = doc.page.width - MARGIN * 2;
+
+  if (quote.notes) {
+    doc.font('Helvetica-Bold').fontSize(11).text('Notes', MARGIN, doc.y, { width });
+    doc.font('Helvetica').fontSize(10).text(quote.notes, { width });
+    doc.moveDown();
+  }
+
+  doc.font('Helvetica').fontSize(10).fillColor(MUTED)
+    .text(`Prices are valid until ${longDate(quote.valid_until)}.`, MARGIN, doc.y, { width });
+  if (quoteUrl) {
+    doc.text('To accept or decline this quote online, visit:', { width });
+    doc.fillColor(ACCENT).text(quoteUrl, { width, link: quoteUrl, underline: true });
+  }
+  doc.fillColor('black');
+}
+
+// Builds the PDF for a quote row. `lead` is its lead row, `company` needs name and
+// contact details, and `quoteUrl` (the customer's link) is printed when given.
+// Returns a Buffer.
+async function createQuotePdf(quote, { lead, company, quoteUrl = null }) {
+  const [before, after] = await Promise.all([loadRender(quote.before_image), loadRender(quote.after_image)]);
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: MARGIN,
+    info: { Title: `Quote ${quote.number}`, Author: company.name }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  drawHeader(doc, company);
+  drawDetails(doc, quote, lead);
+  drawRenders(doc, { before, after });
+  drawItems(doc, quote.items || []);
+  drawTotals(doc, quote);
+  drawFooter(doc, quote, quoteUrl);
+  doc.end();
+
+  return done;
+}
+
+module.exports = {
+  createQuotePdf
+};
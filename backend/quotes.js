@@ -0,0 +1,620 @@
+// Quotes
+// Staff build itemised quotes on a lead (quotes): line items with a quantity and unit
+// price, an optional discount, VAT and the date the prices are good until, with the
+// lead's before and after renders. Drafts can be changed; sending a quote emails the
+// customer its PDF (quote-pdf.js) and a private link where they can accept or decline.
+// Accepting moves the lead to the won stage with the quote's total as its project value.
+
+const { v4: uuidv4 } = require('uuid');
+const sgMail = require('@sendgrid/mail');
+const db = require('./database');
+const auth = require('./auth');
+const pipeline = require('./pipeline');
+const leadStore = require('./leads');
+const leadActivity = require('./lead-activity');
+const emailEvents = require('./email-events');
+const quotePdf = require('./quote-pdf');
+
+const PUBLIC_URL = process.env.PUBLIC_URL || 'https://app.renovationvision.io';
+
+sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+
+const MAX_ITEMS = 50;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_QUANTITY = 100000;
+const MAX_UNIT_PRICE = 10000000;
+const MAX_NOTES_LENGTH = 5000;
+const MAX_NAME_LENGTH = 255;
+const MAX_REASON_LENGTH = 2000;
+const DEFAULT_VAT_RATE = 20;
+const DEFAULT_VALID_DAYS = 30;
+const MAX_VALID_DAYS = 365;
+const DISCOUNT_TYPES = ['percent', 'amount'];
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// The stage a lead moves to when its first quote goes out, if the company has it
+const QUOTED_STAGE = 'quoted';
+
+// YYYY-MM-DD. pg returns DATE columns as local midnight.
+function dateString(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function addDays(days) {
+  return dateString(new Date(Date.now() + days * DAY_MS));
+}
+
+function hasDecimals(value, places) {
+  return Math.abs(Math.round(value * 10 ** places) - value * 10 ** places) < 1e-6;
+}
+
+function isAmount(value, { min, max }) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max && hasDecimals(value, 2);
+}
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+// A line's amount in pence
+function lineAmount(item) {
+  return Math.round(item.quantity * Math.round(item.unitPrice * 100));
+}
+
+// Totals in pounds, worked out in pence so they add up on the PDF.
+// The discount comes off before VAT.
+function calculateTotals({ items, vatRate, discountType, discountValue }) {
+  const subtotal = items.reduce((sum, item) => sum + lineAmount(item), 0);
+
+  let discount = 0;
+  if (discountType === 'percent') discount = Math.round(subtotal * discountValue / 100);
+  if (discountType === 'amount') discount = Math.min(Math.round(discountValue * 100), subtotal);
+
+  const net = subtotal - discount;
+  const vat = Math.round(net * vatRate / 100);
+  return {
+    subtotal: subtotal / 100,
+    discountAmount: discount / 100,
+    vatAmount: vat / 100,
+    total: (net + vat) / 100
+  };
+}
+
+function validateItems(items) {
+  if (!Array.isArray(items) || items.length === 0 || items.length > MAX_ITEMS) {
+    return { error: `A quote needs 1 to ${MAX_ITEMS} line items` };
+  }
+
+  const cleaned = [];
+  for (const [index, item] of items.entries()) {
+    const line = `Line ${index + 1}`;
+    const description = item && typeof item.description === 'string' ? item.description.trim() : '';
+    if (!description || description.length > MAX_DESCRIPTION_LENGTH) {
+      return { error: `${line}: description must be 1 to ${MAX_DESCRIPTION_LENGTH} characters` };
+    }
+    if (!isAmount(item.quantity, { min: 0.01, max: MAX_QUANTITY })) {
+      return { error: `${line}: quantity must be a number above 0 with up to 2 decimal places` };
+    }
+    if (!isAmount(item.unitPrice, { min: 0, max: MAX_UNIT_PRICE })) {
+      return { error: `${line}: unit price must be a number from 0 to ${MAX_UNIT_PRICE} in pounds and pence` };
+    }
+    cleaned.push({ description, quantity: item.quantity, unitPrice: item.unitPrice });
+  }
+  return { items: cleaned };
+}
+
+// Checks a quote from the dashboard. Returns { quote } with defaults filled in
+// (VAT at 20%, valid for 30 days, renders included) or { error }.
+function validateQuote({ items, vatRate, discount, validUntil, notes, includeRenders }) {
+  const checked = validateItems(items);
+  if (checked.error) return checked;
+
+  const rate = vatRate === undefined || vatRate === null ? DEFAULT_VAT_RATE : vatRate;
+  if (!isAmount(rate, { min: 0, max: 100 })) {
+    return { error: 'VAT rate must be a percentage from 0 to 100' };
+  }
+
+  let discountType = null;
+  let discountValue = null;
+  if (discount !== undefined && discount !== null) {
+    if (!DISCOUNT_TYPES.includes(discount.type)) {
+      return { error: `Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}` };
+    }
+    const max = discount.type === 'percent' ? 100 : MAX_UNIT_PRICE;
+    if (!isAmount(discount.value, { min: 0.01, max })) {
+      return {
+        error: discount.type === 'percent'
+          ? 'Percentage discounts must be above 0 and at most 100'
+          : 'Discounts must be an amount above 0 in pounds and pence'
+      };
+    }
+    discountType = discount.type;
+    discountValue = discount.value;
+  }
+
+  const until = validUntil === undefined || validUntil === null ? addDays(DEFAULT_VALID_DAYS) : validUntil;
+  if (typeof until !== 'string' || !DATE.test(until) || Number.isNaN(new Date(until).getTime())
+      || new Date(until).toISOString().slice(0, 10) !== until) {
+    return { error: 'Valid until must be a date (YYYY-MM-DD)' };
+  }
+  if (until < dateString(new Date()) || until > addDays(MAX_VALID_DAYS)) {
+    return { error: `Valid until must be between today and ${MAX_VALID_DAYS} days from now` };
+  }
+
+  const text = typeof notes === 'string' ? notes.trim() : '';
+  if (text.length > MAX_NOTES_LENGTH) {
+    return { error: `Notes can be up to ${MAX_NOTES_LENGTH} characters` };
+  }
+  if (includeRenders !== undefined && typeof includeRenders !== 'boolean') {
+    return { error: 'includeRenders must be true or false' };
+  }
+
+  return {
+    quote: {
+      items: checked.items,
+      vatRate: rate,
+      discountType,
+      discountValue,
+      validUntil: until,
+      notes: text || null,
+      includeRenders: includeRenders !== false
+    }
+  };
+}
+
+// Sent quotes past their date show as expired and can't be accepted
+function isExpired(row) {
+  return row.status === 'sent' && dateString(row.valid_until) < dateString(new Date());
+}
+
+// The lead's original photo and the render it chose (the still frame for a video)
+function renderKeys(lead) {
+  const after = lead.media_types && lead.media_types.includes('video') && lead.generated_still
+    ? lead.generated_still
+    : lead.generated_image;
+  return { before: lead.original_image || null, after: after || null };
+}
+
+async function serializeQuote(row, baseUrl) {
+  return {
+    id: row.id,
+    leadId: row.lead_id,
+    number: row.number,
+    status: isExpired(row) ? 'expired' : row.status,
+    items: row.items || [],
+    vatRate: toNumber(row.vat_rate),
+    discount: row.discount_type ? { type: row.discount_type, value: toNumber(row.discount_value) } : null,
+    subtotal: toNumber(row.subtotal),
+    discountAmount: toNumber(row.discount_amount),
+    vatAmount: toNumber(row.vat_amount),
+    total: toNumber(row.total),
+    validUntil: dateString(row.valid_until),
+    notes: row.notes,
+    includeRenders: Boolean(row.before_image || row.after_image),
+    beforeImage: await leadStore.fileUrl(row.before_image, baseUrl),
+    afterImage: await leadStore.fileUrl(row.after_image, baseUrl),
+    createdBy: row.created_by,
+    sentAt: row.sent_at,
+    viewedAt: row.viewed_at,
+    respondedAt: row.responded_at,
+    acceptedName: row.accepted_name,
+    declineReason: row.decline_reason,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+async function getLead(leadId) {
+  const result = await db.query('SELECT * FROM leads WHERE id = $1', [leadId]);
+  return result.rows[0] || null;
+}
+
+async function getCompany(companyId) {
+  const result = await db.query('SELECT name, email, phone, website FROM companies WHERE id = $1', [companyId]);
+  return result.rows[0] || { name: 'Your installer' };
+}
+
+async function getQuote(quoteId) {
+  const result = await db.query('SELECT * FROM quotes WHERE id = $1', [quoteId]);
+  return result.rows[0] || null;
+}
+
+// A lead's quotes, newest first
+async function listQuotes(leadId) {
+  const result = await db.query('SELECT * FROM quotes WHERE lead_id = $1 ORDER BY created_at DESC', [leadId]);
+  return result.rows;
+}
+
+// Quotes are numbered after the lead: RV-1A2B3C4D-Q1, RV-1A2B3C4D-Q2...
+async function nextNumber(lead) {
+  const prefix = `${lead.reference_code}-Q`;
+  const result = await db.query('SELECT number FROM quotes WHERE lead_id = $1', [lead.id]);
+  const used = result.rows
+    .filter(row => row.number.startsWith(prefix))
+    .map(row => parseInt(row.number.slice(prefix.length), 10) || 0);
+  return `${prefix}${Math.max(0, ...used) + 1}`;
+}
+
+function quoteColumns(quote, lead) {
+  const totals = calculateTotals(quote);
+  const renders = quote.includeRenders ? renderKeys(lead) : { before: null, after: null };
+  return [
+    JSON.stringify(quote.items),
+    quote.vatRate,
+    quote.discountType,
+    quote.discountValue,
+    totals.subtotal,
+    totals.discountAmount,
+    totals.vatAmount,
+    totals.total,
+    quote.validUntil,
+    quote.notes,
+    renders.before,
+    renders.after
+  ];
+}
+
+// Creates a draft quote from a quote checked with validateQuote.
+// Returns the row, or null when the lead doesn't exist.
+async function createQuote(leadId, quote, createdBy) {
+  const lead = await getLead(leadId);
+  if (!lead) return null;
+
+  const result = await db.query(
+    `INSERT INTO quotes (id, lead_id, company_id, number, status, items, vat_rate, discount_type, discount_value,
+                         subtotal, discount_amount, vat_amount, total, valid_until, notes,
+                         before_image, after_image, created_by)
+     VALUES ($1, $2, $3, $4, 'draft', $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+     RETURNING *`,
+    [uuidv4(), lead.id, lead.company_id, await nextNumber(lead), ...quoteColumns(quote, lead), createdBy || null]
+  );
+  console.log(`🧾 Quote ${result.rows[0].number} created`);
+  return result.rows[0];
+}
+
+// Replaces a draft's items and terms. The renders are taken from the lead again.
+// Returns the row, { error } or null when the quote doesn't exist.
+async function updateQuote(quoteId, quote) {
+  const existing = await getQuote(quoteId);
+  if (!existing) return null;
+  if (existing.status !== 'draft') {
+    return { error: 'Only draft quotes can be changed. Start a new quote instead.' };
+  }
+
+  const lead = await getLead(existing.lead_id);
+  const result = await db.query(
+    `UPDATE quotes SET
+       items = $2, vat_rate = $3, discount_type = $4, discount_value = $5,
+       subtotal = $6, discount_amount = $7, vat_amount = $8, total = $9,
+       valid_until = $10, notes = $11, before_image = $12, after_image = $13, updated_at = NOW()
+     WHERE id = $1 RETURNING *`,
+    [quoteId, ...quoteColumns(quote, lead)]
+  );
+  return result.rows[0];
+}
+
+// Returns true, { error } or null when the quote doesn't exist
+async function deleteQuote(quoteId) {
+  const existing = await getQuote(quoteId);
+  if (!existing) return null;
+  if (existing.status !== 'draft') {
+    return { error: 'Only draft quotes can be deleted' };
+  }
+
+  await db.query('DELETE FROM quotes WHERE id = $1', [quoteId]);
+  return true;
+}
+
+// The customer's page for a quote (public/quote). Built from PUBLIC_URL rather than
+// the request's host, since the link carries the quote's access token.
+function customerUrl(token) {
+  return `${PUBLIC_URL}/quote/?token=${token}`;
+}
+
+// The PDF for a quote row, with the customer's link printed on it when given
+async function renderPdf(quote, quoteUrl = null) {
+  const [lead, company] = await Promise.all([getLead(quote.lead_id), getCompany(quote.company_id)]);
+  return quotePdf.createQuotePdf(quote, { lead, company, quoteUrl });
+}
+
+async function sendQuoteEmail(quote, lead, company, quoteUrl, pdf) {
+  const msg = emailEvents.withTracking(lead, {
+    to: lead.email,
+    from: 'hello@renovationvision.io',
+    subject: `Your quote from ${company.name} (${quote.number})`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #667eea;">📄 Your Quote is Ready</h2>
+
+        <p>Hi ${lead.customer_name},</p>
+
+        <p>Thanks for your interest in working with ${company.name}. Your quote for your renovation is attached.</p>
+
+        <div style="background: #f0f4ff; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p style="margin: 0;">Total (including VAT)</p>
+          <h1 style="color: #667eea; margin: 10px 0;">£${Number(quote.total).toLocaleString('en-GB', { minimumFractionDigits: 2 })}</h1>
+          <p style="font-size: 14px; color: #666; margin: 0;">Valid until ${dateString(quote.valid_until)}</p>
+        </div>
+
+        <p><a href="${quoteUrl}" style="background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">View and Accept Quote</a></p>
+
+        <p style="color: #999; font-size: 14px; margin-top: 40px;">Questions? Just reply to this email or quote ${lead.reference_code} when you call.</p>
+      </div>
+    `,
+    attachments: [{
+      content: pdf.toString('base64'),
+      filename: `${quote.number}.pdf`,
+      type: 'application/pdf',
+      disposition: 'attachment'
+    }]
+  });
+
+  try {
+    await sgMail.send(msg);
+    console.log(`✅ Quote ${quote.number} sent to ${lead.email}`);
+  } catch (error) {
+    console.error('Email send error:', error);
+  }
+}
+
+// Emails the quote to the customer with a new link (any earlier link stops working).
+// A lead in an earlier stage moves to "quoted". Returns { quote, quoteUrl } (the row),
+// { error } or null when the quote doesn't exist.
+async function sendQuote(quoteId, { sentBy }) {
+  const existing = await getQuote(quoteId);
+  if (!existing) return null;
+  if (!['draft', 'sent'].includes(existing.status)) {
+    return { error: `This quote has already been ${existing.status}` };
+  }
+  if (dateString(existing.valid_until) < dateString(new Date())) {
+    return {
+      error: existing.status === 'draft'
+        ? 'The valid until date has passed. Change it before sending the quote.'
+        : 'This quote has expired. Start a new quote instead.'
+    };
+  }
+
+  const access = auth.createInviteToken();
+  const result = await db.query(
+    `UPDATE quotes SET status = 'sent', access_token_hash = $2, sent_at = NOW(), updated_at = NOW()
+     WHERE id = $1 RETURNING *`,
+    [quoteId, access.hash]
+  );
+  const quote = result.rows[0];
+  const quoteUrl = customerUrl(access.token);
+
+  const [lead, company] = await Promise.all([getLead(quote.lead_id), getCompany(quote.company_id)]);
+  const pdf = await quotePdf.createQuotePdf(quote, { lead, company, quoteUrl });
+  await sendQuoteEmail(quote, lead, company, quoteUrl, pdf);
+
+  await leadActivity.logActivity(lead, {
+    type: 'quote',
+    details: { action: 'sent', quoteId: quote.id, number: quote.number, total: toNumber(quote.total) },
+    createdBy: sentBy
+  });
+
+  const stages = await pipeline.getStages(lead.company_id);
+  const current = stages.findIndex(stage => stage.key === lead.status);
+  const quoted = stages.findIndex(stage => stage.key === QUOTED_STAGE);
+  if (quoted !== -1 && current !== -1 && current < quoted && !stages[current].outcome) {
+    await leadStore.updateLead(lead.id, { status: QUOTED_STAGE, changedBy: sentBy });
+  }
+
+  return { quote, quoteUrl };
+}
+
+// A quote by the token in the customer's link (drafts are never shown)
+async function findByToken(token) {
+  if (typeof token !== 'string' || !token) return null;
+
+  const result = await db.query(
+    `SELECT * FROM quotes WHERE access_token_hash = $1 AND status <> 'draft'`,
+    [auth.hashInviteToken(token)]
+  );
+  return result.rows[0] || null;
+}
+
+// What the customer's quote page shows. The first view is logged on the lead's timeline.
+// Returns null when the link is wrong.
+async function getCustomerQuote(token, baseUrl) {
+  const quote = await findByToken(token);
+  if (!quote) return null;
+
+  const [lead, company] = await Promise.all([getLead(quote.lead_id), getCompany(quote.company_id)]);
+
+  if (!quote.viewed_at) {
+    await db.query('UPDATE quotes SET viewed_at = NOW() WHERE id = $1', [quote.id]);
+    await leadActivity.logActivity(lead, {
+      type: 'quote',
+      details: { action: 'viewed', quoteId: quote.id, number: quote.number }
+    });
+  }
+
+  const serialized = await serializeQuote(quote, baseUrl);
+  return {
+    number: serialized.number,
+    status: serialized.status,
+    items: serialized.items,
+    vatRate: serialized.vatRate,
+    discount: serialized.discount,
+    subtotal: serialized.subtotal,
+    discountAmount: serialized.discountAmount,
+    vatAmount: serialized.vatAmount,
+    total: serialized.total,
+    validUntil: serialized.validUntil,
+    notes: serialized.notes,
+    beforeImage: serialized.beforeImage,
+    afterImage: serialized.afterImage,
+    sentAt: serialized.sentAt,
+    respondedAt: serialized.respondedAt,
+    acceptedName: serialized.acceptedName,
+    customerName: lead.customer_name,
+    referenceCode: lead.reference_code,
+    company: {
+      name: company.name,
+      email: company.email,
+      phone: company.phone,
+      website: company.website
+    }
+  };
+}
+
+// Lets whoever the lead is assigned to (or the company) know the customer answered
+async function sendResponseNotification(quote, lead, accepted) {
+  const [company, assignee] = await Promise.all([
+    getCompany(quote.company_id),
+    lead.assigned_to ? db.query('SELECT name, email FROM company_users WHERE id = $1', [lead.assigned_to]) : null
+  ]);
+  const recipient = assignee && assignee.rows[0] ? assignee.rows[0] : company;
+  if (!recipient.email) return;
+
+  const msg = {
+    to: recipient.email,
+    from: 'leads@renovationvision.io',
+    subject: accepted
+      ? `🎉 Quote accepted - ${lead.customer_name} (${quote.number})`
+      : `Quote declined - ${lead.customer_name} (${quote.number})`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #667eea;">${accepted ? 'Quote Accepted!' : 'Quote Declined'}</h2>
+
+        <p>Hi ${recipient.name},</p>
+
+        <p>${lead.customer_name} has ${accepted ? 'accepted' : 'declined'} quote ${quote.number}
+          (£${Number(quote.total).toLocaleString('en-GB', { minimumFractionDigits: 2 })}).</p>
+
+        ${accepted
+          ? '<p>The lead has been moved to won with the quote total as its project value.</p>'
+          : quote.decline_reason ? `<p><strong>Their reason:</strong> ${quote.decline_reason}</p>` : ''}
+
+        <p><a href="https://app.renovationvision.io/dashboard/leads.html" style="background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">View in Dashboard</a></p>
+      </div>
+    `
+  };
+
+  try {
+    await sgMail.send(msg);
+    console.log(`✅ Quote response notification sent to ${recipient.email}`);
+  } catch (error) {
+    console.error('Email send error:', error);
+  }
+}
+
+// Quotes can only be answered once, while they're still valid
+function checkOpen(quote) {
+  if (quote.status !== 'sent') {
+    return { error: `This quote has already been ${quote.status}` };
+  }
+  if (isExpired(quote)) {
+    return { error: 'This quote has expired. Please contact us for an updated one.' };
+  }
+  return null;
+}
+
+// The customer accepts, typing their name. The lead moves to the company's won stage
+// with the quote total as its project value, and the lead's other open quotes are
+// withdrawn. Returns { quote } (the row), { error } or null when the link is wrong.
+async function acceptQuote(token, { name }) {
+  const quote = await findByToken(token);
+  if (!quote) return null;
+
+  const closed = checkOpen(quote);
+  if (closed) return closed;
+
+  const signedName = typeof name === 'string' ? name.trim() : '';
+  if (!signedName || signedName.length > MAX_NAME_LENGTH) {
+    return { error: 'Please type your full name to accept the quote' };
+  }
+
+  const result = await db.query(
+    `UPDATE quotes SET status = 'accepted', accepted_name = $2, responded_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = 'sent' RETURNING *`,
+    [quote.id, signedName]
+  );
+  const accepted = result.rows[0];
+  if (!accepted) {
+    return { error: 'This quote has already been answered' };
+  }
+
+  await db.query(
+    `UPDATE quotes SET status = 'withdrawn', updated_at = NOW()
+     WHERE lead_id = $1 AND id <> $2 AND status = 'sent'`,
+    [quote.lead_id, quote.id]
+  );
+
+  const lead = await getLead(quote.lead_id);
+  await leadActivity.logActivity(lead, {
+    type: 'quote',
+    details: { action: 'accepted', quoteId: quote.id, number: quote.number, total: toNumber(accepted.total) },
+    createdBy: signedName
+  });
+
+  const stages = await pipeline.getStages(lead.company_id);
+  const won = stages.find(stage => stage.outcome === 'won');
+  const total = toNumber(accepted.total);
+  await leadStore.updateLead(lead.id, {
+    status: won ? won.key : undefined,
+    projectValue: total > 0 ? total : undefined,
+    changedBy: `${signedName} (accepted ${quote.number})`
+  });
+
+  console.log(`🎉 Quote ${quote.number} accepted`);
+  await sendResponseNotification(accepted, lead, true);
+  return { quote: accepted };
+}
+
+// The customer declines, optionally saying why. The lead stays where it is.
+// Returns { quote } (the row), { error } or null when the link is wrong.
+async function declineQuote(token, { reason }) {
+  const quote = await findByToken(token);
+  if (!quote) return null;
+
+  const closed = checkOpen(quote);
+  if (closed) return closed;
+
+  const text = typeof reason === 'string' ? reason.trim() : '';
+  if (text.length > MAX_REASON_LENGTH) {
+    return { error: `Please keep your reason to ${MAX_REASON_LENGTH} characters` };
+  }
+
+  const result = await db.query(
+    `UPDATE quotes SET status = 'declined', decline_reason = $2, responded_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = 'sent' RETURNING *`,
+    [quote.id, text || null]
+  );
+  const declined = result.rows[0];
+  if (!declined) {
+    return { error: 'This quote has already been answered' };
+  }
+
+  const lead = await getLead(quote.lead_id);
+  await leadActivity.logActivity(lead, {
+    type: 'quote',
+    body: text || null,
+    details: { action: 'declined', quoteId: quote.id, number: quote.number }
+  });
+
+  console.log(`🧾 Quote ${quote.number} declined`);
+  await sendResponseNotification(declined, lead, false);
+  return { quote: declined };
+}
+
+module.exports = {
+  validateQuote,
+  calculateTotals,
+  serializeQuote,
+  getQuote,
+  listQuotes,
+  createQuote,
+  updateQuote,
+  deleteQuote,
+  customerUrl,
+  renderPdf,
+  sendQuote,
+  findByToken,
+  getCustomerQuote,
+  acceptQuote,
+  declineQuote
+};
@@ -5,35 +5,70 @@ const cors = require('cors');
 const multer = require('multer');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const mime = require('mime-types');
 const db = require('./database');
 
 // In-memory storage for lightweight demo/testing usage
 // In production these should be persisted in the database (the app also uses the DB in many routes)
 const companies = new Map();
-const leads = [];
 
 const app = express();
 const PORT = 3000;
 
+// Behind a load balancer, TRUST_PROXY (the number of proxy hops, or their addresses)
+// makes req.ip the visitor's address from X-Forwarded-For instead of the proxy's
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', String(hops) === process.env.TRUST_PROXY ? hops : process.env.TRUST_PROXY);
+}
+
 const emailAutomation = require('./email-automation');
 
 // Start email automation
 console.log('✅ Email automation started');
 
-// RunwayML API configuration
-const RUNWAYML_API_KEY = process.env.RUNWAYML_API_KEY;
-const RUNWAYML_API_URL = 'https://api.dev.runwayml.com/v1';
-
-if (!RUNWAYML_API_KEY) {
-  console.error('⚠️ RunwayML API key is missing. Image generation will not work.');
+// Image generation providers (RunwayML, Gemini or mock)
+const providers = require('./providers');
+const generationJobs = require('./generation-jobs');
+const signedUrls = require('./signed-urls');
+const imageProcessing = require('./image-processing');
+const storage = require('./storage');
+const promptStyles = require('./prompt-styles');
+const defaultPrompts = require('./default-prompts');
+const briefBuilder = require('./brief-builder');
+const usage = require('./usage');
+const moderation = require('./moderation');
+const leadStore = require('./leads');
+const leadForms = require('./lead-forms');
+const pipeline = require('./pipeline');
+const leadActivity = require('./lead-activity');
+const leadDuplicates = require('./lead-duplicates');
+const leadScoring = require('./lead-scoring');
+const emailEvents = require('./email-events');
+const quotes = require('./quotes');
+const surveyBookings = require('./survey-bookings');
+const branding = require('./branding');
+const customerPortal = require('./customer-portal');
+const auth = require('./auth');
+const team = require('./team');
+
+const defaultProvider = providers.getProvider(providers.getDefaultProviderName());
+if (!defaultProvider.isConfigured()) {
+  console.error(`⚠️ ${defaultProvider.label} is not configured. Image generation will not work unless a company uses another provider.`);
 } else {
-  console.log('✅ RunwayML API key configured');
+  console.log(`✅ Image provider: ${defaultProvider.label}`);
 }
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '50mb' }));
+// Webhooks keep the raw body to check its signature (ROUTE 14)
+app.use(express.json({
+  limit: '50mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 
 // Create public directory if it doesn't exist
 const publicDir = path.join(__dirname, 'public');
@@ -53,35 +88,64 @@ app.use('/dashboard', express.static(path.join(__dirname, 'public/dashboard')));
 app.use('/widget', express.static(path.join(__dirname, 'public/widget')));
 app.use('/landing-page', express.static(path.join(__dirname, 'public/landing-page')));
 
-// Serve uploads folder
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Serve uploaded photos from storage. Links saved before the storage layer
+// point here; full renders (generated-*) are never served this way.
+app.get('/uploads/:name', async (req, res) => {
+  if (req.params.name.startsWith('generated-')) {
+    return res.status(404).send('Not Found');
+  }
+
+  try {
+    const file = await storage.get(storage.keys.upload(req.params.name));
+    if (!file) {
+      return res.status(404).send('Not Found');
+    }
+
+    res.type(file.contentType).send(file.buffer);
+  } catch (error) {
+    console.error('Upload fetch error:', error);
+    res.status(500).send('Failed to load file');
+  }
+});
 
 // Root redirect
 app.get('/', (req, res) => {
   res.redirect('/dashboard/login.html');
 });
 
-// Create uploads directory
-const uploadsDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir);
+// Configure multer for file uploads. Files are kept in memory and written to
+// storage by the ingest pipeline under generated names.
+const upload = multer({ 
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+});
+
+function getBaseUrl(req) {
+  const protocol = req.headers['x-forwarded-proto'] || req.protocol;
+  return `${protocol}://${req.get('host')}`;
 }
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadsDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueName = `${uuidv4()}-${file.originalname}`;
-    cb(null, uniqueName);
+// The assignee filter for a leads query: salespeople only get their own leads,
+// and "me" is the signed-in member
+function leadAssignee(member, assignee) {
+  if (!team.can(member, 'leads:all') || assignee === 'me') {
+    return member.id;
   }
-});
+  return assignee;
+}
 
-const upload = multer({ 
-  storage: storage,
-  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
-});
+// Widget visitor for per-visitor quotas: visitorId is the id the widget keeps in
+// localStorage (or the IP address when it doesn't send one). The client picks that id,
+// so visitorIp, which it can't, is capped as well.
+function getVisitor(req) {
+  const visitorIp = `ip:${req.ip}`;
+  const { visitorId } = req.body;
+
+  return {
+    visitorId: typeof visitorId === 'string' && /^[\w-]{8,100}$/.test(visitorId) ? visitorId : visitorIp,
+    visitorIp
+  };
+}
 
 // ROUTE 1: Test endpoint
 app.get('/api/health', async (req, res) => {
@@ -102,473 +166,2407 @@ app.get('/api/health', async (req, res) => {
 });
 
 // ROUTE 2: Upload image
-app.post('/api/upload', upload.single('image'), (req, res) => {
+app.post('/api/upload', upload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No image uploaded' });
     }
 
+    // Normalise orientation, metadata, format and size for the company's provider
+    const maxDimension = await providers.getMaxImageDimension(req.body.companyId);
+
+    let image;
+    try {
+      image = await imageProcessing.normaliseUpload(req.file.buffer, { maxDimension });
+    } catch (error) {
+      console.error('Image processing error:', error.message);
+      return res.status(400).json({ error: 'Unsupported or corrupt image file' });
+    }
+
     const uploadId = uuidv4();
-    const fileInfo = {
-      id: uploadId,
-      filename: req.file.filename,
-      path: req.file.path,
-      originalName: req.file.originalname,
-      size: req.file.size
-    };
+    const filename = `upload-${uploadId}.jpg`;
+    const imageKey = storage.keys.upload(filename);
+    const thumbnailKey = storage.keys.upload(`thumb-${uploadId}.jpg`);
+
+    await storage.put(imageKey, image.buffer, { contentType: image.mimeType });
+    await storage.put(thumbnailKey, await imageProcessing.createThumbnail(image.buffer), {
+      contentType: 'image/jpeg'
+    });
+
+    const baseUrl = getBaseUrl(req);
 
     res.json({
       success: true,
       uploadId: uploadId,
-      filename: req.file.filename,
+      filename: filename,
+      imageUrl: await storage.getAssetUrl(imageKey, baseUrl),
+      thumbnailUrl: await storage.getAssetUrl(thumbnailKey, baseUrl),
+      width: image.width,
+      height: image.height,
       message: 'Image uploaded successfully'
     });
+  } catch (error) {
+    console.error('Upload error:', error);
+    res.status(500).json({ error: 'Upload failed' });
+  }
+});
+
+// ROUTE 2a: Get the mask saved for an upload
+app.get('/api/upload/:filename/mask', async (req, res) => {
+  try {
+    const maskKey = storage.keys.mask(req.params.filename);
+
+    if (!(await storage.exists(maskKey))) {
+      return res.status(404).json({ error: 'No saved mask for this image' });
+    }
+
+    res.json({
+      success: true,
+      maskUrl: await storage.getAssetUrl(maskKey, getBaseUrl(req))
+    });
+  } catch (error) {
+    console.error('Mask fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch mask' });
+  }
+});
+
+// ROUTE 2b: Upload an inspiration photo (the look the customer wants)
+app.post('/api/upload/inspiration', upload.single('image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image uploaded' });
+    }
+
+    const maxDimension = await providers.getMaxImageDimension(req.body.companyId);
+
+    let image;
+    try {
+      image = await imageProcessing.normaliseUpload(req.file.buffer, { maxDimension });
     } catch (error) {
-      console.error('Upload error:', error);
-      res.status(500).json({ error: 'Upload failed' });
+      console.error('Image processing error:', error.message);
+      return res.status(400).json({ error: 'Unsupported or corrupt image file' });
     }
-  });
-  
-// ROUTE 3: Generate renovation image
+
+    const filename = `inspiration-${uuidv4()}.jpg`;
+    const imageKey = storage.keys.upload(filename);
+    await storage.put(imageKey, image.buffer, { contentType: image.mimeType });
+
+    res.json({
+      success: true,
+      filename: filename,
+      imageUrl: await storage.getAssetUrl(imageKey, getBaseUrl(req)),
+      message: 'Inspiration image uploaded successfully'
+    });
+  } catch (error) {
+    console.error('Inspiration upload error:', error);
+    res.status(500).json({ error: 'Upload failed' });
+  }
+});
+
+const MAX_REFINEMENT_LENGTH = 500;
+const INSPIRATION_PROMPT = 'in the style of the inspiration photo';
+
+// Works out the renders for a generation request: `variants` renders of one
+// brief/prompt, one per style in `styleIds` (with a brief), or one per entry in `prompts`.
+// With an inspiration photo the brief needs no style, as the look comes from the photo.
+// Returns { variants } or { error }.
+async function buildGenerationVariants({ companyId, prompt, brief, variants, styleIds, prompts, inspirationFilename }) {
+  const max = generationJobs.MAX_VARIANTS;
+  const requireStyle = !inspirationFilename;
+
+  if (Array.isArray(styleIds) && styleIds.length > 0) {
+    if (styleIds.length > max) {
+      return { error: `You can compare up to ${max} styles at once` };
+    }
+
+    const result = [];
+    for (const styleId of styleIds) {
+      const built = await briefBuilder.buildBrief(companyId, { ...brief, styleId });
+      if (built.error) return { error: built.error };
+      result.push({ label: built.brief.style, prompt: built.prompt, brief: built.brief });
+    }
+    return { variants: result };
+  }
+
+  if (Array.isArray(prompts) && prompts.length > 0) {
+    if (prompts.length > max) {
+      return { error: `You can compare up to ${max} prompts at once` };
+    }
+    if (prompts.some(item => typeof item !== 'string' || !item.trim())) {
+      return { error: 'Prompts must be text' };
+    }
+    return { variants: prompts.map(item => ({ prompt: item.trim() })) };
+  }
+
+  const count = variants === undefined ? 1 : parseInt(variants, 10);
+  if (!count || count < 1 || count > max) {
+    return { error: `Variants must be between 1 and ${max}` };
+  }
+
+  if (brief) {
+    const built = await briefBuilder.buildBrief(companyId, brief, { requireStyle });
+    if (built.error) return { error: built.error };
+    ({ brief, prompt } = built);
+  }
+
+  if (!prompt && inspirationFilename) {
+    prompt = INSPIRATION_PROMPT;
+  }
+
+  if (!prompt) {
+    return { error: 'Missing brief or prompt' };
+  }
+
+  return { variants: Array.from({ length: count }, () => ({ prompt, brief })) };
+}
+
+// The free text a visitor wrote in a generation request. Style prompts come from the
+// company's own library and aren't moderated.
+function getVisitorTexts({ brief, prompt, prompts }) {
+  return [brief && brief.notes, prompt, ...(Array.isArray(prompts) ? prompts : [])];
+}
+
+// Saves a mask (PNG data URL from the widget) next to the upload, sized to match it.
+// Returns { maskKey } or { error }.
+async function saveMask(imageKey, filename, dataUrl) {
+  const match = typeof dataUrl === 'string' && dataUrl.match(/^data:image\/(png|jpeg|webp);base64,(.+)$/);
+  if (!match) {
+    return { error: 'Mask must be a PNG, JPEG or WebP data URL' };
+  }
+
+  const image = await storage.get(imageKey);
+
+  let mask;
+  try {
+    mask = await imageProcessing.normaliseMask(Buffer.from(match[2], 'base64'), image.buffer);
+  } catch (error) {
+    return { error: 'Unsupported or corrupt mask image' };
+  }
+
+  if (await imageProcessing.isMaskEmpty(mask)) {
+    return { error: 'Mask is empty. Paint over the area you want to change.' };
+  }
+
+  const maskKey = storage.keys.mask(filename);
+  await storage.put(maskKey, mask, { contentType: 'image/png' });
+  return { maskKey };
+}
+
+// ROUTE 3: Start a renovation image generation job
+// Takes a structured brief (from the widget) or a plain prompt, plus an
+// optional variant count or list of styles/prompts to render side by side.
+// `mask` (data URL) limits the edit to the painted area and is saved with the
+// upload; `reuseMask: true` uses the mask saved earlier for the same upload.
+// `inspirationFilename` (from ROUTE 2b) renders the room in that photo's style.
+// Repeats of an identical request come back from the cache unless `force: true`.
 app.post('/api/generate', async (req, res) => {
   try {
-    if (!RUNWAYML_API_KEY) {
-      return res.status(500).json({ error: 'RunwayML API key is not configured. Please set RUNWAYML_API_KEY in environment variables.' });
+    const { filename, companyId, inspirationFilename } = req.body;
+
+    if (!filename) {
+      return res.status(400).json({ error: 'Missing filename' });
+    }
+    if (!companyId) {
+      return res.status(400).json({ error: 'Missing companyId' });
     }
 
-    const { filename, prompt } = req.body;
+    const { variants, error } = await buildGenerationVariants(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    if (!filename || !prompt) {
-      return res.status(400).json({ error: 'Missing filename or prompt' });
+    const { visitorId, visitorIp } = getVisitor(req);
+    const rejection = await moderation.moderate({
+      companyId,
+      visitorId,
+      source: 'generate',
+      texts: getVisitorTexts(req.body)
+    });
+    if (rejection) {
+      return res.status(rejection.status).json({ error: rejection.error, category: rejection.category });
     }
 
-    // Read the uploaded image
-    const imagePath = path.join(uploadsDir, filename);
-    if (!fs.existsSync(imagePath)) {
+    // Make sure the uploaded image exists before queueing
+    const imageKey = storage.keys.upload(filename);
+    if (!(await storage.exists(imageKey))) {
       return res.status(404).json({ error: 'Image not found' });
     }
 
-    const imageBuffer = fs.readFileSync(imagePath);
-    const base64Image = imageBuffer.toString('base64');
-    const mimeType = mime.lookup(imagePath) || 'image/jpeg';
+    let maskKey = null;
+    if (req.body.mask) {
+      const saved = await saveMask(imageKey, filename, req.body.mask);
+      if (saved.error) {
+        return res.status(400).json({ error: saved.error });
+      }
+      maskKey = saved.maskKey;
+    } else if (req.body.reuseMask) {
+      maskKey = storage.keys.mask(filename);
+      if (!(await storage.exists(maskKey))) {
+        return res.status(404).json({ error: 'No saved mask for this image' });
+      }
+    }
 
-    console.log('Creating RunwayML task...');
+    let inspirationKey = null;
+    if (inspirationFilename) {
+      inspirationKey = storage.keys.upload(inspirationFilename);
+      if (!path.basename(inspirationFilename).startsWith('inspiration-') || !(await storage.exists(inspirationKey))) {
+        return res.status(404).json({ error: 'Inspiration image not found' });
+      }
 
-    // Call RunwayML API - Create a task
-    const runwayResponse = await fetch(`${RUNWAYML_API_URL}/tasks`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${RUNWAYML_API_KEY}`,
-        'Content-Type': 'application/json',
-        'X-Runway-Version': '2024-11-06'
-      },
-      body: JSON.stringify({
-        taskType: 'gen3a_turbo',
-        internal: false,
-        options: {
-          name: 'Renovation Visualization',
-          image_prompt: `data:${mimeType};base64,${base64Image}`,
-          text_prompt: `Professional architectural visualization: ${prompt}. Maintain realistic proportions, lighting, and materials. High quality, photorealistic rendering.`,
-          duration: 5,
-          ratio: '16:9'
-        }
-      })
-    });
-
-    if (!runwayResponse.ok) {
-      const errorText = await runwayResponse.text();
-      console.error('RunwayML API error:', runwayResponse.status, errorText);
-      throw new Error(`RunwayML API failed: ${runwayResponse.status} - ${errorText}`);
-    }
-
-    const taskData = await runwayResponse.json();
-    console.log('RunwayML task created:', taskData.id);
-    
-    // Poll for task completion (simplified version)
-    let attempts = 0;
-    const maxAttempts = 60; // 60 seconds max
-    let taskStatus;
+      const { provider } = await providers.resolveProvider(companyId);
+      if (!provider.supportsInspiration) {
+        return res.status(400).json({ error: 'Inspiration images are not available for this company' });
+      }
+    }
 
-    while (attempts < maxAttempts) {
-      await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second
-      
-      const statusResponse = await fetch(`${RUNWAYML_API_URL}/tasks/${taskData.id}`, {
-        headers: {
-          'Authorization': `Bearer ${RUNWAYML_API_KEY}`,
-          'X-Runway-Version': '2024-11-06'
-        }
-      });
+    const started = await generationJobs.createJob({
+      companyId,
+      visitorId,
+      visitorIp,
+      filename: imageKey,
+      maskFilename: maskKey,
+      inspirationFilename: inspirationKey,
+      prompt: variants[0].prompt,
+      brief: variants[0].brief,
+      variants,
+      force: req.body.force === true
+    });
+    if (started.error) {
+      return res.status(started.status).json({ error: started.error, quota: started.quota });
+    }
+    const { job } = started;
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      job: await generationJobs.serializeJob(job, getBaseUrl(req))
+    });
+  } catch (error) {
+    console.error('Generation job error:', error);
+    res.status(500).json({ error: 'Failed to start image generation', message: error.message });
+  }
+});
+
+// ROUTE 3a: Get generation job status
+app.get('/api/generate/:jobId', async (req, res) => {
+  try {
+    const job = await generationJobs.getJob(req.params.jobId);
 
-      taskStatus = await statusResponse.json();
-      console.log('Task status:', taskStatus.status);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
 
-      if (taskStatus.status === 'SUCCEEDED') {
-        break;
-      } else if (taskStatus.status === 'FAILED') {
-        throw new Error('RunwayML task failed: ' + (taskStatus.error || 'Unknown error'));
-      }
+    res.json({
+      success: true,
+      job: await generationJobs.serializeJob(job, getBaseUrl(req))
+    });
+  } catch (error) {
+    console.error('Job status error:', error);
+    res.status(500).json({ error: 'Failed to fetch job status' });
+  }
+});
+
+// ROUTE 3b: Stream generation job progress (Server-Sent Events)
+app.get('/api/generate/:jobId/events', async (req, res) => {
+  const { jobId } = req.params;
+  const baseUrl = getBaseUrl(req);
+
+  let job;
+  try {
+    job = await generationJobs.getJob(jobId);
+  } catch (error) {
+    console.error('Job stream error:', error);
+    return res.status(500).json({ error: 'Failed to fetch job status' });
+  }
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
 
-      attempts++;
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let lastSent = '';
+  let closed = false;
+  const send = async (update) => {
+    // Signed preview URLs differ on every call, so compare the job state instead
+    const version = `${update.status}:${update.progress}:${new Date(update.updated_at).getTime()}`;
+    if (closed || version === lastSent) return;
+    lastSent = version;
+
+    try {
+      const payload = JSON.stringify(await generationJobs.serializeJob(update, baseUrl));
+      if (closed) return;
+      res.write(`event: job\ndata: ${payload}\n\n`);
+    } catch (error) {
+      console.error('Job stream send failed:', error.message);
     }
 
-    if (taskStatus.status !== 'SUCCEEDED') {
-      throw new Error('RunwayML task timed out');
+    if (generationJobs.isTerminal(update)) {
+      close();
     }
+  };
 
-    // Download the generated video/image
-    const outputUrl = taskStatus.output?.[0] || taskStatus.artifacts?.[0]?.url;
-    if (!outputUrl) {
-      throw new Error('No output URL in RunwayML response');
+  // Re-read the job periodically too, in case another instance is running it
+  const refresh = setInterval(async () => {
+    try {
+      const latest = await generationJobs.getJob(jobId);
+      if (latest) send(latest);
+    } catch (error) {
+      console.error('Job stream refresh failed:', error.message);
     }
+    res.write(': keep-alive\n\n');
+  }, 5000);
 
-    console.log('Downloading generated image from:', outputUrl);
-    const imageResponse = await fetch(outputUrl);
-    const generatedBuffer = await imageResponse.buffer();
-    
-    const generatedFilename = `generated-${uuidv4()}.png`;
-    const generatedPath = path.join(uploadsDir, generatedFilename);
-    fs.writeFileSync(generatedPath, generatedBuffer);
+  const unsubscribe = generationJobs.subscribe(jobId, send);
+
+  function close() {
+    closed = true;
+    clearInterval(refresh);
+    unsubscribe();
+    res.end();
+  }
+
+  req.on('close', () => {
+    closed = true;
+    clearInterval(refresh);
+    unsubscribe();
+  });
+
+  send(job);
+});
+
+// ROUTE 3c: Cancel a generation job
+app.post('/api/generate/:jobId/cancel', async (req, res) => {
+  try {
+    const job = await generationJobs.cancelJob(req.params.jobId);
 
-    const protocol = req.headers['x-forwarded-proto'] || req.protocol;
-    const host = req.get('host');
-    const generatedImageUrl = `${protocol}://${host}/uploads/${generatedFilename}`;
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
 
     res.json({
       success: true,
-      generatedImageUrl,
-      filename: generatedFilename
+      job: await generationJobs.serializeJob(job, getBaseUrl(req))
     });
   } catch (error) {
-    console.error('Image generation error:', error);
-    res.status(500).json({ error: 'Image generation failed', message: error.message });
+    console.error('Job cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel job' });
   }
 });
 
-// ROUTE 4: Get all projects
-app.get('/api/projects', async (req, res) => {
+// ROUTE 3d: Download a file from local storage through a signed URL
+// (the S3 driver signs bucket URLs directly and never links here)
+app.get('/api/files/*', async (req, res) => {
+  const { expires, signature } = req.query;
+
+  if (!signedUrls.verifySignature(req.path, expires, signature)) {
+    return res.status(403).json({ error: 'This link is invalid or has expired' });
+  }
+
+  try {
+    const file = await storage.get(decodeURIComponent(req.params[0]));
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.set('Cache-Control', 'private, max-age=300');
+    res.type(file.contentType).send(file.buffer);
+  } catch (error) {
+    console.error('File fetch error:', error);
+    res.status(500).json({ error: 'Failed to load file' });
+  }
+});
+
+// ROUTE 3e: List available image providers
+app.get('/api/providers', (req, res) => {
+  res.json({
+    success: true,
+    defaultProvider: providers.getDefaultProviderName(),
+    providers: providers.listProviders()
+  });
+});
+
+// ROUTE 3f: Set the image provider for a company
+app.put('/api/company/:companyId/provider', team.requireMember('settings'), async (req, res) => {
+  const { companyId } = req.params;
+  const { provider, config } = req.body;
+
+  if (provider && !providers.getProvider(provider)) {
+    return res.status(400).json({ error: `Unknown image provider: ${provider}` });
+  }
+
   try {
     const result = await db.query(
-      'SELECT * FROM projects ORDER BY created_at DESC LIMIT 100'
+      `UPDATE companies SET image_provider = $1, provider_config = $2, updated_at = NOW()
+       WHERE id = $3 RETURNING id`,
+      [provider || null, config || {}, companyId]
     );
-    res.json({ projects: result.rows });
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    res.json({
+      success: true,
+      provider: provider || providers.getDefaultProviderName()
+    });
   } catch (error) {
-    console.error('Projects fetch error:', error);
-    res.status(500).json({ error: 'Failed to fetch projects' });
+    console.error('Provider update error:', error);
+    res.status(500).json({ error: 'Failed to update image provider' });
   }
 });
 
-// Remove this as we'll place it at the end of the file
+// ROUTE 3g: Refine a finished render with a follow-up instruction
+// Starts a new job from the chosen variant's render (the first when variantId is
+// left out), linked to its parent so the version history can be walked back.
+app.post('/api/generate/:jobId/refine', async (req, res) => {
+  try {
+    const instruction = typeof req.body.instruction === 'string' ? req.body.instruction.trim() : '';
 
-// ROUTE 5: Get prompts by trade
-app.get('/api/prompts/:trade', (req, res) => {
-  const { trade } = req.params;
-  
-  const promptLibrary = {
-    bathroom: [
-      'transformed into a modern luxury bathroom with walk-in rainfall shower, marble tiles, and brushed brass fixtures',
-      'transformed into a contemporary bathroom with freestanding bathtub, natural stone, and minimalist design',
-      'transformed into a spa-style bathroom with wood accents, pebble flooring, and ambient lighting',
-      'transformed into a compact modern bathroom with space-saving fixtures and white subway tiles'
-    ],
-    kitchen: [
-      'transformed into a modern kitchen with white shaker cabinets, quartz waterfall island, and stainless steel appliances',
-      'transformed into an industrial-style kitchen with exposed brick, dark cabinets, and concrete countertops',
-      'transformed into a Scandinavian minimalist kitchen with light wood, white surfaces, and clean lines',
-      'transformed into a traditional country kitchen with farmhouse sink, wooden beams, and vintage fixtures'
-    ],
-    roofing: [
-      'with new slate roof tiles and copper flashing, architectural exterior',
-      'with modern standing seam metal roof, contemporary design',
-      'with architectural shingles and new dormers, traditional style',
-      'with clay tile roofing, Mediterranean style'
-    ],
-    joinery: [
-      'with custom built-in oak shelving and cabinetry, high-end carpentry',
-      'with new hardwood flooring throughout, professional installation',
-      'with bespoke wooden staircase and handrails, artisan craftsmanship',
-      'with feature wall paneling and timber details'
-    ],
-    general: [
-      'transformed into an open-plan living space with exposed beams and modern finishes',
-      'with extension featuring bi-fold doors and natural light',
-      'transformed with loft conversion including skylights and modern insulation',
-      'renovated with contemporary interior design, neutral palette, and quality finishes'
-    ]
-  };
+    if (!instruction) {
+      return res.status(400).json({ error: 'Please describe the change you want' });
+    }
+    if (instruction.length > MAX_REFINEMENT_LENGTH) {
+      return res.status(400).json({ error: `Changes must be ${MAX_REFINEMENT_LENGTH} characters or fewer` });
+    }
 
-  const prompts = promptLibrary[trade.toLowerCase()] || promptLibrary.general;
-  res.json({ prompts });
+    const parent = await generationJobs.getJob(req.params.jobId);
+    if (!parent) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (parent.status !== 'succeeded') {
+      return res.status(400).json({ error: 'Only finished designs can be refined' });
+    }
+
+    const variants = (await generationJobs.getVariants(parent.id)).filter(variant => variant.result_filename);
+    const variant = req.body.variantId
+      ? variants.find(item => item.id === req.body.variantId)
+      : variants[0];
+
+    if (!variant) {
+      return res.status(404).json({ error: 'Design not found' });
+    }
+
+    // Video renders are refined from their still frame
+    const stillKey = generationJobs.getStillKey(variant);
+    if (!stillKey) {
+      return res.status(400).json({ error: 'This design has no still image to refine' });
+    }
+
+    const { visitorId, visitorIp } = getVisitor(req);
+    const rejection = await moderation.moderate({
+      companyId: parent.company_id,
+      visitorId,
+      source: 'refine',
+      texts: [instruction]
+    });
+    if (rejection) {
+      return res.status(rejection.status).json({ error: rejection.error, category: rejection.category });
+    }
+
+    const started = await generationJobs.createJob({
+      companyId: parent.company_id,
+      visitorId,
+      visitorIp,
+      filename: stillKey,
+      prompt: instruction,
+      parentJobId: parent.id,
+      parentVariantId: variant.id,
+      force: req.body.force === true
+    });
+    if (started.error) {
+      return res.status(started.status).json({ error: started.error, quota: started.quota });
+    }
+    const { job } = started;
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      job: await generationJobs.serializeJob(job, getBaseUrl(req))
+    });
+  } catch (error) {
+    console.error('Refinement error:', error);
+    res.status(500).json({ error: 'Failed to start refinement', message: error.message });
+  }
 });
 
-// ============================================
-// NEW ROUTES FOR WIDGET & LEAD MANAGEMENT
-// ============================================
+// ROUTE 3h: Get a design's version history, from the first render to this job
+app.get('/api/generate/:jobId/history', async (req, res) => {
+  try {
+    const job = await generationJobs.getJob(req.params.jobId);
 
-// ROUTE 6: Register a new company
-app.post('/api/company/register', (req, res) => {
-  const { name, email, phone, website, trade } = req.body;
-  
-  const companyId = `company_${uuidv4()}`;
-  const apiKey = `rva_${uuidv4()}`;
-  
-  const company = {
-    id: companyId,
-    apiKey: apiKey,
-    name,
-    email,
-    phone,
-    website,
-    trade,
-    commissionRate: 0.02, // 2%
-    status: 'trial', // trial, active, paused
-    createdAt: new Date().toISOString(),
-    trialEndsAt: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString() // 14 days
-  };
-  
-  companies.set(companyId, company);
-  
-  res.json({
-    success: true,
-    companyId: companyId,
-    apiKey: apiKey,
-    message: 'Company registered successfully'
-  });
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({
+      success: true,
+      history: await generationJobs.serializeHistory(job.id, getBaseUrl(req))
+    });
+  } catch (error) {
+    console.error('Version history error:', error);
+    res.status(500).json({ error: 'Failed to fetch version history' });
+  }
 });
-// ROUTE 7: Capture lead from widget (DATABASE VERSION)
-app.post('/api/lead', async (req, res) => {
+
+// ROUTE 3i: Generation metrics for a company over the last `days` days (default 30)
+app.get('/api/company/:companyId/generation-metrics', team.requireMember('leads:read'), async (req, res) => {
   try {
-    const {
-      companyId,
-      customerName,
-      email,
-      phone,
-      originalImage,
-      generatedImage,
-      prompt
-    } = req.body;
+    const days = parseInt(req.query.days, 10) || 30;
+    if (days < 1 || days > 365) {
+      return res.status(400).json({ error: 'Days must be between 1 and 365' });
+    }
+
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    res.json({
+      success: true,
+      metrics: await generationJobs.getMetrics(req.params.companyId, since)
+    });
+  } catch (error) {
+    console.error('Generation metrics error:', error);
+    res.status(500).json({ error: 'Failed to fetch generation metrics' });
+  }
+});
+
+// ROUTE 3j: Generation usage against the company's plan limits, with provider costs
+app.get('/api/company/:companyId/usage', team.requireMember('billing'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      usage: await usage.getUsage(req.params.companyId)
+    });
+  } catch (error) {
+    console.error('Usage fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch usage' });
+  }
+});
+
+// ROUTE 3k: Set the per-visitor daily design cap (null goes back to the plan default)
+app.put('/api/company/:companyId/usage-limits', team.requireMember('billing'), async (req, res) => {
+  try {
+    const { visitorDailyLimit } = req.body;
+    if (visitorDailyLimit === undefined) {
+      return res.status(400).json({ error: 'Missing visitorDailyLimit' });
+    }
+
+    const result = await usage.setVisitorDailyLimit(req.params.companyId, visitorDailyLimit);
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      usage: await usage.getUsage(req.params.companyId)
+    });
+  } catch (error) {
+    console.error('Usage limit update error:', error);
+    res.status(500).json({ error: 'Failed to update usage limits' });
+  }
+});
+
+// ROUTE 3l: Moderation settings and prompts rejected over the last `days` days (default 30)
+app.get('/api/company/:companyId/moderation', team.requireMember('settings'), async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    res.json({
+      success: true,
+      blockedTerms: await moderation.getCompanyTerms(req.params.companyId),
+      ...(await moderation.getRejections(req.params.companyId, { since }))
+    });
+  } catch (error) {
+    console.error('Moderation fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch moderation log' });
+  }
+});
+
+// ROUTE 3m: Set the company's own blocked terms (added to the built-in blocklist)
+app.put('/api/company/:companyId/moderation', team.requireMember('settings'), async (req, res) => {
+  try {
+    const { blockedTerms } = req.body;
+
+    const invalid = moderation.validateTerms(blockedTerms);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const saved = await moderation.setCompanyTerms(req.params.companyId, blockedTerms);
+    if (!saved) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    res.json({ success: true, blockedTerms: saved });
+  } catch (error) {
+    console.error('Moderation update error:', error);
+    res.status(500).json({ error: 'Failed to update blocked terms' });
+  }
+});
+
+// ROUTE 4: Get all projects
+app.get('/api/projects', async (req, res) => {
+  try {
+    const result = await db.query(
+      'SELECT * FROM projects ORDER BY created_at DESC LIMIT 100'
+    );
+    res.json({ projects: result.rows });
+  } catch (error) {
+    console.error('Projects fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch projects' });
+  }
+});
+
+// Remove this as we'll place it at the end of the file
+
+// ROUTE 5: Get prompts by trade (a company's enabled styles when companyId is given)
+app.get('/api/prompts/:trade', async (req, res) => {
+  const trade = req.params.trade.toLowerCase();
+  const { companyId } = req.query;
+
+  if (!companyId) {
+    const styles = defaultPrompts[trade] || defaultPrompts.general;
+    return res.json({ prompts: styles.map(style => style.prompt) });
+  }
+
+  try {
+    const styles = await promptStyles.listStyles(companyId, { trade, enabledOnly: true });
+    res.json({ prompts: styles.map(style => style.prompt) });
+  } catch (error) {
+    console.error('Prompts fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch prompts' });
+  }
+});
+
+// ROUTE 5a: List a company's styles (?enabled=true for the widget)
+app.get('/api/company/:companyId/styles', async (req, res) => {
+  const { companyId } = req.params;
+  const { trade, enabled } = req.query;
+
+  try {
+    const styles = await promptStyles.listStyles(companyId, {
+      trade: trade ? trade.toLowerCase() : undefined,
+      enabledOnly: enabled === 'true'
+    });
+    const baseUrl = getBaseUrl(req);
+
+    res.json({
+      success: true,
+      trades: promptStyles.TRADES,
+      styles: await Promise.all(styles.map(style => promptStyles.serializeStyle(style, baseUrl)))
+    });
+  } catch (error) {
+    console.error('Styles fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch styles' });
+  }
+});
+
+// ROUTE 5b: Create a style
+app.post('/api/company/:companyId/styles', team.requireMember('settings'), async (req, res) => {
+  const { companyId } = req.params;
+  const { trade, name, prompt, enabled } = req.body;
+
+  if (!trade || !name || !prompt) {
+    return res.status(400).json({ error: 'Trade, name and prompt are required' });
+  }
+
+  if (!promptStyles.TRADES.includes(trade.toLowerCase())) {
+    return res.status(400).json({ error: `Trade must be one of: ${promptStyles.TRADES.join(', ')}` });
+  }
+
+  try {
+    const style = await promptStyles.createStyle(companyId, {
+      trade: trade.toLowerCase(),
+      name,
+      prompt,
+      enabled: enabled !== false
+    });
+
+    res.json({
+      success: true,
+      style: await promptStyles.serializeStyle(style, getBaseUrl(req))
+    });
+  } catch (error) {
+    console.error('Style create error:', error);
+    res.status(500).json({ error: 'Failed to create style' });
+  }
+});
+
+// ROUTE 5c: Reorder styles
+app.put('/api/company/:companyId/styles/order', team.requireMember('settings'), async (req, res) => {
+  const { companyId } = req.params;
+  const { styleIds } = req.body;
+
+  if (!Array.isArray(styleIds)) {
+    return res.status(400).json({ error: 'styleIds must be an array' });
+  }
+
+  try {
+    await promptStyles.reorderStyles(companyId, styleIds);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Style reorder error:', error);
+    res.status(500).json({ error: 'Failed to reorder styles' });
+  }
+});
+
+// ROUTE 5d: Update a style
+app.put('/api/company/:companyId/styles/:styleId', team.requireMember('settings'), async (req, res) => {
+  const { companyId, styleId } = req.params;
+  const { trade, name, prompt, enabled } = req.body;
+
+  if (trade && !promptStyles.TRADES.includes(trade.toLowerCase())) {
+    return res.status(400).json({ error: `Trade must be one of: ${promptStyles.TRADES.join(', ')}` });
+  }
+
+  try {
+    const style = await promptStyles.updateStyle(companyId, styleId, {
+      trade: trade ? trade.toLowerCase() : undefined,
+      name,
+      prompt,
+      enabled
+    });
+
+    if (!style) {
+      return res.status(404).json({ error: 'Style not found' });
+    }
+
+    res.json({
+      success: true,
+      style: await promptStyles.serializeStyle(style, getBaseUrl(req))
+    });
+  } catch (error) {
+    console.error('Style update error:', error);
+    res.status(500).json({ error: 'Failed to update style' });
+  }
+});
+
+// ROUTE 5e: Upload a style's preview thumbnail
+app.post('/api/company/:companyId/styles/:styleId/thumbnail', team.requireMember('settings'), upload.single('image'), async (req, res) => {
+  const { companyId, styleId } = req.params;
+
+  if (!req.file) {
+    return res.status(400).json({ error: 'No image uploaded' });
+  }
+
+  try {
+    const existing = await promptStyles.getStyle(companyId, styleId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Style not found' });
+    }
+
+    let thumbnail;
+    try {
+      thumbnail = await imageProcessing.createThumbnail(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({ error: 'Unsupported or corrupt image file' });
+    }
+
+    const key = storage.keys.style(`style-${styleId}-${Date.now()}.jpg`);
+    await storage.put(key, thumbnail, { contentType: 'image/jpeg' });
+
+    const style = await promptStyles.updateStyle(companyId, styleId, { thumbnail: key });
+    if (existing.thumbnail) {
+      await storage.remove(existing.thumbnail);
+    }
+
+    res.json({
+      success: true,
+      style: await promptStyles.serializeStyle(style, getBaseUrl(req))
+    });
+  } catch (error) {
+    console.error('Style thumbnail error:', error);
+    res.status(500).json({ error: 'Failed to upload thumbnail' });
+  }
+});
+
+// ROUTE 5f: Delete a style
+app.delete('/api/company/:companyId/styles/:styleId', team.requireMember('settings'), async (req, res) => {
+  const { companyId, styleId } = req.params;
+
+  try {
+    const style = await promptStyles.deleteStyle(companyId, styleId);
+
+    if (!style) {
+      return res.status(404).json({ error: 'Style not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Style delete error:', error);
+    res.status(500).json({ error: 'Failed to delete style' });
+  }
+});
+
+// ============================================
+// NEW ROUTES FOR WIDGET & LEAD MANAGEMENT
+// ============================================
+
+// ROUTE 5g: Get the brief builder options for a trade
+app.get('/api/brief/:trade', async (req, res) => {
+  try {
+    const options = await briefBuilder.getBriefOptions(req.query.companyId, req.params.trade.toLowerCase());
+
+    res.json({
+      success: true,
+      trade: options.trade,
+      roomTypes: options.roomTypes,
+      materials: options.materials,
+      colourPalettes: options.colourPalettes,
+      fixtures: options.fixtures,
+      keepOptions: options.keepOptions
+    });
+  } catch (error) {
+    console.error('Brief options error:', error);
+    res.status(500).json({ error: 'Failed to fetch brief options' });
+  }
+});
+
+// ROUTE 5h: Override a company's brief options and prompt template for a trade
+app.put('/api/company/:companyId/brief-templates/:trade', team.requireMember('settings'), async (req, res) => {
+  const { companyId } = req.params;
+  const trade = req.params.trade.toLowerCase();
+
+  if (!briefBuilder.TRADES.includes(trade)) {
+    return res.status(400).json({ error: `Trade must be one of: ${briefBuilder.TRADES.join(', ')}` });
+  }
+
+  const validationError = briefBuilder.validateTemplateOverrides(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const updated = await briefBuilder.setBriefTemplate(companyId, trade, req.body);
+
+    if (!updated) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    res.json({
+      success: true,
+      options: await briefBuilder.getBriefOptions(companyId, trade)
+    });
+  } catch (error) {
+    console.error('Brief template update error:', error);
+    res.status(500).json({ error: 'Failed to update brief template' });
+  }
+});
+
+// How long the widget's survey booking link (bookingPath) works after the lead is captured
+const BOOKING_LINK_TTL_SECONDS = 24 * 60 * 60;
+
+// ROUTE 7: Capture lead from widget (DATABASE VERSION)
+// The contact fields are checked against the company's lead form (ROUTE 7a);
+// answers to its own questions come in `answers`, keyed by question.
+// The lead goes to the next salesperson in turn, who gets the new lead email.
+// A repeat enquiry gets a lead of its own, flagged against the earlier one
+// (lead-duplicates.js); the response doesn't say whether the person is known.
+// When the company takes survey bookings, bookingPath is where the widget books one.
+app.post('/api/lead', async (req, res) => {
+  try {
+    const {
+      companyId,
+      filename,
+      jobId,
+      variantId,
+      prompt
+    } = req.body;
+
+    if (!companyId) {
+      return res.status(400).json({ error: 'Missing companyId' });
+    }
+
+    const submission = await leadForms.validateSubmission(companyId, req.body);
+    if (submission.error) {
+      return res.status(400).json({ error: submission.error });
+    }
+    const contact = submission.columns;
+
+    // The full render is only released for a finished job belonging to this company
+    let job = null;
+    if (jobId) {
+      job = await generationJobs.getJob(jobId);
+      if (!job || job.status !== 'succeeded' || (job.company_id && job.company_id !== companyId)) {
+        return res.status(400).json({ error: 'Visualization not found' });
+      }
+    }
+
+    // Every rendered variant is kept on the lead, along with the customer's favourite
+    let variants = [];
+    let chosen = null;
+    let history = [];
+    if (job) {
+      variants = (await generationJobs.getVariants(job.id)).filter(variant => variant.result_filename);
+      chosen = variantId ? variants.find(variant => variant.id === variantId) : variants[0];
+
+      if (variantId && !chosen) {
+        return res.status(400).json({ error: 'Design not found' });
+      }
+
+      // Refinements start from an earlier render, so the original photo is on the first version
+      history = await generationJobs.getHistorySteps(job.id, chosen && chosen.id);
+    }
+
+    // The lead as it would be saved. JSON columns are stringified on insert.
+    const row = {
+      ...contact,
+      custom_answers: submission.customAnswers,
+      original_image: job ? history[0].job.filename : (filename ? storage.keys.upload(filename) : null),
+      generated_image: chosen ? chosen.result_filename : (job ? job.result_filename : null),
+      prompt: chosen ? chosen.prompt : (job ? job.prompt : prompt),
+      brief: chosen && chosen.brief ? chosen.brief : (job && history[0].job.brief ? history[0].job.brief : null),
+      generation_job_id: job ? job.id : null,
+      variants: job ? variants.map(variant => ({
+        id: variant.id,
+        label: variant.label,
+        prompt: variant.prompt,
+        mediaType: variant.media_type,
+        generatedImage: variant.result_filename,
+        stillImage: generationJobs.getStillKey(variant),
+        previewImage: variant.preview_filename
+      })) : null,
+      chosen_variant_id: chosen ? chosen.id : null,
+      design_history: job ? history.map(step => ({
+        version: step.version,
+        jobId: step.job.id,
+        variantId: step.variant ? step.variant.id : null,
+        instruction: step.instruction,
+        prompt: step.job.prompt,
+        generatedImage: step.variant ? step.variant.result_filename : step.job.result_filename,
+        previewImage: step.variant ? step.variant.preview_filename : step.job.preview_filename,
+        createdAt: step.job.created_at
+      })) : null,
+      inspiration_image: job ? history[0].job.inspiration_filename : null,
+      media_types: job ? [...new Set(variants.map(variant => variant.media_type))] : null,
+      generated_still: chosen ? generationJobs.getStillKey(chosen) : null
+    };
+    const json = (value) => value === null ? null : JSON.stringify(value);
+
+    // The same person coming back: the new lead is flagged as a possible duplicate
+    const duplicate = await leadDuplicates.findDuplicate(companyId, contact);
+
+    // Generate unique reference code
+    const leadId = uuidv4();
+    const referenceCode = `RV-${leadId.substring(0, 8).toUpperCase()}`;
+    const assignee = await team.assignNextSalesperson(companyId);
+    const keys = leadDuplicates.matchKeys(contact);
+
+    // Create lead in database
+    await db.query(
+      `INSERT INTO leads (id, company_id, customer_name, email, phone, postcode, project_budget, start_date, notes,
+                          custom_answers, original_image, generated_image, prompt, brief, reference_code, status,
+                          generation_job_id, variants, chosen_variant_id, design_history, inspiration_image,
+                          media_types, generated_still, assigned_to, email_key, phone_key, postcode_key)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $23, $16, $17, $18, $19, $20, $21, $22, $24,
+               $25, $26, $27)`,
+      [
+        leadId,
+        companyId,
+        contact.customer_name,
+        contact.email,
+        contact.phone,
+        contact.postcode,
+        contact.project_budget,
+        contact.start_date,
+        contact.notes,
+        json(row.custom_answers),
+        row.original_image,
+        row.generated_image,
+        row.prompt,
+        json(row.brief),
+        referenceCode,
+        row.generation_job_id,
+        json(row.variants),
+        row.chosen_variant_id,
+        json(row.design_history),
+        row.inspiration_image,
+        json(row.media_types),
+        row.generated_still,
+        await pipeline.getFirstStage(companyId),
+        assignee ? assignee.id : null,
+        keys.email_key,
+        keys.phone_key,
+        keys.postcode_key
+      ]
+    );
+
+    console.log(`📧 New lead captured: ${contact.customer_name} (${contact.email}) - Ref: ${referenceCode}`);
+    await leadScoring.rescoreLead(leadId);
+
+    const lead = { id: leadId, company_id: companyId, reference_code: referenceCode };
+    if (assignee) {
+      await leadActivity.logActivity(lead, {
+        type: 'assignment',
+        details: { memberId: assignee.id, name: assignee.name },
+        createdBy: 'Round-robin'
+      });
+    }
+    if (duplicate) {
+      await leadDuplicates.flagDuplicate(lead, duplicate.lead, duplicate.reasons);
+    }
+
+    sendCompanyNotification(companyId, assignee, contact.customer_name, contact.email, contact.phone, referenceCode)
+      .catch(error => console.error('Lead notification error:', error));
+
+    const baseUrl = getBaseUrl(req);
+    const availability = await surveyBookings.getAvailability(companyId);
+    const stillUrl = async (variant) => {
+      const key = generationJobs.getStillKey(variant);
+      return key ? storage.getUrl(key, { baseUrl }) : null;
+    };
+
+    res.json({
+      success: true,
+      leadId: leadId,
+      referenceCode: referenceCode,
+      bookingPath: availability.enabled ? signedUrls.signPath(`/api/lead/${leadId}/booking`, BOOKING_LINK_TTL_SECONDS) : null,
+      mediaType: chosen ? chosen.media_type : null,
+      generatedImageUrl: chosen ? await storage.getUrl(chosen.result_filename, { baseUrl }) : null,
+      stillImageUrl: chosen ? await stillUrl(chosen) : null,
+      variants: await Promise.all(variants.map(async variant => ({
+        id: variant.id,
+        label: variant.label,
+        mediaType: variant.media_type,
+        generatedImageUrl: await storage.getUrl(variant.result_filename, { baseUrl }),
+        stillImageUrl: await stillUrl(variant)
+      }))),
+      message: 'Lead captured successfully'
+    });
+
+  } catch (error) {
+    console.error('Lead capture error:', error);
+    res.status(500).json({ error: 'Failed to capture lead' });
+  }
+});
+
+// ROUTE 7a: Get a company's lead capture form (used by the widget).
+// defaultFields lets the form builder add back built-in fields that were removed.
+app.get('/api/company/:companyId/lead-form', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      fields: await leadForms.getLeadForm(req.params.companyId),
+      defaultFields: await leadForms.getLeadForm(null)
+    });
+  } catch (error) {
+    console.error('Lead form fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch lead form' });
+  }
+});
+
+// ROUTE 7b: Save a company's lead capture form (fields: null restores the default form)
+app.put('/api/company/:companyId/lead-form', team.requireMember('settings'), async (req, res) => {
+  try {
+    let fields = null;
+    if (req.body.fields !== null) {
+      const result = leadForms.validateLeadForm(req.body.fields);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      fields = result.fields;
+    }
+
+    if (!(await leadForms.setLeadForm(req.params.companyId, fields))) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    res.json({
+      success: true,
+      fields: await leadForms.getLeadForm(req.params.companyId)
+    });
+  } catch (error) {
+    console.error('Lead form update error:', error);
+    res.status(500).json({ error: 'Failed to save lead form' });
+  }
+});
+
+// ROUTE 8: Get leads for a company
+// Filters: status, budget (comma lists), from/to (dates), q (name, email, phone or
+// reference code). sort: newest (default), oldest, value, score or name. Pass the returned
+// nextCursor as `cursor` for the next page. assignee: a team member's id, "me" or
+// "unassigned" (salespeople only ever get their own leads).
+app.get('/api/company/:companyId/leads', team.requireMember('leads:read'), async (req, res) => {
+  try {
+    const result = await leadStore.listLeads(req.params.companyId, {
+      ...req.query,
+      assignee: leadAssignee(req.member, req.query.assignee)
+    });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const baseUrl = getBaseUrl(req);
+
+    res.json({
+      success: true,
+      leads: await Promise.all(result.leads.map(lead => leadStore.serializeLead(lead, baseUrl))),
+      total: result.total,
+      statusCounts: result.statusCounts,
+      nextCursor: result.nextCursor
+    });
+  } catch (error) {
+    console.error('Leads fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch leads' });
+  }
+});
+
+// ROUTE 9: Move a lead to another pipeline stage and/or set its project value.
+// The signed-in member is recorded against the stage move.
+app.put('/api/lead/:leadId', team.requireLeadAccess('leads:write'), async (req, res) => {
+  try {
+    const { status, projectValue } = req.body;
+
+    if (status !== undefined && typeof status !== 'string') {
+      return res.status(400).json({ error: 'Status must be a stage key' });
+    }
+    if (projectValue !== undefined && (typeof projectValue !== 'number' || !(projectValue > 0))) {
+      return res.status(400).json({ error: 'Project value must be a positive number' });
+    }
+
+    const result = await leadStore.updateLead(req.params.leadId, { status, projectValue, changedBy: req.member.name });
+    if (!result) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      lead: await leadStore.serializeLead(result.lead, getBaseUrl(req))
+    });
+  } catch (error) {
+    console.error('Lead update error:', error);
+    res.status(500).json({ error: 'Failed to update lead' });
+  }
+});
+
+// ROUTE 9a: A lead's stage moves, oldest first
+app.get('/api/lead/:leadId/stage-history', team.requireLeadAccess('leads:read'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      history: await pipeline.getStageHistory(req.params.leadId)
+    });
+  } catch (error) {
+    console.error('Stage history fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch stage history' });
+  }
+});
+
+// ROUTE 9b: Get a company's pipeline stages, in order
+app.get('/api/company/:companyId/pipeline', team.requireMember('leads:read'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      stages: await pipeline.getStages(req.params.companyId)
+    });
+  } catch (error) {
+    console.error('Pipeline fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch pipeline' });
+  }
+});
+
+// ROUTE 9c: Save a company's pipeline stages (stages: null restores the defaults).
+// Stages that still hold leads can't be removed.
+app.put('/api/company/:companyId/pipeline', team.requireMember('settings'), async (req, res) => {
+  try {
+    let stages = null;
+    if (req.body.stages !== null) {
+      const result = pipeline.validateStages(req.body.stages);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      stages = result.stages;
+    }
+
+    const result = await pipeline.setStages(req.params.companyId, stages);
+    if (!result) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      stages: result.stages
+    });
+  } catch (error) {
+    console.error('Pipeline update error:', error);
+    res.status(500).json({ error: 'Failed to save pipeline' });
+  }
+});
+
+// ROUTE 9d: A lead's timeline (newest first) and its tasks
+app.get('/api/lead/:leadId/timeline', team.requireLeadAccess('leads:read'), async (req, res) => {
+  try {
+    const result = await leadActivity.getTimeline(req.params.leadId);
+    if (!result) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    res.json({
+      success: true,
+      timeline: result.timeline,
+      tasks: result.tasks
+    });
+  } catch (error) {
+    console.error('Timeline fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch timeline' });
+  }
+});
+
+// ROUTE 9e: Log a note or phone call against a lead.
+// Body: { type: 'note' | 'call', body, outcome (calls only) }
+app.post('/api/lead/:leadId/activities', team.requireLeadAccess('leads:write'), async (req, res) => {
+  try {
+    const { type, body, outcome } = req.body;
+
+    const result = await leadActivity.addActivity(req.params.leadId, {
+      type,
+      body,
+      outcome,
+      createdBy: req.member.name
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      activityId: result.id
+    });
+  } catch (error) {
+    console.error('Activity log error:', error);
+    res.status(500).json({ error: 'Failed to log activity' });
+  }
+});
+
+// ROUTE 9f: Create a task on a lead. Body: { title, dueAt, remindAt (optional) }
+app.post('/api/lead/:leadId/tasks', team.requireLeadAccess('leads:write'), async (req, res) => {
+  try {
+    const { title, dueAt, remindAt } = req.body;
+
+    const result = await leadActivity.addTask(req.params.leadId, {
+      title,
+      dueAt,
+      remindAt,
+      createdBy: req.member.name
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      task: result.task
+    });
+  } catch (error) {
+    console.error('Task create error:', error);
+    res.status(500).json({ error: 'Failed to create task' });
+  }
+});
+
+// ROUTE 9g: Update a task, or mark it done with { completed: true }
+app.put('/api/task/:taskId', team.requireLeadAccess('leads:write'), async (req, res) => {
+  try {
+    const { title, dueAt, remindAt, completed } = req.body;
+
+    const result = await leadActivity.updateTask(req.params.taskId, { title, dueAt, remindAt, completed });
+    if (!result) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      task: result.task
+    });
+  } catch (error) {
+    console.error('Task update error:', error);
+    res.status(500).json({ error: 'Failed to update task' });
+  }
+});
+
+// ROUTE 9h: A company's open tasks due before `before` (default: end of today, UTC), overdue included.
+// Salespeople get the tasks on their own leads.
+app.get('/api/company/:companyId/tasks', team.requireMember('leads:read'), async (req, res) => {
+  try {
+    const result = await leadActivity.listDueTasks(req.params.companyId, {
+      before: req.query.before,
+      assignedTo: team.can(req.member, 'leads:all') ? null : req.member.id
+    });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      tasks: result.tasks
+    });
+  } catch (error) {
+    console.error('Tasks fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch tasks' });
+  }
+});
+
+// ROUTE 9i: Assign a lead to a team member. Body: { memberId } (null unassigns it)
+app.put('/api/lead/:leadId/assignment', team.requireLeadAccess('leads:assign'), async (req, res) => {
+  try {
+    const { memberId } = req.body;
+    if (memberId !== null && !team.isMemberId(memberId)) {
+      return res.status(400).json({ error: 'memberId must be a team member\'s id or null' });
+    }
+
+    const result = await team.assignLead(req.lead, memberId, req.member.name);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      lead: await leadStore.serializeLead(result.lead, getBaseUrl(req))
+    });
+  } catch (error) {
+    console.error('Lead assignment error:', error);
+    res.status(500).json({ error: 'Failed to assign lead' });
+  }
+});
+
+// ROUTE 9j: Merge another lead into this one. Body: { otherLeadId } or { referenceCode }.
+// Renders, answers, notes, timeline and tasks all end up on this lead; the other is deleted.
+app.post('/api/lead/:leadId/merge', team.requireLeadAccess('leads:merge'), async (req, res) => {
+  try {
+    const { otherLeadId, referenceCode } = req.body;
+
+    let otherId = otherLeadId;
+    if (!otherId && referenceCode) {
+      const other = await leadDuplicates.findByReference(req.lead.company_id, referenceCode);
+      if (!other) {
+        return res.status(404).json({ error: 'No lead has that reference code' });
+      }
+      otherId = other.id;
+    }
+    if (!team.isMemberId(otherId)) {
+      return res.status(400).json({ error: 'Say which lead to merge with otherLeadId or referenceCode' });
+    }
+
+    const result = await leadDuplicates.mergeLeads(req.lead.id, otherId, req.member.name);
+    if (!result) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      lead: await leadStore.serializeLead(result.lead, getBaseUrl(req))
+    });
+  } catch (error) {
+    console.error('Lead merge error:', error);
+    res.status(500).json({ error: 'Failed to merge leads' });
+  }
+});
+
+// ROUTE 9k: Leads flagged as possible duplicates, waiting for review (newest first)
+app.get('/api/company/:companyId/duplicates', team.requireMember('leads:merge'), async (req, res) => {
+  try {
+    const pairs = await leadDuplicates.listDuplicates(req.params.companyId);
+    const baseUrl = getBaseUrl(req);
+
+    res.json({
+      success: true,
+      duplicates: await Promise.all(pairs.map(async pair => ({
+        id: pair.id,
+        reasons: pair.reasons,
+        createdAt: pair.created_at,
+        lead: await leadStore.serializeLead(pair.lead, baseUrl),
+        duplicateOf: await leadStore.serializeLead(pair.duplicateOf, baseUrl)
+      })))
+    });
+  } catch (error) {
+    console.error('Duplicates fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch duplicates' });
+  }
+});
+
+// ROUTE 9l: Mark a flagged pair as different people
+app.post('/api/company/:companyId/duplicates/:pairId/dismiss', team.requireMember('leads:merge'), async (req, res) => {
+  try {
+    if (!team.isMemberId(req.params.pairId)) {
+      return res.status(404).json({ error: 'Duplicate not found' });
+    }
+    if (!(await leadDuplicates.dismissDuplicate(req.params.companyId, req.params.pairId, req.member.name))) {
+      return res.status(404).json({ error: 'Duplicate not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Duplicate dismiss error:', error);
+    res.status(500).json({ error: 'Failed to dismiss duplicate' });
+  }
+});
+
+// ROUTE 9m: Get the company's lead scoring model, and the default one
+app.get('/api/company/:companyId/lead-scoring', team.requireMember('settings'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      model: await leadScoring.getModel(req.params.companyId),
+      defaultModel: leadScoring.DEFAULT_MODEL
+    });
+  } catch (error) {
+    console.error('Lead scoring fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch lead scoring' });
+  }
+});
+
+// ROUTE 9n: Save the company's lead scoring model (model: null restores the default).
+// Every lead is scored again with the new model.
+app.put('/api/company/:companyId/lead-scoring', team.requireMember('settings'), async (req, res) => {
+  try {
+    let model = null;
+    if (req.body.model !== null) {
+      const result = leadScoring.validateModel(req.body.model);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      model = result.model;
+    }
+
+    const result = await leadScoring.setModel(req.params.companyId, model);
+    if (!result) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    res.json({
+      success: true,
+      model: result.model
+    });
+  } catch (error) {
+    console.error('Lead scoring update error:', error);
+    res.status(500).json({ error: 'Failed to save lead scoring' });
+  }
+});
+
+// ROUTE 9o: A lead's quotes, newest first
+app.get('/api/lead/:leadId/quotes', team.requireLeadAccess('leads:read'), async (req, res) => {
+  try {
+    const rows = await quotes.listQuotes(req.lead.id);
+    const baseUrl = getBaseUrl(req);
+
+    res.json({
+      success: true,
+      quotes: await Promise.all(rows.map(row => quotes.serializeQuote(row, baseUrl)))
+    });
+  } catch (error) {
+    console.error('Quotes fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch quotes' });
+  }
+});
+
+// ROUTE 9p: Start a draft quote on a lead.
+// Body: { items: [{ description, quantity, unitPrice }], vatRate, discount: { type, value },
+// validUntil (YYYY-MM-DD), notes, includeRenders }. Only items are required.
+app.post('/api/lead/:leadId/quotes', team.requireLeadAccess('leads:write'), async (req, res) => {
+  try {
+    const checked = quotes.validateQuote(req.body);
+    if (checked.error) {
+      return res.status(400).json({ error: checked.error });
+    }
+
+    const quote = await quotes.createQuote(req.lead.id, checked.quote, req.member.name);
+    if (!quote) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    res.json({
+      success: true,
+      quote: await quotes.serializeQuote(quote, getBaseUrl(req))
+    });
+  } catch (error) {
+    console.error('Quote create error:', error);
+    res.status(500).json({ error: 'Failed to create quote' });
+  }
+});
+
+// ROUTE 9q: Change a draft quote. Same body as ROUTE 9p.
+app.put('/api/quote/:quoteId', team.requireLeadAccess('leads:write'), async (req, res) => {
+  try {
+    const checked = quotes.validateQuote(req.body);
+    if (checked.error) {
+      return res.status(400).json({ error: checked.error });
+    }
+
+    const quote = await quotes.updateQuote(req.params.quoteId, checked.quote);
+    if (!quote) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+    if (quote.error) {
+      return res.status(400).json({ error: quote.error });
+    }
+
+    res.json({
+      success: true,
+      quote: await quotes.serializeQuote(quote, getBaseUrl(req))
+    });
+  } catch (error) {
+    console.error('Quote update error:', error);
+    res.status(500).json({ error: 'Failed to update quote' });
+  }
+});
+
+// ROUTE 9r: Delete a draft quote
+app.delete('/api/quote/:quoteId', team.requireLeadAccess('leads:write'), async (req, res) => {
+  try {
+    const result = await quotes.deleteQuote(req.params.quoteId);
+    if (!result) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Quote delete error:', error);
+    res.status(500).json({ error: 'Failed to delete quote' });
+  }
+});
+
+// ROUTE 9s: Email a quote to the customer with its PDF and a link to accept or decline it.
+// Sending it again gives the customer a new link.
+app.post('/api/quote/:quoteId/send', team.requireLeadAccess('leads:write'), async (req, res) => {
+  try {
+    const result = await quotes.sendQuote(req.params.quoteId, { sentBy: req.member.name });
+    if (!result) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      quote: await quotes.serializeQuote(result.quote, getBaseUrl(req)),
+      quoteUrl: result.quoteUrl
+    });
+  } catch (error) {
+    console.error('Quote send error:', error);
+    res.status(500).json({ error: 'Failed to send quote' });
+  }
+});
+
+// ROUTE 9t: Download a quote as a PDF
+app.get('/api/quote/:quoteId/pdf', team.requireLeadAccess('leads:read'), async (req, res) => {
+  try {
+    const quote = await quotes.getQuote(req.params.quoteId);
+    if (!quote) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+
+    const pdf = await quotes.renderPdf(quote);
+    res.set('Content-Disposition', `inline; filename="${quote.number}.pdf"`);
+    res.type('application/pdf').send(pdf);
+  } catch (error) {
+    console.error('Quote PDF error:', error);
+    res.status(500).json({ error: 'Failed to create quote PDF' });
+  }
+});
+
+// ROUTE 9u: Get the company's survey availability, and the default
+app.get('/api/company/:companyId/availability', team.requireMember('settings'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      availability: await surveyBookings.getAvailability(req.params.companyId),
+      defaultAvailability: surveyBookings.DEFAULT_AVAILABILITY
+    });
+  } catch (error) {
+    console.error('Availability fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch availability' });
+  }
+});
+
+// ROUTE 9v: Save the company's survey availability (availability: null restores the
+// default, which has booking switched off). Existing bookings are kept.
+app.put('/api/company/:companyId/availability', team.requireMember('settings'), async (req, res) => {
+  try {
+    let availability = null;
+    if (req.body.availability !== null) {
+      const result = surveyBookings.validateAvailability(req.body.availability);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      availability = result.availability;
+    }
+
+    const result = await surveyBookings.setAvailability(req.params.companyId, availability);
+    if (!result) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    res.json({
+      success: true,
+      availability: result.availability
+    });
+  } catch (error) {
+    console.error('Availability update error:', error);
+    res.status(500).json({ error: 'Failed to save availability' });
+  }
+});
+
+// ROUTE 9w: A company's survey bookings between `from` and `to` (default: the next 30
+// days), cancelled ones included. Salespeople get the bookings on their own leads.
+app.get('/api/company/:companyId/bookings', team.requireMember('leads:read'), async (req, res) => {
+  try {
+    const result = await surveyBookings.listBookings(req.params.companyId, {
+      from: req.query.from,
+      to: req.query.to,
+      assignedTo: team.can(req.member, 'leads:all') ? null : req.member.id
+    });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      bookings: result.bookings,
+      timeZone: (await surveyBookings.getAvailability(req.params.companyId)).timeZone
+    });
+  } catch (error) {
+    console.error('Bookings fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch bookings' });
+  }
+});
+
+// ROUTE 9x: Cancel a survey. The customer and the team get the cancelled invite.
+app.post('/api/booking/:bookingId/cancel', team.requireLeadAccess('leads:write'), async (req, res) => {
+  try {
+    const result = await surveyBookings.cancelBooking(req.params.bookingId, { cancelledBy: req.member.name });
+    if (!result) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      booking: surveyBookings.serializeBooking(result.booking)
+    });
+  } catch (error) {
+    console.error('Booking cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel booking' });
+  }
+});
+
+// ROUTE 9y: Messages between the lead and the company (from the customer portal), oldest first
+app.get('/api/lead/:leadId/messages', team.requireLeadAccess('leads:read'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      messages: await customerPortal.listMessages(req.lead.id)
+    });
+  } catch (error) {
+    console.error('Messages fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch messages' });
+  }
+});
+
+// ROUTE 9z: Message the customer. Body: { body }. They're emailed a link to their portal.
+app.post('/api/lead/:leadId/messages', team.requireLeadAccess('leads:write'), async (req, res) => {
+  try {
+    const result = await customerPortal.addMessage(req.lead.id, {
+      sender: 'company',
+      body: req.body.body,
+      createdBy: req.member.name
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    console.error('Message send error:', error);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+// ROUTE 10: Get company dashboard stats
+// month (YYYY-MM) or from/to limit the leads counted. Salespeople get their own leads' stats.
+app.get('/api/company/:companyId/stats', team.requireMember('leads:read'), async (req, res) => {
+  try {
+    const result = await leadStore.getStats(req.params.companyId, {
+      ...req.query,
+      assignee: leadAssignee(req.member, req.query.assignee)
+    });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      stats: result.stats
+    });
+  } catch (error) {
+    console.error('Stats fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch stats' });
+  }
+});
+
+// ROUTE 11: Get company details
+app.get('/api/company/:companyId', (req, res) => {
+  const { companyId } = req.params;
+  const company = companies.get(companyId);
+
+  if (!company) {
+    return res.status(404).json({ error: 'Company not found' });
+  }
+
+  res.json({
+    success: true,
+    company: company
+  });
+});
+
+// ROUTE 11a: Get the company's branding for customer pages, and the default
+app.get('/api/company/:companyId/branding', team.requireMember('settings'), async (req, res) => {
+  try {
+    const baseUrl = getBaseUrl(req);
+    res.json({
+      success: true,
+      branding: await branding.serializeBranding(await branding.getBranding(req.params.companyId), baseUrl),
+      defaultBranding: await branding.serializeBranding(branding.DEFAULT_BRANDING, baseUrl)
+    });
+  } catch (error) {
+    console.error('Branding fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch branding' });
+  }
+});
+
+// ROUTE 11b: Save the company's branding. Body: { branding: { primaryColor } }
+// (branding: null restores the default colour and removes the logo).
+app.put('/api/company/:companyId/branding', team.requireMember('settings'), async (req, res) => {
+  try {
+    let settings = null;
+    if (req.body.branding !== null) {
+      const result = branding.validateBranding(req.body.branding);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      settings = result.branding;
+    }
+
+    const saved = await branding.setBranding(req.params.companyId, settings);
+    res.json({
+      success: true,
+      branding: await branding.serializeBranding(saved, getBaseUrl(req))
+    });
+  } catch (error) {
+    console.error('Branding update error:', error);
+    res.status(500).json({ error: 'Failed to save branding' });
+  }
+});
+
+// ROUTE 11c: Upload the company's logo (replaces the previous one)
+app.post('/api/company/:companyId/branding/logo', team.requireMember('settings'), upload.single('image'), async (req, res) => {
+  const { companyId } = req.params;
+
+  if (!req.file) {
+    return res.status(400).json({ error: 'No image uploaded' });
+  }
+
+  try {
+    let logo;
+    try {
+      logo = await imageProcessing.createLogo(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({ error: 'Unsupported or corrupt image file' });
+    }
+
+    const key = storage.keys.logo(`logo-${uuidv4()}.png`);
+    await storage.put(key, logo, { contentType: 'image/png' });
+
+    const saved = await branding.setBranding(companyId, { logo: key });
+    res.json({
+      success: true,
+      branding: await branding.serializeBranding(saved, getBaseUrl(req))
+    });
+  } catch (error) {
+    console.error('Logo upload error:', error);
+    res.status(500).json({ error: 'Failed to upload logo' });
+  }
+});
+
+// ROUTE 12: Get embed code for company
+app.get('/api/company/:companyId/embed', (req, res) => {
+  const { companyId } = req.params;
+  
+  const embedCode = `<!-- Renovation Vision Widget -->
+<div id="renovation-vision-widget"></div>
+<script>
+  window.RENOVATION_VISION_COMPANY_ID = '${companyId}';
+</script>
+<script src="https://yourdomain.com/widget/embed.js"></script>
+<!-- End Renovation Vision Widget -->`;
+
+  res.json({
+    success: true,
+    embedCode: embedCode
+  });
+});
+
+// ROUTE 13: List the company's team members (anyone signed in, to show who leads are assigned to)
+app.get('/api/company/:companyId/team', team.requireMember('leads:read'), async (req, res) => {
+  try {
+    const result = await team.listMembers(req.params.companyId);
+
+    res.json({
+      success: true,
+      members: result.members,
+      autoAssignLeads: result.autoAssignLeads
+    });
+  } catch (error) {
+    console.error('Team fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch team' });
+  }
+});
+
+// ROUTE 13a: Turn round-robin assignment of new leads on or off. Body: { autoAssignLeads }
+app.put('/api/company/:companyId/team/settings', team.requireMember('team'), async (req, res) => {
+  try {
+    const { autoAssignLeads } = req.body;
+    if (typeof autoAssignLeads !== 'boolean') {
+      return res.status(400).json({ error: 'autoAssignLeads must be true or false' });
+    }
+
+    if (!(await team.setAutoAssign(req.params.companyId, autoAssignLeads))) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    res.json({ success: true, autoAssignLeads });
+  } catch (error) {
+    console.error('Team settings error:', error);
+    res.status(500).json({ error: 'Failed to save team settings' });
+  }
+});
+
+// ROUTE 13b: Invite someone to the team by email. Body: { email, name, role }.
+// inviteUrl is returned too, so it can be shared if the email doesn't arrive.
+app.post('/api/company/:companyId/team', team.requireMember('team'), async (req, res) => {
+  try {
+    const { email, name, role } = req.body;
+
+    const result = await team.inviteMember(req.params.companyId, { email, name, role }, { invitedBy: req.member });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      member: result.member,
+      inviteUrl: result.inviteUrl
+    });
+  } catch (error) {
+    console.error('Team invite error:', error);
+    res.status(500).json({ error: 'Failed to send invite' });
+  }
+});
+
+// ROUTE 13c: Send an invite again with a new link
+app.post('/api/company/:companyId/team/:memberId/invite', team.requireMember('team'), async (req, res) => {
+  try {
+    const result = await team.resendInvite(req.params.companyId, req.params.memberId, { invitedBy: req.member });
+    if (!result) {
+      return res.status(404).json({ error: 'Team member not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      member: result.member,
+      inviteUrl: result.inviteUrl
+    });
+  } catch (error) {
+    console.error('Team invite error:', error);
+    res.status(500).json({ error: 'Failed to send invite' });
+  }
+});
+
+// ROUTE 13d: Change a team member's role. Body: { role }
+app.put('/api/company/:companyId/team/:memberId', team.requireMember('team'), async (req, res) => {
+  try {
+    const result = await team.updateRole(req.params.companyId, req.params.memberId, req.body.role, req.member);
+    if (!result) {
+      return res.status(404).json({ error: 'Team member not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      member: result.member
+    });
+  } catch (error) {
+    console.error('Team update error:', error);
+    res.status(500).json({ error: 'Failed to update team member' });
+  }
+});
+
+// ROUTE 13e: Remove someone from the team. Their leads become unassigned.
+app.delete('/api/company/:companyId/team/:memberId', team.requireMember('team'), async (req, res) => {
+  try {
+    const result = await team.removeMember(req.params.companyId, req.params.memberId, req.member);
+    if (!result) {
+      return res.status(404).json({ error: 'Team member not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Team remove error:', error);
+    res.status(500).json({ error: 'Failed to remove team member' });
+  }
+});
+
+// ROUTE 13f: Look up an invite link (for the accept invite page)
+app.get('/api/invites/:token', async (req, res) => {
+  try {
+    const invite = await team.getInvite(req.params.token);
+    if (!invite) {
+      return res.status(404).json({ error: 'This invite link is invalid or has expired' });
+    }
+
+    res.json({ success: true, invite });
+  } catch (error) {
+    console.error('Invite fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch invite' });
+  }
+});
+
+// ROUTE 13g: Accept an invite by choosing a password. Body: { name, password }.
+// Signs the new member in, like POST /api/auth/login.
+app.post('/api/invites/:token/accept', async (req, res) => {
+  try {
+    const { name, password } = req.body;
+
+    const member = await team.acceptInvite(req.params.token, { name, password });
+    if (!member) {
+      return res.status(404).json({ error: 'This invite link is invalid or has expired' });
+    }
+    if (member.error) {
+      return res.status(400).json({ error: member.error });
+    }
+
+    res.json(sessionResponse(member));
+  } catch (error) {
+    console.error('Invite accept error:', error);
+    res.status(500).json({ error: 'Failed to accept invite' });
+  }
+});
+
+// ROUTE 14: SendGrid Event Webhook. Opens and clicks on follow-up emails count
+// towards the lead's score (email-events.js).
+app.post('/api/webhooks/sendgrid', async (req, res) => {
+  try {
+    const signature = req.get('x-twilio-email-event-webhook-signature');
+    const timestamp = req.get('x-twilio-email-event-webhook-timestamp');
+    if (!emailEvents.verifySignature(req.rawBody, signature, timestamp)) {
+      return res.status(403).json({ error: 'Invalid signature' });
+    }
+
+    res.json({
+      success: true,
+      recorded: await emailEvents.recordEvents(req.body)
+    });
+  } catch (error) {
+    console.error('Email event webhook error:', error);
+    res.status(500).json({ error: 'Failed to record email events' });
+  }
+});
+
+// ROUTE 15: A quote, for the customer's quote page (the link emailed by ROUTE 9s)
+app.get('/api/quotes/:token', async (req, res) => {
+  try {
+    const quote = await quotes.getCustomerQuote(req.params.token, getBaseUrl(req));
+    if (!quote) {
+      return res.status(404).json({ error: 'This quote link is invalid' });
+    }
+
+    res.json({ success: true, quote });
+  } catch (error) {
+    console.error('Customer quote fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch quote' });
+  }
+});
+
+// ROUTE 15a: The customer's quote as a PDF
+app.get('/api/quotes/:token/pdf', async (req, res) => {
+  try {
+    const quote = await quotes.findByToken(req.params.token);
+    if (!quote) {
+      return res.status(404).json({ error: 'This quote link is invalid' });
+    }
+
+    const pdf = await quotes.renderPdf(quote, quotes.customerUrl(req.params.token));
+    res.set('Content-Disposition', `inline; filename="${quote.number}.pdf"`);
+    res.type('application/pdf').send(pdf);
+  } catch (error) {
+    console.error('Customer quote PDF error:', error);
+    res.status(500).json({ error: 'Failed to create quote PDF' });
+  }
+});
+
+// ROUTE 15b: The customer accepts a quote. Body: { name }.
+// The lead is moved to won with the quote total as its project value.
+app.post('/api/quotes/:token/accept', async (req, res) => {
+  try {
+    const result = await quotes.acceptQuote(req.params.token, { name: req.body.name });
+    if (!result) {
+      return res.status(404).json({ error: 'This quote link is invalid' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      quote: await quotes.getCustomerQuote(req.params.token, getBaseUrl(req))
+    });
+  } catch (error) {
+    console.error('Quote accept error:', error);
+    res.status(500).json({ error: 'Failed to accept quote' });
+  }
+});
+
+// ROUTE 15c: The customer declines a quote. Body: { reason } (optional).
+app.post('/api/quotes/:token/decline', async (req, res) => {
+  try {
+    const result = await quotes.declineQuote(req.params.token, { reason: req.body.reason });
+    if (!result) {
+      return res.status(404).json({ error: 'This quote link is invalid' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      quote: await quotes.getCustomerQuote(req.params.token, getBaseUrl(req))
+    });
+  } catch (error) {
+    console.error('Quote decline error:', error);
+    res.status(500).json({ error: 'Failed to decline quote' });
+  }
+});
+
+// ROUTE 16: Free survey slots for a company, grouped by day
+app.get('/api/company/:companyId/survey-slots', async (req, res) => {
+  try {
+    const slots = await surveyBookings.getSlots(req.params.companyId);
+
+    res.json({ success: true, ...slots });
+  } catch (error) {
+    console.error('Survey slots fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch survey slots' });
+  }
+});
+
+// ROUTE 16a: Book a survey from the widget. Body: { startsAt } (one of ROUTE 16's slots).
+// The link is the signed bookingPath from ROUTE 7, so only the customer can book on their lead.
+app.post('/api/lead/:leadId/booking', async (req, res) => {
+  const { expires, signature } = req.query;
+
+  if (!signedUrls.verifySignature(req.path, expires, signature)) {
+    return res.status(403).json({ error: 'This booking link has expired. Please contact us to book your survey.' });
+  }
+
+  try {
+    const result = await surveyBookings.createBooking(req.params.leadId, {
+      startsAt: req.body.startsAt
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      booking: {
+        startsAt: result.booking.starts_at,
+        endsAt: result.booking.ends_at
+      },
+      manageUrl: result.manageUrl
+    });
+  } catch (error) {
+    console.error('Booking error:', error);
+    res.status(500).json({ error: 'Failed to book survey' });
+  }
+});
 
-    // Validate required fields
-    if (!companyId || !customerName || !email || !phone) {
-      return res.status(400).json({ error: 'Missing required fields' });
+// ROUTE 16b: A survey booking, for the customer's booking page (the link emailed by ROUTE 16a)
+app.get('/api/bookings/:token', async (req, res) => {
+  try {
+    const booking = await surveyBookings.getCustomerBooking(req.params.token);
+    if (!booking) {
+      return res.status(404).json({ error: 'This booking link is invalid' });
     }
 
-    // Generate unique reference code
-    const leadId = uuidv4();
-    const referenceCode = `RV-${leadId.substring(0, 8).toUpperCase()}`;
-
-    // Create lead in database
-    await db.query(
-      `INSERT INTO leads (id, company_id, customer_name, email, phone, 
-                          original_image, generated_image, prompt, reference_code, status)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'new')`,
-      [leadId, companyId, customerName, email, phone, originalImage, generatedImage, prompt, referenceCode]
-    );
-
-    console.log(`📧 New lead captured: ${customerName} (${email}) - Ref: ${referenceCode}`);
+    res.json({ success: true, booking });
+  } catch (error) {
+    console.error('Customer booking fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch booking' });
+  }
+});
 
-    // TODO: Send emails (we'll add this next)
+// ROUTE 16c: The customer moves their survey. Body: { startsAt }.
+app.post('/api/bookings/:token/reschedule', async (req, res) => {
+  try {
+    const result = await surveyBookings.rescheduleBooking(req.params.token, {
+      startsAt: req.body.startsAt
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'This booking link is invalid' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
 
     res.json({
       success: true,
-      leadId: leadId,
-      referenceCode: referenceCode,
-      message: 'Lead captured successfully'
+      booking: await surveyBookings.getCustomerBooking(req.params.token)
     });
-
   } catch (error) {
-    console.error('Lead capture error:', error);
-    res.status(500).json({ error: 'Failed to capture lead' });
+    console.error('Booking reschedule error:', error);
+    res.status(500).json({ error: 'Failed to reschedule survey' });
   }
 });
 
-// ROUTE 8: Get leads for a company
-app.get('/api/company/:companyId/leads', (req, res) => {
-  const { companyId } = req.params;
-  const { status } = req.query;
-
-  let companyLeads = leads.filter(lead => lead.companyId === companyId);
+// ROUTE 16d: The customer cancels their survey
+app.post('/api/bookings/:token/cancel', async (req, res) => {
+  try {
+    const result = await surveyBookings.cancelByToken(req.params.token);
+    if (!result) {
+      return res.status(404).json({ error: 'This booking link is invalid' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
 
-  if (status) {
-    companyLeads = companyLeads.filter(lead => lead.status === status);
+    res.json({
+      success: true,
+      booking: await surveyBookings.getCustomerBooking(req.params.token)
+    });
+  } catch (error) {
+    console.error('Booking cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel survey' });
   }
+});
 
-  // Sort by date (newest first)
-  companyLeads.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+// ROUTE 17: Email the customer a sign-in link for their portal. Body: { referenceCode, email }.
+// The answer is the same whether or not they match a lead.
+app.post('/api/portal/link', async (req, res) => {
+  try {
+    const { referenceCode, email } = req.body;
+    if (!referenceCode || !email) {
+      return res.status(400).json({ error: 'Please enter your reference code and email' });
+    }
 
-  res.json({
-    success: true,
-    leads: companyLeads,
-    total: companyLeads.length
-  });
+    await customerPortal.requestLink({ referenceCode, email });
+    res.json({
+      success: true,
+      message: 'If those details match your designs, we\'ve emailed you a link to sign in.'
+    });
+  } catch (error) {
+    console.error('Portal link error:', error);
+    res.status(500).json({ error: 'Failed to send sign-in link' });
+  }
 });
 
-// ROUTE 9: Update lead status
-app.put('/api/lead/:leadId', (req, res) => {
-  const { leadId } = req.params;
-  const { status, projectValue } = req.body;
-
-  const lead = leads.find(l => l.id === leadId);
+// ROUTE 17a: Swap the emailed link's token for a portal session. Body: { token }.
+// Each link works once.
+app.post('/api/portal/session', async (req, res) => {
+  try {
+    const result = await customerPortal.exchangeLink(req.body.token);
+    if (!result) {
+      return res.status(401).json({ error: 'This link has expired or has already been used. Please ask for a new one.' });
+    }
 
-  if (!lead) {
-    return res.status(404).json({ error: 'Lead not found' });
+    res.json({
+      success: true,
+      token: result.session.token,
+      expiresAt: result.session.expiresAt
+    });
+  } catch (error) {
+    console.error('Portal sign-in error:', error);
+    res.status(500).json({ error: 'Failed to sign in' });
   }
+});
 
-  if (status) {
-    lead.status = status;
+// ROUTE 17b: The customer's portal: renders, design allowance, quotes, appointments,
+// messages and the company's branding
+app.get('/api/portal', customerPortal.requirePortalLead, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      portal: await customerPortal.getPortal(req.lead, getBaseUrl(req))
+    });
+  } catch (error) {
+    console.error('Portal fetch error:', error);
+    res.status(500).json({ error: 'Failed to load your designs' });
   }
+});
 
-  if (projectValue) {
-    lead.projectValue = projectValue;
-    if (status === 'won') {
-      lead.wonDate = new Date().toISOString();
+// ROUTE 17c: Download one of the customer's renders at full size
+app.get('/api/portal/renders/:renderId/download', customerPortal.requirePortalLead, async (req, res) => {
+  try {
+    const key = customerPortal.getRenderKey(req.lead, req.params.renderId);
+    // Older leads may still hold a full URL
+    if (key && /^https?:/.test(key)) {
+      return res.redirect(key);
     }
-  }
 
-  lead.updatedAt = new Date().toISOString();
+    const file = key ? await storage.get(key) : null;
+    if (!file) {
+      return res.status(404).json({ error: 'Design not found' });
+    }
 
-  res.json({
-    success: true,
-    lead: lead
-  });
+    const name = `${req.lead.reference_code}-${req.params.renderId.slice(0, 8)}${path.extname(key)}`;
+    res.set('Content-Disposition', `attachment; filename="${name}"`);
+    res.type(file.contentType).send(file.buffer);
+  } catch (error) {
+    console.error('Portal download error:', error);
+    res.status(500).json({ error: 'Failed to download design' });
+  }
 });
 
-// ROUTE 10: Get company dashboard stats
-app.get('/api/company/:companyId/stats', (req, res) => {
-  const { companyId } = req.params;
-  const { month } = req.query; // Format: YYYY-MM
-
-  let companyLeads = leads.filter(lead => lead.companyId === companyId);
+// ROUTE 17d: Make a new design. Body: { variantId, instruction } to change one of the
+// customer's renders, or { styleId, description } to start again from their photo.
+// Limited per lead (customer-portal.js); finished renders are added to the lead.
+app.post('/api/portal/variations', customerPortal.requirePortalLead, async (req, res) => {
+  try {
+    const { variantId, instruction, styleId, description } = req.body;
+    const result = await customerPortal.startVariation(req.lead, { variantId, instruction, styleId, description });
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
 
-  if (month) {
-    companyLeads = companyLeads.filter(lead => 
-      lead.createdAt.startsWith(month)
-    );
+    res.status(202).json({
+      success: true,
+      jobId: result.job.id
+    });
+  } catch (error) {
+    console.error('Portal design error:', error);
+    res.status(500).json({ error: 'Failed to start your design' });
   }
-
-  const totalLeads = companyLeads.length;
-  const wonLeads = companyLeads.filter(l => l.status === 'won');
-  const totalRevenue = wonLeads.reduce((sum, lead) => sum + (lead.projectValue || 0), 0);
-  
-  const company = companies.get(companyId);
-  const commissionRate = company?.commissionRate || 0.02;
-  const commissionAmount = totalRevenue * commissionRate;
-
-  const conversionRate = totalLeads > 0 ? (wonLeads.length / totalLeads * 100).toFixed(1) : 0;
-
-  res.json({
-    success: true,
-    stats: {
-      totalLeads,
-      newLeads: companyLeads.filter(l => l.status === 'new').length,
-      quotedLeads: companyLeads.filter(l => l.status === 'quoted').length,
-      wonLeads: wonLeads.length,
-      lostLeads: companyLeads.filter(l => l.status === 'lost').length,
-      totalRevenue,
-      commissionAmount,
-      conversionRate,
-      averageProjectValue: wonLeads.length > 0 ? (totalRevenue / wonLeads.length).toFixed(2) : 0
-    }
-  });
 });
 
-// ROUTE 11: Get company details
-app.get('/api/company/:companyId', (req, res) => {
-  const { companyId } = req.params;
-  const company = companies.get(companyId);
+// ROUTE 17e: Progress of a design started from the portal
+app.get('/api/portal/variations/:jobId', customerPortal.requirePortalLead, async (req, res) => {
+  try {
+    const job = await customerPortal.getVariation(req.lead, req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Design not found' });
+    }
 
-  if (!company) {
-    return res.status(404).json({ error: 'Company not found' });
+    res.json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    console.error('Portal design status error:', error);
+    res.status(500).json({ error: 'Failed to check your design' });
   }
-
-  res.json({
-    success: true,
-    company: company
-  });
 });
 
-// ROUTE 12: Get embed code for company
-app.get('/api/company/:companyId/embed', (req, res) => {
-  const { companyId } = req.params;
-  
-  const embedCode = `<!-- Renovation Vision Widget -->
-<div id="renovation-vision-widget"></div>
-<script>
-  window.RENOVATION_VISION_COMPANY_ID = '${companyId}';
-</script>
-<script src="https://yourdomain.com/widget/embed.js"></script>
-<!-- End Renovation Vision Widget -->`;
+// ROUTE 17f: One of the customer's quotes as a PDF
+app.get('/api/portal/quotes/:quoteId/pdf', customerPortal.requirePortalLead, async (req, res) => {
+  try {
+    const quote = await customerPortal.getQuote(req.lead, req.params.quoteId);
+    if (!quote) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
 
-  res.json({
-    success: true,
-    embedCode: embedCode
-  });
+    const pdf = await quotes.renderPdf(quote);
+    res.set('Content-Disposition', `attachment; filename="${quote.number}.pdf"`);
+    res.type('application/pdf').send(pdf);
+  } catch (error) {
+    console.error('Portal quote PDF error:', error);
+    res.status(500).json({ error: 'Failed to create quote PDF' });
+  }
 });
 
-// ============================================
-// AUTHENTICATION & REGISTRATION
-// ============================================
-
-// Simple password hashing (in production, use bcrypt!)
-function hashPassword(password) {
-  return Buffer.from(password).toString('base64');
-}
-
-function verifyPassword(password, hash) {
-  return hashPassword(password) === hash;
-}
-
-// ROUTE: Company Registration (Sign Up)
-app.post('/api/auth/register', (req, res) => {
-  const { name, email, password, phone, website, trade } = req.body;
+// ROUTE 17g: Message the company. Body: { body }. The team member the lead is assigned
+// to (or the company) is emailed.
+app.post('/api/portal/messages', customerPortal.requirePortalLead, async (req, res) => {
+  try {
+    const result = await customerPortal.addMessage(req.lead.id, {
+      sender: 'customer',
+      body: req.body.body
+    });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
 
-  // Validate required fields
-  if (!name || !email || !password) {
-    return res.status(400).json({ error: 'Name, email, and password are required' });
+    res.status(201).json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    console.error('Portal message error:', error);
+    res.status(500).json({ error: 'Failed to send message' });
   }
+});
 
-  // Check if email already exists
-  const existingCompany = Array.from(companies.values()).find(c => c.email === email);
-  if (existingCompany) {
-    return res.status(400).json({ error: 'Email already registered' });
-  }
-
-  // Create company
-  const companyId = `company_${uuidv4()}`;
-  const apiKey = `rva_${uuidv4()}`;
-
-  const company = {
-    id: companyId,
-    apiKey: apiKey,
-    name,
-    email,
-    password: hashPassword(password), // In production, use bcrypt!
-    phone: phone || '',
-    website: website || '',
-    trade: trade || 'general',
-    commissionRate: 0.02, // 2%
-    status: 'trial',
-    createdAt: new Date().toISOString(),
-    trialEndsAt: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString()
-  };
-
-  companies.set(companyId, company);
-
-  console.log(`✅ New company registered: ${name} (${companyId})`);
+// What the dashboard keeps after signing in: a session token for the Authorization
+// header, and the member's role and permissions to show the right pages
+function sessionResponse(member) {
+  const session = auth.createSession(member.id);
 
-  res.json({
+  return {
     success: true,
-    companyId: companyId,
-    apiKey: apiKey,
-    message: 'Company registered successfully',
+    token: session.token,
+    expiresAt: session.expiresAt,
+    companyId: member.company_id,
     company: {
-      id: company.id,
-      name: company.name,
-      email: company.email,
-      trade: company.trade,
-      status: company.status
-    }
-  });
-});
+      id: member.company_id,
+      name: member.company_name
+    },
+    member: team.serializeMember(member)
+  };
+}
 
 // ROUTE: Create demo company (for testing)
 app.get('/api/demo/create', (req, res) => {
@@ -591,28 +2589,6 @@ app.get('/api/demo/create', (req, res) => {
     };
     
     companies.set(demoCompanyId, demoCompany);
-    
-    // Create some demo leads
-    for (let i = 1; i <= 10; i++) {
-      leads.push({
-        id: `demo_lead_${i}`,
-        companyId: demoCompanyId,
-        customerName: `Customer ${i}`,
-        email: `customer${i}@email.com`,
-        phone: `07700 90${String(i).padStart(4, '0')}`,
-        postcode: `SW1A ${i}AA`,
-        projectBudget: ['under-5k', '5k-10k', '10k-20k', '20k-plus'][i % 4],
-        startDate: ['asap', '1-3months', '3-6months'][i % 3],
-        notes: 'Looking for a complete renovation',
-        originalImage: 'https://via.placeholder.com/400x300?text=Before',
-        generatedImage: 'https://via.placeholder.com/400x300?text=After',
-        prompt: 'Modern bathroom with marble tiles',
-        status: ['new', 'contacted', 'quoted', 'won', 'lost'][i % 5],
-        projectValue: i % 5 === 3 ? 12000 + (i * 1000) : null,
-        createdAt: new Date(Date.now() - (i * 24 * 60 * 60 * 1000)).toISOString(),
-        updatedAt: new Date().toISOString()
-      });
-    }
   }
   
   res.json({
@@ -654,31 +2630,41 @@ app.post('/api/auth/register', async (req, res) => {
   }
 
   try {
-    // Check if email already exists
-    const existing = await db.query('SELECT id FROM companies WHERE email = $1', [email]);
-    if (existing.rows.length > 0) {
+    // The email becomes the owner's login, so it can't already be anyone's
+    if (await team.isEmailTaken(email)) {
       return res.status(400).json({ error: 'Email already registered' });
     }
 
-    // Create company
+    // Create company, and its owner account with it
     const companyId = `company_${uuidv4()}`;
     const apiKey = `rva_${uuidv4()}`;
 
-    await db.query(
-      `INSERT INTO companies (id, api_key, name, email, password, phone, website, trade, status, trial_ends_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'trial', $9)`,
-      [
-        companyId,
-        apiKey,
-        name,
-        email,
-        hashPassword(password),
-        phone || '',
-        website || '',
-        trade || 'general',
-        new Date(Date.now() + 14 * 24 * 60 * 60 * 1000)
-      ]
-    );
+    try {
+      await db.transaction(async (client) => {
+        await client.query(
+          `INSERT INTO companies (id, api_key, name, email, password, phone, website, trade, status, trial_ends_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'trial', $9)`,
+          [
+            companyId,
+            apiKey,
+            name,
+            email,
+            hashPassword(password),
+            phone || '',
+            website || '',
+            trade || 'general',
+            new Date(Date.now() + 14 * 24 * 60 * 60 * 1000)
+          ]
+        );
+        await team.createOwner(companyId, { email, name, password }, client);
+      });
+    } catch (error) {
+      // Someone registered the same email in the meantime
+      if (error.code === '23505') {
+        return res.status(400).json({ error: 'Email already registered' });
+      }
+      throw error;
+    }
 
     console.log(`✅ New company registered: ${name} (${companyId})`);
 
@@ -701,6 +2687,38 @@ app.post('/api/auth/register', async (req, res) => {
   }
 });
 
+// Ten sample leads across every status and budget for the demo dashboard
+async function seedDemoLeads(companyId) {
+  for (let i = 1; i <= 10; i++) {
+    const leadId = uuidv4();
+    await db.query(
+      `INSERT INTO leads (id, company_id, customer_name, email, phone, postcode, project_budget, start_date,
+                          notes, original_image, generated_image, prompt, reference_code, status,
+                          project_value, won_date, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)`,
+      [
+        leadId,
+        companyId,
+        `Customer ${i}`,
+        `customer${i}@email.com`,
+        `07700 90${String(i).padStart(4, '0')}`,
+        `SW1A ${i}AA`,
+        ['under-5k', '5k-10k', '10k-20k', '20k-plus'][i % 4],
+        ['asap', '1-3months', '3-6months'][i % 3],
+        'Looking for a complete renovation',
+        'https://via.placeholder.com/400x300?text=Before',
+        'https://via.placeholder.com/400x300?text=After',
+        'Modern bathroom with marble tiles',
+        `RV-${leadId.substring(0, 8).toUpperCase()}`,
+        pipeline.DEFAULT_STAGES[i % 5].key,
+        i % 5 === 3 ? 12000 + (i * 1000) : null,
+        i % 5 === 3 ? new Date(Date.now() - (i * 12 * 60 * 60 * 1000)) : null,
+        new Date(Date.now() - (i * 24 * 60 * 60 * 1000))
+      ]
+    );
+  }
+}
+
 // ROUTE: Create demo company (for testing)
 app.post('/api/demo/create', async (req, res) => {
   const demoCompanyId = 'demo_company';
@@ -725,6 +2743,7 @@ app.post('/api/demo/create', async (req, res) => {
           new Date(Date.now() + 365 * 24 * 60 * 60 * 1000)
         ]
       );
+      await seedDemoLeads(demoCompanyId);
       
       console.log('✅ Demo company created');
     } else {
@@ -754,7 +2773,9 @@ function verifyPassword(password, hash) {
   return hashPassword(password) === hash;
 }
 
-// ROUTE: Company Login
+// ROUTE: Team Member Login
+// Returns a session token for the dashboard (see sessionResponse). A company's
+// original email and password still work, and become its owner account.
 app.post('/api/auth/login', async (req, res) => {
   const { email, password } = req.body;
 
@@ -765,31 +2786,15 @@ app.post('/api/auth/login', async (req, res) => {
   }
 
   try {
-    const result = await db.query('SELECT * FROM companies WHERE email = $1', [email]);
-
-    if (result.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid email or password' });
-    }
+    const member = await team.authenticate(email, password);
 
-    const company = result.rows[0];
-
-    if (!verifyPassword(password, company.password)) {
+    if (!member) {
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    console.log(`✅ Company logged in: ${company.name}`);
+    console.log(`✅ ${member.name} logged in to ${member.company_name} (${member.role})`);
 
-    res.json({
-      success: true,
-      companyId: company.id,
-      company: {
-        id: company.id,
-        name: company.name,
-        email: company.email,
-        trade: company.trade,
-        status: company.status
-      }
-    });
+    res.json(sessionResponse(member));
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ error: 'Login failed', message: error.message });
@@ -853,109 +2858,6 @@ app.post('/api/demo/create', async (req, res) => {
   }
 });
 
-// ROUTE: Company Login
-app.post('/api/auth/login', async (req, res) => {
-  const { email, password } = req.body;
-
-  console.log('Login attempt for:', email);
-
-  if (!email || !password) {
-    return res.status(400).json({ error: 'Email and password are required' });
-  }
-
-  try {
-    // Find company by email
-    const result = await db.query('SELECT * FROM companies WHERE email = $1', [email]);
-
-    if (result.rows.length === 0) {
-      console.log('❌ Email not found:', email);
-      return res.status(401).json({ error: 'Invalid email or password' });
-    }
-
-    const company = result.rows[0];
-
-    // Verify password
-    if (!verifyPassword(password, company.password)) {
-      console.log('❌ Invalid password for:', email);
-      return res.status(401).json({ error: 'Invalid email or password' });
-    }
-
-    console.log(`✅ Company logged in: ${company.name} (${company.id})`);
-
-    res.json({
-      success: true,
-      companyId: company.id,
-      company: {
-        id: company.id,
-        name: company.name,
-        email: company.email,
-        trade: company.trade,
-        status: company.status,
-        apiKey: company.api_key
-      }
-    });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Login failed', message: error.message });
-  }
-});
-
-// ROUTE: Company Registration
-app.post('/api/auth/register', async (req, res) => {
-  const { name, email, password, phone, website, trade } = req.body;
-
-  if (!name || !email || !password) {
-    return res.status(400).json({ error: 'Name, email, and password are required' });
-  }
-
-  try {
-    // Check if email exists
-    const existing = await db.query('SELECT id FROM companies WHERE email = $1', [email]);
-    if (existing.rows.length > 0) {
-      return res.status(400).json({ error: 'Email already registered' });
-    }
-
-    // Create company
-    const companyId = `company_${uuidv4()}`;
-    const apiKey = `rva_${uuidv4()}`;
-
-    await db.query(
-      `INSERT INTO companies (id, api_key, name, email, password, phone, website, trade, status, trial_ends_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'trial', $9)`,
-      [
-        companyId,
-        apiKey,
-        name,
-        email,
-        hashPassword(password),
-        phone || '',
-        website || '',
-        trade || 'general',
-        new Date(Date.now() + 14 * 24 * 60 * 60 * 1000)
-      ]
-    );
-
-    console.log(`✅ New company registered: ${name} (${companyId})`);
-
-    res.json({
-      success: true,
-      companyId: companyId,
-      apiKey: apiKey,
-      message: 'Company registered successfully',
-      company: {
-        id: companyId,
-        name: name,
-        email: email,
-        trade: trade || 'general',
-        status: 'trial'
-      }
-    });
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Registration failed', message: error.message });
-  }
-});
-
 // Catch-all route - must be last
 app.get('*', (req, res) => {
   // If requesting the root, redirect to login
@@ -973,8 +2875,14 @@ app.get('*', (req, res) => {
 // Start server
 app.listen(PORT, () => {
   console.log(`✅ Server running on http://localhost:${PORT}`);
-  console.log(`✅ RunwayML API key configured: ${RUNWAYML_API_KEY ? 'Yes' : 'No'}`);
+  console.log(`✅ Default image provider: ${defaultProvider.label}`);
   console.log(`✅ Test the API: http://localhost:${PORT}/api/health`);
+
+  // Pick up generation jobs that were interrupted by a restart
+  generationJobs.resumePendingJobs();
+
+  // Score leads that came in before lead scoring
+  leadScoring.scoreUnscoredLeads();
 });
 
 const sgMail = require('@sendgrid/mail');
@@ -1024,14 +2932,14 @@ async function sendCustomerEmail(name, email, referenceCode, imageUrl) {
   }
 }
 
-// Send notification to company
-async function sendCompanyNotification(companyId, customerName, email, phone, referenceCode) {
+// Send new lead notification to the team member the lead is assigned to (or the company)
+async function sendCompanyNotification(companyId, assignee, customerName, email, phone, referenceCode) {
   const company = await db.query('SELECT name, email FROM companies WHERE id = $1', [companyId]);
   
   if (company.rows.length === 0) return;
 
-  const companyEmail = company.rows[0].email;
-  const companyName = company.rows[0].name;
+  const companyEmail = assignee ? assignee.email : company.rows[0].email;
+  const companyName = assignee ? assignee.name : company.rows[0].name;
 
   const msg = {
     to: companyEmail,
@@ -1049,7 +2957,7 @@ async function sendCompanyNotification(companyId, customerName, email, phone, re
           <h3>Lead Details:</h3>
           <p><strong>Name:</strong> ${customerName}</p>
           <p><strong>Email:</strong> ${email}</p>
-          <p><strong>Phone:</strong> ${phone}</p>
+          <p><strong>Phone:</strong> ${phone || 'Not given'}</p>
           <p><strong>Reference Code:</strong> ${referenceCode}</p>
         </div>
         
@@ -93,12 +93,420 @@ async function setupDatabase() {
     `);
     console.log('✅ Invoices table created');
 
+    // Image provider selection per company (null = use IMAGE_PROVIDER)
+    await pool.query(`
+      ALTER TABLE companies ADD COLUMN IF NOT EXISTS image_provider VARCHAR(50);
+      ALTER TABLE companies ADD COLUMN IF NOT EXISTS provider_config JSONB DEFAULT '{}';
+    `);
+    console.log('✅ Company provider columns added');
+
+    // Generation jobs table (company_id is TEXT to match companies.id after fix-company-id.js)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS generation_jobs (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        company_id TEXT,
+        filename TEXT NOT NULL, -- storage key of the upload
+        prompt TEXT NOT NULL,
+        provider VARCHAR(50),
+        status VARCHAR(20) DEFAULT 'queued',
+        progress INT DEFAULT 0,
+        attempts INT DEFAULT 0,
+        max_attempts INT DEFAULT 3,
+        timeout_ms INT DEFAULT 120000,
+        result_filename TEXT, -- storage key of the full render
+        preview_filename TEXT, -- storage key of the preview
+        error TEXT,
+        started_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log('✅ Generation jobs table created');
+
+    // Stamped regularly while a job renders, so a restarting instance can tell jobs
+    // another instance is still working on from ones left behind by a crash
+    await pool.query(`
+      ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMP;
+    `);
+
+    // Link leads to the generation job whose render they unlocked
+    await pool.query(`
+      ALTER TABLE leads ADD COLUMN IF NOT EXISTS generation_job_id UUID;
+    `);
+    console.log('✅ Lead generation columns added');
+
+    // Prompt styles table (each company's renovation style library)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS prompt_styles (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        company_id TEXT NOT NULL,
+        trade VARCHAR(100) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        prompt TEXT NOT NULL,
+        thumbnail TEXT, -- storage key of the preview image
+        sort_order INT DEFAULT 0,
+        enabled BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log('✅ Prompt styles table created');
+
+    // Structured renovation briefs, on the job and on the lead it became
+    await pool.query(`
+      ALTER TABLE companies ADD COLUMN IF NOT EXISTS brief_templates JSONB DEFAULT '{}';
+      ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS brief JSONB;
+      ALTER TABLE leads ADD COLUMN IF NOT EXISTS brief JSONB;
+    `);
+    console.log('✅ Brief columns added');
+
+    // Generation variants table (one row per render of a job)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS generation_variants (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        job_id UUID NOT NULL REFERENCES generation_jobs(id) ON DELETE CASCADE,
+        position INT DEFAULT 0,
+        label VARCHAR(255),
+        prompt TEXT NOT NULL,
+        brief JSONB,
+        result_filename TEXT, -- storage key of the full render
+        preview_filename TEXT, -- storage key of the preview
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      ALTER TABLE leads ADD COLUMN IF NOT EXISTS variants JSONB;
+      ALTER TABLE leads ADD COLUMN IF NOT EXISTS chosen_variant_id UUID;
+    `);
+    console.log('✅ Generation variants table created');
+
+    // Masked (inpainting) jobs only change the painted region of the upload.
+    // mask_filename is the storage key of the mask.
+    await pool.query(`
+      ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS mask_filename TEXT;
+    `);
+    console.log('✅ Generation mask column added');
+
+    // Refinements: each job can continue from a render of an earlier job
+    await pool.query(`
+      ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS parent_job_id UUID;
+      ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS parent_variant_id UUID;
+      ALTER TABLE leads ADD COLUMN IF NOT EXISTS design_history JSONB;
+    `);
+    console.log('✅ Refinement columns added');
+
+    // Inspiration photo the customer wants their room to look like
+    await pool.query(`
+      ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS inspiration_filename TEXT;
+      ALTER TABLE leads ADD COLUMN IF NOT EXISTS inspiration_image TEXT;
+    `);
+    console.log('✅ Inspiration columns added');
+
+    // Video renders: what each variant produced, and the still frame pulled from a video
+    await pool.query(`
+      ALTER TABLE generation_variants ADD COLUMN IF NOT EXISTS media_type VARCHAR(20) DEFAULT 'image';
+      ALTER TABLE generation_variants ADD COLUMN IF NOT EXISTS still_filename TEXT;
+      ALTER TABLE leads ADD COLUMN IF NOT EXISTS media_types JSONB;
+      ALTER TABLE leads ADD COLUMN IF NOT EXISTS generated_still TEXT;
+    `);
+    console.log('✅ Video columns added');
+
+    // Generation cache: identical requests reuse an earlier render
+    await pool.query(`
+      ALTER TABLE generation_variants ADD COLUMN IF NOT EXISTS cache_key TEXT;
+      ALTER TABLE generation_variants ADD COLUMN IF NOT EXISTS cached_from_variant_id UUID;
+      ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS cache_hit BOOLEAN DEFAULT false;
+    `);
+    console.log('✅ Generation cache columns added');
+
+    // Generation metering (one row per provider call) and per-plan quotas
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS generation_usage (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        company_id TEXT,
+        job_id UUID,
+        variant_id UUID,
+        visitor_id TEXT,
+        provider VARCHAR(50),
+        outcome VARCHAR(20) NOT NULL,
+        duration_ms INT DEFAULT 0,
+        cost_usd DECIMAL(10,4) DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS visitor_id TEXT;
+      ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS visitor_ip TEXT;
+      ALTER TABLE companies ADD COLUMN IF NOT EXISTS plan VARCHAR(50) DEFAULT 'trial';
+      ALTER TABLE companies ADD COLUMN IF NOT EXISTS visitor_daily_limit INT;
+    `);
+    console.log('✅ Generation usage table created');
+
+    // Prompts rejected by moderation, per company
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS moderation_rejections (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        company_id TEXT,
+        visitor_id TEXT,
+        source VARCHAR(20) NOT NULL,
+        text TEXT NOT NULL,
+        category VARCHAR(50) NOT NULL,
+        matched TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      ALTER TABLE companies ADD COLUMN IF NOT EXISTS moderation_blocklist JSONB DEFAULT '[]';
+    `);
+    console.log('✅ Moderation rejections table created');
+
+    // Per-company lead capture forms and answers to their custom questions
+    await pool.query(`
+      ALTER TABLE companies ADD COLUMN IF NOT EXISTS lead_form JSONB;
+      ALTER TABLE leads ADD COLUMN IF NOT EXISTS custom_answers JSONB;
+      ALTER TABLE leads ALTER COLUMN phone DROP NOT NULL;
+    `);
+    console.log('✅ Lead form columns added');
+
+    // Per-company pipeline stages and every lead's moves between them.
+    // Leads the email automation used to mark 'closed' go to the default lost stage.
+    await pool.query(`
+      ALTER TABLE companies ADD COLUMN IF NOT EXISTS pipeline_stages JSONB;
+      CREATE TABLE IF NOT EXISTS lead_stage_changes (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        lead_id UUID REFERENCES leads(id) ON DELETE CASCADE,
+        company_id TEXT,
+        from_stage VARCHAR(50),
+        to_stage VARCHAR(50) NOT NULL,
+        changed_by VARCHAR(255),
+        changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      UPDATE leads SET status = 'lost' WHERE status = 'closed';
+    `);
+    console.log('✅ Pipeline stage tables created');
+
+    // Lead timelines: notes, calls and automated emails, plus tasks with reminders
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS lead_activities (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        lead_id UUID REFERENCES leads(id) ON DELETE CASCADE,
+        company_id TEXT,
+        type VARCHAR(20) NOT NULL,
+        body TEXT,
+        details JSONB,
+        created_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE IF NOT EXISTS lead_tasks (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        lead_id UUID REFERENCES leads(id) ON DELETE CASCADE,
+        company_id TEXT,
+        title VARCHAR(255) NOT NULL,
+        due_at TIMESTAMP NOT NULL,
+        remind_at TIMESTAMP,
+        reminder_sent BOOLEAN DEFAULT false,
+        completed_at TIMESTAMP,
+        created_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log('✅ Lead activity tables created');
+
+    // Team accounts: each member signs in with their own email and role.
+    // Existing company logins become the owner on their first sign-in (team.js).
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS company_users (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        company_id TEXT NOT NULL,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        name VARCHAR(255),
+        password_hash TEXT,
+        role VARCHAR(20) NOT NULL,
+        status VARCHAR(20) DEFAULT 'invited',
+        invite_token_hash TEXT,
+        invite_expires_at TIMESTAMP,
+        invited_by VARCHAR(255),
+        last_assigned_at TIMESTAMP,
+        last_login_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      ALTER TABLE leads ADD COLUMN IF NOT EXISTS assigned_to UUID;
+      ALTER TABLE companies ADD COLUMN IF NOT EXISTS auto_assign_leads BOOLEAN DEFAULT true;
+    `);
+    console.log('✅ Team tables created');
+
+    // Duplicate detection: normalised email, phone and postcode to match repeat
+    // enquiries on (lead-duplicates.js normalises new leads the same way), the
+    // reference codes of leads merged into each lead, and pairs flagged for review
+    await pool.query(`
+      ALTER TABLE leads ADD COLUMN IF NOT EXISTS email_key VARCHAR(255);
+      ALTER TABLE leads ADD COLUMN IF NOT EXISTS phone_key VARCHAR(50);
+      ALTER TABLE leads ADD COLUMN IF NOT EXISTS postcode_key VARCHAR(20);
+      ALTER TABLE leads ADD COLUMN IF NOT EXISTS merged_references JSONB;
+      UPDATE leads SET
+        email_key = NULLIF(LOWER(TRIM(email)), ''),
+        phone_key = NULLIF(REGEXP_REPLACE(REGEXP_REPLACE(phone, '[^0-9]', '', 'g'), '^(00)?44', '0'), ''),
+        postcode_key = NULLIF(UPPER(REGEXP_REPLACE(postcode, '[^A-Za-z0-9]', '', 'g')), '')
+      WHERE email_key IS NULL AND phone_key IS NULL AND postcode_key IS NULL;
+      CREATE TABLE IF NOT EXISTS lead_duplicates (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        company_id TEXT NOT NULL,
+        lead_id UUID REFERENCES leads(id) ON DELETE CASCADE,
+        duplicate_of_id UUID REFERENCES leads(id) ON DELETE CASCADE,
+        reasons JSONB,
+        status VARCHAR(20) DEFAULT 'open',
+        resolved_by VARCHAR(255),
+        resolved_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log('✅ Duplicate lead columns added');
+
+    // Lead scoring: each company's scoring model, every lead's score and the reasons
+    // for it, when the customer first came back, and email opens and clicks from SendGrid
+    await pool.query(`
+      ALTER TABLE companies ADD COLUMN IF NOT EXISTS lead_scoring JSONB;
+      ALTER TABLE leads ADD COLUMN IF NOT EXISTS score INT;
+      ALTER TABLE leads ADD COLUMN IF NOT EXISTS score_reasons JSONB;
+      ALTER TABLE leads ADD COLUMN IF NOT EXISTS scored_at TIMESTAMP;
+      ALTER TABLE leads ADD COLUMN IF NOT EXISTS returned_at TIMESTAMP;
+      CREATE TABLE IF NOT EXISTS lead_email_events (
+        id TEXT PRIMARY KEY, -- SendGrid's event id, so retried webhooks aren't counted twice
+        lead_id UUID REFERENCES leads(id) ON DELETE CASCADE,
+        company_id TEXT,
+        type VARCHAR(20) NOT NULL,
+        occurred_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log('✅ Lead scoring columns added');
+
+    // Quotes built on a lead. Items are [{ description, quantity, unitPrice }]; totals are
+    // worked out when the quote is saved. The customer's link carries a random token and
+    // only its hash is kept. before_image/after_image are the renders shown on the quote.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS quotes (
+        id UUID PRIMARY KEY,
+        lead_id UUID REFERENCES leads(id) ON DELETE CASCADE,
+        company_id TEXT NOT NULL,
+        number VARCHAR(50) NOT NULL,
+        status VARCHAR(20) DEFAULT 'draft',
+        items JSONB NOT NULL DEFAULT '[]',
+        vat_rate DECIMAL(5,2) DEFAULT 20,
+        discount_type VARCHAR(10),
+        discount_value DECIMAL(12,2),
+        subtotal DECIMAL(12,2) DEFAULT 0,
+        discount_amount DECIMAL(12,2) DEFAULT 0,
+        vat_amount DECIMAL(12,2) DEFAULT 0,
+        total DECIMAL(12,2) DEFAULT 0,
+        valid_until DATE NOT NULL,
+        notes TEXT,
+        before_image TEXT,
+        after_image TEXT,
+        access_token_hash VARCHAR(64),
+        created_by VARCHAR(255),
+        sent_at TIMESTAMP,
+        viewed_at TIMESTAMP,
+        responded_at TIMESTAMP,
+        accepted_name VARCHAR(255),
+        decline_reason TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (company_id, number)
+      );
+    `);
+    console.log('✅ Quotes table created');
+
+    // Survey availability (working hours, slot length, travel buffer, blackout dates) and
+    // the surveys customers book. Moving a booking bumps its sequence so calendar apps
+    // update the invite they already have. Only the hash of the customer's link is kept.
+    await pool.query(`
+      ALTER TABLE companies ADD COLUMN IF NOT EXISTS survey_availability JSONB;
+      CREATE TABLE IF NOT EXISTS survey_bookings (
+        id UUID PRIMARY KEY,
+        lead_id UUID REFERENCES leads(id) ON DELETE CASCADE,
+        company_id TEXT NOT NULL,
+        starts_at TIMESTAMP NOT NULL,
+        ends_at TIMESTAMP NOT NULL,
+        status VARCHAR(20) DEFAULT 'booked',
+        manage_token_hash VARCHAR(64),
+        sequence INT DEFAULT 0,
+        cancelled_by VARCHAR(255),
+        cancelled_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log('✅ Survey bookings table created');
+
+    // Company branding for customer-facing pages (colour and logo), and the customer
+    // portal: one-time sign-in links (only their hash is kept), the extra designs
+    // customers make there and messages between the customer and the company
+    await pool.query(`
+      ALTER TABLE companies ADD COLUMN IF NOT EXISTS branding JSONB;
+      CREATE TABLE IF NOT EXISTS portal_links (
+        id UUID PRIMARY KEY,
+        lead_id UUID REFERENCES leads(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE IF NOT EXISTS portal_variations (
+        id UUID PRIMARY KEY,
+        lead_id UUID REFERENCES leads(id) ON DELETE CASCADE,
+        job_id UUID NOT NULL,
+        variant_count INT NOT NULL,
+        attached_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE IF NOT EXISTS portal_messages (
+        id UUID PRIMARY KEY,
+        lead_id UUID REFERENCES leads(id) ON DELETE CASCADE,
+        company_id TEXT NOT NULL,
+        sender VARCHAR(20) NOT NULL,
+        body TEXT NOT NULL,
+        created_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log('✅ Customer portal tables created');
+
     // Create indexes for performance
     await pool.query(`
       CREATE INDEX IF NOT EXISTS idx_companies_email ON companies(email);
       CREATE INDEX IF NOT EXISTS idx_leads_company_id ON leads(company_id);
       CREATE INDEX IF NOT EXISTS idx_leads_status ON leads(status);
       CREATE INDEX IF NOT EXISTS idx_leads_created_at ON leads(created_at);
+      CREATE INDEX IF NOT EXISTS idx_generation_jobs_status ON generation_jobs(status);
+      CREATE INDEX IF NOT EXISTS idx_prompt_styles_company_id ON prompt_styles(company_id);
+      CREATE INDEX IF NOT EXISTS idx_generation_variants_job_id ON generation_variants(job_id);
+      CREATE INDEX IF NOT EXISTS idx_generation_jobs_parent_job_id ON generation_jobs(parent_job_id);
+      CREATE INDEX IF NOT EXISTS idx_generation_variants_cache_key ON generation_variants(cache_key);
+      CREATE INDEX IF NOT EXISTS idx_generation_jobs_company_id ON generation_jobs(company_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_generation_usage_company_id ON generation_usage(company_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_moderation_rejections_company_id ON moderation_rejections(company_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_leads_company_created_at ON leads(company_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_lead_stage_changes_lead_id ON lead_stage_changes(lead_id, changed_at);
+      CREATE INDEX IF NOT EXISTS idx_lead_activities_lead_id ON lead_activities(lead_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_lead_tasks_lead_id ON lead_tasks(lead_id);
+      CREATE INDEX IF NOT EXISTS idx_lead_tasks_company_due ON lead_tasks(company_id, due_at) WHERE completed_at IS NULL;
+      CREATE INDEX IF NOT EXISTS idx_lead_tasks_remind_at ON lead_tasks(remind_at) WHERE reminder_sent = false;
+      CREATE INDEX IF NOT EXISTS idx_company_users_company_id ON company_users(company_id);
+      CREATE INDEX IF NOT EXISTS idx_company_users_invite ON company_users(invite_token_hash);
+      CREATE INDEX IF NOT EXISTS idx_leads_assigned_to ON leads(company_id, assigned_to);
+      CREATE INDEX IF NOT EXISTS idx_leads_email_key ON leads(company_id, email_key);
+      CREATE INDEX IF NOT EXISTS idx_leads_phone_key ON leads(company_id, phone_key);
+      CREATE INDEX IF NOT EXISTS idx_leads_postcode_key ON leads(company_id, postcode_key);
+      CREATE INDEX IF NOT EXISTS idx_lead_duplicates_company_id ON lead_duplicates(company_id, status);
+      CREATE INDEX IF NOT EXISTS idx_leads_company_score ON leads(company_id, score);
+      CREATE INDEX IF NOT EXISTS idx_lead_email_events_lead_id ON lead_email_events(lead_id);
+      CREATE INDEX IF NOT EXISTS idx_lead_email_events_company_id ON lead_email_events(company_id);
+      CREATE INDEX IF NOT EXISTS idx_quotes_lead_id ON quotes(lead_id);
+      CREATE INDEX IF NOT EXISTS idx_quotes_access_token ON quotes(access_token_hash);
+      CREATE INDEX IF NOT EXISTS idx_survey_bookings_lead_id ON survey_bookings(lead_id);
+      CREATE INDEX IF NOT EXISTS idx_survey_bookings_company_id ON survey_bookings(company_id, starts_at);
+      CREATE INDEX IF NOT EXISTS idx_survey_bookings_manage_token ON survey_bookings(manage_token_hash);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_survey_bookings_slot ON survey_bookings(company_id, starts_at) WHERE status = 'booked';
+      CREATE INDEX IF NOT EXISTS idx_portal_links_token ON portal_links(token_hash);
+      CREATE INDEX IF NOT EXISTS idx_portal_links_lead_id ON portal_links(lead_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_portal_variations_lead_id ON portal_variations(lead_id);
+      CREATE INDEX IF NOT EXISTS idx_portal_messages_lead_id ON portal_messages(lead_id, created_at);
     `);
     console.log('✅ Indexes created');
 
@@ -0,0 +1,38 @@
+// Short-lived signed URLs for private files (full-resolution renders)
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL_SECONDS = parseInt(process.env.SIGNED_URL_TTL_SECONDS, 10) || 15 * 60;
+
+let secret = process.env.SIGNED_URL_SECRET;
+if (!secret) {
+  secret = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠️ SIGNED_URL_SECRET is not set. Signed file links will stop working after a restart.');
+}
+
+function computeSignature(resource, expires) {
+  return crypto.createHmac('sha256', secret).update(`${resource}:${expires}`).digest('hex');
+}
+
+// Returns "<path>?expires=...&signature=..." for a resource path such as /api/files/<key>
+function signPath(resourcePath, ttlSeconds = DEFAULT_TTL_SECONDS) {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const signature = computeSignature(resourcePath, expires);
+  return `${resourcePath}?expires=${expires}&signature=${signature}`;
+}
+
+function verifySignature(resourcePath, expires, signature) {
+  const expiresAt = parseInt(expires, 10);
+  if (!expiresAt || !signature || expiresAt < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(resourcePath, expiresAt));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+module.exports = {
+  signPath,
+  verifySignature
+};
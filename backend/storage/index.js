@@ -0,0 +1,59 @@
+// File storage for uploads and renders
+// STORAGE_DRIVER=local (default) keeps files on disk; STORAGE_DRIVER=s3 uses an
+// S3-compatible bucket so files survive redeploys and are shared between instances.
+
+const path = require('path');
+const local = require('./local');
+const s3 = require('./s3');
+
+// How long links to customer photos, thumbnails and previews stay valid
+const ASSET_URL_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+function createStorage() {
+  const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  if (driver === 's3') {
+    return s3.create({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: ['1', 'true'].includes((process.env.S3_FORCE_PATH_STYLE || '').toLowerCase())
+    });
+  }
+
+  if (driver !== 'local') {
+    console.warn(`⚠️ Unknown STORAGE_DRIVER "${driver}", using local disk`);
+  }
+
+  return local.create({ root: process.env.STORAGE_LOCAL_ROOT || path.join(__dirname, '..') });
+}
+
+const storage = createStorage();
+
+// Storage keys by kind of file. Only the basename of user-supplied names is used.
+const keys = {
+  upload: (filename) => `uploads/${path.basename(filename)}`,
+  preview: (filename) => `previews/${path.basename(filename)}`,
+  render: (filename) => `renders/${path.basename(filename)}`,
+  style: (filename) => `styles/${path.basename(filename)}`,
+  logo: (filename) => `logos/${path.basename(filename)}`,
+  // Mask drawn over an upload, kept next to it: upload-<id>.jpg -> uploads/mask-<id>.png
+  mask: (uploadFilename) => {
+    const name = path.basename(uploadFilename, path.extname(uploadFilename)).replace(/^upload-/, '');
+    return `uploads/mask-${name}.png`;
+  }
+};
+
+// Signed link for a customer-visible asset (upload, thumbnail, preview, style image or logo)
+async function getAssetUrl(key, baseUrl) {
+  if (!key) return null;
+  return storage.getUrl(key, { baseUrl, expiresIn: ASSET_URL_TTL_SECONDS });
+}
+
+module.exports = {
+  ...storage,
+  keys,
+  getAssetUrl
+};
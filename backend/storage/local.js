@@ -0,0 +1,63 @@
+// Local disk storage driver
+// Keys map to paths under the root directory (by default the backend folder, so
+// "uploads/x.jpg" is backend/uploads/x.jpg). Signed URLs point at /api/files.
+
+const fs = require('fs');
+const path = require('path');
+const mime = require('mime-types');
+const signedUrls = require('../signed-urls');
+
+function create({ root = path.join(__dirname, '..') } = {}) {
+  const rootDir = path.resolve(root);
+
+  function resolveKey(key) {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep) || path.basename(filePath).startsWith('.')) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async function put(key, buffer, { contentType } = {}) {
+    const filePath = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return { key, contentType: contentType || mime.lookup(key) || 'application/octet-stream' };
+  }
+
+  async function get(key) {
+    const filePath = resolveKey(key);
+    try {
+      const buffer = await fs.promises.readFile(filePath);
+      return { buffer, contentType: mime.lookup(key) || 'application/octet-stream' };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function exists(key) {
+    return fs.existsSync(resolveKey(key));
+  }
+
+  async function remove(key) {
+    await fs.promises.rm(resolveKey(key), { force: true });
+  }
+
+  async function getUrl(key, { baseUrl = '', expiresIn } = {}) {
+    const resourcePath = `/api/files/${key.split('/').map(encodeURIComponent).join('/')}`;
+    return baseUrl + signedUrls.signPath(resourcePath, expiresIn);
+  }
+
+  return {
+    driver: 'local',
+    root: rootDir,
+    put,
+    get,
+    exists,
+    remove,
+    getUrl
+  };
+}
+
+module.exports = { create };
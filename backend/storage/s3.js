@@ -0,0 +1,87 @@
+// S3-compatible storage driver (AWS S3, MinIO, Cloudflare R2, ...)
+
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const mime = require('mime-types');
+
+// SigV4 presigned URLs cannot live longer than 7 days
+const MAX_EXPIRES_IN = 7 * 24 * 60 * 60;
+const DEFAULT_EXPIRES_IN = 15 * 60;
+
+function create({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) {
+  if (!bucket) {
+    throw new Error('S3 storage requires S3_BUCKET to be set');
+  }
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle: Boolean(forcePathStyle),
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  async function put(key, buffer, { contentType } = {}) {
+    const type = contentType || mime.lookup(key) || 'application/octet-stream';
+    await client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: type
+    }));
+    return { key, contentType: type };
+  }
+
+  async function get(key) {
+    try {
+      const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return {
+        buffer: Buffer.from(await result.Body.transformToByteArray()),
+        contentType: result.ContentType || mime.lookup(key) || 'application/octet-stream'
+      };
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  async function exists(key) {
+    try {
+      await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return false;
+      throw error;
+    }
+  }
+
+  async function remove(key) {
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  }
+
+  // baseUrl is unused: S3 URLs point straight at the bucket
+  async function getUrl(key, { expiresIn = DEFAULT_EXPIRES_IN } = {}) {
+    return getSignedUrl(
+      client,
+      new GetObjectCommand({ Bucket: bucket, Key: key }),
+      { expiresIn: Math.min(expiresIn, MAX_EXPIRES_IN) }
+    );
+  }
+
+  return {
+    driver: 's3',
+    bucket,
+    put,
+    get,
+    exists,
+    remove,
+    getUrl
+  };
+}
+
+module.exports = { create };
@@ -0,0 +1,668 @@
+// Survey bookings
+// Companies publish when they can visit for a survey (companies.survey_availability):
+// working hours for each day of the week in their time zone, how long a survey takes,
+// a travel buffer kept free either side of each booking, days they're closed and how
+// far ahead customers can book. Customers pick a slot on the widget's success screen;
+// bookings are kept on the lead (survey_bookings) and both sides get a calendar invite
+// (calendar-invites.js). The customer's email links to a page where they can move or
+// cancel the survey; the link carries a random token and only its hash is kept.
+
+const { v4: uuidv4 } = require('uuid');
+const sgMail = require('@sendgrid/mail');
+const db = require('./database');
+const auth = require('./auth');
+const leadActivity = require('./lead-activity');
+const calendarInvites = require('./calendar-invites');
+
+const PUBLIC_URL = process.env.PUBLIC_URL || 'https://app.renovationvision.io';
+
+sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+
+// Working hours keys, in Date.getUTCDay() order
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_BLACKOUT_DATES = 100;
+const MAX_RANGE_DAYS = 92;
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const LIMITS = {
+  slotMinutes: { min: 15, max: 480 },
+  bufferMinutes: { min: 0, max: 240 },
+  minNoticeHours: { min: 0, max: 168 },
+  daysAhead: { min: 1, max: 90 }
+};
+
+const WEEKDAY_HOURS = { start: '09:00', end: '17:00' };
+
+const DEFAULT_AVAILABILITY = {
+  enabled: false,
+  timeZone: 'Europe/London',
+  workingHours: {
+    mon: WEEKDAY_HOURS,
+    tue: WEEKDAY_HOURS,
+    wed: WEEKDAY_HOURS,
+    thu: WEEKDAY_HOURS,
+    fri: WEEKDAY_HOURS,
+    sat: null,
+    sun: null
+  },
+  slotMinutes: 60,
+  bufferMinutes: 30,
+  minNoticeHours: 24,
+  daysAhead: 21,
+  blackoutDates: []
+};
+
+function isTimeZone(value) {
+  if (typeof value !== 'string' || !value) return false;
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function isDate(value) {
+  return typeof value === 'string' && DATE.test(value)
+    && !Number.isNaN(new Date(value).getTime()) && new Date(value).toISOString().slice(0, 10) === value;
+}
+
+// Checks availability settings from the dashboard. Settings left out keep their
+// defaults. Returns { availability } or { error }.
+function validateAvailability(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return { error: 'Availability must be an object' };
+  }
+  const merged = { ...DEFAULT_AVAILABILITY, ...settings };
+
+  if (typeof merged.enabled !== 'boolean') {
+    return { error: 'enabled must be true or false' };
+  }
+  if (!isTimeZone(merged.timeZone)) {
+    return { error: 'Time zone must be an IANA time zone such as Europe/London' };
+  }
+
+  const hours = merged.workingHours;
+  if (!hours || typeof hours !== 'object' || Array.isArray(hours)) {
+    return { error: 'Working hours must give each day a start and end time, or null when closed' };
+  }
+  const workingHours = {};
+  for (const day of DAYS) {
+    const value = hours[day];
+    if (value === null || value === undefined) {
+      workingHours[day] = null;
+      continue;
+    }
+    if (!TIME.test(value.start || '') || !TIME.test(value.end || '')) {
+      return { error: `Working hours for ${day}: start and end must be times (HH:MM)` };
+    }
+    if (value.start >= value.end) {
+      return { error: `Working hours for ${day}: the end must be after the start` };
+    }
+    workingHours[day] = { start: value.start, end: value.end };
+  }
+
+  for (const [name, { min, max }] of Object.entries(LIMITS)) {
+    if (!Number.isInteger(merged[name]) || merged[name] < min || merged[name] > max) {
+      return { error: `${name} must be a whole number from ${min} to ${max}` };
+    }
+  }
+
+  if (!Array.isArray(merged.blackoutDates) || merged.blackoutDates.length > MAX_BLACKOUT_DATES) {
+    return { error: `Blackout dates must be a list of up to ${MAX_BLACKOUT_DATES} dates` };
+  }
+  if (!merged.blackoutDates.every(isDate)) {
+    return { error: 'Blackout dates must be dates (YYYY-MM-DD)' };
+  }
+
+  return {
+    availability: {
+      enabled: merged.enabled,
+      timeZone: merged.timeZone,
+      workingHours,
+      slotMinutes: merged.slotMinutes,
+      bufferMinutes: merged.bufferMinutes,
+      minNoticeHours: merged.minNoticeHours,
+      daysAhead: merged.daysAhead,
+      blackoutDates: [...new Set(merged.blackoutDates)].sort()
+    }
+  };
+}
+
+// The company's availability, or the default (booking switched off)
+async function getAvailability(companyId) {
+  const result = await db.query('SELECT survey_availability FROM companies WHERE id = $1', [companyId]);
+  return result.rows[0]?.survey_availability || DEFAULT_AVAILABILITY;
+}
+
+// Saves availability checked with validateAvailability (null goes back to the default).
+// Returns { availability } or null when the company doesn't exist.
+async function setAvailability(companyId, availability) {
+  const result = await db.query(
+    'UPDATE companies SET survey_availability = $2 WHERE id = $1 RETURNING id',
+    [companyId, availability ? JSON.stringify(availability) : null]
+  );
+  if (result.rows.length === 0) return null;
+
+  console.log(`📅 Survey availability saved for ${companyId}`);
+  return { availability: await getAvailability(companyId) };
+}
+
+// How far the time zone is ahead of UTC at `date`, in milliseconds
+function zoneOffset(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date).forEach(part => { parts[part.type] = parseInt(part.value, 10); });
+
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The moment it's `time` (HH:MM) on `day` (YYYY-MM-DD) in the time zone
+function zonedTime(day, time, timeZone) {
+  const [year, month, date] = day.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wall = Date.UTC(year, month - 1, date, hour, minute);
+
+  // Guess with the offset at the wall time, then correct for a clock change in between
+  const guess = wall - zoneOffset(new Date(wall), timeZone);
+  return new Date(wall - zoneOffset(new Date(guess), timeZone));
+}
+
+// The date (YYYY-MM-DD) in the time zone at `date`
+function localDate(date, timeZone) {
+  const local = new Date(date.getTime() + zoneOffset(date, timeZone));
+  return local.toISOString().slice(0, 10);
+}
+
+function nextDay(day) {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, date + 1)).toISOString().slice(0, 10);
+}
+
+function overlaps(start, end, booking, bufferMs) {
+  return start < booking.ends_at.getTime() + bufferMs && end > booking.starts_at.getTime() - bufferMs;
+}
+
+// Bookable slots from the company's availability: each open day from today up to
+// daysAhead, stepping by the slot length through working hours. Slots inside the
+// notice period, or closer to another booking than the travel buffer, are left out.
+// ignoreBookingId leaves a booking out so its own slot can be picked when moving it.
+// Returns { enabled, timeZone, slotMinutes, days: [{ date, slots: [{ startsAt, endsAt }] }] }.
+async function getSlots(companyId, { ignoreBookingId = null } = {}) {
+  const availability = await getAvailability(companyId);
+  const { timeZone, slotMinutes, bufferMinutes } = availability;
+  const summary = { enabled: availability.enabled, timeZone, slotMinutes, days: [] };
+  if (!availability.enabled) return summary;
+
+  const now = Date.now();
+  const earliest = now + availability.minNoticeHours * HOUR_MS;
+  const slotMs = slotMinutes * MINUTE_MS;
+  const bufferMs = bufferMinutes * MINUTE_MS;
+  const blackout = new Set(availability.blackoutDates);
+
+  const candidates = [];
+  let day = localDate(new Date(now), timeZone);
+  for (let i = 0; i < availability.daysAhead; i++, day = nextDay(day)) {
+    const hours = availability.workingHours[DAYS[new Date(`${day}T00:00:00Z`).getUTCDay()]];
+    if (!hours || blackout.has(day)) continue;
+
+    const close = zonedTime(day, hours.end, timeZone).getTime();
+    for (let start = zonedTime(day, hours.start, timeZone).getTime(); start + slotMs <= close; start += slotMs) {
+      if (start >= earliest) candidates.push({ day, start, end: start + slotMs });
+    }
+  }
+  if (candidates.length === 0) return summary;
+
+  const booked = await db.query(
+    `SELECT id, starts_at, ends_at FROM survey_bookings
+     WHERE company_id = $1 AND status = 'booked' AND ends_at > $2 AND starts_at < $3`,
+    [
+      companyId,
+      new Date(candidates[0].start - bufferMs),
+      new Date(candidates[candidates.length - 1].end + bufferMs)
+    ]
+  );
+  const bookings = booked.rows.filter(booking => booking.id !== ignoreBookingId);
+
+  for (const slot of candidates) {
+    if (bookings.some(booking => overlaps(slot.start, slot.end, booking, bufferMs))) continue;
+
+    let entry = summary.days[summary.days.length - 1];
+    if (!entry || entry.date !== slot.day) {
+      entry = { date: slot.day, slots: [] };
+      summary.days.push(entry);
+    }
+    entry.slots.push({ startsAt: new Date(slot.start).toISOString(), endsAt: new Date(slot.end).toISOString() });
+  }
+  return summary;
+}
+
+// The free slot starting at `startsAt`, or null
+async function findSlot(companyId, startsAt, { ignoreBookingId = null } = {}) {
+  const date = new Date(startsAt);
+  if (typeof startsAt !== 'string' || Number.isNaN(date.getTime())) return null;
+
+  const { days } = await getSlots(companyId, { ignoreBookingId });
+  for (const day of days) {
+    const slot = day.slots.find(candidate => candidate.startsAt === date.toISOString());
+    if (slot) return slot;
+  }
+  return null;
+}
+
+function isUniqueViolation(error) {
+  return error && error.code === '23505';
+}
+
+// A booking can be moved or cancelled until the survey starts
+function isUpcoming(booking) {
+  return booking.status === 'booked' && booking.starts_at.getTime() > Date.now();
+}
+
+function serializeBooking(row) {
+  return {
+    id: row.id,
+    leadId: row.lead_id,
+    status: row.status,
+    startsAt: row.starts_at,
+    endsAt: row.ends_at,
+    cancelledBy: row.cancelled_by,
+    cancelledAt: row.cancelled_at,
+    createdAt: row.created_at,
+    customerName: row.customer_name,
+    referenceCode: row.reference_code,
+    email: row.email,
+    phone: row.phone,
+    postcode: row.postcode,
+    assignedTo: row.assigned_to,
+    assignedName: row.assigned_name
+  };
+}
+
+async function getLead(leadId) {
+  const result = await db.query('SELECT * FROM leads WHERE id = $1', [leadId]);
+  return result.rows[0] || null;
+}
+
+async function getCompany(companyId) {
+  const result = await db.query('SELECT name, email, phone, website FROM companies WHERE id = $1', [companyId]);
+  return result.rows[0] || { name: 'Your installer' };
+}
+
+async function getBooking(bookingId) {
+  const result = await db.query('SELECT * FROM survey_bookings WHERE id = $1', [bookingId]);
+  return result.rows[0] || null;
+}
+
+// A company's bookings between `from` and `to` (default: the next 30 days), soonest
+// first, with the lead's contact details. assignedTo limits them to one member's leads.
+async function listBookings(companyId, { from, to, assignedTo } = {}) {
+  const start = from ? new Date(from) : new Date();
+  const end = to ? new Date(to) : new Date(start.getTime() + 30 * DAY_MS);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return { error: 'from and to must be dates' };
+  }
+  if (end <= start || end - start > MAX_RANGE_DAYS * DAY_MS) {
+    return { error: `to must be after from, and at most ${MAX_RANGE_DAYS} days later` };
+  }
+
+  const params = [companyId, start, end];
+  if (assignedTo) params.push(assignedTo);
+
+  const result = await db.query(
+    `SELECT b.*, l.customer_name, l.reference_code, l.email, l.phone, l.postcode, l.assigned_to,
+            u.name AS assigned_name
+     FROM survey_bookings b
+     JOIN leads l ON l.id = b.lead_id
+     LEFT JOIN company_users u ON u.id = l.assigned_to
+     WHERE b.company_id = $1 AND b.starts_at < $3 AND b.ends_at > $2
+       ${assignedTo ? 'AND l.assigned_to = $4' : ''}
+     ORDER BY b.starts_at ASC`,
+    params
+  );
+  return { bookings: result.rows.map(serializeBooking) };
+}
+
+// The customer's page for a booking (public/booking). Always on PUBLIC_URL, never
+// the request's host, since the link carries the booking's secret token.
+function manageUrl(token) {
+  return `${PUBLIC_URL}/booking/?token=${token}`;
+}
+
+// "Tuesday 20 October 2026 at 10:00" in the company's time zone
+function formatSlot(date, timeZone) {
+  const day = date.toLocaleDateString('en-GB', { timeZone, weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+  const time = date.toLocaleTimeString('en-GB', { timeZone, hour: '2-digit', minute: '2-digit' });
+  return `${day} at ${time}`;
+}
+
+// Whoever the lead is assigned to, or the company
+async function getTeamRecipient(lead, company) {
+  if (lead.assigned_to) {
+    const result = await db.query('SELECT name, email FROM company_users WHERE id = $1', [lead.assigned_to]);
+    if (result.rows[0]) return result.rows[0];
+  }
+  return company;
+}
+
+const EMAIL_HEADINGS = {
+  booked: { customer: '📅 Your Survey is Booked', team: 'New Survey Booked' },
+  rescheduled: { customer: '📅 Your Survey has Moved', team: 'Survey Rescheduled' },
+  cancelled: { customer: 'Your Survey is Cancelled', team: 'Survey Cancelled' }
+};
+
+// Emails the customer and the team a calendar invite for the booking (or its
+// cancellation). The customer's email links to their booking page when `link` is given.
+async function sendBookingEmails(booking, lead, action, { link = null } = {}) {
+  const [company, availability] = await Promise.all([getCompany(booking.company_id), getAvailability(booking.company_id)]);
+  const recipient = await getTeamRecipient(lead, company);
+  const cancelled = action === 'cancelled';
+  const when = formatSlot(booking.starts_at, availability.timeZone);
+  const headings = EMAIL_HEADINGS[action];
+
+  const invite = (summary, description) => calendarInvites.toAttachment(calendarInvites.createInvite({
+    id: booking.id,
+    sequence: booking.sequence,
+    startsAt: booking.starts_at,
+    endsAt: booking.ends_at,
+    summary,
+    description,
+    location: lead.postcode,
+    organizer: { name: company.name, email: company.email },
+    attendee: { name: lead.customer_name, email: lead.email },
+    cancelled
+  }), { cancelled });
+
+  const messages = [{
+    to: lead.email,
+    from: 'hello@renovationvision.io',
+    subject: cancelled ? `Your survey with ${company.name} is cancelled` : `Your survey with ${company.name}: ${when}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #667eea;">${headings.customer}</h2>
+
+        <p>Hi ${lead.customer_name},</p>
+
+        <p>${cancelled
+          ? `Your survey with ${company.name} on ${when} has been cancelled.`
+          : `${company.name} will visit for your survey on:`}</p>
+
+        ${cancelled ? '' : `
+        <div style="background: #f0f4ff; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="color: #667eea; margin: 0;">${when}</h3>
+          <p style="font-size: 14px; color: #666; margin: 10px 0 0;">The calendar invite is attached.</p>
+        </div>`}
+
+        ${link && !cancelled ? `<p><a href="${link}" style="background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">Reschedule or Cancel</a></p>` : ''}
+
+        <p style="color: #999; font-size: 14px; margin-top: 40px;">Questions? Just reply to this email or quote ${lead.reference_code} when you call.</p>
+      </div>
+    `,
+    attachments: [invite(`Home survey with ${company.name}`, `Reference: ${lead.reference_code}`)]
+  }];
+
+  if (recipient.email) {
+    messages.push({
+      to: recipient.email,
+      from: 'leads@renovationvision.io',
+      subject: `${headings.team} - ${lead.customer_name} (${when})`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #667eea;">${headings.team}</h2>
+
+          <p>Hi ${recipient.name},</p>
+
+          <p>${cancelled ? 'The survey with' : 'Survey with'} <strong>${lead.customer_name}</strong>
+            ${cancelled ? `on ${when} has been cancelled${booking.cancelled_by ? ` by ${booking.cancelled_by}` : ''}.` : `on <strong>${when}</strong>.`}</p>
+
+          <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <p><strong>Reference:</strong> ${lead.reference_code}</p>
+            <p><strong>Phone:</strong> ${lead.phone || 'Not given'}</p>
+            <p><strong>Postcode:</strong> ${lead.postcode || 'Not given'}</p>
+          </div>
+
+          <p><a href="https://app.renovationvision.io/dashboard/surveys.html" style="background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">View Surveys</a></p>
+        </div>
+      `,
+      attachments: [invite(
+        `Survey: ${lead.customer_name} (${lead.reference_code})`,
+        [`Reference: ${lead.reference_code}`, lead.phone && `Phone: ${lead.phone}`, lead.email && `Email: ${lead.email}`]
+          .filter(Boolean).join('\n')
+      )]
+    });
+  }
+
+  for (const msg of messages) {
+    try {
+      await sgMail.send(msg);
+      console.log(`✅ Survey ${action} email sent to ${msg.to}`);
+    } catch (error) {
+      console.error('Email send error:', error);
+    }
+  }
+}
+
+// The customer books a survey on their lead. A lead can only have one upcoming survey.
+// Returns { booking, manageUrl } (the row), { error } (with status 409 when the lead
+// already has one or the slot was just taken) or null when the lead doesn't exist.
+async function createBooking(leadId, { startsAt }) {
+  const lead = await getLead(leadId);
+  if (!lead) return null;
+
+  const availability = await getAvailability(lead.company_id);
+  if (!availability.enabled) {
+    return { error: 'Survey booking is not available' };
+  }
+
+  const slot = await findSlot(lead.company_id, startsAt);
+  if (!slot) {
+    return { error: 'That time is no longer available. Please pick another.' };
+  }
+
+  // The lead's row is locked so two bookings sent at once can't both get past the check
+  const access = auth.createInviteToken();
+  let result;
+  try {
+    result = await db.transaction(async (client) => {
+      await client.query('SELECT id FROM leads WHERE id = $1 FOR UPDATE', [lead.id]);
+
+      const upcoming = await client.query(
+        `SELECT id FROM survey_bookings WHERE lead_id = $1 AND status = 'booked' AND starts_at > $2`,
+        [lead.id, new Date()]
+      );
+      if (upcoming.rows.length > 0) {
+        return { status: 409, error: 'You already have a survey booked. Use the link in your confirmation email to change it.' };
+      }
+
+      const inserted = await client.query(
+        `INSERT INTO survey_bookings (id, lead_id, company_id, starts_at, ends_at, status, manage_token_hash)
+         VALUES ($1, $2, $3, $4, $5, 'booked', $6)
+         RETURNING *`,
+        [uuidv4(), lead.id, lead.company_id, new Date(slot.startsAt), new Date(slot.endsAt), access.hash]
+      );
+      return { booking: inserted.rows[0] };
+    });
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return { status: 409, error: 'That time is no longer available. Please pick another.' };
+    }
+    throw error;
+  }
+  if (result.error) return result;
+
+  const { booking } = result;
+  await leadActivity.logActivity(lead, {
+    type: 'booking',
+    details: { action: 'booked', bookingId: booking.id, startsAt: slot.startsAt },
+    createdBy: lead.customer_name
+  });
+
+  const link = manageUrl(access.token);
+  console.log(`📅 Survey booked for ${lead.reference_code} at ${slot.startsAt}`);
+  await sendBookingEmails(booking, lead, 'booked', { link });
+  return { booking, manageUrl: link };
+}
+
+// A booking by the token in the customer's link
+async function findByToken(token) {
+  if (typeof token !== 'string' || !token) return null;
+
+  const result = await db.query(
+    'SELECT * FROM survey_bookings WHERE manage_token_hash = $1',
+    [auth.hashInviteToken(token)]
+  );
+  return result.rows[0] || null;
+}
+
+// What the customer's booking page shows, with the slots they can move to while the
+// booking is still upcoming. Returns null when the link is wrong.
+async function getCustomerBooking(token) {
+  const booking = await findByToken(token);
+  if (!booking) return null;
+
+  const [lead, company] = await Promise.all([getLead(booking.lead_id), getCompany(booking.company_id)]);
+  const canChange = isUpcoming(booking);
+  const slots = await getSlots(booking.company_id, { ignoreBookingId: booking.id });
+
+  return {
+    status: booking.status,
+    startsAt: booking.starts_at,
+    endsAt: booking.ends_at,
+    canChange,
+    timeZone: slots.timeZone,
+    slots: canChange && slots.enabled ? slots.days : [],
+    customerName: lead.customer_name,
+    referenceCode: lead.reference_code,
+    company: {
+      name: company.name,
+      email: company.email,
+      phone: company.phone,
+      website: company.website
+    }
+  };
+}
+
+// The customer moves their survey to another free slot. The calendar invites are
+// sent again for the same event. Returns { booking }, { error } or null when the link is wrong.
+async function rescheduleBooking(token, { startsAt }) {
+  const booking = await findByToken(token);
+  if (!booking) return null;
+  if (!isUpcoming(booking)) {
+    return { error: 'This survey can no longer be changed. Please contact us.' };
+  }
+
+  const slot = await findSlot(booking.company_id, startsAt, { ignoreBookingId: booking.id });
+  if (!slot) {
+    return { error: 'That time is no longer available. Please pick another.' };
+  }
+  if (slot.startsAt === booking.starts_at.toISOString()) {
+    return { error: 'Your survey is already booked for that time' };
+  }
+
+  let moved;
+  try {
+    const result = await db.query(
+      `UPDATE survey_bookings SET starts_at = $2, ends_at = $3, sequence = sequence + 1, updated_at = NOW()
+       WHERE id = $1 AND status = 'booked' RETURNING *`,
+      [booking.id, new Date(slot.startsAt), new Date(slot.endsAt)]
+    );
+    moved = result.rows[0];
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return { error: 'That time is no longer available. Please pick another.' };
+    }
+    throw error;
+  }
+  if (!moved) {
+    return { error: 'This survey has been cancelled' };
+  }
+
+  const lead = await getLead(booking.lead_id);
+  await leadActivity.logActivity(lead, {
+    type: 'booking',
+    details: {
+      action: 'rescheduled',
+      bookingId: booking.id,
+      startsAt: slot.startsAt,
+      previousStartsAt: booking.starts_at.toISOString()
+    },
+    createdBy: lead.customer_name
+  });
+
+  console.log(`📅 Survey for ${lead.reference_code} moved to ${slot.startsAt}`);
+  await sendBookingEmails(moved, lead, 'rescheduled', { link: manageUrl(token) });
+  return { booking: moved };
+}
+
+async function cancel(booking, cancelledBy) {
+  if (!isUpcoming(booking)) {
+    return { error: booking.status === 'cancelled' ? 'This survey is already cancelled' : 'This survey has already taken place' };
+  }
+
+  const result = await db.query(
+    `UPDATE survey_bookings SET status = 'cancelled', cancelled_by = $2, cancelled_at = NOW(),
+       sequence = sequence + 1, updated_at = NOW()
+     WHERE id = $1 AND status = 'booked' RETURNING *`,
+    [booking.id, cancelledBy || null]
+  );
+  const cancelled = result.rows[0];
+  if (!cancelled) {
+    return { error: 'This survey is already cancelled' };
+  }
+
+  const lead = await getLead(booking.lead_id);
+  await leadActivity.logActivity(lead, {
+    type: 'booking',
+    details: { action: 'cancelled', bookingId: booking.id, startsAt: booking.starts_at.toISOString() },
+    createdBy: cancelledBy
+  });
+
+  console.log(`📅 Survey for ${lead.reference_code} cancelled`);
+  await sendBookingEmails(cancelled, lead, 'cancelled');
+  return { booking: cancelled };
+}
+
+// The customer cancels from their link. Returns { booking }, { error } or null when the link is wrong.
+async function cancelByToken(token) {
+  const booking = await findByToken(token);
+  if (!booking) return null;
+
+  const lead = await getLead(booking.lead_id);
+  return cancel(booking, lead.customer_name);
+}
+
+// Staff cancel from the dashboard. Returns { booking }, { error } or null when it doesn't exist.
+async function cancelBooking(bookingId, { cancelledBy }) {
+  const booking = await getBooking(bookingId);
+  if (!booking) return null;
+  return cancel(booking, cancelledBy);
+}
+
+module.exports = {
+  DEFAULT_AVAILABILITY,
+  validateAvailability,
+  getAvailability,
+  setAvailability,
+  getSlots,
+  listBookings,
+  serializeBooking,
+  createBooking,
+  findByToken,
+  getCustomerBooking,
+  rescheduleBooking,
+  cancelByToken,
+  cancelBooking
+};
@@ -0,0 +1,490 @@
+// Company team accounts
+// Each company has team members (company_users) who sign in with their own email
+// and password. Their role decides what they can do: ROLES maps each role to its
+// permissions, and requireMember / requireLeadAccess guard the dashboard routes.
+// Salespeople only see the leads assigned to them; new leads are handed out to
+// salespeople in turn (round-robin) unless the company turns that off.
+
+const { v4: uuidv4 } = require('uuid');
+const sgMail = require('@sendgrid/mail');
+const db = require('./database');
+const auth = require('./auth');
+const leadActivity = require('./lead-activity');
+
+sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+
+const PUBLIC_URL = process.env.PUBLIC_URL || 'https://app.renovationvision.io';
+
+const ROLES = {
+  owner: ['leads:read', 'leads:write', 'leads:all', 'leads:assign', 'leads:merge', 'settings', 'billing', 'team'],
+  manager: ['leads:read', 'leads:write', 'leads:all', 'leads:assign', 'leads:merge', 'settings', 'team'],
+  salesperson: ['leads:read', 'leads:write'],
+  read_only: ['leads:read', 'leads:all']
+};
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_NAME_LENGTH = 255;
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+function can(member, permission) {
+  return Boolean(member && ROLES[member.role] && ROLES[member.role].includes(permission));
+}
+
+// Salespeople only get the leads assigned to them
+function canSeeLead(member, lead) {
+  return can(member, 'leads:all') || lead.assigned_to === member.id;
+}
+
+function isMemberId(value) {
+  return typeof value === 'string' && UUID.test(value);
+}
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+function cleanName(name) {
+  return typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+}
+
+function serializeMember(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    role: row.role,
+    permissions: ROLES[row.role] || [],
+    status: row.status,
+    invitedBy: row.invited_by,
+    lastAssignedAt: row.last_assigned_at,
+    lastLoginAt: row.last_login_at,
+    createdAt: row.created_at
+  };
+}
+
+async function getMember(memberId) {
+  if (!isMemberId(memberId)) return null;
+  const result = await db.query('SELECT * FROM company_users WHERE id = $1', [memberId]);
+  return result.rows[0] || null;
+}
+
+async function getCompanyMember(companyId, memberId) {
+  const member = await getMember(memberId);
+  return member && member.company_id === companyId ? member : null;
+}
+
+// The team, oldest member first, and the company's assignment setting
+async function listMembers(companyId) {
+  const [members, company] = await Promise.all([
+    db.query('SELECT * FROM company_users WHERE company_id = $1 ORDER BY created_at ASC', [companyId]),
+    db.query('SELECT auto_assign_leads FROM companies WHERE id = $1', [companyId])
+  ]);
+
+  return {
+    members: members.rows.map(serializeMember),
+    autoAssignLeads: company.rows[0] ? company.rows[0].auto_assign_leads !== false : true
+  };
+}
+
+async function setAutoAssign(companyId, enabled) {
+  const result = await db.query(
+    'UPDATE companies SET auto_assign_leads = $2 WHERE id = $1 RETURNING id',
+    [companyId, enabled]
+  );
+  return result.rows.length > 0;
+}
+
+// Whether an email is already used to sign in, by a team member or by a company from
+// before team accounts
+async function isEmailTaken(email) {
+  const address = normalizeEmail(email);
+  const result = await db.query(
+    `SELECT id FROM company_users WHERE email = $1
+     UNION ALL
+     SELECT id FROM companies WHERE LOWER(email) = $1`,
+    [address]
+  );
+  return result.rows.length > 0;
+}
+
+// The owner account for a newly registered company. Pass client to create it in the
+// same transaction as the company.
+async function createOwner(companyId, { email, name, password }, client = db) {
+  const result = await client.query(
+    `INSERT INTO company_users (id, company_id, email, name, password_hash, role, status)
+     VALUES ($1, $2, $3, $4, $5, 'owner', 'active') RETURNING *`,
+    [uuidv4(), companyId, normalizeEmail(email), cleanName(name), auth.hashPassword(password)]
+  );
+  return result.rows[0];
+}
+
+// Companies from before team accounts sign in with the company's own email and
+// password. The first time they do, that login becomes the company's owner.
+async function claimCompanyLogin(email, password) {
+  const result = await db.query(
+    `SELECT c.id, c.name, c.password FROM companies c
+     LEFT JOIN company_users u ON u.company_id = c.id
+     WHERE LOWER(c.email) = $1 AND u.id IS NULL`,
+    [email]
+  );
+  const company = result.rows[0];
+  if (!company || !auth.verifyLegacyPassword(password, company.password)) return null;
+
+  const owner = await db.query(
+    `INSERT INTO company_users (id, company_id, email, name, password_hash, role, status)
+     VALUES ($1, $2, $3, $4, $5, 'owner', 'active') RETURNING *`,
+    [uuidv4(), company.id, email, company.name, auth.hashPassword(password)]
+  );
+  console.log(`👤 ${company.name}: company login is now the owner account`);
+  return owner.rows[0];
+}
+
+// Returns the member row (with company_name) for a correct email and password, or null
+async function authenticate(email, password) {
+  const address = normalizeEmail(email);
+  const result = await db.query(
+    `SELECT * FROM company_users WHERE email = $1 AND status = 'active'`,
+    [address]
+  );
+
+  let member = result.rows[0];
+  if (member) {
+    if (!auth.verifyPassword(password, member.password_hash)) return null;
+  } else {
+    member = await claimCompanyLogin(address, password);
+    if (!member) return null;
+  }
+
+  await db.query('UPDATE company_users SET last_login_at = NOW() WHERE id = $1', [member.id]);
+  const company = await db.query('SELECT name FROM companies WHERE id = $1', [member.company_id]);
+  return { ...member, company_name: company.rows[0] ? company.rows[0].name : null };
+}
+
+async function sendInviteEmail(member, companyName, inviteUrl, invitedBy) {
+  const msg = {
+    to: member.email,
+    from: 'hello@renovationvision.io',
+    subject: `${invitedBy} invited you to ${companyName} on Renovation Vision`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #667eea;">👋 You've been invited</h2>
+
+        <p>${invitedBy} has added you to the ${companyName} team on Renovation Vision.</p>
+
+        <p><a href="${inviteUrl}" style="background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">Accept Invite</a></p>
+
+        <p style="color: #999; font-size: 14px; margin-top: 40px;">This link works for 7 days.</p>
+      </div>
+    `
+  };
+
+  try {
+    await sgMail.send(msg);
+    console.log(`✅ Team invite sent to ${member.email}`);
+  } catch (error) {
+    console.error('Email send error:', error);
+  }
+}
+
+// Gives an invited member a new link (the old one stops working) and emails it.
+// The link is on PUBLIC_URL, never the request's host, since it carries the invite token.
+async function issueInvite(member, { invitedBy }) {
+  const invite = auth.createInviteToken();
+  const result = await db.query(
+    `UPDATE company_users SET invite_token_hash = $2, invite_expires_at = $3, invited_by = $4
+     WHERE id = $1 RETURNING *`,
+    [member.id, invite.hash, new Date(Date.now() + INVITE_TTL_MS), invitedBy.name]
+  );
+
+  const company = await db.query('SELECT name FROM companies WHERE id = $1', [member.company_id]);
+  const inviteUrl = `${PUBLIC_URL}/dashboard/accept-invite.html?token=${invite.token}`;
+  await sendInviteEmail(member, company.rows[0].name, inviteUrl, invitedBy.name);
+
+  return { member: serializeMember(result.rows[0]), inviteUrl };
+}
+
+// Adds someone to the team and emails them a link to set their password.
+// Only owners can invite owners. Returns { member, inviteUrl } or { error }.
+async function inviteMember(companyId, { email, name, role }, { invitedBy }) {
+  const address = normalizeEmail(email);
+  if (!EMAIL.test(address)) {
+    return { error: 'Please enter a valid email address' };
+  }
+  if (!ROLES[role]) {
+    return { error: `Role must be one of: ${Object.keys(ROLES).join(', ')}` };
+  }
+  if (role === 'owner' && invitedBy.role !== 'owner') {
+    return { error: 'Only owners can invite other owners' };
+  }
+
+  const existing = await db.query('SELECT company_id FROM company_users WHERE email = $1', [address]);
+  if (existing.rows[0]) {
+    return {
+      error: existing.rows[0].company_id === companyId
+        ? 'That person is already on your team'
+        : 'That email address already has a Renovation Vision login'
+    };
+  }
+
+  const result = await db.query(
+    `INSERT INTO company_users (id, company_id, email, name, role, status)
+     VALUES ($1, $2, $3, $4, $5, 'invited') RETURNING *`,
+    [uuidv4(), companyId, address, cleanName(name) || address.split('@')[0], role]
+  );
+  console.log(`👤 Invited ${address} to ${companyId} as ${role}`);
+
+  return issueInvite(result.rows[0], { invitedBy });
+}
+
+// Returns { member, inviteUrl }, { error } or null when the member isn't on this team
+async function resendInvite(companyId, memberId, { invitedBy }) {
+  const member = await getCompanyMember(companyId, memberId);
+  if (!member) return null;
+  if (member.status !== 'invited') {
+    return { error: 'They have already accepted their invite' };
+  }
+  return issueInvite(member, { invitedBy });
+}
+
+async function findInvite(token) {
+  if (typeof token !== 'string' || !token) return null;
+
+  const result = await db.query(
+    `SELECT * FROM company_users
+     WHERE invite_token_hash = $1 AND status = 'invited' AND invite_expires_at > $2`,
+    [auth.hashInviteToken(token), new Date()]
+  );
+  return result.rows[0] || null;
+}
+
+// What the accept page shows, or null when the link is wrong or has expired
+async function getInvite(token) {
+  const member = await findInvite(token);
+  if (!member) return null;
+
+  const company = await db.query('SELECT name FROM companies WHERE id = $1', [member.company_id]);
+  return {
+    email: member.email,
+    name: member.name,
+    role: member.role,
+    companyName: company.rows[0] ? company.rows[0].name : null,
+    invitedBy: member.invited_by
+  };
+}
+
+// Sets the new member's name and password and activates their login.
+// Returns the member row (with company_name), { error } or null for a bad link.
+async function acceptInvite(token, { name, password }) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+  }
+
+  const member = await findInvite(token);
+  if (!member) return null;
+
+  const result = await db.query(
+    `UPDATE company_users SET
+       name = $2, password_hash = $3, status = 'active',
+       invite_token_hash = NULL, invite_expires_at = NULL, last_login_at = NOW()
+     WHERE id = $1 RETURNING *`,
+    [member.id, cleanName(name) || member.name, auth.hashPassword(password)]
+  );
+  const company = await db.query('SELECT name FROM companies WHERE id = $1', [member.company_id]);
+  console.log(`✅ ${member.email} joined ${company.rows[0].name}`);
+
+  return { ...result.rows[0], company_name: company.rows[0].name };
+}
+
+// A team always keeps at least one active owner
+async function isLastOwner(member) {
+  if (member.role !== 'owner' || member.status !== 'active') return false;
+
+  const result = await db.query(
+    `SELECT COUNT(*) AS count FROM company_users
+     WHERE company_id = $1 AND role = 'owner' AND status = 'active' AND id <> $2`,
+    [member.company_id, member.id]
+  );
+  return parseInt(result.rows[0].count, 10) === 0;
+}
+
+// Only owners can make someone an owner or change an owner's role.
+// Returns { member }, { error } or null when the member isn't on this team.
+async function updateRole(companyId, memberId, role, changedBy) {
+  if (!ROLES[role]) {
+    return { error: `Role must be one of: ${Object.keys(ROLES).join(', ')}` };
+  }
+
+  const member = await getCompanyMember(companyId, memberId);
+  if (!member) return null;
+
+  if ((member.role === 'owner' || role === 'owner') && changedBy.role !== 'owner') {
+    return { error: 'Only owners can change who is an owner' };
+  }
+  if (role !== 'owner' && await isLastOwner(member)) {
+    return { error: 'Your team needs at least one owner' };
+  }
+
+  const result = await db.query('UPDATE company_users SET role = $2 WHERE id = $1 RETURNING *', [memberId, role]);
+  return { member: serializeMember(result.rows[0]) };
+}
+
+// Their leads go back to being unassigned. Returns { removed: true }, { error } or null.
+async function removeMember(companyId, memberId, removedBy) {
+  const member = await getCompanyMember(companyId, memberId);
+  if (!member) return null;
+
+  if (member.id === removedBy.id) {
+    return { error: 'You can\'t remove yourself' };
+  }
+  if (member.role === 'owner' && removedBy.role !== 'owner') {
+    return { error: 'Only owners can remove an owner' };
+  }
+
+  await db.query('UPDATE leads SET assigned_to = NULL WHERE assigned_to = $1', [memberId]);
+  await db.query('DELETE FROM company_users WHERE id = $1', [memberId]);
+  console.log(`👤 Removed ${member.email} from ${companyId}`);
+  return { removed: true };
+}
+
+// Round-robin: the active salesperson who was given a lead longest ago (or never)
+// gets the next one. Returns their row, or null when there's nobody to give it to
+// or the company assigns leads by hand.
+async function assignNextSalesperson(companyId) {
+  const result = await db.query(
+    `UPDATE company_users SET last_assigned_at = NOW()
+     WHERE id = (
+       SELECT u.id FROM company_users u
+       JOIN companies c ON c.id = u.company_id
+       WHERE u.company_id = $1 AND u.role = 'salesperson' AND u.status = 'active'
+         AND c.auto_assign_leads IS NOT FALSE
+       ORDER BY u.last_assigned_at ASC NULLS FIRST, u.created_at ASC
+       LIMIT 1
+     )
+     RETURNING *`,
+    [companyId]
+  );
+  return result.rows[0] || null;
+}
+
+// Gives a lead to a team member (null unassigns it) and logs it on the timeline.
+// `lead` needs id and company_id. Returns { lead } (the updated row) or { error }.
+async function assignLead(lead, memberId, assignedBy) {
+  let assignee = null;
+  if (memberId !== null) {
+    assignee = await getCompanyMember(lead.company_id, memberId);
+    if (!assignee || assignee.status !== 'active' || !can(assignee, 'leads:write')) {
+      return { error: 'Leads can only be assigned to active team members who can work on them' };
+    }
+  }
+
+  const result = await db.query(
+    'UPDATE leads SET assigned_to = $2, updated_at = NOW() WHERE id = $1 RETURNING *',
+    [lead.id, assignee ? assignee.id : null]
+  );
+
+  await leadActivity.logActivity(lead, {
+    type: 'assignment',
+    details: { memberId: assignee ? assignee.id : null, name: assignee ? assignee.name : null },
+    createdBy: assignedBy
+  });
+
+  return { lead: result.rows[0] };
+}
+
+// Express middleware for dashboard routes: the request must carry a valid session
+// for an active member with `permission`, and a :companyId in the path must be theirs.
+// Sets req.member.
+function requireMember(permission) {
+  return async (req, res, next) => {
+    try {
+      const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+      const memberId = auth.readSession(token);
+      const member = memberId ? await getMember(memberId) : null;
+
+      if (!member || member.status !== 'active') {
+        return res.status(401).json({ error: 'Please sign in again' });
+      }
+      if (req.params.companyId && req.params.companyId !== member.company_id) {
+        return res.status(403).json({ error: 'You don\'t have access to this company' });
+      }
+      if (permission && !can(member, permission)) {
+        return res.status(403).json({ error: 'Your role doesn\'t allow this' });
+      }
+
+      req.member = member;
+      next();
+    } catch (error) {
+      console.error('Session check error:', error);
+      res.status(500).json({ error: 'Failed to check your session' });
+    }
+  };
+}
+
+// Routes whose :taskId or :quoteId belongs to a lead: table and not found message
+const LEAD_CHILDREN = {
+  taskId: { table: 'lead_tasks', notFound: 'Task not found' },
+  quoteId: { table: 'quotes', notFound: 'Quote not found' },
+  bookingId: { table: 'survey_bookings', notFound: 'Booking not found' }
+};
+
+// requireMember for /api/lead/:leadId, /api/task/:taskId, /api/quote/:quoteId and
+// /api/booking/:bookingId routes:
+// the lead must be in the member's company and, for salespeople, assigned to them. Sets req.lead.
+function requireLeadAccess(permission) {
+  const checkMember = requireMember(permission);
+
+  return (req, res, next) => checkMember(req, res, async () => {
+    try {
+      const param = Object.keys(LEAD_CHILDREN).find(name => req.params[name]);
+      const child = param ? LEAD_CHILDREN[param] : null;
+      const id = child ? req.params[param] : req.params.leadId;
+      if (!UUID.test(id || '')) {
+        return res.status(404).json({ error: child ? child.notFound : 'Lead not found' });
+      }
+
+      const result = child
+        ? await db.query(
+          `SELECT l.id, l.company_id, l.assigned_to FROM ${child.table} t
+           JOIN leads l ON l.id = t.lead_id WHERE t.id = $1`,
+          [id]
+        )
+        : await db.query('SELECT id, company_id, assigned_to FROM leads WHERE id = $1', [id]);
+      const lead = result.rows[0];
+
+      if (!lead || lead.company_id !== req.member.company_id || !canSeeLead(req.member, lead)) {
+        return res.status(404).json({ error: child ? child.notFound : 'Lead not found' });
+      }
+
+      req.lead = lead;
+      next();
+    } catch (error) {
+      console.error('Lead access check error:', error);
+      res.status(500).json({ error: 'Failed to check lead access' });
+    }
+  });
+}
+
+module.exports = {
+  ROLES,
+  can,
+  isMemberId,
+  serializeMember,
+  getMember,
+  listMembers,
+  isEmailTaken,
+  createOwner,
+  setAutoAssign,
+  authenticate,
+  inviteMember,
+  resendInvite,
+  getInvite,
+  acceptInvite,
+  updateRole,
+  removeMember,
+  assignNextSalesperson,
+  assignLead,
+  requireMember,
+  requireLeadAccess
+};
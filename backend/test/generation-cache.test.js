@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const storage = require('../storage');
+const generationCache = require('../generation-cache');
+
+// Files hash by their content: these stand in for uploads in the store
+const files = {
+  'uploads/room.png': Buffer.from('room'),
+  'uploads/copy-of-room.png': Buffer.from('room'),
+  'uploads/other-room.png': Buffer.from('other room'),
+  'masks/room.png': Buffer.from('mask')
+};
+storage.get = async (key) => (files[key] ? { buffer: files[key], contentType: 'image/png' } : null);
+
+function keys(overrides = {}) {
+  return generationCache.getCacheKeys({
+    companyId: 'company-1',
+    imageKey: 'uploads/room.png',
+    maskKey: null,
+    inspirationKey: null,
+    providerName: 'mock',
+    config: { model: 'v1', apiKey: 'secret-1' },
+    prompts: ['Modern kitchen'],
+    ...overrides
+  });
+}
+
+test('the same request gets the same key, even from a re-uploaded copy of the photo', async () => {
+  const [first] = await keys();
+  assert.match(first, /^[0-9a-f]{64}$/);
+  assert.deepStrictEqual(await keys({ imageKey: 'uploads/copy-of-room.png' }), [first]);
+});
+
+test('anything that changes the render changes the key', async () => {
+  const [first] = await keys();
+
+  for (const change of [
+    { imageKey: 'uploads/other-room.png' },
+    { maskKey: 'masks/room.png' },
+    { prompts: ['Rustic kitchen'] },
+    { providerName: 'openai' },
+    { config: { model: 'v2', apiKey: 'secret-1' } },
+    { companyId: 'company-2' }
+  ]) {
+    assert.notStrictEqual((await keys(change))[0], first, JSON.stringify(change));
+  }
+});
+
+test('credentials in the provider settings do not change the key', async () => {
+  assert.deepStrictEqual(
+    await keys({ config: { model: 'v1', apiKey: 'secret-2' } }),
+    await keys()
+  );
+});
+
+test('repeats of a prompt in one request get their own keys', async () => {
+  const repeated = await keys({ prompts: ['Modern kitchen', 'Modern kitchen', 'Rustic kitchen'] });
+  assert.strictEqual(repeated[0], (await keys())[0]);
+  assert.strictEqual(new Set(repeated).size, 3);
+});
+
+test('nothing is cached when the photo is missing', async () => {
+  assert.deepStrictEqual(await keys({ imageKey: 'uploads/gone.png', prompts: ['a', 'b'] }), [null, null]);
+});
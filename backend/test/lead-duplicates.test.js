@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../database');
+const leadDuplicates = require('../lead-duplicates');
+
+test('normalises contact details into match keys', () => {
+  assert.deepStrictEqual(
+    leadDuplicates.matchKeys({ email: '  Jane@Example.COM ', phone: '+44 7700 900001', postcode: 'bs8 1aa' }),
+    { email_key: 'jane@example.com', phone_key: '07700900001', postcode_key: 'BS81AA' }
+  );
+  assert.strictEqual(leadDuplicates.matchKeys({ phone: '0044 7700 900001' }).phone_key, '07700900001');
+  assert.deepStrictEqual(
+    leadDuplicates.matchKeys({ email: ' ', phone: 'n/a', postcode: '' }),
+    { email_key: null, phone_key: null, postcode_key: null }
+  );
+});
+
+// Earlier leads for the company, as the candidate query returns them
+function candidates(rows) {
+  db.query = async () => ({ rows });
+}
+
+function lead(id, contact) {
+  return { id, customer_name: contact.customer_name || 'Someone', ...leadDuplicates.matchKeys(contact) };
+}
+
+test('matches on email or phone, picking the strongest match', async () => {
+  candidates([
+    lead('by-phone', { phone: '07700 900001' }),
+    lead('by-email', { email: 'jane@example.com' })
+  ]);
+
+  const match = await leadDuplicates.findDuplicate('company-1', {
+    customer_name: 'Jane Smith', email: 'JANE@example.com', phone: '07700900001'
+  });
+  assert.strictEqual(match.lead.id, 'by-email');
+  assert.deepStrictEqual(match.reasons, ['email']);
+});
+
+test('matches on postcode only with the same name', async () => {
+  candidates([lead('neighbour', { customer_name: 'Bob Jones', postcode: 'BS8 1AA' })]);
+  assert.strictEqual(await leadDuplicates.findDuplicate('company-1', { customer_name: 'Jane Smith', postcode: 'BS81AA' }), null);
+
+  candidates([lead('same-person', { customer_name: 'jane  smith', postcode: 'BS8 1AA' })]);
+  const match = await leadDuplicates.findDuplicate('company-1', { customer_name: 'Jane Smith', postcode: 'bs8 1aa' });
+  assert.deepStrictEqual(match.reasons, ['postcode']);
+});
+
+test('does not look without any contact details', async () => {
+  db.query = async () => assert.fail('no query expected');
+  assert.strictEqual(await leadDuplicates.findDuplicate('company-1', { customer_name: 'Jane Smith' }), null);
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../database');
+const moderation = require('../moderation');
+
+// Rejections are logged; keep that away from a real database
+db.query = async () => ({ rows: [] });
+
+function check(text) {
+  return moderation.moderate({ source: 'generate', texts: [text] });
+}
+
+test('allows renovation requests that mention guns in passing', async () => {
+  assert.strictEqual(await check('gun metal grey cabinets'), null);
+  assert.strictEqual(await check('Add a gun safe to the utility room'), null);
+  assert.strictEqual(await check('Gunmetal handles on the kitchen drawers'), null);
+});
+
+test('still rejects weapons', async () => {
+  assert.strictEqual((await check('A shotgun mounted above the fireplace')).category, 'violence');
+  assert.strictEqual((await check('pistols on the living room wall')).category, 'violence');
+});
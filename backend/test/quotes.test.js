@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const quotes = require('../quotes');
+
+function daysFromNow(days) {
+  const date = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+test('adds up lines in pence, taking the discount off before VAT', () => {
+  const items = [
+    { description: 'Tiling', quantity: 3, unitPrice: 0.1 },
+    { description: 'Fitting', quantity: 1.5, unitPrice: 33.33 }
+  ];
+
+  assert.deepStrictEqual(quotes.calculateTotals({ items, vatRate: 20 }), {
+    subtotal: 50.3, discountAmount: 0, vatAmount: 10.06, total: 60.36
+  });
+  assert.deepStrictEqual(quotes.calculateTotals({ items, vatRate: 20, discountType: 'percent', discountValue: 10 }), {
+    subtotal: 50.3, discountAmount: 5.03, vatAmount: 9.05, total: 54.32
+  });
+});
+
+test('an amount discount never takes the total below zero', () => {
+  const totals = quotes.calculateTotals({
+    items: [{ description: 'Survey', quantity: 1, unitPrice: 50 }],
+    vatRate: 20,
+    discountType: 'amount',
+    discountValue: 80
+  });
+  assert.deepStrictEqual(totals, { subtotal: 50, discountAmount: 50, vatAmount: 0, total: 0 });
+});
+
+test('fills in VAT, validity and renders by default', () => {
+  const { quote } = quotes.validateQuote({ items: [{ description: ' Kitchen fit ', quantity: 1, unitPrice: 4500 }] });
+  assert.deepStrictEqual(quote, {
+    items: [{ description: 'Kitchen fit', quantity: 1, unitPrice: 4500 }],
+    vatRate: 20,
+    discountType: null,
+    discountValue: null,
+    validUntil: daysFromNow(30),
+    notes: null,
+    includeRenders: true
+  });
+});
+
+test('rejects quotes that would not add up', () => {
+  const item = { description: 'Kitchen fit', quantity: 1, unitPrice: 4500 };
+  const error = (quote) => quotes.validateQuote({ items: [item], ...quote }).error;
+
+  assert.match(quotes.validateQuote({ items: [] }).error, /1 to 50 line items/);
+  assert.match(error({ items: [{ ...item, unitPrice: 10.005 }] }), /unit price/);
+  assert.match(error({ items: [{ ...item, quantity: 0 }] }), /quantity/);
+  assert.match(error({ vatRate: 120 }), /VAT rate/);
+  assert.match(error({ discount: { type: 'percent', value: 150 } }), /Percentage discounts/);
+  assert.match(error({ discount: { type: 'voucher', value: 5 } }), /Discount type/);
+  assert.match(error({ validUntil: '2024-02-30' }), /YYYY-MM-DD/);
+  assert.match(error({ validUntil: daysFromNow(-1) }), /between today/);
+});
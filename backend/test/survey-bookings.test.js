@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../database');
+const surveyBookings = require('../survey-bookings');
+
+const EVERY_DAY = { start: '09:00', end: '11:00' };
+
+// A company's saved availability and its upcoming bookings
+function company(availability, bookings = []) {
+  const { availability: saved } = surveyBookings.validateAvailability({
+    enabled: true,
+    workingHours: { mon: EVERY_DAY, tue: EVERY_DAY, wed: EVERY_DAY, thu: EVERY_DAY, fri: EVERY_DAY, sat: EVERY_DAY, sun: EVERY_DAY },
+    slotMinutes: 60,
+    bufferMinutes: 0,
+    minNoticeHours: 0,
+    daysAhead: 4,
+    ...availability
+  });
+
+  db.query = async (sql) => ({
+    rows: sql.includes('FROM companies')
+      ? [{ survey_availability: saved }]
+      : bookings.map(([startsAt, endsAt]) => ({ id: startsAt, starts_at: new Date(startsAt), ends_at: new Date(endsAt) }))
+  });
+}
+
+// Slots as { date: [start times in UTC] }, with the clock at `now`
+async function slotsAt(now) {
+  const realNow = Date.now;
+  Date.now = () => new Date(now).getTime();
+  try {
+    const { days } = await surveyBookings.getSlots('company-1');
+    return Object.fromEntries(days.map(day => [day.date, day.slots.map(slot => slot.startsAt.slice(11, 16))]));
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+test('follows the company\'s time zone across the clocks going back', async () => {
+  // London leaves summer time at 02:00 on Sunday 25 October 2026
+  company({ timeZone: 'Europe/London' });
+  assert.deepStrictEqual(await slotsAt('2026-10-23T12:00:00Z'), {
+    '2026-10-24': ['08:00', '09:00'],
+    '2026-10-25': ['09:00', '10:00'],
+    '2026-10-26': ['09:00', '10:00']
+  });
+});
+
+test('starts from the company\'s own date, not the server\'s', async () => {
+  // Already Saturday in Auckland (UTC+13) while it is Friday in UTC
+  company({ timeZone: 'Pacific/Auckland', daysAhead: 1 });
+  assert.deepStrictEqual(await slotsAt('2026-10-23T12:00:00Z'), {
+    '2026-10-24': ['20:00', '21:00']
+  });
+});
+
+test('leaves out the notice period, blackout dates and closed days', async () => {
+  company({
+    timeZone: 'UTC',
+    minNoticeHours: 22,
+    blackoutDates: ['2026-10-26'],
+    workingHours: { mon: EVERY_DAY, tue: null, wed: EVERY_DAY, thu: EVERY_DAY, fri: EVERY_DAY, sat: EVERY_DAY, sun: EVERY_DAY }
+  });
+  assert.deepStrictEqual(await slotsAt('2026-10-24T11:30:00Z'), {
+    '2026-10-25': ['10:00']
+  });
+});
+
+test('keeps the travel buffer around existing bookings', async () => {
+  company({ timeZone: 'UTC', slotMinutes: 30, bufferMinutes: 30, daysAhead: 1 }, [
+    ['2026-10-23T09:30:00Z', '2026-10-23T10:00:00Z']
+  ]);
+  assert.deepStrictEqual(await slotsAt('2026-10-23T06:00:00Z'), {
+    '2026-10-23': ['10:30']
+  });
+});
+
+test('rejects availability that can\'t be booked', () => {
+  const error = (settings) => surveyBookings.validateAvailability(settings).error;
+  assert.match(error({ timeZone: 'Mars/Olympus_Mons' }), /IANA time zone/);
+  assert.match(error({ workingHours: { mon: { start: '17:00', end: '09:00' } } }), /end must be after the start/);
+  assert.match(error({ slotMinutes: 5 }), /slotMinutes/);
+  assert.match(error({ blackoutDates: ['2026-02-30'] }), /Blackout dates/);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const usage = require('../usage');
+
+// Stands in for the transaction reserveQuota runs in. used gives the renders already
+// counted for the company, or for one visitor by visitor_id or visitor_ip.
+function fakeClient({ company = { plan: 'trial', visitor_daily_limit: null }, used = {} } = {}) {
+  const queries = [];
+  return {
+    queries,
+    query: async (sql, params) => {
+      queries.push(sql);
+      if (sql.includes('FROM companies')) {
+        return { rows: company ? [company] : [] };
+      }
+
+      const column = (sql.match(/j\.(visitor_id|visitor_ip) = \$3/) || [])[1];
+      const count = column ? (used[column] || {})[params[2]] || 0 : used.company || 0;
+      return { rows: [{ count: String(count) }] };
+    }
+  };
+}
+
+function reserve(client, options = {}) {
+  return usage.reserveQuota({ companyId: 'company-1', visitorId: 'visitor-1', visitorIp: 'ip:1.2.3.4', count: 1, ...options }, client);
+}
+
+test('lets renders through while every quota has room, locking the company row', async () => {
+  const client = fakeClient({ used: { company: 24 } });
+  assert.strictEqual(await reserve(client), null);
+  assert.match(client.queries[0], /FOR UPDATE/);
+});
+
+test('refuses renders past the daily quota', async () => {
+  const result = await reserve(fakeClient({ used: { company: 25 } }));
+  assert.strictEqual(result.status, 429);
+  assert.deepStrictEqual(result.quota, { period: 'day', limit: 25, used: 25 });
+});
+
+test('says how many are left when a request asks for more than that', async () => {
+  const result = await reserve(fakeClient({ used: { company: 23 } }), { count: 3 });
+  assert.strictEqual(result.error, 'Only 2 more designs can be created today');
+});
+
+test('caps a visitor by their IP address when they come back with a new visitor id', async () => {
+  const client = fakeClient({
+    company: { plan: 'starter', visitor_daily_limit: 2 },
+    used: { visitor_ip: { 'ip:1.2.3.4': 2 } }
+  });
+  const result = await reserve(client, { visitorId: 'brand-new-visitor' });
+  assert.strictEqual(result.status, 429);
+  assert.deepStrictEqual(result.quota, { period: 'visitor', limit: 2, used: 2 });
+});
+
+test('uses the plan\'s visitor cap unless the company lowered it', async () => {
+  const used = { visitor_id: { 'visitor-1': 10 } };
+  assert.strictEqual((await reserve(fakeClient({ company: { plan: 'pro', visitor_daily_limit: null }, used }))), null);
+  assert.strictEqual((await reserve(fakeClient({ company: { plan: 'starter', visitor_daily_limit: null }, used }))).status, 429);
+});
+
+test('a job the cache serves in full goes through at the limit', async () => {
+  assert.strictEqual(await reserve(fakeClient({ used: { company: 25 } }), { count: 0 }), null);
+});
+
+test('unknown companies get no allowance', async () => {
+  assert.strictEqual((await reserve(fakeClient({ company: null }))).status, 404);
+  assert.strictEqual((await reserve(fakeClient(), { companyId: null })).status, 404);
+});
+
+test('estimates cost from the provider rate unless the company set its own', () => {
+  assert.strictEqual(usage.estimateCost({ costPerRender: 0.04 }, {}), 0.04);
+  assert.strictEqual(usage.estimateCost({ costPerRender: 0.04 }, { costPerRender: '0.02' }), 0.02);
+  assert.strictEqual(usage.estimateCost({}, null), 0);
+});
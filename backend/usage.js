@@ -0,0 +1,255 @@
+// Generation metering and quotas
+// Every provider call is recorded in generation_usage with its outcome, duration and
+// estimated cost. Quotas are checked against the company's plan as a job is queued
+// (reserveQuota).
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('./database');
+const plans = require('./plans');
+
+const DEFAULT_PLAN = 'trial';
+
+function startOfDay(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function startOfMonth(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+// Estimated provider fee in USD for one render. A company's provider_config can set its own rate.
+function estimateCost(provider, config) {
+  const rate = config && config.costPerRender !== undefined
+    ? parseFloat(config.costPerRender)
+    : provider.costPerRender;
+  return Number.isFinite(rate) ? rate : 0;
+}
+
+// outcome: succeeded, failed, timeout, cancelled or cached. Only successful renders are costed.
+async function recordGeneration({ job, variant, provider, config, outcome, durationMs = 0 }) {
+  try {
+    await db.query(
+      `INSERT INTO generation_usage (id, company_id, job_id, variant_id, visitor_id, provider, outcome, duration_ms, cost_usd)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [
+        uuidv4(),
+        job.company_id,
+        job.id,
+        variant.id,
+        job.visitor_id,
+        provider.name,
+        outcome,
+        Math.round(durationMs),
+        outcome === 'succeeded' ? estimateCost(provider, config) : 0
+      ]
+    );
+  } catch (error) {
+    // Metering must never fail a generation
+    console.error('Failed to record generation usage:', error.message);
+  }
+}
+
+// Limits for a companies row ({ plan, visitor_daily_limit })
+function planLimits(company) {
+  const planName = plans[company.plan] ? company.plan : DEFAULT_PLAN;
+  const plan = plans[planName];
+
+  return {
+    plan: planName,
+    planLabel: plan.label,
+    dailyGenerations: plan.dailyGenerations,
+    monthlyGenerations: plan.monthlyGenerations,
+    visitorDailyGenerations: company.visitor_daily_limit || plan.visitorDailyGenerations
+  };
+}
+
+// The company's plan and limits, or null when the company doesn't exist
+async function getLimits(companyId) {
+  if (!companyId) return null;
+
+  const result = await db.query('SELECT plan, visitor_daily_limit FROM companies WHERE id = $1', [companyId]);
+  return result.rows[0] ? planLimits(result.rows[0]) : null;
+}
+
+// Renders that count against a quota: sent to a provider and either delivered or still
+// in progress. Cache hits and renders that failed or were cancelled are not counted.
+// visitor: { column: 'visitor_id' | 'visitor_ip', value } limits it to one visitor.
+async function countGenerations(companyId, since, visitor = null, client = db) {
+  const params = [companyId || '', since];
+  let visitorClause = '';
+  if (visitor) {
+    params.push(visitor.value);
+    visitorClause = `AND j.${visitor.column} = $3`;
+  }
+
+  const result = await client.query(
+    `SELECT COUNT(*) AS count
+     FROM generation_variants v
+     JOIN generation_jobs j ON j.id = v.job_id
+     WHERE COALESCE(j.company_id, '') = $1 AND j.created_at >= $2
+       AND v.cached_from_variant_id IS NULL
+       AND (v.result_filename IS NOT NULL OR j.status IN ('queued', 'running'))
+       ${visitorClause}`,
+    params
+  );
+  return parseInt(result.rows[0].count, 10);
+}
+
+// Returns null when `count` more renders fit in every quota, otherwise
+// { error, quota: { period, limit, used } } for the first one that doesn't.
+// The visitor's own id comes from the widget, so their IP address has the same cap.
+async function findExceededQuota(limits, { companyId, visitorId, visitorIp, count }, client) {
+  const checks = [
+    { period: 'visitor', limit: limits.visitorDailyGenerations, since: startOfDay(), when: 'today',
+      visitor: visitorId && { column: 'visitor_id', value: visitorId } },
+    { period: 'visitor', limit: limits.visitorDailyGenerations, since: startOfDay(), when: 'today',
+      visitor: visitorIp && { column: 'visitor_ip', value: visitorIp } },
+    { period: 'day', limit: limits.dailyGenerations, since: startOfDay(), when: 'today' },
+    { period: 'month', limit: limits.monthlyGenerations, since: startOfMonth(), when: 'this month' }
+  ];
+
+  for (const check of checks) {
+    if (check.period === 'visitor' && !check.visitor) continue;
+
+    const used = await countGenerations(companyId, check.since, check.visitor, client);
+    if (used + count <= check.limit) continue;
+
+    const remaining = Math.max(0, check.limit - used);
+    const error = remaining > 0
+      ? `Only ${remaining} more design${remaining === 1 ? '' : 's'} can be created ${check.when}`
+      : check.period === 'visitor'
+        ? 'You have reached today\'s design limit. Please try again tomorrow.'
+        : `The design limit for ${check.when} has been reached. Please try again later.`;
+
+    console.log(`⚠️ Generation quota (${check.period}) reached for company ${companyId}: ${used}/${check.limit}`);
+    return { error, quota: { period: check.period, limit: check.limit, used } };
+  }
+
+  return null;
+}
+
+// Checks that `count` more renders fit in every quota, inside the transaction (client)
+// that goes on to save them. The company's row stays locked until that commits, so
+// requests that arrive together are counted one after another rather than all passing.
+// Returns null, or { status, error } (404 for an unknown company, or 429 with quota).
+async function reserveQuota({ companyId, visitorId, visitorIp, count }, client) {
+  const result = companyId
+    ? await client.query('SELECT plan, visitor_daily_limit FROM companies WHERE id = $1 FOR UPDATE', [companyId])
+    : { rows: [] };
+  if (!result.rows[0]) {
+    return { status: 404, error: 'Company not found' };
+  }
+
+  // A job the cache serves in full renders nothing, so it goes through even at the limit
+  const overQuota = count > 0
+    ? await findExceededQuota(planLimits(result.rows[0]), { companyId, visitorId, visitorIp, count }, client)
+    : null;
+  return overQuota ? { status: 429, ...overQuota } : null;
+}
+
+function roundCost(value) {
+  return Math.round((parseFloat(value) || 0) * 10000) / 10000;
+}
+
+// Consumption against limits plus this month's per-provider breakdown, for the dashboard
+async function getUsage(companyId) {
+  const limits = await getLimits(companyId);
+  const today = startOfDay();
+  const month = startOfMonth();
+
+  const [usedToday, usedMonth] = await Promise.all([
+    countGenerations(companyId, today),
+    countGenerations(companyId, month)
+  ]);
+
+  const calls = await db.query(
+    `SELECT provider, outcome, COUNT(*) AS count, SUM(duration_ms) AS duration_ms, SUM(cost_usd) AS cost
+     FROM generation_usage
+     WHERE company_id = $1 AND created_at >= $2
+     GROUP BY provider, outcome`,
+    [companyId, month]
+  );
+
+  const todayCost = await db.query(
+    'SELECT SUM(cost_usd) AS cost FROM generation_usage WHERE company_id = $1 AND created_at >= $2',
+    [companyId, today]
+  );
+
+  const providers = {};
+  let monthCost = 0;
+
+  calls.rows.forEach(row => {
+    const count = parseInt(row.count, 10);
+    const entry = providers[row.provider] || (providers[row.provider] = {
+      provider: row.provider, renders: 0, failed: 0, cached: 0, durationMs: 0, cost: 0
+    });
+
+    if (row.outcome === 'succeeded') {
+      entry.renders += count;
+      entry.durationMs += parseInt(row.duration_ms, 10) || 0;
+    } else if (row.outcome === 'cached') {
+      entry.cached += count;
+    } else {
+      entry.failed += count;
+    }
+
+    entry.cost += parseFloat(row.cost) || 0;
+    monthCost += parseFloat(row.cost) || 0;
+  });
+
+  return {
+    plan: limits.plan,
+    planLabel: limits.planLabel,
+    limits: {
+      daily: limits.dailyGenerations,
+      monthly: limits.monthlyGenerations,
+      visitorDaily: limits.visitorDailyGenerations
+    },
+    used: {
+      today: usedToday,
+      month: usedMonth
+    },
+    costUsd: {
+      today: roundCost(todayCost.rows[0].cost),
+      month: roundCost(monthCost)
+    },
+    providers: Object.values(providers).map(entry => ({
+      provider: entry.provider,
+      renders: entry.renders,
+      failed: entry.failed,
+      cached: entry.cached,
+      averageDurationMs: entry.renders > 0 ? Math.round(entry.durationMs / entry.renders) : null,
+      costUsd: roundCost(entry.cost)
+    }))
+  };
+}
+
+// Lowers (or resets with null) the per-visitor daily cap. It can't exceed the plan's daily quota.
+async function setVisitorDailyLimit(companyId, limit) {
+  const limits = await getLimits(companyId);
+  if (!limits) {
+    return { error: 'Company not found', status: 404 };
+  }
+
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > limits.dailyGenerations)) {
+    return { error: `Visitor limit must be between 1 and ${limits.dailyGenerations}` };
+  }
+
+  const result = await db.query(
+    'UPDATE companies SET visitor_daily_limit = $2 WHERE id = $1 RETURNING id',
+    [companyId, limit]
+  );
+  if (result.rows.length === 0) {
+    return { error: 'Company not found', status: 404 };
+  }
+
+  return { success: true };
+}
+
+module.exports = {
+  estimateCost,
+  recordGeneration,
+  reserveQuota,
+  getUsage,
+  setVisitorDailyLimit
+};
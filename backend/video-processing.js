@@ -0,0 +1,54 @@
+// Video processing helpers (ffmpeg)
+// Needs the ffmpeg binary on PATH, or FFMPEG_PATH pointing at it.
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFMPEG_TIMEOUT_MS = parseInt(process.env.FFMPEG_TIMEOUT_MS, 10) || 30000;
+
+function runFfmpeg(args) {
+  return new Promise((resolve, reject) => {
+    execFile(FFMPEG_PATH, args, { timeout: FFMPEG_TIMEOUT_MS }, (error, stdout, stderr) => {
+      if (!error) return resolve();
+
+      if (error.code === 'ENOENT') {
+        return reject(new Error(`ffmpeg not found at "${FFMPEG_PATH}"`));
+      }
+
+      const detail = stderr.trim().split('\n').pop();
+      reject(new Error(`ffmpeg failed: ${detail || error.message}`));
+    });
+  });
+}
+
+// Representative still frame of a video, as a JPEG. ffmpeg's thumbnail filter
+// picks the most typical of the opening frames, skipping fades and motion blur.
+// MP4s can keep their index at the end, so ffmpeg reads from a temp file rather than a pipe.
+async function extractStill(videoBuffer) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rv-video-'));
+  const input = path.join(dir, 'input');
+  const output = path.join(dir, 'still.jpg');
+
+  try {
+    await fs.writeFile(input, videoBuffer);
+    await runFfmpeg([
+      '-hide_banner',
+      '-loglevel', 'error',
+      '-i', input,
+      '-vf', 'thumbnail',
+      '-frames:v', '1',
+      '-q:v', '2',
+      '-y', output
+    ]);
+    return await fs.readFile(output);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  extractStill
+};
@@ -5,6 +5,7 @@ const API_URL = 'http://localhost:3000';
 let selectedTrade = '';
 let uploadedFilename = '';
 let originalImageUrl = '';
+let savedMaskVersion = null;
 
 // Elements
 const tradeBtns = document.querySelectorAll('.trade-btn');
@@ -16,12 +17,22 @@ const promptSelect = document.getElementById('promptSelect');
 const customPrompt = document.getElementById('customPrompt');
 const generateBtn = document.getElementById('generateBtn');
 const loading = document.getElementById('loading');
+const loadingStatus = document.getElementById('loadingStatus');
 const error = document.getElementById('error');
 const results = document.getElementById('results');
 const beforeImage = document.getElementById('beforeImage');
 const afterImage = document.getElementById('afterImage');
 const downloadBtn = document.getElementById('downloadBtn');
 const newProjectBtn = document.getElementById('newProjectBtn');
+const variantCount = document.getElementById('variantCount');
+const variantsSection = document.getElementById('variantsSection');
+const variantGrid = document.getElementById('variantGrid');
+const maskCanvas = document.getElementById('maskCanvas');
+const maskToggle = document.getElementById('maskToggle');
+const maskTools = document.getElementById('maskTools');
+const brushSize = document.getElementById('brushSize');
+const clearMaskBtn = document.getElementById('clearMaskBtn');
+const maskTool = createMaskTool(maskCanvas);
 
 // Step visibility
 const step2 = document.getElementById('step2');
@@ -97,7 +108,6 @@ async function handleFileSelect(file) {
     const reader = new FileReader();
     reader.onload = (e) => {
         previewImage.src = e.target.result;
-        originalImageUrl = e.target.result;
         previewContainer.style.display = 'block';
         
         // Show next steps
@@ -130,6 +140,11 @@ async function uploadImage(file) {
         
         if (data.success) {
             uploadedFilename = data.filename;
+            originalImageUrl = data.imageUrl;
+            // Show the processed photo so the mask lines up with what the server sees
+            previewImage.src = data.imageUrl;
+            maskTool.resize(data.width, data.height);
+            savedMaskVersion = null;
             generateBtn.disabled = false;
         } else {
             showError('Upload failed. Please try again.');
@@ -160,6 +175,36 @@ async function loadPrompts(trade) {
     }
 }
 
+// Mask tool: paint the part of the photo to change
+maskToggle.addEventListener('change', () => {
+    maskTools.style.display = maskToggle.checked ? 'block' : 'none';
+    maskCanvas.style.display = maskToggle.checked ? 'block' : 'none';
+});
+
+maskTools.querySelectorAll('[data-mode]').forEach(button => {
+    button.addEventListener('click', () => {
+        maskTools.querySelectorAll('[data-mode]').forEach(b => b.classList.remove('active'));
+        button.classList.add('active');
+        maskTool.setMode(button.dataset.mode);
+    });
+});
+
+brushSize.addEventListener('input', () => maskTool.setBrushSize(parseInt(brushSize.value, 10)));
+clearMaskBtn.addEventListener('click', () => maskTool.clear());
+
+// The mask is saved with the upload, so it is only sent again after it changes
+function getMaskFields() {
+    if (!maskToggle.checked || !maskTool.hasMask()) {
+        return {};
+    }
+
+    if (savedMaskVersion === maskTool.getVersion()) {
+        return { reuseMask: true };
+    }
+
+    return { mask: maskTool.toDataURL() };
+}
+
 // Prompt selection change
 promptSelect.addEventListener('change', () => {
     if (promptSelect.value) {
@@ -191,10 +236,134 @@ generateBtn.addEventListener('click', async () => {
     error.classList.remove('active');
     generateBtn.disabled = true;
     
-    // Scroll to top
-    window.scrollTo({ top: 0, behavior: 'smooth' });
+    // Show loading
+    loading.classList.add('active');
+    results.classList.remove('active');
+    
+    try {
+        const maskFields = getMaskFields();
+        const response = await fetch(`${API_URL}/api/generate`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                filename: uploadedFilename,
+                prompt: prompt,
+                variants: parseInt(variantCount.value, 10),
+                ...maskFields
+            })
+        });
+        
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error || 'Generation failed');
+        }
+        
+        if (maskFields.mask) {
+            savedMaskVersion = maskTool.getVersion();
+        }
+        
+        const job = await waitForJob(data.jobId, updateLoadingStatus);
+        
+        if (job.status !== 'succeeded') {
+            throw new Error(job.error || 'Generation failed');
+        }
+        
+        // Show results
+        beforeImage.src = originalImageUrl;
+        showVariants(job.variants);
+        
+        loading.classList.remove('active');
+        results.classList.add('active');
+        generateBtn.disabled = false;
+        
+        // Scroll to results
+        results.scrollIntoView({ behavior: 'smooth' });
+    } catch (err) {
+        loading.classList.remove('active');
+        showError('Generation failed: ' + err.message);
+        generateBtn.disabled = false;
+    }
 });
 
+// Follow a generation job until it finishes. Uses the SSE stream and falls back to polling.
+function waitForJob(jobId, onUpdate) {
+    return new Promise((resolve, reject) => {
+        const finished = (job) => ['succeeded', 'failed', 'cancelled'].includes(job.status);
+
+        const poll = async () => {
+            try {
+                const response = await fetch(`${API_URL}/api/generate/${jobId}`);
+                const data = await response.json();
+                if (!data.success) throw new Error(data.error || 'Failed to fetch job status');
+
+                onUpdate(data.job);
+                if (finished(data.job)) {
+                    resolve(data.job);
+                } else {
+                    setTimeout(poll, 2000);
+                }
+            } catch (err) {
+                reject(err);
+            }
+        };
+
+        const source = new EventSource(`${API_URL}/api/generate/${jobId}/events`);
+
+        source.addEventListener('job', (event) => {
+            const job = JSON.parse(event.data);
+            onUpdate(job);
+            if (finished(job)) {
+                source.close();
+                resolve(job);
+            }
+        });
+
+        source.onerror = () => {
+            source.close();
+            poll();
+        };
+    });
+}
+
+function updateLoadingStatus(job) {
+    if (job.status === 'queued') {
+        loadingStatus.textContent = job.attempts > 0 ? 'Retrying...' : 'Waiting to start...';
+    } else if (job.status === 'running') {
+        loadingStatus.textContent = job.progress > 0 ? `${job.progress}% complete` : 'This may take 30-60 seconds';
+    }
+}
+
+// Comparison grid of the generated designs; the favourite is shown as the "after" image
+function showVariants(variants) {
+    variantGrid.innerHTML = '';
+
+    variants.forEach(variant => {
+        const card = document.createElement('div');
+        card.className = 'variant-card';
+        card.dataset.variantId = variant.id;
+        card.innerHTML = `<img src="${variant.previewImageUrl}" alt="${variant.label}"><p>${variant.label}</p>`;
+        card.addEventListener('click', () => setFavourite(variants, variant.id));
+        variantGrid.appendChild(card);
+    });
+
+    variantsSection.style.display = variants.length > 1 ? 'block' : 'none';
+    setFavourite(variants, variants[0].id);
+}
+
+function setFavourite(variants, variantId) {
+    afterImage.src = variants.find(v => v.id === variantId).previewImageUrl;
+
+    variantGrid.querySelectorAll('.variant-card').forEach(card => {
+        const variant = variants.find(v => v.id === card.dataset.variantId);
+        const isFavourite = variant.id === variantId;
+        card.classList.toggle('favourite', isFavourite);
+        card.querySelector('p').textContent = (isFavourite ? '⭐ ' : '') + variant.label;
+    });
+}
+
 // Helper function to show errors
 function showError(message) {
     error.textContent = message;